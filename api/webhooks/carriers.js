@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const connectDB = require('../../config/db');
+const { TrackingError, verifyWebhook, ingestWebhook } = require('../../services/tracking');
+
+// Tracking events pushed by a carrier: POST /api/webhooks/carriers/:carrier
+// Signed with the carrier's CARRIER_WEBHOOK_SECRET_<CARRIER> in the X-Carrier-Signature header
+// (see services/tracking). Redelivered events are recognised and skipped.
+router.post('/:carrier', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  const carrier = req.params.carrier.toLowerCase();
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+  let payload;
+  try {
+    verifyWebhook(carrier, rawBody, req.headers['x-carrier-signature']);
+    payload = JSON.parse(rawBody);
+  } catch (err) {
+    if (err instanceof TrackingError) {
+      console.error(`❌ Carrier webhook (${carrier}) rejected:`, err.message);
+      return res.status(err.status).json({ error: err.message });
+    }
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  try {
+    await connectDB();
+    const result = await ingestWebhook(carrier, payload);
+    console.log(`✅ Carrier webhook (${carrier}):`, result);
+    res.json({ received: true, ...result });
+  } catch (err) {
+    if (err instanceof TrackingError) return res.status(err.status).json({ error: err.message });
+    // 500 makes the carrier retry - events already stored are skipped then
+    console.error(`❌ Carrier webhook (${carrier}) processing error:`, err);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,11 @@ const axios = require('axios');
 const connectDB = require('../../config/db');
 const Order = require('../../models/Orders');
 const Cart = require('../../models/Cart');
-const Product = require('../../models/Product');
+const { markOrderPaid } = require('../../services/orderStateMachine');
+const { syncChargeRefunds, settleLatePayment } = require('../../services/refunds');
+const { recordOrderSales } = require('../../services/ledger');
+const { invoiceOrder } = require('../../services/invoices');
+const { guestOrderUrl } = require('../../services/orderAccess');
 
 // Helper function to get customer name properly - removes duplicates
 // Always prioritizes guestInfo (form data) over userId
@@ -94,8 +98,9 @@ router.post('/', express.raw({ type: 'application/json' }), async (req, res) =>
   try {
     await connectDB();
 
-    // NEW: Handle payment failed events
+    // NEW: Handle payment failed / expired sessions - cancelOrder releases the reserved stock
     if (event.type === 'checkout.session.async_payment_failed' || 
+        event.type === 'checkout.session.expired' ||
         event.type === 'payment_intent.payment_failed') {
       const session = event.data.object;
       const orderId = session.metadata?.orderId || session.client_reference_id;
@@ -108,13 +113,16 @@ router.post('/', express.raw({ type: 'application/json' }), async (req, res) =>
           const cancelOrder = orderRoutes.cancelOrder;
           
           if (cancelOrder) {
-            // Cancel order (will recover stock and send email)
-            // Set payment status to Failed before cancelling
-            order.paymentStatus = 'Failed';
-            await order.save();
+            // Cancel order (will release reserved stock and send email)
+            const reason = event.type === 'checkout.session.expired' ? 'abandoned' : 'payment_failed';
+            if (reason === 'payment_failed') {
+              // Set payment status to Failed before cancelling
+              order.paymentStatus = 'Failed';
+              await order.save();
+            }
             
-            await cancelOrder(order, 'payment_failed');
-            console.log(`✅ Order ${orderId} cancelled due to payment failure`);
+            await cancelOrder(order, reason);
+            console.log(`✅ Order ${orderId} cancelled (${reason})`);
           } else {
             console.error('❌ cancelOrder function not found');
           }
@@ -122,6 +130,12 @@ router.post('/', express.raw({ type: 'application/json' }), async (req, res) =>
       }
     }
 
+    // NEW: Refunds - confirms refunds issued from the admin API and records ones made in the Stripe dashboard
+    if (event.type === 'charge.refunded') {
+      const order = await syncChargeRefunds(event.data.object);
+      if (order) console.log('✅ Refunds synced for order:', order._id);
+    }
+
     if (event.type === 'checkout.session.completed') {
       const session = event.data.object;
       const orderId = session.metadata?.orderId || session.client_reference_id;
@@ -133,9 +147,26 @@ router.post('/', express.raw({ type: 'application/json' }), async (req, res) =>
 
       // NEW: Stock was already decreased when order was created
       // Just update payment status - stock is already reserved
-      order.paymentStatus = 'Paid';
-      await order.save();
+      // Keep the payment intent - refunds are made against it
+      if (session.payment_intent && !order.stripePaymentIntentId) {
+        order.stripePaymentIntentId = session.payment_intent;
+        await Order.updateOne({ _id: order._id }, { $set: { stripePaymentIntentId: session.payment_intent } });
+      }
+      // NEW: The order may have been cancelled (and its stock released) before the payment landed.
+      // Only book it if the stock can be reserved again - otherwise the payment is refunded.
+      if (order.orderStatus === 'Cancelled' || order.stockStatus === 'released') {
+        const reopened = await settleLatePayment(order, session.payment_intent || order.stripePaymentIntentId);
+        if (!reopened) {
+          console.log(`⚠️ Late payment for order ${orderId} not booked (order stays ${order.orderStatus})`);
+          return res.json({ received: true });
+        }
+      }
+      await markOrderPaid(order, 'Stripe checkout completed');
       console.log('✅ Order payment confirmed:', orderId);
+      // Credit the sellers (idempotent, so a webhook retry books nothing twice)
+      await recordOrderSales(order);
+      // Issued before the confirmation email so the PDF can go with it
+      await invoiceOrder(order);
 
       if (order.userId) await Cart.deleteOne({ userId: order.userId });
 
@@ -177,7 +208,8 @@ router.post('/', express.raw({ type: 'application/json' }), async (req, res) =>
               throw new Error('sendOrderConfirmationEmail function not found in notificationsRoutes');
             }
 
-            const result = await sendOrderConfirmationEmail(populatedOrder, customer);
+            // NEW: Guests get a link to view and manage their order
+            const result = await sendOrderConfirmationEmail(populatedOrder, customer, { orderUrl: guestOrderUrl(populatedOrder) });
             
             if (result.success) {
               console.log('✅ Order confirmation email sent for paid order:', orderId);
@@ -3,7 +3,8 @@ const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
-const axios = require("axios");
+const { notify } = require("../services/notifications");
+const { normalizeLocale, resolveLocale } = require("../services/i18n");
 
 const createAccessToken = (user, rememberMe = false) =>
   jwt.sign({ id: user._id }, process.env.JWT_ACCESS_SECRET, {
@@ -17,44 +18,25 @@ const createRefreshToken = (user, rememberMe = false) =>
 // NEW: Normalize email to enforce uniqueness and consistent lookups
 const normalizeEmail = (email = "") => email.trim().toLowerCase();
 
-// NEW: Helper function to send email via notifications service
-const sendEmail = async (to, subject, html) => {
+// Send an account email through the notification outbox. A failed send is retried by the
+// outbox job, but the response still tells the user whether it went out right away.
+const sendEmail = async (template, to, variables, userId) => {
   try {
-    // For internal server calls, always use localhost (most reliable)
-    const port = process.env.PORT || 5000;
-    const baseUrl = `http://localhost:${port}`;
-    
-    console.log(`[EMAIL] Attempting to send email to: ${to}`);
-    console.log(`[EMAIL] Using API URL: ${baseUrl}/api/notifications/send-email`);
-    
-    const response = await axios.post(`${baseUrl}/api/notifications/send-email`, {
-      to,
-      subject,
-      html
-    }, {
-      timeout: 10000 // 10 second timeout
-    });
-    
-    console.log(`[EMAIL] ✅ Successfully sent email to ${to}`);
-    console.log(`[EMAIL] Response:`, response.data);
-    return { success: true, response: response.data };
-  } catch (error) {
-    console.error(`[EMAIL] ❌ Error sending email to ${to}:`);
-    console.error(`[EMAIL] Error message:`, error.message);
-    console.error(`[EMAIL] Error code:`, error.code);
-    console.error(`[EMAIL] Error response:`, error.response?.data);
-    console.error(`[EMAIL] Full error:`, error);
-    
-    // Return detailed error info
-    return { 
-      success: false, 
-      error: error.message,
-      errorCode: error.code,
-      errorDetails: error.response?.data || error.message,
-      suggestion: error.code === 'ECONNREFUSED' 
-        ? 'Email service not running or not accessible. Check if notifications service is working.'
-        : 'Check email service configuration (RESEND_API_KEY, EMAIL_USER, etc.)'
+    const message = await notify(template, to, variables, { userId });
+    if (message?.status === "sent") {
+      console.log(`[EMAIL] ✅ Successfully sent ${template} to ${to}`);
+      return { success: true, response: { messageId: message.providerMessageId } };
+    }
+    console.error(`[EMAIL] ❌ Error sending ${template} to ${to}:`, message?.lastError);
+    return {
+      success: false,
+      error: message?.lastError || "Unknown error",
+      errorDetails: message?.lastError,
+      suggestion: "Check email service configuration (RESEND_API_KEY, EMAIL_USER, etc.). The email will be retried automatically."
     };
+  } catch (error) {
+    console.error(`[EMAIL] ❌ Error queueing ${template} for ${to}:`, error.message);
+    return { success: false, error: error.message, errorDetails: error.message };
   }
 };
 
@@ -69,7 +51,7 @@ exports.register = async (req, res, next) => {
     if (!errors.isEmpty())
       return res.status(400).json({ errors: errors.array() });
 
-    const { name, email, password, phone, role } = req.body;
+    const { name, email, password, phone, role, locale } = req.body;
     const normalizedEmail = normalizeEmail(email);
     
     // NEW: Only allow buyer registration for now
@@ -77,11 +59,11 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ message: "Only buyer registration is currently available" });
     }
 
-    // NEW: Check if email already exists and prevent buyers from using admin/company emails
+    // NEW: Check if email already exists and prevent buyers from using admin emails
     const existing = await User.findOne({ email: normalizedEmail });
     if (existing) {
-      // If the existing user is an admin or company, prevent buyer registration with this email
-      if (existing.role === "admin" || existing.role === "company") {
+      // If the existing user is an admin, prevent buyer registration with this email
+      if (existing.role === "admin") {
         return res.status(400).json({ 
           message: "This email is already registered as an administrator. Please use a different email address." 
         });
@@ -101,6 +83,8 @@ exports.register = async (req, res, next) => {
       name,
       email: normalizedEmail,
       phone,
+      // NEW: Language for emails - chosen in the form, else the browser's
+      locale: resolveLocale(locale, req.get("accept-language")),
       passwordHash,
       role: "buyer", // NEW: Force buyer role
       verified: false, // NEW: Require email verification - EXPLICITLY SET TO FALSE
@@ -127,37 +111,10 @@ exports.register = async (req, res, next) => {
     // NEW: Log the URL for debugging
     console.log(`[REGISTER] Verification URL: ${verificationUrl}`);
     console.log(`[REGISTER] Token: ${emailVerificationToken.substring(0, 20)}...`);
-    
-    // NEW: Ultra-simple email template with multiple clickable links
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h1 style="color: #333; font-size: 24px; margin-bottom: 20px;">Welcome to F&S Smartphones!</h1>
-        
-        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">Hi ${name},</p>
-        
-        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 30px;">Thank you for registering! Please verify your email address by clicking one of the links below:</p>
-        
-        <div style="text-align: center; margin: 40px 0;">
-          <a href="${verificationUrl}" style="background-color: #000000; color: #ffffff; padding: 16px 40px; text-decoration: none; border-radius: 8px; display: inline-block; font-size: 16px; font-weight: 600;">CLICK HERE TO VERIFY EMAIL</a>
-        </div>
-        
-        <p style="color: #666; font-size: 14px; margin: 30px 0 10px 0;">Or click this link:</p>
-        <p style="margin: 0; padding: 12px; background-color: #f0f9ff; border-radius: 4px;">
-          <a href="${verificationUrl}" style="color: #0066cc; font-size: 16px; text-decoration: underline; word-break: break-all;">${verificationUrl}</a>
-        </p>
-        
-        <p style="color: #666; font-size: 14px; margin: 20px 0 10px 0;">Or copy and paste this URL into your browser:</p>
-        <p style="color: #333; font-size: 13px; word-break: break-all; margin: 0; padding: 10px; background-color: #f9f9f9; border: 1px solid #ddd; font-family: monospace;">
-          ${verificationUrl}
-        </p>
-        
-        <p style="color: #999; font-size: 12px; margin-top: 30px;">This link will expire in 24 hours.</p>
-      </div>
-    `;
 
     // NEW: Send verification email and check result
     console.log(`[REGISTER] Sending verification email to: ${email}`);
-    const emailResult = await sendEmail(email, "Verify Your Email - F&S Smartphones", emailHtml);
+    const emailResult = await sendEmail("email_verification", email, { name, verificationUrl, welcome: true, locale: user.locale }, user._id);
     
     // NEW: Don't return tokens - user needs to verify email first
     // Include email sending status in response
@@ -380,7 +337,21 @@ exports.me = async (req, res) => {
       requiresVerification: true
     });
   }
-  res.json({ user });
+  // NEW: What the user may do, so the frontend can show the right menus
+  res.json({ user, permissions: user.permissions });
+};
+
+// NEW: Change the language of the user's emails - body: { locale: "en" | "de" }
+exports.updateLocale = async (req, res, next) => {
+  try {
+    const locale = normalizeLocale(req.body.locale);
+    if (!locale) return res.status(400).json({ message: "Unsupported language" });
+
+    await User.updateOne({ _id: req.user._id }, { $set: { locale } });
+    res.json({ message: "Language updated", locale });
+  } catch (err) {
+    next(err);
+  }
 };
 
 // NEW: Verify email endpoint
@@ -521,35 +492,12 @@ exports.resendVerification = async (req, res, next) => {
     
     // NEW: Log the URL for debugging
     console.log(`[RESEND-VERIFICATION] Verification URL: ${verificationUrl}`);
-    
-    // NEW: Ultra-simple email template with multiple clickable links
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h1 style="color: #333; font-size: 24px; margin-bottom: 20px;">Verify Your Email - F&S Smartphones</h1>
-        
-        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">Hi ${user.name},</p>
-        
-        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 30px;">Please verify your email address by clicking one of the links below:</p>
-        
-        <div style="text-align: center; margin: 40px 0;">
-          <a href="${verificationUrl}" style="background-color: #000000; color: #ffffff; padding: 16px 40px; text-decoration: none; border-radius: 8px; display: inline-block; font-size: 16px; font-weight: 600;">CLICK HERE TO VERIFY EMAIL</a>
-        </div>
-        
-        <p style="color: #666; font-size: 14px; margin: 30px 0 10px 0;">Or click this link:</p>
-        <p style="margin: 0; padding: 12px; background-color: #f0f9ff; border-radius: 4px;">
-          <a href="${verificationUrl}" style="color: #0066cc; font-size: 16px; text-decoration: underline; word-break: break-all;">${verificationUrl}</a>
-        </p>
-        
-        <p style="color: #666; font-size: 14px; margin: 20px 0 10px 0;">Or copy and paste this URL into your browser:</p>
-        <p style="color: #333; font-size: 13px; word-break: break-all; margin: 0; padding: 10px; background-color: #f9f9f9; border: 1px solid #ddd; font-family: monospace;">
-          ${verificationUrl}
-        </p>
-        
-        <p style="color: #999; font-size: 12px; margin-top: 30px;">This link will expire in 24 hours.</p>
-      </div>
-    `;
-
-    await sendEmail(email, "Verify Your Email - F&S Smartphones", emailHtml);
+
+    await sendEmail("email_verification", email, {
+      name: user.name,
+      verificationUrl,
+      locale: resolveLocale(user.locale, req.get("accept-language"))
+    }, user._id);
 
     res.json({ message: "Verification email sent! Please check your inbox." });
   } catch (err) {
@@ -591,35 +539,13 @@ exports.forgotPassword = async (req, res, next) => {
     console.log(`[FORGOT-PASSWORD] Reset URL: ${resetUrl}`);
     console.log(`[FORGOT-PASSWORD] Token: ${resetToken.substring(0, 20)}...`);
     
-    // NEW: Ultra-simple email template with multiple clickable links
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h1 style="color: #333; font-size: 24px; margin-bottom: 20px;">Reset Your Password - F&S Smartphones</h1>
-        
-        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">Hi ${user.name},</p>
-        
-        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 30px;">You requested to reset your password. Click one of the links below to reset it:</p>
-        
-        <div style="text-align: center; margin: 40px 0;">
-          <a href="${resetUrl}" style="background-color: #000000; color: #ffffff; padding: 16px 40px; text-decoration: none; border-radius: 8px; display: inline-block; font-size: 16px; font-weight: 600;">CLICK HERE TO RESET PASSWORD</a>
-        </div>
-        
-        <p style="color: #666; font-size: 14px; margin: 30px 0 10px 0;">Or click this link:</p>
-        <p style="margin: 0; padding: 12px; background-color: #f0f9ff; border-radius: 4px;">
-          <a href="${resetUrl}" style="color: #0066cc; font-size: 16px; text-decoration: underline; word-break: break-all;">${resetUrl}</a>
-        </p>
-        
-        <p style="color: #666; font-size: 14px; margin: 20px 0 10px 0;">Or copy and paste this URL into your browser:</p>
-        <p style="color: #333; font-size: 13px; word-break: break-all; margin: 0; padding: 10px; background-color: #f9f9f9; border: 1px solid #ddd; font-family: monospace;">
-          ${resetUrl}
-        </p>
-        
-        <p style="color: #999; font-size: 12px; margin-top: 30px;">This link will expire in 1 hour.</p>
-      </div>
-    `;
 
     console.log(`[FORGOT-PASSWORD] Sending reset email to: ${email}`);
-    const emailResult = await sendEmail(email, "Reset Your Password - F&S Smartphones", emailHtml);
+    const emailResult = await sendEmail("password_reset", email, {
+      name: user.name,
+      resetUrl,
+      locale: resolveLocale(user.locale, req.get("accept-language"))
+    }, user._id);
     
     if (emailResult.success) {
       console.log(`[FORGOT-PASSWORD] ✅ Reset email sent successfully to ${email}`);
@@ -1,6 +1,9 @@
 const SellRequest = require('../models/SellerRequest');
 const { validationResult } = require('express-validator');
 const axios = require('axios');
+const { computeQuote, counterOffer, respondToOffer, requote } = require('../services/buyback');
+const { actorFromUser } = require('../services/orderStateMachine');
+const lifecycle = require('../services/sellRequestLifecycle');
 
 // Helper function to delete images from Cloudinary
 const deleteImagesFromCloudinary = async (imageUrls, authHeader) => {
@@ -21,9 +24,10 @@ const deleteImagesFromCloudinary = async (imageUrls, authHeader) => {
 };
 
 // user creates sell request (C2B)
+// NEW: With categoryId/specs/condition the device is priced from the buyback grid right away
 exports.createSellRequest = async (req,res,next)=>{
   try{
-    const { productTitle, description, expectedPrice, images } = req.body;
+    const { productTitle, description, expectedPrice, images, categoryId, specs, condition } = req.body;
     const request = new SellRequest({
       productTitle,
       description,
@@ -31,6 +35,18 @@ exports.createSellRequest = async (req,res,next)=>{
       images: images || [],
       seller: req.user._id
     });
+
+    if (categoryId) {
+      const priced = await computeQuote({ categoryId, specs, condition });
+      request.categoryId = priced.category._id;
+      request.specs = priced.specs;
+      request.condition = priced.condition;
+      request.quote = priced.quote;
+      request.offerStatus = 'quoted';
+      request.productTitle = productTitle || [priced.category.name, ...Object.values(priced.specs)].join(' ');
+      request.negotiation = [{ action: 'quote', amount: priced.quote.amount, by: req.user._id, role: req.user.role }];
+    }
+
     await request.save();
     res.json(request);
   }catch(err){ next(err); }
@@ -48,9 +64,31 @@ exports.getSellRequests = async (req,res,next)=>{
 exports.updateSellRequestStatus = async (req,res,next)=>{
   try{
     const { status, companyResponse, images } = req.body; // NEW: Allow image updates
-    const request = await SellRequest.findById(req.params.id);
+    let request = await SellRequest.findById(req.params.id);
     if(!request) return res.status(404).json({ message: 'Request not found' });
     if(!['approved','rejected','completed'].includes(status)) return res.status(400).json({ message: 'Invalid status' });
+    // NEW: 'completed' from the old admin screen means the device was bought and paid.
+    // That is only true once the customer accepted the final offer - earlier requests go through the intake steps.
+    const target = status === 'completed' ? 'paid_out' : status;
+    if (status === 'completed' && request.status !== 'accepted' && request.status !== 'paid_out') {
+      return res.status(409).json({ message: `Only accepted sell requests can be completed (this one is ${request.status}). Issue a label, receive, inspect and make a final offer first.` });
+    }
+    if (target !== request.status && !(lifecycle.TRANSITIONS[request.status] || []).includes(target)) {
+      return res.status(409).json({ message: `Cannot move sell request from ${request.status} to ${target}` });
+    }
+
+    // NEW: Status changes go through the lifecycle so they are recorded in statusHistory.
+    // They run first, so a rejected change leaves the response and images untouched.
+    if (target !== request.status) {
+      const actor = actorFromUser(req.user);
+      if (target === 'paid_out') {
+        request = await lifecycle.markPaidOut(request, { method: req.body.payoutMethod || 'bank_transfer', reference: companyResponse, actor });
+      } else if (target === 'approved') {
+        request = await lifecycle.approveSellRequest(request, { agreedPrice: req.body.agreedPrice, note: companyResponse, actor });
+      } else {
+        request = await lifecycle.moveSellRequest(request, status, { actor, note: companyResponse });
+      }
+    }
 
     // NEW: If images are being updated, delete old images that are not in new images
     if (images && Array.isArray(images)) {
@@ -66,7 +104,6 @@ exports.updateSellRequestStatus = async (req,res,next)=>{
       request.images = images;
     }
 
-    request.status = status;
     if(companyResponse) request.companyResponse = companyResponse;
     request.updatedAt = Date.now();
     await request.save();
@@ -81,3 +118,84 @@ exports.getMySellRequests = async (req,res,next)=>{
     res.json(requests);
   }catch(err){ next(err); }
 };
+
+// NEW: Load a sell request the current user owns
+const loadOwnRequest = async (req, res) => {
+  const request = await SellRequest.findById(req.params.id);
+  if (!request || request.seller.toString() !== req.user._id.toString()) {
+    res.status(404).json({ message: 'Request not found' });
+    return null;
+  }
+  return request;
+};
+
+// NEW: Accept or decline whatever is on the table - the quote/counter-offer before the device
+// is sent in, or the final offer after inspection
+const respond = (accept) => async (req,res,next)=>{
+  try{
+    const request = await loadOwnRequest(req, res);
+    if (!request) return;
+    const options = { accept, note: req.body.note, actor: actorFromUser(req.user) };
+    const updated = request.status === 'final_offer'
+      ? await lifecycle.respondToFinalOffer(request, options)
+      : await respondToOffer(request, options);
+    res.json(updated);
+  }catch(err){ next(err); }
+};
+
+// NEW: customer accepts the current offer
+exports.acceptOffer = respond(true);
+
+// NEW: customer declines the current offer
+exports.declineOffer = respond(false);
+
+// NEW: customer asks for a fresh quote after the offer expired or was declined
+exports.requoteSellRequest = async (req,res,next)=>{
+  try{
+    const request = await loadOwnRequest(req, res);
+    if (!request) return;
+    const updated = await requote(request, actorFromUser(req.user));
+    res.json(updated);
+  }catch(err){ next(err); }
+};
+
+// NEW: admin makes a counter-offer - body: { amount, note }
+exports.counterOfferSellRequest = async (req,res,next)=>{
+  try{
+    const request = await SellRequest.findById(req.params.id);
+    if(!request) return res.status(404).json({ message: 'Request not found' });
+    const updated = await counterOffer(request, { amount: req.body.amount, note: req.body.note, actor: actorFromUser(req.user) });
+    res.json(updated);
+  }catch(err){ next(err); }
+};
+
+// NEW: Admin steps of the device intake. Each loads the request and hands the body to the lifecycle.
+const adminStep = (step, pickOptions) => async (req,res,next)=>{
+  try{
+    const request = await SellRequest.findById(req.params.id);
+    if(!request) return res.status(404).json({ message: 'Request not found' });
+    const updated = await step(request, { ...pickOptions(req.body), actor: actorFromUser(req.user) });
+    res.json(updated);
+  }catch(err){ next(err); }
+};
+
+// body: { carrier, trackingNumber, labelUrl }
+exports.issueShippingLabel = adminStep(lifecycle.issueShippingLabel, ({ carrier, trackingNumber, labelUrl }) => ({ carrier, trackingNumber, labelUrl }));
+
+// body: { note }
+exports.markReceived = adminStep(lifecycle.markReceived, ({ note }) => ({ note }));
+
+// body: { passed, grade, battery, imei, notes }
+exports.inspectSellRequest = adminStep(lifecycle.recordInspection, ({ passed, grade, battery, imei, notes }) => ({ passed, grade, battery, imei, notes }));
+
+// body: { amount, note } - amount defaults to the agreed price
+exports.makeFinalOffer = adminStep(lifecycle.makeFinalOffer, ({ amount, note }) => ({ amount, note }));
+
+// body: { carrier, trackingNumber, note }
+exports.returnToSeller = adminStep(lifecycle.returnToSeller, ({ carrier, trackingNumber, note }) => ({ carrier, trackingNumber, note }));
+
+// body: { method, reference }
+exports.markPaidOut = adminStep(lifecycle.markPaidOut, ({ method, reference }) => ({ method, reference }));
+
+// NEW: one-click listing of a bought device - body: { price, productId }
+exports.convertToProduct = adminStep(lifecycle.convertToProduct, ({ price, productId }) => ({ price, productId }));
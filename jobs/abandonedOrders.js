@@ -1,6 +1,11 @@
 const Order = require('../models/Orders');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const Product = require('../models/Product');
+const { releaseOrderStock } = require('../services/stockReservation');
+const { releaseCoupon } = require('../services/coupons');
+const { releasePickupSlot } = require('../services/pickupSlots');
+const { SYSTEM_ACTOR, transitionOrder, markOrderPaid } = require('../services/orderStateMachine');
+const { recordOrderSales, reverseOrderSales } = require('../services/ledger');
+const { invoiceOrder } = require('../services/invoices');
 
 // Helper function to get customer name
 // Always prioritizes guestInfo (form data) over userId
@@ -49,7 +54,7 @@ try {
   console.log('⚠️ Using fallback cancelOrder implementation');
   
   // Fallback implementation with full functionality
-  cancelOrder = async (order, reason = 'abandoned') => {
+  cancelOrder = async (order, reason = 'abandoned', actor = SYSTEM_ACTOR) => {
     try {
       console.log(`Cancelling order ${order._id} - Reason: ${reason}`);
       
@@ -59,53 +64,25 @@ try {
         return order;
       }
       
-      const ensureDefaultVariant = (product) => {
-        if (product.variants && product.variants.length > 0) {
-          return product.variants[0];
-        }
-        const defaultVariant = {
-          specs: {},
-          price: product.price,
-          images: product.images || [],
-          sku: `${product.name.replace(/\s+/g, '').toUpperCase().slice(0, 10)}-DEFAULT`,
-          enabled: true,
-          stock: 0
-        };
-        if (!product.variants) {
-          product.variants = [];
-        }
-        product.variants.push(defaultVariant);
-        return product.variants[product.variants.length - 1];
-      };
-
-      // Recover stock
-      for (const item of order.items) {
-        const product = await Product.findById(item.productId);
-        if (!product) continue;
-
-        let variant = null;
-        if (product.variants && product.variants.length > 0 && item.variantId) {
-          variant = product.variants.find(v => v._id.toString() === item.variantId.toString());
-        }
-        if (!variant) {
-          variant = ensureDefaultVariant(product);
-        }
-        if (variant) {
-          variant.stock = (variant.stock || 0) + item.quantity;
-          await product.save();
-        }
-      }
-
-      // Update order status
-      order.orderStatus = 'Cancelled';
+      // Update order status through the state machine
+      let paymentStatus = order.paymentStatus;
       if (order.paymentStatus === 'Pending') {
-        order.paymentStatus = 'Cancelled';
+        paymentStatus = 'Cancelled';
       } else if (order.paymentStatus !== 'Paid') {
-        order.paymentStatus = 'Failed';
+        paymentStatus = 'Failed';
       }
-      order.cancelledAt = new Date();
-      order.cancellationReason = reason;
-      await order.save();
+      await transitionOrder(order, 'Cancelled', {
+        actor,
+        note: reason,
+        set: { paymentStatus, cancelledAt: new Date(), cancellationReason: reason }
+      });
+
+      // Release reserved stock, the coupon use and the pickup slot through the same path cancelOrder uses
+      await releaseOrderStock(order);
+      await releaseCoupon(order);
+      await releasePickupSlot(order);
+      // Take back seller credits if the order had been paid
+      await reverseOrderSales(order, { reason: 'cancelled' });
       
       // Send cancellation email
       try {
@@ -192,8 +169,10 @@ async function checkAbandonedOrders() {
             if (session.payment_status === 'paid') {
               console.log(`Order ${order._id} is actually paid, skipping cancellation`);
               // Update order status in case webhook was missed
-              order.paymentStatus = 'Paid';
-              await order.save();
+              await markOrderPaid(order, 'Stripe payment found by abandoned order check');
+              await recordOrderSales(order);
+              // No confirmation email goes out from here - send the invoice on its own
+              await invoiceOrder(order, { email: true });
               continue;
             }
             
@@ -0,0 +1,22 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { backfillOrderNumbers } = require('../services/orderNumbers');
+
+// Give orders saved before order numbers existed their ORD- number (the server also does this on start):
+//   node jobs/backfillOrderNumbers.js
+if (require.main === module) {
+  connectDB()
+    .then(() => backfillOrderNumbers())
+    .then((count) => {
+      console.log(`Order number backfill completed (${count} updated)`);
+      return mongoose.disconnect();
+    })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillOrderNumbers };
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { processOutbox } = require('../services/notifications');
+
+// Send notifications that are due: queued ones and failed ones whose retry time has come
+async function sendDueNotifications() {
+  try {
+    const counts = await processOutbox();
+    if (counts.sent || counts.failed || counts.dead) {
+      console.log(`✅ Notification outbox: ${counts.sent} sent, ${counts.failed} failed, ${counts.dead} gave up`);
+    }
+    return counts;
+  } catch (error) {
+    console.error('❌ Error processing notification outbox:', error);
+  }
+}
+
+// Process the outbox once: node jobs/notificationOutbox.js
+if (require.main === module) {
+  connectDB()
+    .then(sendDueNotifications)
+    .then(() => mongoose.disconnect())
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { sendDueNotifications };
@@ -0,0 +1,24 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { reindexProducts } = require('../services/productSearch');
+
+// Rebuild product search fields. Run with --all after changing how products are indexed:
+//   node jobs/reindexProducts.js [--all]
+if (require.main === module) {
+  const onlyMissing = !process.argv.includes('--all');
+
+  connectDB()
+    .then(() => reindexProducts({ onlyMissing }))
+    .then((count) => {
+      console.log(`Product reindex completed (${count} updated)`);
+      return mongoose.disconnect();
+    })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { reindexProducts };
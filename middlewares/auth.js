@@ -1,5 +1,6 @@
   const jwt = require('jsonwebtoken');
   const User = require('../models/User');
+  const { permissionsFor, hasPermission } = require('../services/permissions');
 
   const authMiddleware = async (req, res, next) => {
     try {
@@ -17,6 +18,8 @@
         });
       }
       
+      // NEW: What the user's role may do (services/permissions) - also read by actorFromUser
+      user.permissions = await permissionsFor(user.role);
       req.user = user;
       next();
     } catch (err) {
@@ -24,10 +27,24 @@
     }
   };
 
-  const roleCheck = (roles = []) => (req, res, next) => {
+  // NEW: For routes guests can use too (checkout). Without a token the request goes on as a guest
+  // (req.user = null); with one it has to pass the same checks as authMiddleware.
+  const optionalAuth = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1] || req.cookies?.accessToken;
+    if (!token) {
+      req.user = null;
+      return next();
+    }
+    return authMiddleware(req, res, next);
+  };
+
+  // NEW: Passes when the user's role has any one of the permissions (see services/permissions)
+  const requirePermission = (...permissions) => (req, res, next) => {
     if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
-    if (!roles.includes(req.user.role)) return res.status(403).json({ message: 'Forbidden' });
+    if (!permissions.some(permission => hasPermission(req.user.permissions, permission))) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
     next();
   };
 
-  module.exports = { authMiddleware, roleCheck };
+  module.exports = { authMiddleware, optionalAuth, requirePermission };
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One row of the buyback price grid: what we pay for a flawless device of this
+// category and spec combination (e.g. { Model: "iPhone 13", Storage: "128 GB" }).
+const buybackPriceSchema = new mongoose.Schema({
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+  specs: { type: Map, of: String, required: true },
+  // Normalised specs ("model=iphone13|storage=128gb") - set by the buyback service, used for lookups
+  specKey: { type: String, required: true },
+  basePrice: { type: Number, required: true, min: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+buybackPriceSchema.index({ categoryId: 1, specKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('BuybackPrice', buybackPriceSchema);
@@ -10,7 +10,19 @@ const categorySchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   description: { type: String },
   image: { type: String }, // Add image field
+  // NEW: Platform commission in percent for sales in this category (null = PLATFORM_COMMISSION_RATE)
+  commissionRate: { type: Number, min: 0, max: 100, default: null },
   specs: [specSchema],
+  // NEW: Buyback condition deductions in percent of the grid price, overriding the defaults
+  // in services/buyback.js - e.g. { question: 'screen', answer: 'cracked', percent: 45 }
+  buybackDeductions: [
+    {
+      _id: false,
+      question: { type: String, required: true },
+      answer: { type: String, required: true },
+      percent: { type: Number, required: true, min: 0, max: 100 }
+    }
+  ],
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  // percentage: value is 0-100, fixed: value is EUR off, free_shipping: value unused
+  type: { type: String, enum: ["percentage", "fixed", "free_shipping"], required: true },
+  value: { type: Number, default: 0, min: 0 },
+  maxDiscount: { type: Number }, // Cap for percentage coupons
+  minOrderTotal: { type: Number, default: 0 },
+  // Scope - empty arrays mean "any". A line must match every non-empty list to be discounted.
+  categories: [{ type: String }], // Product.category names
+  categoryRefs: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  appearance: [{ type: String, enum: ["Premium", "Excellent", "Very good", "Good"] }],
+  battery: [{ type: String, enum: ["Optimal", "New"] }],
+  // Usage limits - null means unlimited
+  usageLimit: { type: Number, default: null },
+  perUserLimit: { type: Number, default: null },
+  usedCount: { type: Number, default: 0, min: 0 },
+  validFrom: { type: Date },
+  validUntil: { type: Date },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Uses of a coupon by one customer - keyed "user:<id>" or "email:<address>". Only counted up to
+// the coupon's perUserLimit - see services/coupons.redeemCoupon.
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+  customer: { type: String, required: true },
+  uses: { type: Number, default: 0, min: 0 }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ couponId: 1, customer: 1 }, { unique: true });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
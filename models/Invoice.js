@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// An issued invoice or credit note. Immutable once created: seller, buyer and amounts are
+// snapshots, so later changes to the order, the product or the company address don't alter
+// a document the customer already has. Create them through services/invoices only - that is
+// where the gapless numbering lives.
+const invoiceLineSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId }, // order line
+  description: { type: String, required: true },
+  quantity: { type: Number }, // empty on credit notes for a plain amount
+  unitPrice: { type: Number },
+  discount: { type: Number, default: 0 }, // share of the order discount
+  gross: { type: Number, required: true }, // after discount
+  net: { type: Number, required: true },
+  vat: { type: Number, required: true },
+  vatRate: { type: Number, required: true }, // percent, 0 for margin-scheme lines
+  // "margin" = used goods under §25a UStG - no VAT is shown to the buyer
+  taxScheme: { type: String, enum: ["standard", "margin"], required: true }
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  address: [String], // printed lines
+  email: String,
+  vatId: String,
+  taxNumber: String
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  type: { type: String, enum: ["invoice", "credit_note"], required: true },
+  // Number = series + sequence, e.g. RE-2026-000042. Each series counts up from 1 without gaps.
+  series: { type: String, required: true },
+  sequence: { type: Number, required: true },
+  number: { type: String, required: true, unique: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+  orderNumber: { type: String },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  // Credit notes: the refund they document and the invoice they correct
+  refundId: { type: mongoose.Schema.Types.ObjectId },
+  correctsInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+  correctsNumber: { type: String },
+  seller: partySchema,
+  buyer: partySchema,
+  lines: [invoiceLineSchema],
+  vatBreakdown: [
+    {
+      taxScheme: { type: String, enum: ["standard", "margin"] },
+      vatRate: Number,
+      net: Number,
+      vat: Number,
+      gross: Number,
+      _id: false
+    }
+  ],
+  totals: {
+    net: { type: Number, required: true },
+    vat: { type: Number, required: true },
+    gross: { type: Number, required: true }
+  },
+  couponCode: { type: String },
+  // NEW: Pickup time booked at checkout (pickup orders) - printed with the order details
+  pickupSlot: { start: Date, end: Date },
+  currency: { type: String, default: "EUR" },
+  locale: { type: String, enum: ["en", "de"] },
+  issuedAt: { type: Date, default: Date.now }
+});
+
+invoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+// One invoice per order, one credit note per refund
+invoiceSchema.index({ orderId: 1 }, { unique: true, partialFilterExpression: { type: "invoice" }, name: "one_invoice_per_order" });
+invoiceSchema.index({ refundId: 1 }, { unique: true, partialFilterExpression: { type: "credit_note" }, name: "one_credit_note_per_refund" });
+invoiceSchema.index({ type: 1, issuedAt: -1 });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// One row per money movement between the platform and a seller. Append-only:
+// mistakes are corrected with a new entry, never by editing an old one.
+// amount is signed - credits (sales) are positive, debits (reversals, payouts) negative.
+const ledgerEntrySchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  type: { type: String, enum: ["sale", "reversal", "payout", "adjustment"], required: true },
+  amount: { type: Number, required: true }, // net for the seller (gross - commission)
+  gross: { type: Number, default: 0 },
+  commission: { type: Number, default: 0 },
+  commissionRate: { type: Number }, // percent, as applied to this line
+  quantity: { type: Number },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", index: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId }, // order line
+  refundId: { type: mongoose.Schema.Types.ObjectId }, // entry in order.refunds
+  payoutBatchId: { type: mongoose.Schema.Types.ObjectId, ref: "PayoutBatch", default: null, index: true },
+  note: { type: String },
+  // Idempotency key - the same sale, reversal or payout can't be booked twice
+  key: { type: String, required: true, unique: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ledgerEntrySchema.index({ sellerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+const channelConsentSchema = new mongoose.Schema({
+  optedIn: { type: Boolean, default: false },
+  // checkout, profile, reply (STOP/START sent to our number), provider (Twilio reported an opt-out), admin
+  source: { type: String, enum: ["checkout", "profile", "reply", "provider", "admin"] },
+  at: { type: Date }
+}, { _id: false });
+
+// Whether a phone number may get SMS / WhatsApp notifications. Keyed by the number (E.164)
+// rather than the account, so guests can opt in at checkout and a STOP reply always applies.
+const messagingConsentSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  sms: { type: channelConsentSchema, default: () => ({}) },
+  whatsapp: { type: channelConsentSchema, default: () => ({}) },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("MessagingConsent", messagingConsentSchema);
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 
 const orderSchema = new mongoose.Schema({
+  // NEW: Human-readable number (ORD-1A2B3C4D) for customers, lookups and documents - see services/orderNumbers
+  orderNumber: { type: String, unique: true, sparse: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   guestInfo: {
     // Personal Information
@@ -10,6 +12,7 @@ const orderSchema = new mongoose.Schema({
     
     // Address Information
     address: String,
+    city: String, // NEW: Needed for carrier labels
     country: String,
     postalCode: String,
     
@@ -21,23 +24,158 @@ const orderSchema = new mongoose.Schema({
     {
       productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
       sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      // NEW: Sold from the shop's own stock - the ledger credits no seller for it
+      shopOwned: { type: Boolean, default: false },
       variantId: { type: mongoose.Schema.Types.ObjectId },
       quantity: { type: Number, required: true },
       price: { type: Number, required: true },
+      // NEW: Units refunded / put back into inventory after a refund
+      refundedQuantity: { type: Number, default: 0 },
+      restockedQuantity: { type: Number, default: 0 },
+      // NEW: Tax of this line after its share of the discount - see services/tax
+      tax: {
+        taxScheme: { type: String, enum: ["standard", "margin"] },
+        vatRate: Number,
+        discount: Number,
+        net: Number,
+        tax: Number,
+        gross: Number,
+      },
     },
   ],
+  // NEW: Pricing breakdown - total = subtotal - discount + shippingCost
+  subtotal: { type: Number },
+  discount: { type: Number, default: 0 },
+  shippingCost: { type: Number, default: 0 },
+  // NEW: Shipping quote fixed at checkout (delivery orders) - see services/shipping
+  shipping: {
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: "ShippingZone" },
+    zoneName: String,
+    country: String, // ISO code
+    weight: Number, // kg
+    baseCost: Number, // rate before free shipping
+    free: { type: String, enum: ["coupon", "threshold"] },
+    carrier: String,
+    service: String,
+    // Shipping is taxed like a standard-rate line
+    tax: {
+      vatRate: Number,
+      net: Number,
+      tax: Number,
+      gross: Number,
+    },
+  },
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    code: String,
+    type: { type: String },
+    value: Number,
+    discount: Number,
+    freeShipping: Boolean,
+    redeemed: Boolean, // false again once the use is given back on cancellation
+  },
   total: { type: Number, required: true },
+  // NEW: Tax of the whole order, fixed at checkout. country = where it is taxed (ISO code).
+  // Margin-scheme tax is our own - it is never shown to the customer.
+  tax: {
+    country: String,
+    net: Number,
+    tax: Number,
+    gross: Number,
+    breakdown: [
+      {
+        _id: false,
+        taxScheme: { type: String, enum: ["standard", "margin"] },
+        vatRate: Number,
+        net: Number,
+        tax: Number,
+        gross: Number,
+      },
+    ],
+  },
   paymentMethod: { type: String, enum: ["COD", "Stripe", "Pickup"], default: "COD" },
   deliveryMethod: { type: String, enum: ["delivery", "pickup"], default: "delivery" },
   outletId: { type: mongoose.Schema.Types.ObjectId, ref: "Outlet" },
-  paymentStatus: { type: String, enum: ["Pending", "Paid", "Failed", "Cancelled"], default: "Pending" },
-  orderStatus: { type: String, enum: ["Pending", "Processing", "Cancelled"], default: "Pending" },
+  // NEW: Pickup time booked at checkout - see services/pickupSlots. `reserved` while it counts
+  // against the outlet's capacity (cleared when the order is cancelled).
+  pickupSlot: {
+    start: Date,
+    end: Date,
+    reserved: { type: Boolean, default: false }
+  },
+  // NEW: Code the customer shows at the outlet - see services/pickupCodes. Only its hash is stored.
+  pickupCode: {
+    hash: { type: String, select: false },
+    issuedAt: Date,
+    failedAttempts: { type: Number, default: 0 },
+    usedAt: Date
+  },
+  // Partially refunded orders stay "Paid" - see refundedAmount
+  paymentStatus: { type: String, enum: ["Pending", "Paid", "Failed", "Cancelled", "Refunded"], default: "Pending" },
+  // NEW: Lifecycle state - only change it through services/orderStateMachine so history stays complete
+  orderStatus: {
+    type: String,
+    enum: ["Pending", "Paid", "Processing", "Shipped", "Delivered", "ReadyForPickup", "PickedUp", "Returned", "Cancelled", "Refunded"],
+    default: "Pending"
+  },
+  // NEW: Append-only audit trail of every status change
+  statusHistory: [
+    {
+      from: String,
+      to: String,
+      actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      actorRole: String, // user role, or "system" for webhooks and jobs
+      note: String,
+      at: { type: Date, default: Date.now },
+    },
+  ],
   cancelledAt: { type: Date },
   cancellationReason: { type: String }, // "abandoned", "user_cancelled", "payment_failed", "stripe_cancelled"
+  // NEW: Stock reservation state - set to "released" exactly once when reserved units go back to inventory
+  stockStatus: { type: String, enum: ["reserved", "released"] },
+  // NEW: Set when something needs a human - e.g. a payment that arrived after the order was cancelled
+  needsAttention: {
+    reason: String,
+    flaggedAt: Date
+  },
+  // NEW: Language of the customer's emails, fixed at checkout (guestInfo.locale or the user profile)
+  locale: { type: String, enum: ["en", "de"] },
+  // NEW: Set on replacement orders created by a return (services/returns)
+  replacementFor: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
   trackingNumber: { type: String },
   stripeSessionId: { type: String },
+  stripePaymentIntentId: { type: String, index: true },
+  // NEW: Refunds - one entry per Stripe refund, including ones made in the Stripe dashboard
+  refundedAmount: { type: Number, default: 0 },
+  refunds: [
+    {
+      stripeRefundId: String,
+      amount: { type: Number, required: true },
+      items: [
+        {
+          itemId: { type: mongoose.Schema.Types.ObjectId },
+          quantity: Number,
+        },
+      ],
+      reason: String,
+      restock: { type: Boolean, default: false },
+      status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+      source: { type: String, enum: ["admin", "stripe"], default: "admin" }, // "stripe" = made in the Stripe dashboard
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// NEW: Order number derived from an id - the last 8 characters customers were always shown
+orderSchema.statics.numberFor = (id) => `ORD-${id.toString().slice(-8).toUpperCase()}`;
+
+// NEW: Every order gets its number when it is created. Save new orders through
+// services/orderNumbers.saveNewOrder, which picks another number if this one is taken.
+orderSchema.pre("validate", function () {
+  if (this.isNew && !this.orderNumber) this.orderNumber = this.constructor.numberFor(this._id);
+});
+
 module.exports = mongoose.model("Order", orderSchema);
\ No newline at end of file
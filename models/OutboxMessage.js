@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// One notification waiting to be sent, sent, or given up on. Written before anything is sent,
+// so a crash or a provider outage never loses a message - the outbox job retries it.
+const outboxMessageSchema = new mongoose.Schema({
+  channel: { type: String, enum: ["email", "sms", "whatsapp"], required: true },
+  template: { type: String, required: true },
+  to: { type: String, required: true }, // email address, or E.164 number for sms / whatsapp
+  variables: { type: mongoose.Schema.Types.Mixed, default: {} },
+  subject: { type: String }, // as rendered on the last attempt
+  // Documents to attach (email only) - rendered on every attempt, never stored in the outbox
+  attachments: [
+    {
+      _id: false,
+      invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" }
+    }
+  ],
+  // pending -> sending -> sent, or failed (retried later) -> ... -> dead (out of attempts)
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed", "dead"],
+    default: "pending"
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date }, // when the current attempt started
+  lastError: { type: String },
+  attemptLog: [
+    {
+      _id: false,
+      at: { type: Date, default: Date.now },
+      error: String
+    }
+  ],
+  providerMessageId: { type: String },
+  sentAt: { type: Date },
+  // Same key = same message; a second notify() with it returns the first one
+  dedupeKey: { type: String, unique: true, sparse: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  resentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ createdAt: -1 });
+// Per-recipient rate limit (services/notifications.assertRecipientRate)
+outboxMessageSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model("OutboxMessage", outboxMessageSchema);
@@ -1,6 +1,21 @@
 // models/Outlet.js
 const mongoose = require('mongoose');
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// NEW: One opening period, "HH:MM" in the shop's time zone (SHOP_TIMEZONE). weekday 0 = Sunday.
+// A day can have more than one period (lunch break); days without any are closed.
+const openingPeriodSchema = new mongoose.Schema({
+  weekday: { type: Number, min: 0, max: 6, required: true },
+  opens: { type: String, match: TIME_PATTERN, required: true },
+  closes: {
+    type: String,
+    match: TIME_PATTERN,
+    required: true,
+    validate: { validator: function (value) { return value > this.opens; }, message: 'Closing time must be after opening time' }
+  }
+}, { _id: false });
+
 const outletSchema = new mongoose.Schema({
   name: { type: String, required: true },
   location: { type: String, required: true },
@@ -8,8 +23,20 @@ const outletSchema = new mongoose.Schema({
   phone: { type: String },
   email: { type: String },
   isActive: { type: Boolean, default: true },
+  // NEW: Weekly opening hours
+  openingHours: [openingPeriodSchema],
+  // NEW: Days the outlet stays closed (holidays) - "YYYY-MM-DD" in the shop's time zone
+  closures: [{
+    _id: false,
+    date: { type: String, match: /^\d{4}-\d{2}-\d{2}$/, required: true },
+    reason: { type: String }
+  }],
+  // NEW: Pickup slots - length in minutes and pickups per slot. With opening hours and a capacity
+  // set, customers book a slot at checkout (services/pickupSlots); otherwise they don't.
+  slotMinutes: { type: Number, default: 30, min: 5, max: 480 },
+  slotCapacity: { type: Number, default: 0, min: 0 },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('Outlet', outletSchema);
\ No newline at end of file
+module.exports = mongoose.model('Outlet', outletSchema);
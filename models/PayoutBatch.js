@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const payoutBatchSchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true }, // e.g. PAYOUT-20250101-AB12
+  status: { type: String, enum: ["pending", "paid"], default: "pending" },
+  // Ledger entries up to this date were eligible when the batch was created
+  cutoff: { type: Date, required: true },
+  sellers: [
+    {
+      sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      name: String,
+      email: String,
+      amount: Number,
+      entryCount: Number,
+      payoutDetails: { type: Object, default: {} }, // snapshot of User.payoutDetails at batch time
+    },
+  ],
+  total: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  paidAt: { type: Date },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  paymentReference: { type: String } // bank transfer reference entered by the admin
+});
+
+module.exports = mongoose.model("PayoutBatch", payoutBatchSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Pickups booked for one slot of one outlet. Only counted up to the outlet's capacity -
+// see services/pickupSlots.reservePickupSlot.
+const pickupSlotSchema = new mongoose.Schema({
+  outletId: { type: mongoose.Schema.Types.ObjectId, ref: "Outlet", required: true },
+  start: { type: Date, required: true },
+  end: { type: Date },
+  booked: { type: Number, default: 0, min: 0 }
+}, { timestamps: true });
+
+pickupSlotSchema.index({ outletId: 1, start: 1 }, { unique: true });
+
+module.exports = mongoose.model("PickupSlot", pickupSlotSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { buildProductIndex } = require("../services/productIndex");
 
 const variantSchema = new mongoose.Schema({
   specs: { type: Map, of: String },
@@ -10,7 +11,11 @@ const variantSchema = new mongoose.Schema({
   // NEW: Appearance condition (Premium, Excellent, Very good, Good)
   appearance: { type: String, enum: ['Premium', 'Excellent', 'Very good', 'Good'], required: false },
   // NEW: Battery type (Optimal, New)
-  battery: { type: String, enum: ['Optimal', 'New'], required: false }
+  battery: { type: String, enum: ['Optimal', 'New'], required: false },
+  // NEW: Overrides the product's tax scheme - see services/tax
+  taxScheme: { type: String, enum: ['standard', 'margin'], required: false },
+  // NEW: Shipping weight in kg, overrides the product's
+  weight: { type: Number, min: 0, required: false }
 }, { _id: true });
 
 const reviewSchema = new mongoose.Schema({
@@ -44,6 +49,38 @@ const productSchema = new mongoose.Schema({
   basePrice: { type: Number },
   specs: { type: Map, of: String },
   variants: [variantSchema],
+  // NEW: "standard" VAT or "margin" scheme (§25a UStG, used goods). Unset = graded variants are margin, the rest standard.
+  taxScheme: { type: String, enum: ['standard', 'margin'], required: false },
+  // NEW: Stock the shop bought itself (devices from sell requests). Sold for the shop - no seller is credited.
+  shopOwned: { type: Boolean, default: false },
+  // NEW: Shipping weight in kg incl. packaging. Unset = DEFAULT_ITEM_WEIGHT_KG - see services/shipping
+  weight: { type: Number, min: 0, required: false },
+  // NEW: Search index fields - rebuilt on every save from the fields above, never set directly
+  searchName: { type: String, select: false },
+  nameGrams: { type: [String], select: false },
+  searchGrams: { type: [String], select: false },
+  minPrice: { type: Number },
+  rating: { type: Number, default: 0 },
+  reviewCount: { type: Number, default: 0 },
+  facets: {
+    storage: [String],
+    color: [String],
+    appearance: [String],
+    battery: [String],
+  },
+});
+
+productSchema.index({ searchGrams: 1 });
+productSchema.index({ nameGrams: 1 });
+productSchema.index({ minPrice: 1 });
+productSchema.index({ rating: -1, reviewCount: -1 });
+productSchema.index({ createdAt: -1 });
+
+// Keep the search fields in step with the product. Stock updates use updateOne
+// and don't touch anything indexed here, so they don't need to go through this.
+productSchema.pre("save", function (next) {
+  Object.assign(this, buildProductIndex(this));
+  next();
 });
 
 module.exports = mongoose.model("Product", productSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// Inspection grades are the same scale the variants are sold under
+const GRADES = ["Premium", "Excellent", "Very good", "Good"];
+
+const returnRequestSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order line (_id of order.items[])
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId },
+  quantity: { type: Number, required: true, min: 1 },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  reason: {
+    type: String,
+    enum: ["faulty", "not_as_described", "damaged_in_transit", "changed_mind", "other"],
+    required: true
+  },
+  description: { type: String },
+  photos: { type: [String], default: [] }, // URLs from /api/upload/upload?folder=returns
+  // requested -> approved | rejected, approved -> inspected -> completed
+  status: {
+    type: String,
+    enum: ["requested", "approved", "rejected", "inspected", "completed"],
+    default: "requested"
+  },
+  adminNote: { type: String },
+  inspection: {
+    grade: { type: String, enum: GRADES },
+    notes: String,
+    inspectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    inspectedAt: Date
+  },
+  resolution: {
+    type: { type: String, enum: ["refund", "replacement", "restock_lower_grade"] },
+    refundId: { type: mongoose.Schema.Types.ObjectId }, // entry in order.refunds
+    refundAmount: Number,
+    replacementOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    restockVariantId: { type: mongoose.Schema.Types.ObjectId }, // variant the unit went back into
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: Date
+  },
+  statusHistory: [
+    {
+      from: String,
+      to: String,
+      actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      actorRole: String,
+      note: String,
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
+module.exports.GRADES = GRADES;
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// A role and what it may do. User.role holds the role's name. Permissions come from the
+// registry in services/permissions - admins can add staff roles (warehouse, outlet clerk, ...)
+// without a code change. Built-in roles are created on start and can't be deleted.
+const roleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  label: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  permissions: { type: [String], default: [] },
+  builtIn: { type: Boolean, default: false },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+module.exports = mongoose.model("Role", roleSchema);
@@ -5,9 +5,106 @@ const sellRequestSchema = new mongoose.Schema({
   description: { type: String },
   images: { type: [String], default: [] },
   expectedPrice: { type: Number },
-  status: { type: String, enum: ['pending','approved','rejected','completed'], default: 'pending' },
+  // NEW: pending -> approved -> label_issued -> received -> inspected -> final_offer -> accepted -> paid_out
+  // Declined final offers and failed inspections end in returned_to_seller.
+  // 'completed' is only kept for requests closed before the lifecycle existed.
+  status: {
+    type: String,
+    enum: ['pending','approved','rejected','label_issued','received','inspected','final_offer','accepted','returned_to_seller','paid_out','completed'],
+    default: 'pending'
+  },
   seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   companyResponse: { type: String }, // admin can send note / offer
+  // NEW: Structured buyback - device picked from the price grid plus the condition answers
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  specs: { type: Map, of: String },
+  condition: {
+    screen: String,
+    battery: String,
+    housing: String
+  },
+  // NEW: Instant quote computed from the grid when the request was made (or re-quoted)
+  quote: {
+    priceId: { type: mongoose.Schema.Types.ObjectId, ref: 'BuybackPrice' },
+    basePrice: Number,
+    deductions: [
+      {
+        _id: false,
+        question: String,
+        answer: String,
+        percent: Number,
+        amount: Number
+      }
+    ],
+    amount: Number,
+    currency: { type: String, default: 'EUR' },
+    createdAt: Date,
+    expiresAt: Date
+  },
+  // NEW: Company's counter-offer, replaces the quote as the offer on the table
+  counterOffer: {
+    amount: Number,
+    note: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: Date,
+    expiresAt: Date
+  },
+  // quoted -> countered -> accepted | declined (the customer decides on whatever is on the table)
+  offerStatus: { type: String, enum: ['quoted', 'countered', 'accepted', 'declined'] },
+  agreedPrice: { type: Number },
+  negotiation: [
+    {
+      action: { type: String, enum: ['quote', 'requote', 'counter_offer', 'accept', 'decline'] },
+      amount: Number,
+      note: String,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      role: String,
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  // NEW: Device intake, inspection and payout
+  shippingLabel: {
+    carrier: String,
+    trackingNumber: String,
+    labelUrl: String
+  },
+  inspection: {
+    passed: Boolean,
+    grade: String, // appearance the device will be sold under
+    battery: String, // battery type the device will be sold under
+    imei: String,
+    notes: String
+  },
+  finalOffer: {
+    amount: Number,
+    note: String
+  },
+  returnShipment: {
+    carrier: String,
+    trackingNumber: String
+  },
+  payout: {
+    amount: Number,
+    method: String, // bank_transfer, paypal, cash
+    reference: String
+  },
+  // NEW: Product variant the bought device was listed as
+  convertedProduct: {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: mongoose.Schema.Types.ObjectId, index: { sparse: true } }, // margin-scheme tax looks up the purchase price by it
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date
+  },
+  statusHistory: [
+    {
+      from: String,
+      to: String,
+      actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      actorRole: String,
+      note: String,
+      at: { type: Date, default: Date.now }
+    }
+  ],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const TrackingEvent = require("./TrackingEvent");
+
+// A parcel handed to a carrier for a delivery order. Created through services/shipments:
+// the document is stored as "creating" before the carrier is called, so two clicks can't
+// buy two labels, and gets its tracking number and label once the carrier answers.
+// Its scans are TrackingEvents.
+const shipmentSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  carrier: { type: String, required: true },
+  service: { type: String },
+  trackingNumber: { type: String },
+  weight: { type: Number }, // kg
+  label: {
+    data: { type: Buffer, select: false }, // PDF
+    format: { type: String, default: "pdf" }
+  },
+  // "creating" until the carrier returns a label, then the status of the latest tracking event
+  status: {
+    type: String,
+    enum: ["creating", ...TrackingEvent.schema.path("status").enumValues],
+    default: "creating"
+  },
+  // False until the order update and customer email for the current status went through (services/tracking)
+  followUpDone: { type: Boolean },
+  trackingCheckedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One parcel per order - the claim that keeps two clicks from buying two labels
+shipmentSchema.index({ orderId: 1 }, { unique: true });
+shipmentSchema.index(
+  { carrier: 1, trackingNumber: 1 },
+  { unique: true, partialFilterExpression: { trackingNumber: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("Shipment", shipmentSchema);
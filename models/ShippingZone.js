@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Shipping rates for a group of countries. The price is taken from the first weight band
+// the parcel fits into; orders above freeShippingThreshold (after discount) ship free.
+// A country belongs to at most one active zone - services/shipping enforces that.
+const shippingZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  countries: [{ type: String, uppercase: true, trim: true }], // ISO codes
+  rates: [
+    {
+      _id: false,
+      maxWeight: { type: Number, required: true, min: 0 }, // kg, inclusive
+      price: { type: Number, required: true, min: 0 }
+    }
+  ],
+  freeShippingThreshold: { type: Number, min: 0 }, // unset = never free
+  carrier: { type: String, default: "dhl" }, // services/carriers
+  service: { type: String }, // carrier product, e.g. "V01PAK" for DHL Paket
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+shippingZoneSchema.index({ countries: 1, active: 1 });
+
+module.exports = mongoose.model("ShippingZone", shippingZoneSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// One carrier scan of a shipment, from the carrier webhook or a tracking poll.
+// Statuses are normalized - every carrier adapter maps its own codes onto these.
+// Store events through services/tracking only: eventKey makes redelivered webhooks harmless.
+const trackingEventSchema = new mongoose.Schema({
+  shipmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Shipment", required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+  carrier: { type: String, required: true },
+  trackingNumber: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["label_created", "in_transit", "out_for_delivery", "delivered", "exception"],
+    required: true
+  },
+  at: { type: Date, required: true }, // when the carrier scanned it, not when we heard about it
+  description: { type: String },
+  location: { type: String },
+  // Carrier event id, or a hash of the event for carriers without ids
+  eventKey: { type: String, required: true, unique: true },
+  source: { type: String, enum: ["webhook", "poll", "system"], required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+trackingEventSchema.index({ shipmentId: 1, at: 1 });
+
+module.exports = mongoose.model("TrackingEvent", trackingEventSchema);
@@ -1,11 +1,20 @@
 const mongoose = require('mongoose');
+const { roleExists } = require('../services/permissions');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true, lowercase: true },
   phone: { type: String },
+  locale: { type: String, enum: ['en', 'de'] }, // NEW: Language of the user's emails
   passwordHash: { type: String, required: true },
-  role: { type: String, enum: ['buyer','seller','seller_candidate','admin'], default: 'buyer' },
+  // NEW: Name of a Role - built-in (buyer, seller, seller_candidate, outlet_staff, admin) or created by an admin
+  role: {
+    type: String,
+    default: 'buyer',
+    validate: { validator: roleExists, message: (props) => `Unknown role "${props.value}"` }
+  },
+  // NEW: Outlets this staff member hands over pickup orders at (orders:handover:outlet)
+  outlets: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Outlet' }],
   verified: { type: Boolean, default: false }, // NEW: Changed to false - requires email verification
   emailVerificationToken: { type: String }, // NEW: Token for email verification
   emailVerificationExpiry: { type: Date }, // NEW: Expiry for verification token
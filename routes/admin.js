@@ -51,10 +51,22 @@ const User = require("../models/User");
 const Order = require("../models/Orders");
 const Product = require("../models/Product");
 const SellerForm = require("../models/SellerForm");
-const { authMiddleware, roleCheck } = require("../middlewares/auth");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
+const { hasPermission } = require("../services/permissions");
+const PayoutBatch = require("../models/PayoutBatch");
+const { AWAITING_FULFILLMENT_QUERY, IN_FULFILLMENT_STATUSES, actorFromUser } = require("../services/orderStateMachine");
+const { LedgerError, sellerBalance, sellerStatement, createPayoutBatch, markBatchPaid, payoutBatchCsv } = require("../services/ledger");
+const { taxReport } = require("../services/tax");
+const { orderNumberOf } = require("../services/orderNumbers");
+
+const sendLedgerError = (res, err, fallback) => {
+  if (err instanceof LedgerError) return res.status(err.status).json({ message: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
 
 // Enhanced admin overview - shows only orders and revenue for last month
-router.get("/overview", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.get("/overview", authMiddleware, requirePermission("reports:read"), async (req, res) => {
   try {
     const oneMonthAgo = new Date();
     oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
@@ -65,17 +77,15 @@ router.get("/overview", authMiddleware, roleCheck(["admin"]), async (req, res) =
       paymentStatus: { $in: ["Paid", "Pending"] } // Include both paid and pending
     }).sort({ createdAt: -1 });
 
-    const totalRevenue = monthlyOrders
-      .filter(order => order.paymentStatus === "Paid")
-      .reduce((sum, order) => sum + order.total, 0);
+    const paidOrders = monthlyOrders.filter(order => order.paymentStatus === "Paid");
+    const totalRevenue = paidOrders.reduce((sum, order) => sum + order.total, 0);
+    // NEW: Net revenue and tax of the paid orders (before refunds, orders without tax data left out) - see /tax-report
+    const monthlyTax = taxReport(paidOrders.map(order => ({ ...order.toObject(), refundedAmount: 0 }))).totals;
     
-    const pendingOrders = await Order.countDocuments({ 
-      orderStatus: "Pending",
-      paymentStatus: "Paid"
-    });
+    const pendingOrders = await Order.countDocuments(AWAITING_FULFILLMENT_QUERY);
     
     const processedOrders = await Order.countDocuments({ 
-      orderStatus: "Processing",
+      orderStatus: { $in: IN_FULFILLMENT_STATUSES },
       paymentStatus: "Paid"
     });
 
@@ -90,6 +100,8 @@ router.get("/overview", authMiddleware, roleCheck(["admin"]), async (req, res) =
 
     res.json({
       monthlyRevenue: parseFloat(totalRevenue.toFixed(2)),
+      monthlyNetRevenue: monthlyTax.net,
+      monthlyTax: monthlyTax.tax,
       orders: {
         pending: pendingOrders,
         processed: processedOrders,
@@ -97,7 +109,7 @@ router.get("/overview", authMiddleware, roleCheck(["admin"]), async (req, res) =
       },
       recentOrders: recentOrders.map(order => ({
         _id: order._id,
-        orderNumber: `ORD-${order._id.toString().slice(-8).toUpperCase()}`,
+        orderNumber: orderNumberOf(order),
         customer: getCustomerName(order),
         total: order.total,
         status: order.orderStatus,
@@ -114,8 +126,37 @@ router.get("/overview", authMiddleware, roleCheck(["admin"]), async (req, res) =
   }
 });
 
+// NEW: Tax per country, scheme and rate for paid orders - query: from, to (order dates)
+// Refunded amounts are taken off. Orders from before tax was recorded are only counted.
+// Cash orders are paid on hand-over; ones handed over before that was recorded count as paid too.
+router.get("/tax-report", authMiddleware, requirePermission("reports:read"), async (req, res) => {
+  try {
+    const filter = {
+      $or: [
+        { paymentStatus: { $in: ["Paid", "Refunded"] } },
+        { paymentMethod: { $ne: "Stripe" }, orderStatus: { $in: ["Delivered", "PickedUp"] } }
+      ]
+    };
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+    const orders = await Order.find(filter).select("tax refundedAmount").lean();
+    res.json({ period: { from: req.query.from || null, to: req.query.to || null }, ...taxReport(orders) });
+  } catch (err) {
+    console.error("Error building tax report:", err);
+    res.status(500).json({ message: "Failed to build tax report" });
+  }
+});
+
 // Enhanced seller overview
-router.get("/seller-overview", authMiddleware, roleCheck(["seller", "seller_candidate"]), async (req, res) => {
+router.get("/seller-overview", authMiddleware, requirePermission("payouts:read:own"), async (req, res) => {
   try {
     const userId = req.user._id;
     const oneMonthAgo = new Date();
@@ -137,11 +178,11 @@ router.get("/seller-overview", authMiddleware, roleCheck(["seller", "seller_cand
     }, 0);
 
     const pendingOrders = sellerOrders.filter(order => 
-      order.orderStatus === "Pending"
+      order.orderStatus === "Pending" || order.orderStatus === "Paid"
     ).length;
 
     const processedOrders = sellerOrders.filter(order => 
-      order.orderStatus === "Processing"
+      IN_FULFILLMENT_STATUSES.includes(order.orderStatus)
     ).length;
 
     // Get seller's products
@@ -171,7 +212,7 @@ router.get("/seller-overview", authMiddleware, roleCheck(["seller", "seller_cand
         );
         return {
           _id: order._id,
-          orderNumber: `ORD-${order._id.toString().slice(-8).toUpperCase()}`,
+          orderNumber: orderNumberOf(order),
           customer: getCustomerName(order),
           items: sellerItems.length,
           total: sellerItems.reduce((sum, item) => sum + (item.price * item.quantity), 0),
@@ -196,7 +237,7 @@ router.get("/notification-counts", authMiddleware, async (req, res) => {
     const user = req.user;
     let counts = {};
 
-    if (user.role === "admin") {
+    if (hasPermission(user.permissions, "orders:read:all")) {
       const [
         pendingSellers,
         pendingSellerForms,
@@ -205,10 +246,10 @@ router.get("/notification-counts", authMiddleware, async (req, res) => {
       ] = await Promise.all([
         User.countDocuments({ role: "seller_candidate", verified: false }),
         SellerForm.countDocuments({ status: "pending" }),
-        Order.countDocuments({ orderStatus: "Pending", paymentStatus: "Paid" }),
+        Order.countDocuments(AWAITING_FULFILLMENT_QUERY),
         Order.countDocuments({ 
           "items.sellerId": { $exists: true },
-          orderStatus: "Pending" 
+          orderStatus: { $in: ["Pending", "Paid"] }
         }).populate('items.sellerId').then(orders => 
           orders.filter(order => 
             order.items.some(item => 
@@ -224,10 +265,10 @@ router.get("/notification-counts", authMiddleware, async (req, res) => {
         pendingOrders,
         sellerCandidateOrders
       };
-    } else if (user.role === "seller" || user.role === "seller_candidate") {
+    } else if (hasPermission(user.permissions, "orders:read:lines")) {
       const sellerOrders = await Order.countDocuments({
         "items.sellerId": user._id,
-        orderStatus: "Pending"
+        orderStatus: { $in: ["Pending", "Paid"] }
       });
 
       counts = {
@@ -242,8 +283,88 @@ router.get("/notification-counts", authMiddleware, async (req, res) => {
   }
 });
 
+// NEW: Seller's current balance - available for payout, on hold, and in unpaid batches
+router.get("/seller-balance", authMiddleware, requirePermission("payouts:read:own"), async (req, res) => {
+  try {
+    res.json(await sellerBalance(req.user._id));
+  } catch (err) {
+    sendLedgerError(res, err, "Failed to fetch balance");
+  }
+});
+
+// NEW: Seller's ledger entries - query: from, to, page, limit
+router.get("/seller-statement", authMiddleware, requirePermission("payouts:read:own"), async (req, res) => {
+  try {
+    const { from, to, page, limit } = req.query;
+    res.json(await sellerStatement(req.user._id, { from, to, page, limit }));
+  } catch (err) {
+    sendLedgerError(res, err, "Failed to fetch statement");
+  }
+});
+
+// NEW: Create a payout batch from all credits past the hold period - body: { sellerIds } (optional)
+router.post("/payouts/batches", authMiddleware, requirePermission("payouts:manage"), async (req, res) => {
+  try {
+    const batch = await createPayoutBatch({ sellerIds: req.body.sellerIds, actor: actorFromUser(req.user) });
+    res.status(201).json({ message: "Payout batch created", batch });
+  } catch (err) {
+    sendLedgerError(res, err, "Failed to create payout batch");
+  }
+});
+
+// NEW: Payout batches, newest first - query: status
+router.get("/payouts/batches", authMiddleware, requirePermission("payouts:manage"), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const batches = await PayoutBatch.find(filter).select("-sellers.payoutDetails").sort({ createdAt: -1 });
+    res.json(batches);
+  } catch (err) {
+    sendLedgerError(res, err, "Failed to fetch payout batches");
+  }
+});
+
+router.get("/payouts/batches/:id", authMiddleware, requirePermission("payouts:manage"), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ message: "Payout batch not found" });
+    res.json(batch);
+  } catch (err) {
+    sendLedgerError(res, err, "Failed to fetch payout batch");
+  }
+});
+
+// NEW: Mark a batch as transferred - body: { paymentReference }
+router.post("/payouts/batches/:id/mark-paid", authMiddleware, requirePermission("payouts:manage"), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ message: "Payout batch not found" });
+
+    const updated = await markBatchPaid(batch, {
+      paymentReference: req.body.paymentReference,
+      actor: actorFromUser(req.user)
+    });
+    res.json({ message: "Payout batch marked as paid", batch: updated });
+  } catch (err) {
+    sendLedgerError(res, err, "Failed to mark payout batch as paid");
+  }
+});
+
+// NEW: CSV for the bank's bulk transfer import
+router.get("/payouts/batches/:id/export", authMiddleware, requirePermission("payouts:manage"), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ message: "Payout batch not found" });
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${batch.reference}.csv"`);
+    res.send(payoutBatchCsv(batch));
+  } catch (err) {
+    sendLedgerError(res, err, "Failed to export payout batch");
+  }
+});
+
 // Get all seller candidates (unverified)
-router.get("/seller-requests", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.get("/seller-requests", authMiddleware, requirePermission("sellers:verify"), async (req, res) => {
   try {
     const sellers = await User.find({ role: "seller_candidate", verified: false }).select(
       "name email phone createdAt"
@@ -255,7 +376,7 @@ router.get("/seller-requests", authMiddleware, roleCheck(["admin"]), async (req,
 });
 
 // Approve seller candidate
-router.post("/verify-seller/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.post("/verify-seller/:id", authMiddleware, requirePermission("sellers:verify"), async (req, res) => {
   try {
     console.log("Approve request for ID:", req.params.id);
     const user = await User.findById(req.params.id);
@@ -274,7 +395,7 @@ router.post("/verify-seller/:id", authMiddleware, roleCheck(["admin"]), async (r
 });
 
 // Reject seller candidate
-router.post("/reject-seller/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.post("/reject-seller/:id", authMiddleware, requirePermission("sellers:verify"), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: "User not found" });
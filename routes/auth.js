@@ -17,6 +17,7 @@ router.post('/login', authController.login);
 router.post('/refresh', authController.refreshToken);
 router.post('/logout', authController.logout);
 router.get('/me', authMiddleware, authController.me);
+router.put('/me/locale', authMiddleware, authController.updateLocale);
 
 // NEW: Email verification endpoints
 router.post('/verify-email', authController.verifyEmail);
@@ -0,0 +1,124 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const BuybackPrice = require("../models/BuybackPrice");
+const Category = require("../models/Category");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
+const { CONDITION_QUESTIONS, BuybackError, conditionQuestions, computeQuote, savePrice } = require("../services/buyback");
+
+const router = express.Router();
+
+const sendBuybackError = (res, err, fallback) => {
+  if (err instanceof BuybackError) return res.status(err.status).json({ message: err.message });
+  if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ message: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+// Condition questions and their deductions for a category (public - drives the sell form)
+router.get("/categories/:categoryId/questions", async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) return res.status(404).json({ message: "Category not found" });
+    res.json({ categoryId: category._id, specs: category.specs, questions: conditionQuestions(category) });
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to fetch buyback questions");
+  }
+});
+
+// Spec combinations we currently buy in a category (public - no prices, those come with a quote)
+router.get("/devices", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.query.categoryId)) {
+      return res.status(400).json({ message: "Valid categoryId is required" });
+    }
+    const rows = await BuybackPrice.find({ categoryId: req.query.categoryId, active: true }).select("specs").lean();
+    res.json(rows.map(row => ({ id: row._id, specs: row.specs })));
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to fetch devices");
+  }
+});
+
+// Instant quote without creating a sell request (public) - body: { categoryId, specs, condition }
+router.post("/quote", async (req, res) => {
+  try {
+    const { specs, condition, quote } = await computeQuote(req.body);
+    res.json({ specs, condition, ...quote });
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to compute quote");
+  }
+});
+
+// Price grid of a category (admin only)
+router.get("/prices", authMiddleware, requirePermission("buyback:manage"), async (req, res) => {
+  try {
+    const filter = req.query.categoryId ? { categoryId: req.query.categoryId } : {};
+    const prices = await BuybackPrice.find(filter).populate("categoryId", "name").sort({ categoryId: 1, specKey: 1 });
+    res.json(prices);
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to fetch buyback prices");
+  }
+});
+
+// Add a grid row (admin only) - body: { categoryId, specs, basePrice, active }
+router.post("/prices", authMiddleware, requirePermission("buyback:manage"), async (req, res) => {
+  try {
+    const { categoryId, specs, basePrice, active } = req.body;
+    const price = await savePrice({ categoryId, specs, basePrice, active });
+    res.status(201).json({ message: "Buyback price created", price });
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to create buyback price");
+  }
+});
+
+// Update a grid row (admin only)
+router.put("/prices/:id", authMiddleware, requirePermission("buyback:manage"), async (req, res) => {
+  try {
+    const existing = await BuybackPrice.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: "Buyback price not found" });
+
+    const { specs, basePrice, active } = req.body;
+    const price = await savePrice({ specs, basePrice, active }, existing);
+    res.json({ message: "Buyback price updated", price });
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to update buyback price");
+  }
+});
+
+// Remove a grid row (admin only). Existing quotes keep their snapshot.
+router.delete("/prices/:id", authMiddleware, requirePermission("buyback:manage"), async (req, res) => {
+  try {
+    const price = await BuybackPrice.findByIdAndDelete(req.params.id);
+    if (!price) return res.status(404).json({ message: "Buyback price not found" });
+    res.json({ message: "Buyback price deleted" });
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to delete buyback price");
+  }
+});
+
+// Override condition deductions for a category (admin only)
+// body: { deductions: [{ question, answer, percent }] } - replaces the previous overrides
+router.put("/categories/:categoryId/deductions", authMiddleware, requirePermission("buyback:manage"), async (req, res) => {
+  try {
+    const { deductions = [] } = req.body;
+    if (!Array.isArray(deductions)) return res.status(400).json({ message: "Deductions must be a list" });
+
+    for (const d of deductions) {
+      const answers = CONDITION_QUESTIONS[d.question]?.answers;
+      if (!answers || !(d.answer in answers)) {
+        return res.status(400).json({ message: `Unknown condition answer ${d.question}/${d.answer}` });
+      }
+    }
+
+    const category = await Category.findByIdAndUpdate(
+      req.params.categoryId,
+      { $set: { buybackDeductions: deductions.map(({ question, answer, percent }) => ({ question, answer, percent })) } },
+      { new: true, runValidators: true }
+    );
+    if (!category) return res.status(404).json({ message: "Category not found" });
+    res.json({ message: "Deductions updated", questions: conditionQuestions(category) });
+  } catch (err) {
+    sendBuybackError(res, err, "Failed to update deductions");
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,9 @@ const express = require("express");
 const router = express.Router();
 const Cart = require("../models/Cart");
 const Product = require("../models/Product");
-const { authMiddleware, roleCheck } = require("../middlewares/auth");
+const { authMiddleware } = require("../middlewares/auth");
+const { PricingError, priceOrderItems, applyCoupon } = require("../services/pricing");
+const { CouponError } = require("../services/coupons");
 
 // Get user's cart
 router.get("/", authMiddleware, async (req, res) => {
@@ -10,6 +12,37 @@ router.get("/", authMiddleware, async (req, res) => {
   res.json(cart || { items: [] });
 });
 
+// NEW: Cart totals with current prices and an optional coupon (?couponCode=...)
+router.get("/totals", authMiddleware, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return res.json({ subtotal: 0, discount: 0, total: 0, coupon: null });
+    }
+
+    const priced = await applyCoupon(await priceOrderItems(cart.items), {
+      couponCode: req.query.couponCode,
+      userId: req.user._id,
+      email: req.user.email
+    });
+
+    res.json({
+      subtotal: priced.subtotal,
+      discount: priced.discount,
+      total: priced.total,
+      coupon: priced.coupon ? {
+        code: priced.coupon.coupon.code,
+        type: priced.coupon.coupon.type,
+        freeShipping: priced.coupon.freeShipping
+      } : null
+    });
+  } catch (err) {
+    if (err instanceof CouponError) return res.status(err.status).json({ message: err.message, reason: err.reason });
+    if (err instanceof PricingError) return res.status(err.status).json({ message: err.message, diff: err.diff });
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Helper function to ensure product has a default variant for stock management
 // Returns the variant to use for stock management (saves the product if variant was created)
 const ensureDefaultVariant = async (product) => {
@@ -25,7 +58,7 @@ const ensureDefaultVariant = async (product) => {
     images: product.images || [],
     sku: `${product.name.replace(/\s+/g, '').toUpperCase().slice(0, 10)}-DEFAULT`,
     enabled: true,
-    stock: 0 // Initialize stock to 0 if not set
+    stock: product.stock || 0 // Take over the product's stock, 0 if not set
   };
   
   // Add the default variant to the product
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const Category = require("../models/Category");
-const { authMiddleware, roleCheck } = require("../middlewares/auth");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
 const axios = require("axios");
 
 // Helper function to delete images from Cloudinary
@@ -96,9 +96,9 @@ router.get("/:id", async (req, res) => {
 });
 
 // Create category (Admin only) - ✅ Image field add kiya
-router.post("/", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.post("/", authMiddleware, requirePermission("categories:manage"), async (req, res) => {
   try {
-    const { name, description, image, specs } = req.body; // ✅ image add kiya
+    const { name, description, image, specs, commissionRate } = req.body; // ✅ image add kiya
     
     // Check if category already exists
     const existingCategory = await Category.findOne({ name });
@@ -110,7 +110,8 @@ router.post("/", authMiddleware, roleCheck(["admin"]), async (req, res) => {
       name,
       description,
       image, // ✅ image save kiya
-      specs: specs || []
+      specs: specs || [],
+      commissionRate: commissionRate ?? null
     });
     
     await category.save();
@@ -121,12 +122,12 @@ router.post("/", authMiddleware, roleCheck(["admin"]), async (req, res) => {
 });
 
 // Update category (Admin only) - ✅ Better validation + Image cleanup
-router.put("/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.put("/:id", authMiddleware, requirePermission("categories:manage"), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     if (!category) return res.status(404).json({ message: "Category not found" });
     
-    const { name, description, image, specs } = req.body;
+    const { name, description, image, specs, commissionRate } = req.body;
     const oldImage = category.image;
     
     // NEW: If image is being updated, delete old image from Cloudinary
@@ -142,7 +143,8 @@ router.put("/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
       ...(name && { name }),
       ...(description !== undefined && { description }),
       ...(image && { image }),
-      ...(specs && { specs })
+      ...(specs && { specs }),
+      ...(commissionRate !== undefined && { commissionRate })
     };
 
     Object.assign(category, updateData);
@@ -155,7 +157,7 @@ router.put("/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
 });
 
 // Delete category (Admin only) + Image cleanup
-router.delete("/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.delete("/:id", authMiddleware, requirePermission("categories:manage"), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     if (!category) return res.status(404).json({ message: "Category not found" });
@@ -0,0 +1,141 @@
+const express = require("express");
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Orders");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
+const { PricingError, priceOrderItems, applyCoupon } = require("../services/pricing");
+const { CouponError, normalizeCode } = require("../services/coupons");
+
+const router = express.Router();
+
+// Fields admins may set - usedCount is only ever changed by redemptions
+const pickCouponFields = (body) => {
+  const fields = {};
+  [
+    "description", "type", "value", "maxDiscount", "minOrderTotal",
+    "categories", "categoryRefs", "appearance", "battery",
+    "usageLimit", "perUserLimit", "validFrom", "validUntil", "isActive"
+  ].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.code !== undefined) fields.code = normalizeCode(body.code);
+  return fields;
+};
+
+// Validate a code against a cart and return the totals (public - works for guest carts too)
+router.post("/validate", async (req, res) => {
+  try {
+    const { code, items = [], email } = req.body;
+    if (!code) return res.status(400).json({ message: "Coupon code is required" });
+    if (!items.length) return res.status(400).json({ message: "No items provided" });
+
+    const priced = await applyCoupon(await priceOrderItems(items), { couponCode: code, email });
+
+    res.json({
+      code: priced.coupon.coupon.code,
+      type: priced.coupon.coupon.type,
+      subtotal: priced.subtotal,
+      discount: priced.discount,
+      freeShipping: priced.coupon.freeShipping,
+      total: priced.total
+    });
+  } catch (err) {
+    if (err instanceof CouponError) return res.status(err.status).json({ message: err.message, reason: err.reason });
+    if (err instanceof PricingError) return res.status(err.status).json({ message: err.message, diff: err.diff });
+    console.error("Error validating coupon:", err);
+    res.status(500).json({ message: "Failed to validate coupon" });
+  }
+});
+
+// Get all coupons (admin only)
+router.get("/", authMiddleware, requirePermission("coupons:manage"), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (err) {
+    console.error("Error fetching coupons:", err);
+    res.status(500).json({ message: "Failed to fetch coupons" });
+  }
+});
+
+// Create coupon (admin only)
+router.post("/", authMiddleware, requirePermission("coupons:manage"), async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    if (!fields.code || !fields.type) {
+      return res.status(400).json({ message: "Coupon code and type are required" });
+    }
+    if (fields.type === "percentage" && (fields.value <= 0 || fields.value > 100)) {
+      return res.status(400).json({ message: "Percentage must be between 0 and 100" });
+    }
+
+    const existing = await Coupon.findOne({ code: fields.code });
+    if (existing) {
+      return res.status(400).json({ message: "Coupon with this code already exists" });
+    }
+
+    const coupon = new Coupon({ ...fields, createdBy: req.user._id });
+    await coupon.save();
+    res.status(201).json({ message: "Coupon created successfully", coupon });
+  } catch (err) {
+    console.error("Error creating coupon:", err);
+    res.status(500).json({ message: "Failed to create coupon" });
+  }
+});
+
+// Update coupon (admin only)
+router.put("/:id", authMiddleware, requirePermission("coupons:manage"), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { ...pickCouponFields(req.body), updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+    res.json({ message: "Coupon updated successfully", coupon });
+  } catch (err) {
+    console.error("Error updating coupon:", err);
+    res.status(500).json({ message: "Failed to update coupon" });
+  }
+});
+
+// Delete coupon (admin only) - orders keep their snapshot of the coupon
+router.delete("/:id", authMiddleware, requirePermission("coupons:manage"), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+    res.json({ message: "Coupon deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting coupon:", err);
+    res.status(500).json({ message: "Failed to delete coupon" });
+  }
+});
+
+// Usage report for a coupon (admin only)
+router.get("/:id/report", authMiddleware, requirePermission("coupons:manage"), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+    const orders = await Order.find({ "coupon.couponId": coupon._id })
+      .select("subtotal discount total paymentStatus orderStatus coupon createdAt")
+      .sort({ createdAt: -1 });
+
+    const redeemed = orders.filter(o => o.coupon?.redeemed);
+    const paid = redeemed.filter(o => o.paymentStatus === "Paid");
+
+    res.json({
+      coupon,
+      redemptions: redeemed.length,
+      paidOrders: paid.length,
+      totalDiscount: parseFloat(paid.reduce((sum, o) => sum + (o.discount || 0), 0).toFixed(2)),
+      revenue: parseFloat(paid.reduce((sum, o) => sum + o.total, 0).toFixed(2)),
+      orders
+    });
+  } catch (err) {
+    console.error("Error building coupon report:", err);
+    res.status(500).json({ message: "Failed to build coupon report" });
+  }
+});
+
+module.exports = router;
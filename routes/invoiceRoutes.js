@@ -0,0 +1,108 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Orders");
+const { authMiddleware, optionalAuth, requirePermission } = require("../middlewares/auth");
+const { InvoiceError, syncOrderInvoices, renderInvoicePdf } = require("../services/invoices");
+const { hasPermission } = require("../services/permissions");
+const { OrderAccessError, verifyOrderAccessToken, orderAccessTokenOf } = require("../services/orderAccess");
+
+const router = express.Router();
+
+const sendInvoiceError = (res, err, fallback) => {
+  if (err instanceof InvoiceError || err instanceof OrderAccessError) return res.status(err.status).json({ message: err.message });
+  if (err.name === "CastError") return res.status(400).json({ message: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+// Customers see the documents of their own orders, staff with invoices:read:all see all.
+// Guests send the order link token (X-Order-Token or ?token=) - a wrong one throws OrderAccessError.
+function canView(invoice, req) {
+  const user = req.user;
+  if (user && (hasPermission(user.permissions, "invoices:read:all") || invoice.userId?.toString() === user._id.toString())) {
+    return true;
+  }
+  const token = orderAccessTokenOf(req);
+  if (!token) return false;
+  verifyOrderAccessToken(token, invoice.orderId);
+  return true;
+}
+
+// Logged in, or holding an order link
+const canTryView = (req) => Boolean(req.user || orderAccessTokenOf(req));
+
+// All invoices and credit notes (admin only) - ?type=invoice|credit_note&orderId&from&to&page&limit
+router.get("/", authMiddleware, requirePermission("invoices:read:all"), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.orderId) filter.orderId = req.query.orderId;
+    if (req.query.from || req.query.to) {
+      filter.issuedAt = {};
+      if (req.query.from) filter.issuedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.issuedAt.$lte = new Date(req.query.to);
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter).select("-lines").sort({ issuedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+    res.json({ invoices, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    sendInvoiceError(res, err, "Failed to fetch invoices");
+  }
+});
+
+// Invoice and credit notes of an order (owner, admin or the guest's order link)
+router.get("/order/:orderId", optionalAuth, async (req, res) => {
+  try {
+    if (!canTryView(req)) return res.status(401).json({ message: "No token" });
+    if (!mongoose.isValidObjectId(req.params.orderId)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+    const invoices = await Invoice.find({ orderId: req.params.orderId }).sort({ issuedAt: 1 });
+    if (invoices.length && !canView(invoices[0], req)) {
+      return res.status(403).json({ message: "You cannot view these invoices" });
+    }
+    res.json(invoices);
+  } catch (err) {
+    sendInvoiceError(res, err, "Failed to fetch invoices");
+  }
+});
+
+// Issue whatever an order is missing - its invoice and credit notes for its refunds (admin only)
+router.post("/order/:orderId", authMiddleware, requirePermission("invoices:manage"), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const { invoice, creditNotes } = await syncOrderInvoices(order);
+    res.json({ message: `Invoice ${invoice.number} is up to date`, invoice, creditNotes });
+  } catch (err) {
+    sendInvoiceError(res, err, "Failed to issue invoice");
+  }
+});
+
+// Download an invoice or credit note as PDF (owner, admin or the guest's order link)
+router.get("/:id/pdf", optionalAuth, async (req, res) => {
+  try {
+    if (!canTryView(req)) return res.status(401).json({ message: "No token" });
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+    if (!canView(invoice, req)) {
+      return res.status(403).json({ message: "You cannot view this invoice" });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.number}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    sendInvoiceError(res, err, "Failed to generate invoice PDF");
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,38 @@
 const express = require("express");
 const Stripe = require("stripe");
-const jwt = require("jsonwebtoken");
-const axios = require("axios");
 const PDFDocument = require("pdfkit");
 const Order = require("../models/Orders");
-const Product = require("../models/Product");
 const Cart = require("../models/Cart");
 const User = require("../models/User");
+const { StockReservationError, reserveOrderStock, releaseOrderStock, cancelReservation } = require("../services/stockReservation");
+const { PricingError, priceCheckout } = require("../services/pricing");
+const { CouponError, toOrderCoupon, redeemCoupon, cancelRedemption, releaseCoupon } = require("../services/coupons");
+const {
+  AWAITING_FULFILLMENT_QUERY,
+  IN_FULFILLMENT_STATUSES,
+  SYSTEM_ACTOR,
+  GUEST_ACTOR,
+  OrderTransitionError,
+  assertTransition,
+  transitionOrder,
+  advanceOrder,
+  actorFromUser
+} = require("../services/orderStateMachine");
+const { RefundError, refundOrder } = require("../services/refunds");
+const { completeHandOver } = require("../services/invoices");
+const { reverseOrderSales } = require("../services/ledger");
+const { recordCheckoutConsent } = require("../services/messagingConsent");
+const { resolveLocale, translator, formatTimeRange } = require("../services/i18n");
+const { computeOrderTax, taxNote } = require("../services/tax");
+const { ShippingError } = require("../services/shipping");
+const { CarrierError } = require("../services/carriers");
+const { ShipmentError, createShipment } = require("../services/shipments");
+const { shipmentTimeline } = require("../services/tracking");
+const { orderNumberOf, normalizeOrderNumber, saveNewOrder } = require("../services/orderNumbers");
+const { OrderAccessError, verifyOrderAccessToken, orderAccessTokenOf, guestOrderUrl, publicOrderView } = require("../services/orderAccess");
+const { RETURNABLE_ORDER_STATUSES, ReturnError, createGuestReturn } = require("../services/returns");
+const { PickupError, staffOutletIds, assertOutletAccess, issuePickupCode, handOverOrder } = require("../services/pickupCodes");
+const { PickupSlotError, reservePickupSlot, cancelSlotReservation, releasePickupSlot } = require("../services/pickupSlots");
 
 // Helper function to get customer name properly - removes duplicates
 // Always prioritizes guestInfo (form data) over userId
@@ -55,169 +81,42 @@ const getCustomerName = (order) => {
   return 'Guest Customer';
 };
 
-// NEW: Helper function to get API URL (works on both local and server)
-// Note: API_URL already includes /api, so we use it as-is
-const getApiUrl = () => {
-  // For internal server calls, always use localhost (most reliable)
-  // This works on both local and server environments
-  const port = process.env.PORT || 5000;
-  const baseUrl = `http://localhost:${port}`;
-  
-  // If we're in production and have a specific API URL, use it
-  // But prefer localhost for internal calls to avoid network issues
-  if (process.env.NODE_ENV === 'production' && process.env.API_URL) {
-    // Only use external URL if explicitly needed
-    const apiUrl = process.env.API_URL.replace(/\/$/, '');
-    // If API_URL points to same server, use localhost instead
-    if (apiUrl.includes('localhost') || apiUrl.includes('127.0.0.1')) {
-      return `${baseUrl}/api`;
-    }
-    return apiUrl;
-  }
-  
-  // Default to localhost for internal calls
-  return `${baseUrl}/api`;
-};
-
 const router = express.Router();
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
-const { authMiddleware, roleCheck } = require("../middlewares/auth");
-
-function getUserIdFromToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return null;
-  const token = authHeader.split(" ")[1];
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET || process.env.JWT);
-    return decoded.id || decoded._id || null;
-  } catch (err) {
-    return null;
-  }
-}
-
-// NEW: Helper function to ensure product has a default variant for stock management
-// Returns the variant to use for stock management (doesn't save the product)
-function ensureDefaultVariant(product) {
-  // If product already has variants, return the first one
-  if (product.variants && product.variants.length > 0) {
-    return product.variants[0];
-  }
-  
-  // Create a default variant for products without variants
-  const defaultVariant = {
-    specs: {},
-    price: product.price,
-    images: product.images || [],
-    sku: `${product.name.replace(/\s+/g, '').toUpperCase().slice(0, 10)}-DEFAULT`,
-    enabled: true,
-    stock: 0 // Initialize stock to 0 if not set
+const { authMiddleware, optionalAuth, requirePermission } = require("../middlewares/auth");
+const { hasPermission } = require("../services/permissions");
+
+const isOwnLine = (item, user) => (item.sellerId?._id || item.sellerId)?.toString() === user._id.toString();
+const hasOwnLines = (order, user) => order.items.some(item => isOwnLine(item, user));
+
+// NEW: Sellers (orders:read:lines without orders:read:all) only ever see their own lines of an order,
+// and `total` is the total of those lines. Everyone else gets the order as it is.
+function orderViewFor(order, user) {
+  const permissions = user?.permissions;
+  if (hasPermission(permissions, "orders:read:all") || !hasPermission(permissions, "orders:read:lines")) return order;
+  const items = order.items.filter(item => isOwnLine(item, user));
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    userId: order.userId,
+    guestInfo: order.guestInfo,
+    total: Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    orderStatus: order.orderStatus,
+    deliveryMethod: order.deliveryMethod,
+    trackingNumber: order.trackingNumber,
+    outletId: order.outletId,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    items
   };
-  
-  // Add the default variant to the product (will be saved later)
-  if (!product.variants) {
-    product.variants = [];
-  }
-  product.variants.push(defaultVariant);
-  
-  // Return the newly created variant
-  return product.variants[product.variants.length - 1];
-}
-
-// NEW: Stock management - Decrease stock for order items
-async function decreaseOrderStock(order) {
-  try {
-    console.log("Decreasing stock for order:", order._id);
-    
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        console.warn(`Product not found for item: ${item.productId}`);
-        continue;
-      }
-
-      let variant = null;
-      
-      // If product has variants and item has variantId, find the variant
-      if (product.variants && product.variants.length > 0 && item.variantId) {
-        variant = product.variants.find(v => v._id.toString() === item.variantId.toString());
-        if (!variant) {
-          console.warn(`Variant not found: ${item.variantId} for product: ${item.productId}`);
-        }
-      }
-      
-      // If no variant found (product without variants or variantId not provided)
-      // Ensure product has a default variant and use it
-      if (!variant) {
-        variant = ensureDefaultVariant(product);
-        console.log(`Using default variant for non-variant product: ${product._id}`);
-      }
-      
-      // Decrease stock for the variant
-      if (variant) {
-        const currentStock = variant.stock !== undefined ? variant.stock : 0;
-        const newStock = Math.max(0, currentStock - item.quantity);
-        variant.stock = newStock;
-        console.log(`Decreased stock for variant ${variant._id}: ${currentStock} -> ${newStock} (quantity: ${item.quantity})`);
-      }
-      
-      await product.save();
-    }
-    
-    console.log("Stock decreased successfully for order:", order._id);
-  } catch (error) {
-    console.error("Error decreasing stock for order:", error);
-    throw error;
-  }
-}
-
-// NEW: Stock recovery - Recover stock when order is cancelled
-async function recoverOrderStock(order) {
-  try {
-    console.log("Recovering stock for cancelled order:", order._id);
-    
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        console.warn(`Product not found for item: ${item.productId}`);
-        continue;
-      }
-
-      let variant = null;
-      
-      // If product has variants and item has variantId, find the variant
-      if (product.variants && product.variants.length > 0 && item.variantId) {
-        variant = product.variants.find(v => v._id.toString() === item.variantId.toString());
-        if (!variant) {
-          console.warn(`Variant not found: ${item.variantId} for product: ${item.productId}`);
-        }
-      }
-      
-      // If no variant found, use default variant
-      if (!variant) {
-        variant = ensureDefaultVariant(product);
-      }
-      
-      // Recover stock for the variant
-      if (variant) {
-        const currentStock = variant.stock !== undefined ? variant.stock : 0;
-        const newStock = currentStock + item.quantity;
-        variant.stock = newStock;
-        console.log(`Recovered stock for variant ${variant._id}: ${currentStock} -> ${newStock} (quantity: ${item.quantity})`);
-      }
-      
-      await product.save();
-    }
-    
-    console.log("Stock recovered successfully for order:", order._id);
-  } catch (error) {
-    console.error("Error recovering stock for order:", error);
-    throw error;
-  }
 }
 
 // NEW: Cancel order function with stock recovery and email
-async function cancelOrder(order, reason = 'user_cancelled') {
+// `actor` is recorded in the status history - defaults to the system (webhooks, jobs)
+async function cancelOrder(order, reason = 'user_cancelled', actor = SYSTEM_ACTOR) {
   try {
     console.log(`Cancelling order ${order._id} - Reason: ${reason}`);
     
@@ -227,19 +126,27 @@ async function cancelOrder(order, reason = 'user_cancelled') {
       return order;
     }
     
-    // Update order status
-    order.orderStatus = 'Cancelled';
+    // Update order status through the state machine (records who cancelled and why)
+    let paymentStatus = order.paymentStatus;
     if (order.paymentStatus === 'Pending') {
-      order.paymentStatus = 'Cancelled';
+      paymentStatus = 'Cancelled';
     } else if (order.paymentStatus !== 'Paid') {
-      order.paymentStatus = 'Failed';
+      paymentStatus = 'Failed';
     }
-    order.cancelledAt = new Date();
-    order.cancellationReason = reason;
-    await order.save();
+    await transitionOrder(order, 'Cancelled', {
+      actor,
+      note: reason,
+      set: { paymentStatus, cancelledAt: new Date(), cancellationReason: reason }
+    });
     
-    // Recover stock
-    await recoverOrderStock(order);
+    // Return reserved units to inventory (no-op if they were already released)
+    await releaseOrderStock(order);
+    // Give the coupon use back so the customer can use it again
+    await releaseCoupon(order);
+    // Free the booked pickup slot for other customers
+    await releasePickupSlot(order);
+    // Take back seller credits if the order had been paid
+    await reverseOrderSales(order, { reason: 'cancelled' });
     
     // Send cancellation email
     try {
@@ -290,45 +197,166 @@ async function cancelOrder(order, reason = 'user_cancelled') {
   }
 }
 
-async function createOrderDocument({ userId, guestInfo, items, total, paymentMethod, deliveryMethod, outletId }) {
+// Items must already be priced by services/pricing (price and sellerId come from the database)
+// `pickupSlot` is the start of the slot the customer chose (pickup orders at outlets that offer slots)
+async function createOrderDocument({ userId, guestInfo, items, subtotal, discount = 0, coupon = null, shipping = null, shippingCost = 0, total, paymentMethod, deliveryMethod, outletId, pickupSlot = null }) {
   console.log("Creating order document with items:", items);
-  const products = await Product.find({ _id: { $in: items.map(i => i.productId) } });
+  // NEW: Emails for this order go out in the language chosen at checkout, else the account's
+  const user = userId ? await User.findById(userId).select("locale").lean() : null;
+  // NEW: Net and tax per line, at the rate of the country the order is taxed in
+  const tax = await computeOrderTax({ items, discount, shippingCost, country: guestInfo?.country, deliveryMethod });
   const order = new Order({
     userId: userId || undefined, // Set userId if logged in (for order tracking/profile)
     guestInfo: guestInfo || undefined, // Always use form data for shipping/delivery details, even if logged in
-    items: items.map(item => ({
+    items: items.map((item, index) => ({
       productId: item.productId,
-      sellerId: products.find(p => p._id.equals(item.productId))?.sellerId,
+      sellerId: item.sellerId,
+      shopOwned: item.shopOwned,
       variantId: item.variantId,
       quantity: item.quantity,
       price: item.price,
+      tax: tax.lines[index],
     })),
+    subtotal,
+    discount,
+    coupon: coupon ? toOrderCoupon(coupon) : undefined,
+    shippingCost,
+    shipping: shipping ? { ...shipping, tax: tax.shipping || undefined } : undefined,
     total,
+    tax: tax.order,
     paymentMethod: paymentMethod || "Stripe",
     deliveryMethod: deliveryMethod || "delivery",
     outletId: deliveryMethod === "pickup" ? outletId : null,
+    locale: resolveLocale(guestInfo?.locale, user?.locale),
     paymentStatus: paymentMethod === "Stripe" ? "Pending" : "Pending",
     orderStatus: "Pending"
   });
-  await order.save();
-  console.log("Order created:", order._id);
-  
-  // NEW: Decrease stock immediately when order is created (not waiting for payment)
-  if (paymentMethod === "Stripe") {
-    try {
-      await decreaseOrderStock(order);
-      console.log("✅ Stock decreased for pending Stripe order:", order._id);
-    } catch (stockError) {
-      console.error("❌ Failed to decrease stock for order:", stockError);
-      // If stock decrease fails, cancel the order
-      await cancelOrder(order, 'stock_unavailable');
-      throw new Error("Failed to reserve stock for order");
+
+  // NEW: Reserve stock before the order exists - all lines or none.
+  // Throws StockReservationError with a per-line shortfall report if anything is short.
+  await reserveOrderStock(order.items);
+  order.stockStatus = "reserved";
+
+  try {
+    // NEW: Take a place in the chosen pickup slot - fails if the outlet is closed then or the slot is full
+    if (order.deliveryMethod === "pickup") {
+      order.pickupSlot = await reservePickupSlot(order.outletId, pickupSlot) || undefined;
     }
+    // NEW: Count the coupon use atomically - fails if the last redemption was just taken
+    if (order.coupon?.couponId) {
+      await redeemCoupon(order.coupon.couponId, { userId, email: guestInfo?.email });
+      order.coupon.redeemed = true;
+    }
+    // NEW: Gets its order number (ORD-…) here
+    await saveNewOrder(order);
+  } catch (saveError) {
+    // Don't leave units reserved (or a coupon use counted) for an order that was never stored
+    await cancelReservation(order.items).catch(() => {});
+    if (order.coupon?.redeemed) {
+      await cancelRedemption(order.coupon.couponId, { userId, email: guestInfo?.email }).catch(() => {});
+    }
+    if (order.pickupSlot?.reserved) {
+      await cancelSlotReservation(order.outletId, order.pickupSlot).catch(() => {});
+    }
+    throw saveError;
   }
-  
+  console.log("Order created:", order.orderNumber, order._id);
+
+  // NEW: SMS / WhatsApp opt-in checkboxes from the checkout form
+  await recordCheckoutConsent(guestInfo, userId);
+
   return order;
 }
 
+// NEW: Shared response for rejected reservations
+function sendStockShortfall(res, error) {
+  return res.status(error.status).json({
+    message: error.message,
+    shortfalls: error.shortfalls
+  });
+}
+
+// NEW: Shared response for carts whose prices don't match the server's
+function sendPricingDiff(res, error) {
+  return res.status(error.status).json({
+    message: error.message,
+    diff: error.diff
+  });
+}
+
+// NEW: Shared response for coupons that can't be applied
+function sendCouponError(res, error) {
+  return res.status(error.status).json({
+    message: error.message,
+    reason: error.reason
+  });
+}
+
+// NEW: Shared response for destinations we don't ship to and overweight parcels
+function sendShippingError(res, error) {
+  return res.status(error.status).json({ message: error.message });
+}
+
+// NEW: Shared response for pickup slots that are closed, full or too soon
+function sendPickupSlotError(res, error) {
+  return res.status(error.status).json({ message: error.message });
+}
+
+// NEW: Tell the customer their pickup order is ready - email and, if they opted in, WhatsApp / SMS.
+// Each call issues a new pickup code (services/pickupCodes), so earlier codes stop working.
+async function sendPickupReadyNotifications(order) {
+  const customerEmail = order.guestInfo?.email || order.userId?.email;
+  const customerPhone = order.guestInfo?.phone || order.userId?.phone;
+  const customerName = getCustomerName(order);
+  const pickupCode = await issuePickupCode(order);
+
+  // Lazy load notification functions to avoid circular dependency
+  const { sendStatusUpdateEmail, sendTextNotification } = require('./notificationsRoutes');
+  const simplifiedOrder = {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    outletId: order.outletId,
+    pickupSlot: order.pickupSlot?.start ? { start: order.pickupSlot.start, end: order.pickupSlot.end } : undefined,
+    deliveryMethod: order.deliveryMethod,
+    total: order.total,
+    locale: order.locale,
+    items: order.items || []
+  };
+
+  if (customerEmail) {
+    try {
+      const result = await sendStatusUpdateEmail(customerEmail, simplifiedOrder, customerName, 'Ready for Pickup', null, pickupCode);
+      if (result.success) {
+        console.log("✅ Pickup ready email sent to:", customerEmail);
+        console.log("✅ Email details:", {
+          messageId: result.messageId,
+          service: result.service
+        });
+      }
+    } catch (emailError) {
+      console.error("\n❌ ========== PICKUP EMAIL FAILED ==========");
+      console.error("❌ Order ID:", order._id);
+      console.error("❌ Customer Email:", customerEmail);
+      console.error("❌ Error Message:", emailError.message);
+      console.error("❌ ========================================\n");
+    }
+  }
+
+  // WhatsApp / SMS - only sent if the customer opted in to one of them
+  if (customerPhone) {
+    try {
+      const textResult = await sendTextNotification(customerPhone, "pickup_ready_text", { customerName, order: { _id: order._id, orderNumber: order.orderNumber }, outlet: order.outletId, pickupSlot: simplifiedOrder.pickupSlot, pickupCode, locale: order.locale }, {
+        country: order.guestInfo?.country,
+        orderId: order._id
+      });
+      console.log(textResult.skipped ? `⚠️ Text message skipped: ${textResult.message}` : `✅ ${textResult.message}`);
+    } catch (textError) {
+      // Don't fail if the text message fails
+      console.log("⚠️ Text message failed:", textError.message);
+    }
+  }
+}
+
 // In orderRoutes.js - find the sendOrderNotifications function and update it:
 async function sendOrderNotifications(order, isPickup = false, trackingNumber = null) {
   try {
@@ -337,69 +365,28 @@ async function sendOrderNotifications(order, isPickup = false, trackingNumber =
     const customerPhone = order.guestInfo?.phone || order.userId?.phone;
     const customerName = getCustomerName(order);
 
-    const orderIdStr = order._id.toString();
-    const shortOrderId = orderIdStr.slice(-8);
-
     // Create simplified order object with items for email
     const simplifiedOrder = {
       _id: order._id,
       outletId: order.outletId,
       deliveryMethod: order.deliveryMethod,
       total: order.total,
+      locale: order.locale,
       items: order.items || [] // Include items for email template
     };
 
     // NEW: Lazy load notification functions to avoid circular dependency
     const notificationsModule = require('./notificationsRoutes');
     const sendStatusUpdateEmail = notificationsModule.sendStatusUpdateEmail;
+    const sendTextNotification = notificationsModule.sendTextNotification;
     
     if (!sendStatusUpdateEmail) {
       throw new Error('sendStatusUpdateEmail function not found in notificationsRoutes');
     }
     
     if (isPickup) {
-      // PICKUP READY NOTIFICATION
-      if (customerEmail) {
-        try {
-          const result = await sendStatusUpdateEmail(customerEmail, simplifiedOrder, customerName, 'Ready for Pickup');
-          if (result.success) {
-            console.log("✅ Pickup ready email sent to:", customerEmail);
-            console.log("✅ Email details:", {
-              messageId: result.messageId,
-              service: result.service
-            });
-          }
-        } catch (emailError) {
-          console.error("\n❌ ========== PICKUP EMAIL FAILED ==========");
-          console.error("❌ Order ID:", order._id);
-          console.error("❌ Customer Email:", customerEmail);
-          console.error("❌ Error Message:", emailError.message);
-          console.error("❌ Error Code:", emailError.code || 'NO_CODE');
-          console.error("❌ Full Error:", emailError);
-          console.error("❌ ========================================\n");
-        }
-      }
-
-      // WhatsApp notification (if route exists, otherwise skip)
-      if (customerPhone) {
-        try {
-          const apiUrl = getApiUrl();
-          const pickupMessage = `Hello ${customerName}! Your order #${shortOrderId} is ready for pickup at ${order.outletId?.name || 'the selected outlet'}. Address: ${order.outletId?.address || 'Outlet address'}. Phone: ${order.outletId?.phone || 'N/A'}`;
-          
-          await axios.post(`${apiUrl}/notifications/send-whatsapp`, {
-            to: customerPhone,
-            message: pickupMessage,
-            order: simplifiedOrder,
-            notificationType: 'pickup_ready'
-          }).catch(() => {
-            // WhatsApp route might not exist, that's okay
-            console.log("⚠️ WhatsApp notification skipped (route not available)");
-          });
-        } catch (whatsappError) {
-          // Don't fail if WhatsApp fails
-          console.log("⚠️ WhatsApp notification skipped:", whatsappError.message);
-        }
-      }
+      // PICKUP READY NOTIFICATION - with a new pickup code
+      await sendPickupReadyNotifications(order);
     } else if (trackingNumber) {
       // TRACKING NOTIFICATION  
       console.log("📧 TRACKING NOTIFICATION TRIGGERED");
@@ -438,24 +425,17 @@ async function sendOrderNotifications(order, isPickup = false, trackingNumber =
         console.warn("⚠️ No customer email found, skipping tracking notification");
       }
 
-      // WhatsApp notification (if route exists, otherwise skip)
+      // NEW: WhatsApp / SMS - only sent if the customer opted in to one of them
       if (customerPhone) {
         try {
-          const apiUrl = getApiUrl();
-          const trackingMessage = `Hello ${customerName}! Your order #${shortOrderId} has been shipped. Tracking Number: ${trackingNumber}. Track your order here: ${process.env.FRONTEND_URL}/track-order or directly with DHL: https://www.dhl.com/en/express/tracking.html?AWB=${trackingNumber}`;
-
-          await axios.post(`${apiUrl}/notifications/send-whatsapp`, {
-            to: customerPhone,
-            message: trackingMessage,
-            order: simplifiedOrder,
-            notificationType: 'tracking'
-          }).catch(() => {
-            // WhatsApp route might not exist, that's okay
-            console.log("⚠️ WhatsApp notification skipped (route not available)");
+          const textResult = await sendTextNotification(customerPhone, "order_shipped_text", { customerName, order: { _id: order._id, orderNumber: order.orderNumber }, trackingNumber, locale: order.locale }, {
+            country: order.guestInfo?.country,
+            orderId: order._id
           });
-        } catch (whatsappError) {
-          // Don't fail if WhatsApp fails
-          console.log("⚠️ WhatsApp notification skipped:", whatsappError.message);
+          console.log(textResult.skipped ? `⚠️ Text message skipped: ${textResult.message}` : `✅ ${textResult.message}`);
+        } catch (textError) {
+          // Don't fail if the text message fails
+          console.log("⚠️ Text message failed:", textError.message);
         }
       }
     }
@@ -495,61 +475,57 @@ router.get("/stripe-cancel", async (req, res) => {
   }
 });
 
-// Stripe checkout for home delivery
-router.post("/stripe", async (req, res) => {
+// Stripe checkout for home delivery - guests and logged-in customers
+router.post("/stripe", optionalAuth, async (req, res) => {
   try {
-    const { items = [], guestInfo = null, deliveryMethod = "delivery", outletId = null } = req.body;
-    const userId = getUserIdFromToken(req);
+    const { items = [], guestInfo = null, deliveryMethod = "delivery", outletId = null, couponCode = null } = req.body;
+    const userId = req.user?._id || null;
     if (!items || !items.length) return res.status(400).json({ message: "No items provided" });
 
     console.log("Stripe checkout request:", { items, guestInfo, userId, deliveryMethod, outletId });
 
-    const total = items.reduce((s, it) => s + (it.price || 0) * (it.quantity || 1), 0);
-
-    // NEW: Fetch product names for items missing names
-    const itemsWithNames = await Promise.all(items.map(async (item) => {
-      if (!item.name && item.productId) {
-        try {
-          const product = await Product.findById(item.productId);
-          if (product) {
-            item.name = product.name;
-            // Also get image if missing
-            if (!item.image && product.images && product.images.length > 0) {
-              item.image = product.images[0];
-            }
-          }
-        } catch (err) {
-          console.error(`Error fetching product ${item.productId}:`, err);
-        }
-      }
-      // Ensure name is always provided - use fallback if still missing
-      if (!item.name) {
-        item.name = `Product ${item.productId || 'Unknown'}`;
-      }
-      return item;
-    }));
+    // NEW: Price every line from Product/variant data - client prices are only compared, never used
+    const priced = await priceCheckout(items, req.body.total, {
+      couponCode,
+      userId,
+      email: guestInfo?.email,
+      deliveryMethod,
+      country: guestInfo?.country
+    });
+    const pricedItems = priced.items;
 
     const order = await createOrderDocument({ 
       userId, 
       guestInfo, 
-      items: itemsWithNames, 
-      total, 
+      items: pricedItems, 
+      subtotal: priced.subtotal,
+      discount: priced.discount,
+      coupon: priced.coupon,
+      shipping: priced.shipping,
+      shippingCost: priced.shippingCost,
+      total: priced.total, 
       paymentMethod: "Stripe",
       deliveryMethod,
-      outletId
+      outletId,
+      pickupSlot: req.body.pickupSlot
     });
 
-    const lineItems = itemsWithNames.map((item) => {
+    const lineItems = pricedItems.map((item, index) => {
+      // NEW: Prices include the tax worked out at checkout - shown on the Stripe page as a note
+      const lineTax = order.items[index].tax;
       return {
         price_data: {
           currency: "eur", // Changed to EUR for Germany
           product_data: {
-            name: item.name, // Now guaranteed to have a value
+            name: item.name,
             images: item.image ? [item.image] : [],
+            description: taxNote(lineTax, order.locale),
+            metadata: { taxScheme: lineTax.taxScheme, vatRate: String(lineTax.vatRate) },
           },
-          unit_amount: Math.round((item.price || 0) * 100),
+          unit_amount: Math.round(item.price * 100),
+          tax_behavior: "inclusive",
         },
-        quantity: item.quantity || 1,
+        quantity: item.quantity,
       };
     });
 
@@ -570,14 +546,50 @@ router.post("/stripe", async (req, res) => {
     }
     const cancelUrl = `${cancelUrlBase}/api/orders/stripe-cancel?session_id={CHECKOUT_SESSION_ID}`;
 
+    // NEW: Coupons are passed to Stripe as a one-off amount_off coupon so the session total matches the order
+    let discounts;
+    if (order.discount > 0) {
+      const stripeCoupon = await stripe.coupons.create({
+        amount_off: Math.round(order.discount * 100),
+        currency: "eur",
+        duration: "once",
+        max_redemptions: 1,
+        name: order.coupon.code,
+        metadata: { orderId: order._id.toString() }
+      });
+      discounts = [{ coupon: stripeCoupon.id }];
+    }
+
+    // NEW: Shipping as a fixed rate - shown (also when free) so the session total matches the order
+    let shippingOptions;
+    if (order.shipping) {
+      shippingOptions = [{
+        shipping_rate_data: {
+          type: "fixed_amount",
+          fixed_amount: { amount: Math.round(order.shippingCost * 100), currency: "eur" },
+          display_name: translator(order.locale)(order.shippingCost > 0 ? "shipping.label" : "shipping.free"),
+          tax_behavior: "inclusive",
+          metadata: { ...(order.shipping.carrier && { carrier: order.shipping.carrier }), weight: String(order.shipping.weight) }
+        }
+      }];
+    }
+
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ["card", "klarna"],
       mode: "payment",
       line_items: lineItems,
+      ...(discounts && { discounts }),
+      ...(shippingOptions && { shipping_options: shippingOptions }),
       success_url: `${process.env.FRONTEND_URL.replace(/\/$/, "")}/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: cancelUrl,
       metadata: {
-        orderId: order._id.toString()
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber
+      },
+      // NEW: Order number on the payment, so it shows up in the Stripe dashboard and search
+      payment_intent_data: {
+        description: `Order ${order.orderNumber}`,
+        metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
       },
       client_reference_id: order._id.toString()
     });
@@ -588,16 +600,21 @@ router.post("/stripe", async (req, res) => {
     console.log("Stripe session created:", session.id);
     return res.json({ url: session.url });
   } catch (err) {
+    if (err instanceof StockReservationError) return sendStockShortfall(res, err);
+    if (err instanceof PricingError) return sendPricingDiff(res, err);
+    if (err instanceof CouponError) return sendCouponError(res, err);
+    if (err instanceof ShippingError) return sendShippingError(res, err);
+    if (err instanceof PickupSlotError) return sendPickupSlotError(res, err);
     console.error("Stripe Checkout Error:", err);
     return res.status(500).json({ message: "Failed to create checkout session" });
   }
 });
 
-// Pickup order endpoint
-router.post("/pickup", async (req, res) => {
+// Pickup order endpoint - guests and logged-in customers
+router.post("/pickup", optionalAuth, async (req, res) => {
   try {
-    const { items = [], total = 0, guestInfo = null, outletId = null } = req.body;
-    const userId = getUserIdFromToken(req);
+    const { items = [], total, guestInfo = null, outletId = null, couponCode = null, pickupSlot = null } = req.body;
+    const userId = req.user?._id || null;
 
     console.log("Pickup order request:", { items, total, guestInfo, userId, outletId });
 
@@ -607,19 +624,23 @@ router.post("/pickup", async (req, res) => {
       return res.status(400).json({ message: "Outlet selection is required for pickup orders" });
     }
 
+    // NEW: Rebuild lines and total server-side; a mismatching client total is rejected
+    const priced = await priceCheckout(items, total, { couponCode, userId, email: guestInfo?.email, deliveryMethod: "pickup" });
+
     const order = await createOrderDocument({ 
       userId, 
       guestInfo, 
-      items, 
-      total, 
+      items: priced.items, 
+      subtotal: priced.subtotal,
+      discount: priced.discount,
+      coupon: priced.coupon,
+      total: priced.total, 
       paymentMethod: "Pickup",
       deliveryMethod: "pickup",
-      outletId
+      outletId,
+      pickupSlot
     });
 
-    // NEW: Stock management - Decrease stock for pickup orders immediately
-    await decreaseOrderStock(order);
-
     if (userId) {
       try {
         await Cart.findOneAndDelete({ userId });
@@ -637,17 +658,19 @@ router.post("/pickup", async (req, res) => {
       order 
     });
   } catch (err) {
+    if (err instanceof StockReservationError) return sendStockShortfall(res, err);
+    if (err instanceof PricingError) return sendPricingDiff(res, err);
+    if (err instanceof CouponError) return sendCouponError(res, err);
+    if (err instanceof PickupSlotError) return sendPickupSlotError(res, err);
     console.error("Pickup Order Error:", err);
     return res.status(500).json({ message: "Failed to place pickup order" });
   }
 });
 
 // Get user orders
-router.get("/", async (req, res) => {
+router.get("/", authMiddleware, async (req, res) => {
   try {
-    const userId = getUserIdFromToken(req);
-    if (!userId) return res.status(401).json({ message: "Login required" });
-
+    const userId = req.user._id;
     console.log("Fetching orders for user:", userId);
 
     const orders = await Order.find({ userId })
@@ -662,12 +685,10 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Get seller orders
-router.get("/seller", async (req, res) => {
+// Get seller orders - only the seller's own lines (see orderViewFor)
+router.get("/seller", authMiddleware, requirePermission("orders:read:lines"), async (req, res) => {
   try {
-    const userId = getUserIdFromToken(req);
-    if (!userId) return res.status(401).json({ message: "Login required" });
-
+    const userId = req.user._id;
     console.log("Fetching seller orders for user:", userId);
 
     const orders = await Order.find({ "items.sellerId": userId })
@@ -676,24 +697,7 @@ router.get("/seller", async (req, res) => {
       .populate("outletId", "name location address phone")
       .sort({ createdAt: -1 });
 
-    const transformed = orders.map(o => {
-      const myItems = o.items.filter(it => it.sellerId && it.sellerId.toString() === userId.toString());
-      return {
-        _id: o._id,
-        userId: o.userId,
-        guestInfo: o.guestInfo,
-        total: o.total,
-        paymentMethod: o.paymentMethod,
-        paymentStatus: o.paymentStatus,
-        orderStatus: o.orderStatus,
-        deliveryMethod: o.deliveryMethod,
-        outletId: o.outletId,
-        createdAt: o.createdAt,
-        items: myItems
-      };
-    });
-
-    res.json(transformed);
+    res.json(orders.map(o => orderViewFor(o, req.user)));
   } catch (err) {
     console.error("Error fetching seller orders:", err);
     res.status(500).json({ message: "Failed to fetch seller orders" });
@@ -701,7 +705,7 @@ router.get("/seller", async (req, res) => {
 });
 
 // Get all orders for admin with full details
-router.get("/all", authMiddleware, roleCheck(["admin","company"]), async (req, res) => {
+router.get("/all", authMiddleware, requirePermission("orders:read:all"), async (req, res) => {
   try {
     console.log("Fetching all orders for admin");
     const orders = await Order.find()
@@ -718,7 +722,7 @@ router.get("/all", authMiddleware, roleCheck(["admin","company"]), async (req, r
 });
 
 // NEW: Get cancelled orders for admin
-router.get("/cancelled", authMiddleware, roleCheck(["admin","company"]), async (req, res) => {
+router.get("/cancelled", authMiddleware, requirePermission("orders:read:all"), async (req, res) => {
   try {
     console.log("Fetching cancelled orders for admin");
     const orders = await Order.find({ orderStatus: "Cancelled" })
@@ -735,7 +739,7 @@ router.get("/cancelled", authMiddleware, roleCheck(["admin","company"]), async (
 });
 
 // Get seller candidate orders for admin
-router.get("/admin/seller-candidates", authMiddleware, roleCheck(["admin","company"]), async (req, res) => {
+router.get("/admin/seller-candidates", authMiddleware, requirePermission("orders:manage"), async (req, res) => {
   try {
     console.log("Fetching seller candidate orders");
     const sellerCandidates = await User.find({ role: "seller_candidate" });
@@ -759,13 +763,10 @@ router.get("/admin/seller-candidates", authMiddleware, roleCheck(["admin","compa
 router.post("/:orderId/process", authMiddleware, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const userId = getUserIdFromToken(req);
+    const userId = req.user._id;
     const { trackingNumber, isPickup = false } = req.body;
-    console.log(trackingNumber)
     console.log("Processing order:", orderId, "by user:", userId, "isPickup:", isPickup);
 
-    if (!userId) return res.status(401).json({ message: "Unauthorized" });
-
     const order = await Order.findById(orderId)
       .populate("items.productId", "name price images variants specs")
       .populate("userId", "name email phone")
@@ -773,26 +774,24 @@ router.post("/:orderId/process", authMiddleware, async (req, res) => {
 
     if (!order) return res.status(404).json({ message: "Order not found" });
 
-    let canProcess = false;
-
-    if (req.user.role === "company" || req.user.role === "admin") {
-      canProcess = true;
-    } else if (req.user.role === "seller_candidate" || req.user.role === "seller") {
-      canProcess = order.items.some(item => item.sellerId?.toString() === userId.toString());
-    }
+    const canProcess = hasPermission(req.user.permissions, "orders:process") ||
+      (hasPermission(req.user.permissions, "orders:process:own") && hasOwnLines(order, req.user));
 
     if (!canProcess)
       return res.status(403).json({ message: "You cannot process this order" });
 
     // Update order status only - No stock management
-    order.orderStatus = "Processing";
-    
-    if (trackingNumber && order.deliveryMethod === "delivery") {
-      order.trackingNumber = trackingNumber;
+    // Pickup orders become ready for pickup, delivery orders with a tracking number are shipped
+    const set = {};
+    let path = ["Processing"];
+    if (isPickup && order.deliveryMethod === "pickup") {
+      path = ["Processing", "ReadyForPickup"];
+    } else if (trackingNumber && order.deliveryMethod === "delivery") {
+      set.trackingNumber = trackingNumber;
+      path = ["Processing", "Shipped"];
     }
 
-    order.updatedAt = Date.now();
-    await order.save();
+    await advanceOrder(order, path, { actor: actorFromUser(req.user), set });
 
     // Re-fetch order with all populated fields to ensure data is fresh
     const updatedOrder = await Order.findById(orderId)
@@ -826,18 +825,212 @@ router.post("/:orderId/process", authMiddleware, async (req, res) => {
     
     res.json({ 
       message: "Order processed successfully", 
-      order,
+      order: orderViewFor(order, req.user),
       notification: isPickup ? "Pickup notification sent" : "Tracking information added"
     });
   } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("Error processing order:", err);
     res.status(500).json({ message: err.message || "Failed to process order" });
   }
 });
 
+// Permissions that work on any order (as opposed to own lines or own orders)
+const ORDER_STAFF_PERMISSIONS = ["orders:manage", "orders:process", "orders:handover"];
+
+// Change order status through the state machine (Delivered, PickedUp, Returned, Cancelled, ...)
+// The state machine decides which permissions allow which move; here we only check ownership:
+// staff work on any order, sellers on orders with their lines, customers on their own orders.
+router.patch("/:orderId/status", authMiddleware, async (req, res) => {
+  try {
+    const { status, note, trackingNumber } = req.body;
+    if (!status) return res.status(400).json({ message: "Status is required" });
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const role = req.user.role;
+    const permissions = req.user.permissions;
+    const canUpdate = ORDER_STAFF_PERMISSIONS.some(permission => hasPermission(permissions, permission)) ||
+      (hasPermission(permissions, "orders:process:own")
+        ? hasOwnLines(order, req.user)
+        : order.userId?.toString() === req.user._id.toString());
+    if (!canUpdate) return res.status(403).json({ message: "You cannot update this order" });
+
+    const actor = actorFromUser(req.user);
+    if (status === "Cancelled") {
+      // Cancelling also gives back stock and coupon uses
+      await cancelOrder(order, note || `${role}_cancelled`, actor);
+    } else {
+      const set = {};
+      if (trackingNumber && status === "Shipped") set.trackingNumber = trackingNumber;
+      await transitionOrder(order, status, { actor, note, set });
+      // Cash orders are paid and invoiced on hand-over (paid online ones already have their invoice)
+      if (["Delivered", "PickedUp"].includes(order.orderStatus)) {
+        await completeHandOver(order, `Paid on ${order.orderStatus === "Delivered" ? "delivery" : "pickup"}`);
+      }
+      // NEW: The customer needs a pickup code to collect the order
+      if (order.orderStatus === "ReadyForPickup") {
+        await order.populate([
+          { path: "userId", select: "name email phone" },
+          { path: "outletId", select: "name location address phone" }
+        ]);
+        await sendPickupReadyNotifications(order)
+          .catch(err => console.error("❌ Failed to send pickup notifications:", err.message));
+      }
+    }
+
+    res.json({ message: `Order status changed to ${order.orderStatus}`, order: orderViewFor(order, req.user) });
+  } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error updating order status:", err);
+    res.status(500).json({ message: "Failed to update order status" });
+  }
+});
+
+// NEW: What outlet staff see of a pickup order - enough to find it, check who collects it and take payment
+function pickupQueueView(order) {
+  const readyEntry = [...(order.statusHistory || [])].reverse().find(entry => entry.to === "ReadyForPickup");
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    orderStatus: order.orderStatus,
+    customerName: getCustomerName(order),
+    customerPhone: order.guestInfo?.phone || order.userId?.phone,
+    items: order.items.map(item => ({
+      _id: item._id,
+      name: item.productId?.name,
+      image: item.productId?.images?.[0],
+      variantId: item.variantId,
+      quantity: item.quantity
+    })),
+    total: order.total,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    outlet: order.outletId ? { _id: order.outletId._id, name: order.outletId.name, address: order.outletId.address } : null,
+    pickupSlot: order.pickupSlot?.start ? { start: order.pickupSlot.start, end: order.pickupSlot.end } : undefined,
+    readyAt: readyEntry?.at || order.updatedAt,
+    pickupCodeSentAt: order.pickupCode?.issuedAt
+  };
+}
+
+const sendPickupError = (res, err, fallback) => {
+  if (err instanceof PickupError || err instanceof OrderTransitionError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  if (err.name === "CastError") return res.status(400).json({ message: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+const HANDOVER_PERMISSIONS = ["orders:handover", "orders:handover:outlet"];
+
+// NEW: Pickup orders waiting at the staff member's outlets, oldest first - ?outletId to pick one
+router.get("/outlet-queue", authMiddleware, requirePermission(...HANDOVER_PERMISSIONS), async (req, res) => {
+  try {
+    const outletIds = staffOutletIds(req.user);
+    const query = { deliveryMethod: "pickup", orderStatus: "ReadyForPickup" };
+    if (req.query.outletId) {
+      if (outletIds && !outletIds.includes(String(req.query.outletId))) {
+        return res.status(403).json({ message: "You don't work at this outlet" });
+      }
+      query.outletId = req.query.outletId;
+    } else if (outletIds) {
+      query.outletId = { $in: outletIds };
+    }
+
+    const orders = await Order.find(query)
+      .populate("items.productId", "name images")
+      .populate("userId", "name phone")
+      .populate("outletId", "name address")
+      .sort({ updatedAt: 1 });
+    res.json(orders.map(pickupQueueView));
+  } catch (err) {
+    sendPickupError(res, err, "Failed to fetch outlet queue");
+  }
+});
+
+// NEW: Hand a pickup order over - body: { code } as sent to the customer. Cash is taken at the counter,
+// so the order is invoiced now.
+router.post("/:orderId/pickup", authMiddleware, requirePermission(...HANDOVER_PERMISSIONS), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order || order.deliveryMethod !== "pickup") return res.status(404).json({ message: "Order not found" });
+    assertOutletAccess(req.user, order);
+
+    await handOverOrder(order, req.body.code, actorFromUser(req.user));
+    await order.populate([
+      { path: "items.productId", select: "name images" },
+      { path: "userId", select: "name phone" },
+      { path: "outletId", select: "name address" }
+    ]);
+    res.json({ message: "Order picked up", order: pickupQueueView(order) });
+  } catch (err) {
+    sendPickupError(res, err, "Failed to hand over order");
+  }
+});
+
+// NEW: Send the customer a new pickup code (lost, or locked after wrong tries) - staff at the
+// order's outlet or the customer themselves
+router.post("/:orderId/pickup-code", authMiddleware, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate("userId", "name email phone")
+      .populate("outletId", "name location address phone");
+    if (!order || order.deliveryMethod !== "pickup") return res.status(404).json({ message: "Order not found" });
+
+    const isCustomer = order.userId?._id?.toString() === req.user._id.toString();
+    if (!isCustomer) {
+      if (!HANDOVER_PERMISSIONS.some(permission => hasPermission(req.user.permissions, permission))) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+      assertOutletAccess(req.user, order);
+    }
+
+    await sendPickupReadyNotifications(order);
+    res.json({ message: "A new pickup code was sent to the customer" });
+  } catch (err) {
+    sendPickupError(res, err, "Failed to send pickup code");
+  }
+});
+
+// NEW: Refund a paid Stripe order (admin only)
+// Body: { items: [{ itemId, quantity }], restock, reason } - leave out items for a full refund
+router.post("/:orderId/refund", authMiddleware, requirePermission("refunds:create"), async (req, res) => {
+  try {
+    const { items, restock = false, reason } = req.body;
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ message: "Items must be an array of { itemId, quantity }" });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const { order: updatedOrder, refund } = await refundOrder(order, {
+      items,
+      restock: Boolean(restock),
+      reason,
+      actor: actorFromUser(req.user)
+    });
+
+    res.json({ message: "Refund issued successfully", refund, order: updatedOrder });
+  } catch (err) {
+    if (err instanceof RefundError || err instanceof OrderTransitionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error refunding order:", err);
+    res.status(500).json({ message: "Failed to refund order" });
+  }
+});
+
 // NEW: Lazy load the email function to avoid circular dependency and timing issues
 // This ensures it works reliably on servers (Vercel, Railway, etc.)
 async function sendOrderConfirmation(order) {
+  let customer = null;
   try {
     // Populate order with product details before sending
     const populatedOrder = await Order.findById(order._id)
@@ -847,7 +1040,7 @@ async function sendOrderConfirmation(order) {
       .populate("userId", "name email phone")
       .lean();
 
-    const customer = populatedOrder.userId ? {
+    customer = populatedOrder.userId ? {
       email: populatedOrder.userId.email,
       phone: populatedOrder.userId.phone,
       name: populatedOrder.userId.name
@@ -872,7 +1065,8 @@ async function sendOrderConfirmation(order) {
     }
 
     // Call the email function directly instead of HTTP request
-    const result = await sendOrderConfirmationEmail(populatedOrder, customer);
+    // NEW: Guests get a link to view and manage their order
+    const result = await sendOrderConfirmationEmail(populatedOrder, customer, { orderUrl: guestOrderUrl(populatedOrder) });
     
     if (result.success) {
       console.log("✅ Order confirmation notification sent for order:", populatedOrder._id);
@@ -887,8 +1081,8 @@ async function sendOrderConfirmation(order) {
   } catch (error) {
     // Detailed error logging
     console.error("\n❌ ========== ORDER CONFIRMATION EMAIL FAILED ==========");
-    console.error("❌ Order ID:", populatedOrder._id);
-    console.error("❌ Customer Email:", customer.email);
+    console.error("❌ Order ID:", order._id);
+    console.error("❌ Customer Email:", customer?.email);
     console.error("❌ Error Message:", error.message);
     console.error("❌ Error Code:", error.code || 'NO_CODE');
     console.error("❌ Full Error:", error);
@@ -897,30 +1091,62 @@ async function sendOrderConfirmation(order) {
   }
 }
 
+// NEW: Buy a shipping label from the order's carrier - the order is shipped with the carrier's
+// tracking number and the customer is notified. Optional body: { weight } in kg.
+router.post("/:orderId/shipments", authMiddleware, requirePermission("shipments:manage"), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const shipment = await createShipment(order, { actor: actorFromUser(req.user), weight: req.body.weight });
+
+    const updatedOrder = await Order.findById(order._id)
+      .populate("items.productId", "name price images variants specs")
+      .populate("userId", "name email phone")
+      .populate("outletId", "name location address phone");
+    try {
+      await sendOrderNotifications(updatedOrder, false, shipment.trackingNumber);
+    } catch (notificationError) {
+      console.error("❌ Failed to send shipping notifications:", notificationError);
+    }
+
+    res.status(201).json({ message: `Label ${shipment.trackingNumber} created`, shipment, order: updatedOrder });
+  } catch (err) {
+    if (err instanceof ShipmentError || err instanceof CarrierError || err instanceof OrderTransitionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error creating shipment:", err);
+    res.status(500).json({ message: "Failed to create shipping label" });
+  }
+});
+
 // Add tracking number
-router.put("/:orderId/tracking", authMiddleware, roleCheck(["admin", "company"]), async (req, res) => {
+router.put("/:orderId/tracking", authMiddleware, requirePermission("orders:process"), async (req, res) => {
   try {
     const { trackingNumber } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.orderId,
-      { 
-        trackingNumber,
-        orderStatus: "Processing",
-        updatedAt: Date.now()
-      },
-      { new: true }
-    ).populate("userId", "name email phone")
-     .populate("guestInfo")
-     .populate("outletId", "name location address phone")
-     .populate("items.productId", "name price images variants specs");
+    const order = await Order.findById(req.params.orderId)
+      .populate("userId", "name email phone")
+      .populate("guestInfo")
+      .populate("outletId", "name location address phone")
+      .populate("items.productId", "name price images variants specs");
 
     if (!order) return res.status(404).json({ message: "Order not found" });
 
+    // Delivery orders with a tracking number are shipped, pickup orders are ready to collect
+    const path = order.deliveryMethod === "pickup"
+      ? ["Processing", "ReadyForPickup"]
+      : trackingNumber ? ["Processing", "Shipped"] : ["Processing"];
+    await advanceOrder(order, path, {
+      actor: actorFromUser(req.user),
+      set: trackingNumber ? { trackingNumber } : {}
+    });
+
     try {
       // NEW: Use direct function call instead of HTTP request
       // Lazy load the notification function to avoid circular dependency
       const notificationsModule = require('./notificationsRoutes');
       const sendStatusUpdateEmail = notificationsModule.sendStatusUpdateEmail;
+      const sendTextNotification = notificationsModule.sendTextNotification;
       
       if (!sendStatusUpdateEmail) {
         throw new Error('sendStatusUpdateEmail function not found in notificationsRoutes');
@@ -936,6 +1162,7 @@ router.put("/:orderId/tracking", authMiddleware, roleCheck(["admin", "company"])
         outletId: order.outletId,
         deliveryMethod: order.deliveryMethod,
         total: order.total,
+        locale: order.locale,
         items: order.items || []
       };
 
@@ -962,60 +1189,23 @@ router.put("/:orderId/tracking", authMiddleware, roleCheck(["admin", "company"])
           }
         }
 
-        // WhatsApp notification (if route exists, otherwise skip)
+        // NEW: WhatsApp / SMS - only sent if the customer opted in to one of them
         if (customerPhone) {
           try {
-            const apiUrl = getApiUrl();
-            const whatsappMessage = `Your order #${order._id.slice(-8)} has been shipped! 🚚\n\nTracking Number: ${trackingNumber}\nTrack your package: https://www.dhl.com/en/express/tracking.html?AWB=${trackingNumber}\n\nYour order will arrive soon!`;
-            
-            await axios.post(`${apiUrl}/notifications/send-whatsapp`, {
-              to: customerPhone,
-              message: whatsappMessage
-            }).catch(() => {
-              console.log("⚠️ WhatsApp notification skipped (route not available)");
+            const textResult = await sendTextNotification(customerPhone, "order_shipped_text", { customerName, order: { _id: order._id, orderNumber: order.orderNumber }, trackingNumber, locale: order.locale }, {
+              country: order.guestInfo?.country,
+              orderId: order._id
             });
-          } catch (whatsappError) {
-            console.log("⚠️ WhatsApp notification skipped:", whatsappError.message);
+            console.log(textResult.skipped ? `⚠️ Text message skipped: ${textResult.message}` : `✅ ${textResult.message}`);
+          } catch (textError) {
+            // Don't fail if the text message fails
+            console.log("⚠️ Text message failed:", textError.message);
           }
         }
 
       } else if (order.deliveryMethod === 'pickup') {
-        // PICKUP READY NOTIFICATION
-        if (customerEmail) {
-          try {
-            const result = await sendStatusUpdateEmail(customerEmail, simplifiedOrder, customerName, 'Ready for Pickup');
-            if (result.success) {
-              console.log("✅ Pickup ready email sent to:", customerEmail);
-              console.log("✅ Email details:", {
-                messageId: result.messageId,
-                service: result.service
-              });
-            }
-          } catch (emailError) {
-            console.error("\n❌ ========== PICKUP EMAIL FAILED ==========");
-            console.error("❌ Order ID:", order._id);
-            console.error("❌ Customer Email:", customerEmail);
-            console.error("❌ Error Message:", emailError.message);
-            console.error("❌ ===========================================\n");
-          }
-        }
-
-        // WhatsApp notification (if route exists, otherwise skip)
-        if (customerPhone) {
-          try {
-            const apiUrl = getApiUrl();
-            const whatsappMessage = `Your order #${order._id.slice(-8)} is ready for pickup! 🎉\n\n📍 Pickup Location:\n${order.outletId?.name}\n${order.outletId?.address}\n${order.outletId?.location}\n\n🕒 Hours: 9AM-8PM (Mon-Sun)\n\nPlease bring your order confirmation and ID.\n\nWe can't wait to see you!`;
-            
-            await axios.post(`${apiUrl}/notifications/send-whatsapp`, {
-              to: customerPhone,
-              message: whatsappMessage
-            }).catch(() => {
-              console.log("⚠️ WhatsApp notification skipped (route not available)");
-            });
-          } catch (whatsappError) {
-            console.log("⚠️ WhatsApp notification skipped:", whatsappError.message);
-          }
-        }
+        // PICKUP READY NOTIFICATION - with a new pickup code
+        await sendPickupReadyNotifications(order);
       }
 
       console.log("✅ Notifications sent for tracking update");
@@ -1026,15 +1216,102 @@ router.put("/:orderId/tracking", authMiddleware, roleCheck(["admin", "company"])
 
     res.json({ message: "Tracking number added and notifications sent successfully", order });
   } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("Error adding tracking number:", err);
     res.status(500).json({ message: "Failed to add tracking number" });
   }
 });
 
-// Track order by ID or tracking number
+// NEW: The order plus its parcel and the carrier's full tracking timeline
+async function withTracking(order) {
+  const data = typeof order.toObject === "function" ? order.toObject() : order;
+  return { ...data, ...(await shipmentTimeline(order._id)) };
+}
+
+// NEW: Anyone with an order or tracking number sees the redacted public view.
+// With the order's link token (services/orderAccess) it's the full order.
+async function trackingView(order, accessToken) {
+  if (!accessToken) return { ...publicOrderView(order), ...(await shipmentTimeline(order._id)) };
+  verifyOrderAccessToken(accessToken, order._id);
+  return withTracking(order);
+}
+
+// NEW: What a guest may still do with their order from the order link
+function guestActions(order) {
+  let cancel = true;
+  try {
+    assertTransition(order, "Cancelled", GUEST_ACTOR);
+  } catch (err) {
+    cancel = false;
+  }
+  return { cancel, return: RETURNABLE_ORDER_STATUSES.includes(order.orderStatus) };
+}
+
+// NEW: Order opened by a guest's link - token in the X-Order-Token header, ?token= or the body
+async function loadGuestOrder(req) {
+  const orderId = verifyOrderAccessToken(orderAccessTokenOf(req) || req.body?.token);
+  const order = await Order.findById(orderId);
+  if (!order) throw new OrderAccessError("Order not found", 404);
+  return order;
+}
+
+const sendGuestOrderError = (res, err, fallback) => {
+  if (err instanceof OrderAccessError || err instanceof OrderTransitionError || err instanceof ReturnError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+// NEW: Guest order view - the full order with its parcel timeline and the actions still open
+router.get("/guest", async (req, res) => {
+  try {
+    const { _id } = await loadGuestOrder(req);
+    const order = await Order.findById(_id)
+      .populate("items.productId", "name images variants specs")
+      .populate("outletId", "name location address phone")
+      .select("-stripeSessionId -statusHistory.actorId");
+    res.json({ ...(await withTracking(order)), actions: guestActions(order) });
+  } catch (err) {
+    sendGuestOrderError(res, err, "Failed to load order");
+  }
+});
+
+// NEW: Guest cancels their order - only before we started working on it (state machine rules for buyers)
+router.post("/guest/cancel", async (req, res) => {
+  try {
+    const order = await loadGuestOrder(req);
+    if (order.orderStatus === "Cancelled") return res.status(409).json({ message: "Order is already cancelled" });
+    await cancelOrder(order, "guest_cancelled", GUEST_ACTOR);
+    res.json({ message: "Order cancelled", orderStatus: order.orderStatus, actions: guestActions(order) });
+  } catch (err) {
+    sendGuestOrderError(res, err, "Failed to cancel order");
+  }
+});
+
+// NEW: Guest opens a return for one order line. Body: { itemId, quantity, reason, description, photos }
+router.post("/guest/returns", async (req, res) => {
+  try {
+    const order = await loadGuestOrder(req);
+    const { itemId, quantity, reason, description, photos } = req.body;
+    if (!itemId || !reason) return res.status(400).json({ message: "Item and reason are required" });
+
+    const returnRequest = await createGuestReturn(order, { itemId, quantity, reason, description, photos });
+    res.status(201).json({ message: "Return request submitted", returnRequest });
+  } catch (err) {
+    sendGuestOrderError(res, err, "Failed to create return request");
+  }
+});
+
+// Track order by ID, order number or tracking number.
+// NEW: Send the order link token (X-Order-Token or ?token=) to get the full order instead of the public view.
 router.get("/track/:orderId", async (req, res) => {
   try {
     const searchTerm = req.params.orderId.trim();
+    const accessToken = orderAccessTokenOf(req);
     
     if (!searchTerm) {
       return res.status(400).json({ message: "Please provide an order ID or tracking number" });
@@ -1054,7 +1331,7 @@ router.get("/track/:orderId", async (req, res) => {
         .populate("items.sellerId", "name")
         .populate("outletId", "name location address phone")
         .populate("userId", "name email phone")
-        .select("-stripeSessionId");
+        .select("-stripeSessionId -statusHistory.actorId");
     };
     
     // FIRST: Try to find by tracking number (most common use case for tracking)
@@ -1067,7 +1344,7 @@ router.get("/track/:orderId", async (req, res) => {
       console.log("✅ Found order by tracking number:", order._id);
       console.log("📋 Order guestInfo:", order.guestInfo);
       console.log("📋 Order userId:", order.userId);
-      return res.json(order);
+      return res.json(await trackingView(order, accessToken));
     }
     
     // SECOND: If not found by tracking number and search term is a valid ObjectId, try by order ID
@@ -1081,7 +1358,7 @@ router.get("/track/:orderId", async (req, res) => {
           console.log("✅ Found order by ObjectId:", order._id);
           console.log("📋 Order guestInfo:", order.guestInfo);
           console.log("📋 Order userId:", order.userId);
-          return res.json(order);
+          return res.json(await trackingView(order, accessToken));
         }
       } catch (idError) {
         // If findById throws an error, continue to next search
@@ -1089,28 +1366,16 @@ router.get("/track/:orderId", async (req, res) => {
       }
     }
     
-    // THIRD: If still not found and search term is 8 characters, try to match by last 8 characters of order ID
-    if (!order && searchTerm.length === 8) {
-      try {
-        // Find all orders and filter by last 8 characters of _id
-        const allOrders = await populateOrder(
-          Order.find({})
-        ).lean();
-        
-        // Find order where last 8 characters of _id match
-        order = allOrders.find(o => {
-          const orderIdStr = o._id.toString();
-          return orderIdStr.slice(-8).toLowerCase() === searchTerm.toLowerCase();
-        });
-        
-        if (order) {
-          console.log("✅ Found order by last 8 characters:", order._id);
-          console.log("📋 Order guestInfo:", order.guestInfo);
-          console.log("📋 Order userId:", order.userId);
-          return res.json(order);
-        }
-      } catch (searchError) {
-        console.log("⚠️ Error in partial ID search:", searchError.message);
+    // THIRD: Order number - "ORD-1A2B3C4D", or "#1a2b3c4d" / "1a2b3c4d" as older emails showed it (indexed lookup)
+    const orderNumber = normalizeOrderNumber(searchTerm);
+    if (orderNumber) {
+      order = await populateOrder(
+        Order.findOne({ orderNumber })
+      );
+
+      if (order) {
+        console.log("✅ Found order by order number:", order.orderNumber);
+        return res.json(await trackingView(order, accessToken));
       }
     }
     
@@ -1120,13 +1385,14 @@ router.get("/track/:orderId", async (req, res) => {
     });
     
   } catch (err) {
+    if (err instanceof OrderAccessError) return res.status(err.status).json({ message: err.message });
     console.error("❌ Error tracking order:", err);
     res.status(500).json({ message: "Failed to track order" });
   }
 });
 
 // NEW: Export processed orders to PDF
-router.get("/processed/export-pdf", authMiddleware, roleCheck(["admin", "company"]), async (req, res) => {
+router.get("/processed/export-pdf", authMiddleware, requirePermission("orders:read:all"), async (req, res) => {
   try {
     const { orderIds } = req.query;
     let orderIdArray = [];
@@ -1143,7 +1409,7 @@ router.get("/processed/export-pdf", authMiddleware, roleCheck(["admin", "company
     }
 
     // Fetch processed orders
-    let query = { orderStatus: "Processing" };
+    let query = { orderStatus: { $in: IN_FULFILLMENT_STATUSES } };
     if (orderIdArray.length > 0) {
       query._id = { $in: orderIdArray };
     }
@@ -1187,7 +1453,7 @@ router.get("/processed/export-pdf", authMiddleware, roleCheck(["admin", "company
       }
 
       // Order Header
-      doc.fontSize(14).fillColor("black").text(`Order #${order._id.toString().slice(-8)}`, { continued: false });
+      doc.fontSize(14).fillColor("black").text(`Order ${orderNumberOf(order)}`, { continued: false });
       doc.fontSize(10).fillColor("gray").text(`Date: ${new Date(order.createdAt).toLocaleDateString()}`, { continued: true });
       doc.text(` | Processed: ${new Date(order.updatedAt).toLocaleDateString()}`, { continued: true });
       doc.moveDown(0.5);
@@ -1264,6 +1530,18 @@ router.get("/processed/export-pdf", authMiddleware, roleCheck(["admin", "company
       if (order.outletId) {
         doc.text(`Pickup Outlet: ${order.outletId.name} - ${order.outletId.location || ""}`);
       }
+      // NEW: Slot booked at checkout
+      if (order.pickupSlot?.start) {
+        doc.text(`Pickup Slot: ${formatTimeRange(order.pickupSlot.start, order.pickupSlot.end, "en")}`);
+      }
+      // NEW: Tax as worked out at checkout
+      if (order.tax?.breakdown?.length) {
+        doc.text(`Taxed in: ${order.tax.country}`);
+        order.tax.breakdown.forEach(row => {
+          const label = row.taxScheme === "margin" ? `Margin scheme (§25a) at ${row.vatRate}%` : `VAT ${row.vatRate}%`;
+          doc.text(`${label}: net €${row.net.toFixed(2)}, tax €${row.tax.toFixed(2)}`);
+        });
+      }
       doc.fontSize(12).fillColor("green").text(`Total: €${order.total.toFixed(2)}`, { align: "right" });
 
       // Separator
@@ -1285,7 +1563,7 @@ router.get("/processed/export-pdf", authMiddleware, roleCheck(["admin", "company
 });
 
 // NEW: Bulk delete processed orders
-router.delete("/processed/bulk-delete", authMiddleware, roleCheck(["admin", "company"]), async (req, res) => {
+router.delete("/processed/bulk-delete", authMiddleware, requirePermission("orders:manage"), async (req, res) => {
   try {
     const { orderIds } = req.body;
 
@@ -1296,7 +1574,7 @@ router.delete("/processed/bulk-delete", authMiddleware, roleCheck(["admin", "com
     // Verify all orders are processed before deleting
     const orders = await Order.find({
       _id: { $in: orderIds },
-      orderStatus: "Processing"
+      orderStatus: { $in: IN_FULFILLMENT_STATUSES }
     });
 
     if (orders.length === 0) {
@@ -1306,7 +1584,7 @@ router.delete("/processed/bulk-delete", authMiddleware, roleCheck(["admin", "com
     // Delete the orders
     const deleteResult = await Order.deleteMany({
       _id: { $in: orderIds },
-      orderStatus: "Processing"
+      orderStatus: { $in: IN_FULFILLMENT_STATUSES }
     });
 
     res.json({
@@ -1321,7 +1599,6 @@ router.delete("/processed/bulk-delete", authMiddleware, roleCheck(["admin", "com
 
 // Export router as default, but also attach functions to it
 router.cancelOrder = cancelOrder;
-router.recoverOrderStock = recoverOrderStock;
-router.decreaseOrderStock = decreaseOrderStock;
+router.releaseOrderStock = releaseOrderStock;
 
 module.exports = router;
\ No newline at end of file
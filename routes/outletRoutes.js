@@ -1,6 +1,9 @@
 const express = require("express");
 const Outlet = require("../models/Outlet");
-const { authMiddleware, roleCheck } = require("../middlewares/auth");
+const User = require("../models/User");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
+const { permissionsFor, hasPermission } = require("../services/permissions");
+const { outletAvailability } = require("../services/pickupSlots");
 
 const router = express.Router();
 
@@ -15,8 +18,21 @@ router.get("/", async (req, res) => {
   }
 });
 
+// NEW: Pickup slots of an outlet with the places left - ?from=YYYY-MM-DD&days=7 (public, used at checkout)
+router.get("/:id/availability", async (req, res) => {
+  try {
+    const outlet = await Outlet.findOne({ _id: req.params.id, isActive: true });
+    if (!outlet) return res.status(404).json({ message: "Outlet not found" });
+    res.json(await outletAvailability(outlet, { from: req.query.from, days: req.query.days }));
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ message: err.message });
+    console.error("Error fetching outlet availability:", err);
+    res.status(500).json({ message: "Failed to fetch outlet availability" });
+  }
+});
+
 // Get all outlets (admin only)
-router.get("/all", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.get("/all", authMiddleware, requirePermission("outlets:manage"), async (req, res) => {
   try {
     const outlets = await Outlet.find().sort({ createdAt: -1 });
     res.json(outlets);
@@ -27,48 +43,55 @@ router.get("/all", authMiddleware, roleCheck(["admin"]), async (req, res) => {
 });
 
 // Create outlet (admin only)
-router.post("/", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.post("/", authMiddleware, requirePermission("outlets:manage"), async (req, res) => {
   try {
-    const { name, location, address, phone, email } = req.body;
+    const { name, location, address, phone, email, openingHours, closures, slotMinutes, slotCapacity } = req.body;
     
     const outlet = new Outlet({
       name,
       location,
       address,
       phone,
-      email
+      email,
+      openingHours,
+      closures,
+      slotMinutes,
+      slotCapacity
     });
     
     await outlet.save();
     res.status(201).json({ message: "Outlet created successfully", outlet });
   } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
     console.error("Error creating outlet:", err);
     res.status(500).json({ message: "Failed to create outlet" });
   }
 });
 
 // Update outlet (admin only)
-router.put("/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.put("/:id", authMiddleware, requirePermission("outlets:manage"), async (req, res) => {
   try {
-    const outlet = await Outlet.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      { new: true }
-    );
-    
+    // NEW: Loaded and saved so opening hours are validated as a whole (closing after opening)
+    const outlet = await Outlet.findById(req.params.id);
     if (!outlet) return res.status(404).json({ message: "Outlet not found" });
+
+    outlet.set({ ...req.body, updatedAt: Date.now() });
+    await outlet.save();
     res.json({ message: "Outlet updated successfully", outlet });
   } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
     console.error("Error updating outlet:", err);
     res.status(500).json({ message: "Failed to update outlet" });
   }
 });
 
 // Delete outlet (admin only)
-router.delete("/:id", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.delete("/:id", authMiddleware, requirePermission("outlets:manage"), async (req, res) => {
   try {
     const outlet = await Outlet.findByIdAndDelete(req.params.id);
     if (!outlet) return res.status(404).json({ message: "Outlet not found" });
+    // NEW: Its staff no longer work there
+    await User.updateMany({ outlets: outlet._id }, { $pull: { outlets: outlet._id } });
     res.json({ message: "Outlet deleted successfully" });
   } catch (err) {
     console.error("Error deleting outlet:", err);
@@ -76,4 +99,55 @@ router.delete("/:id", authMiddleware, roleCheck(["admin"]), async (req, res) =>
   }
 });
 
+// NEW: Staff assigned to an outlet (admin only)
+router.get("/:id/staff", authMiddleware, requirePermission("outlets:manage"), async (req, res) => {
+  try {
+    const staff = await User.find({ outlets: req.params.id }).select("name email role").sort({ name: 1 });
+    res.json(staff);
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ message: err.message });
+    console.error("Error fetching outlet staff:", err);
+    res.status(500).json({ message: "Failed to fetch outlet staff" });
+  }
+});
+
+// NEW: Assign a user to an outlet (admin only). Their role needs orders:handover:outlet -
+// give them the outlet_staff role (or a custom one) first.
+router.put("/:id/staff/:userId", authMiddleware, requirePermission("outlets:manage"), async (req, res) => {
+  try {
+    const [outlet, user] = await Promise.all([
+      Outlet.findById(req.params.id),
+      User.findById(req.params.userId).select("role")
+    ]);
+    if (!outlet) return res.status(404).json({ message: "Outlet not found" });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!hasPermission(await permissionsFor(user.role), "orders:handover:outlet")) {
+      return res.status(400).json({ message: `Role "${user.role}" can't hand over pickup orders - assign an outlet staff role first` });
+    }
+
+    const updated = await User.findByIdAndUpdate(user._id, { $addToSet: { outlets: outlet._id } }, { new: true })
+      .select("name email role outlets");
+    console.log(`✅ User ${user._id} assigned to outlet ${outlet.name}`);
+    res.json({ message: "Staff assigned successfully", user: updated });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ message: err.message });
+    console.error("Error assigning outlet staff:", err);
+    res.status(500).json({ message: "Failed to assign outlet staff" });
+  }
+});
+
+// NEW: Remove a user from an outlet (admin only)
+router.delete("/:id/staff/:userId", authMiddleware, requirePermission("outlets:manage"), async (req, res) => {
+  try {
+    const updated = await User.findByIdAndUpdate(req.params.userId, { $pull: { outlets: req.params.id } }, { new: true })
+      .select("name email role outlets");
+    if (!updated) return res.status(404).json({ message: "User not found" });
+    res.json({ message: "Staff removed successfully", user: updated });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ message: err.message });
+    console.error("Error removing outlet staff:", err);
+    res.status(500).json({ message: "Failed to remove outlet staff" });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,15 @@
   const express = require("express");
   const router = express.Router();
   const Product = require("../models/Product");
-  const { authMiddleware, roleCheck } = require("../middlewares/auth");
+  const { searchProducts, suggestProducts, availableFilters } = require("../services/productSearch");
+  const { authMiddleware, requirePermission } = require("../middlewares/auth");
+  const { hasPermission } = require("../services/permissions");
   const axios = require("axios");
 
+  // Sellers edit their own products, products:write edits any
+  const canWriteProduct = (product, user) =>
+    hasPermission(user.permissions, "products:write") || product.sellerId?.toString() === user._id.toString();
+
   // Helper function to delete images from Cloudinary
   const deleteImagesFromCloudinary = async (imageUrls, authHeader) => {
     if (!imageUrls || imageUrls.length === 0) return;
@@ -28,16 +34,36 @@
     return firstVariant.images || [];
   };
 
+  // NEW: Show the first enabled variant's price (and images if the product has none)
+  // Keeps product.images as common images - variant images are only a fallback.
+  // When spec filters picked a variant (matchedVariant), that one is shown instead.
+  const withVariantDisplayData = (product) => {
+    if (product.variants && product.variants.length > 0) {
+      const firstEnabledVariant = product.matchedVariant ||
+        product.variants.find(v => v.enabled !== false) || product.variants[0];
+      if (firstEnabledVariant) {
+        if (firstEnabledVariant.price !== undefined) {
+          product.price = firstEnabledVariant.price;
+        }
+        if ((!product.images || product.images.length === 0) && 
+            firstEnabledVariant.images && firstEnabledVariant.images.length > 0) {
+          product.images = firstEnabledVariant.images;
+        }
+      }
+    }
+    return product;
+  };
+
   // Add product
   router.post(
     "/",
     authMiddleware,
-    roleCheck(["seller_candidate", "admin"]),
+    requirePermission("products:write:own", "products:write"),
     async (req, res) => {
       try {
-        const { name, description, price, quantity, category, images, categoryRef, specs, variants } = req.body;
+        const { name, description, price, quantity, category, images, categoryRef, specs, variants, taxScheme, weight } = req.body;
 
-        if (req.user.role === "seller_candidate" && !req.user.verified) {
+        if (!hasPermission(req.user.permissions, "products:write") && !req.user.verified) {
           return res
             .status(403)
             .json({ message: "You are not verified to add products" });
@@ -75,7 +101,9 @@
           sellerId: req.user._id,
           categoryRef: categoryRef || null,
           specs: specs || {},
-          variants: variants || []
+          variants: variants || [],
+          taxScheme: taxScheme || undefined,
+          weight: weight ?? undefined
         });
 
         await product.save();
@@ -95,21 +123,8 @@
         return res.json([]);
       }
       
-      // Use FULL search query, not truncated
-      const fullSearchTerm = q.trim().toLowerCase();
-      console.log("Search suggestions: Full query received:", fullSearchTerm, "Length:", fullSearchTerm.length);
-      
-      // Get all product names for suggestions
-      const products = await Product.find({}, 'name').limit(20);
-      
-      // Filter and format suggestions - use FULL search term
-      const suggestions = products
-        .map(product => product.name)
-        .filter(name => name && name.toLowerCase().includes(fullSearchTerm)) // Use full term, not just first 2 chars
-        .slice(0, 5) // Limit to 5 suggestions
-        .map(name => ({ name, value: name }));
-      
-      console.log("Search suggestions: Returning", suggestions.length, "suggestions");
+      // Ranked by how much of the query matches the name, so small typos still suggest something
+      const suggestions = await suggestProducts(q, 5);
       res.json(suggestions);
     } catch (err) {
       console.error("Error fetching search suggestions:", err);
@@ -117,125 +132,44 @@
     }
   });
 
-  // Get all products with filtering
-  router.get("/", async (req, res) => {
+  // NEW: Spec filters the client can offer for a category (names from Category specs, values from stock)
+  router.get("/filters", async (req, res) => {
     try {
-      const { category, minPrice, maxPrice, condition, search, featured } =
-        req.query;
-
-      // Build filter object
-      let filter = {};
-
-      // Featured filter
-      if (featured === "true") {
-        filter.featured = true;
-      }
-
-      // Category filter
-      if (category) {
-        filter.category = { $regex: category, $options: "i" };
-      }
-
-      // NEW: Price filtering is now done after fetching to check variant prices
-      // Removed MongoDB price filter - we'll filter by minimum variant price in JavaScript
-
-      // Condition filter
-      if (condition) {
-        filter.condition = condition;
-      }
-
-      // Normalize search query: remove spaces and convert to lowercase for robust matching
-      // This allows "iphone12 pro" to match "iPhone 12 Pro"
-      const normalizeSearch = (text) => {
-        if (!text) return '';
-        // Convert to string, trim, lowercase, and remove all spaces
-        return String(text).trim().toLowerCase().replace(/\s+/g, '');
-      };
-
-      // Helper function to get minimum price from product variants
-      // NEW: Returns the least price among all enabled variants, or product.price if no variants
-      const getMinimumVariantPrice = (product) => {
-        if (product.variants && product.variants.length > 0) {
-          // Filter enabled variants and get their prices
-          const enabledVariants = product.variants.filter(v => v.enabled !== false);
-          if (enabledVariants.length > 0) {
-            const prices = enabledVariants.map(v => v.price).filter(price => price !== undefined && price !== null);
-            if (prices.length > 0) {
-              return Math.min(...prices);
-            }
-          }
-        }
-        // Fallback to product.price if no variants or no valid variant prices
-        return product.price || 0;
-      };
+      res.json(await availableFilters(req.query));
+    } catch (err) {
+      console.error("Error fetching product filters:", err);
+      res.status(500).json({ message: err.message });
+    }
+  });
 
-      // For search, we'll do comprehensive filtering after fetching
-      // Don't use regex filter as it doesn't handle space variations well
-      // Instead, fetch products based on other filters and do robust search in JavaScript
+  // NEW: Search with relevance, pagination, sorting and facet counts
+  // Query: q, category, categoryRef, minPrice, maxPrice, featured, sort (relevance|price_asc|price_desc|newest|rating), page, limit
+  // plus variant filters: any Category spec name (storage=128GB,256GB&color=Black), appearance (or condition) and battery
+  router.get("/search", async (req, res) => {
+    try {
+      const result = await searchProducts({ ...req.query, paginate: true });
+      res.json({ ...result, products: result.products.map(withVariantDisplayData) });
+    } catch (err) {
+      console.error("Error searching products:", err);
+      res.status(500).json({ message: err.message });
+    }
+  });
 
-      console.log("Filtering with:", filter);
-      if (search) {
-        console.log("Backend received search term:", search, "Length:", search.length, "Normalized:", normalizeSearch(search));
-      }
+  // Get all products with filtering
+  // NEW: Filtering, search and sorting run in the database (services/productSearch).
+  // Returns a plain array like before unless page or limit is given - then the /search envelope.
+  // The plain array holds at most PRODUCT_LIST_LIMIT (200) products; X-Total-Count tells how many
+  // matched, so clients can tell a cut list and page through /search instead.
+  router.get("/", async (req, res) => {
+    try {
+      const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+      const result = await searchProducts({ ...req.query, paginate });
 
-      let products = await Product.find(filter).populate(
-        "sellerId",
-        "name role"
-      ).populate("categoryRef", "name specs");
-      
-      console.log(`Fetched ${products.length} products before filtering`);
-      
-      // NEW: Filter by search FIRST, then by price
-      // This ensures search results are properly filtered by price range
-      if (search && search.trim()) {
-        const normalizedSearch = normalizeSearch(search);
-        
-        products = products.filter(product => {
-          // NEW: Only check product name with exact matching (normalized)
-          // "iphone 13" matches "iPhone 13", "iphone13", "IPHONE 13" but NOT "iPhone 12", "iPhone 14", or "iPhone 13 Pro"
-          const normalizedProductName = normalizeSearch(product.name);
-          
-          // Exact match only - ensures "iphone 13" only matches products named exactly "iPhone 13"
-          // This prevents matching "iPhone 12" or "iPhone 14" which would have normalized names "iphone12" and "iphone14"
-          return normalizedProductName === normalizedSearch;
-        });
-        
-        console.log(`After search filtering: ${products.length} products match`);
+      if (paginate) {
+        return res.json({ ...result, products: result.products.map(withVariantDisplayData) });
       }
-      
-      // NEW: Filter by price range AFTER search (so price filter works with search results)
-      if (minPrice || maxPrice) {
-        const minPriceNum = minPrice ? Number(minPrice) : 0;
-        const maxPriceNum = maxPrice ? Number(maxPrice) : Number.MAX_SAFE_INTEGER;
-        
-        products = products.filter(product => {
-          const minVariantPrice = getMinimumVariantPrice(product);
-          return minVariantPrice >= minPriceNum && minVariantPrice <= maxPriceNum;
-        });
-        
-        console.log(`After price filtering (by variant min price): ${products.length} products match`);
-      }
-      
-      // NEW: Update product price from first variant if variants exist
-      // NEW: Keep product.images as common images (don't overwrite with variant images)
-      const productsWithVariantData = products.map(product => {
-        if (product.variants && product.variants.length > 0) {
-          const firstEnabledVariant = product.variants.find(v => v.enabled !== false) || product.variants[0];
-          if (firstEnabledVariant) {
-            if (firstEnabledVariant.price !== undefined) {
-              product.price = firstEnabledVariant.price;
-            }
-            // NEW: Only use first variant's images if product has no common images
-            if ((!product.images || product.images.length === 0) && 
-                firstEnabledVariant.images && firstEnabledVariant.images.length > 0) {
-              product.images = firstEnabledVariant.images;
-            }
-          }
-        }
-        return product;
-      });
-      
-      res.json(productsWithVariantData);
+      res.setHeader("X-Total-Count", String(result.total));
+      res.json(result.products.map(withVariantDisplayData));
     } catch (err) {
       res.status(500).json({ message: err.message });
     }
@@ -245,14 +179,14 @@
   router.put(
     "/:id",
     authMiddleware,
-    roleCheck(["seller_candidate", "admin"]),
+    requirePermission("products:write:own", "products:write"),
     async (req, res) => {
       try {
         const product = await Product.findById(req.params.id);
         if (!product)
           return res.status(404).json({ message: "Product not found" });
 
-        if (product.sellerId.toString() !== req.user._id.toString()) {
+        if (!canWriteProduct(product, req.user)) {
           return res
             .status(403)
             .json({ message: "You cannot edit this product" });
@@ -399,6 +333,8 @@
 
         // Remove basePrice from update (no longer used)
         delete req.body.basePrice;
+        // Only products created from bought devices are the shop's own
+        delete req.body.shopOwned;
 
         Object.assign(product, req.body, { updatedAt: Date.now() });
         await product.save();
@@ -413,14 +349,14 @@
   router.delete(
     "/:id",
     authMiddleware,
-    roleCheck(["seller_candidate", "admin"]),
+    requirePermission("products:write:own", "products:write"),
     async (req, res) => {
       try {
         const product = await Product.findById(req.params.id);
         if (!product)
           return res.status(404).json({ message: "Product not found" });
 
-        if (product.sellerId.toString() !== req.user._id.toString()) {
+        if (!canWriteProduct(product, req.user)) {
           return res
             .status(403)
             .json({ message: "You cannot delete this product" });
@@ -489,7 +425,7 @@
   router.patch(
     "/:id/featured",
     authMiddleware,
-    roleCheck(["admin"]),
+    requirePermission("products:write"),
     async (req, res) => {
       try {
         const product = await Product.findById(req.params.id);
@@ -544,14 +480,14 @@
   });
 
   // Generate variants for a product
-  router.post("/:id/generate-variants", authMiddleware, roleCheck(["seller_candidate", "admin"]), async (req, res) => {
+  router.post("/:id/generate-variants", authMiddleware, requirePermission("products:write:own", "products:write"), async (req, res) => {
     try {
       const { multipleSpecs } = req.body;
       
       const product = await Product.findById(req.params.id);
       if (!product) return res.status(404).json({ message: "Product not found" });
 
-      if (product.sellerId.toString() !== req.user._id.toString()) {
+      if (!canWriteProduct(product, req.user)) {
         return res.status(403).json({ message: "You cannot edit this product" });
       }
 
@@ -604,14 +540,14 @@
   });
 
   // Update variant details + Image cleanup
-  router.put("/:productId/variants/:variantIndex", authMiddleware, roleCheck(["seller_candidate", "admin"]), async (req, res) => {
+  router.put("/:productId/variants/:variantIndex", authMiddleware, requirePermission("products:write:own", "products:write"), async (req, res) => {
     try {
       const { price, quantity, images, enabled } = req.body;
       
       const product = await Product.findById(req.params.productId);
       if (!product) return res.status(404).json({ message: "Product not found" });
 
-      if (product.sellerId.toString() !== req.user._id.toString()) {
+      if (!canWriteProduct(product, req.user)) {
         return res.status(403).json({ message: "You cannot edit this product" });
       }
 
@@ -0,0 +1,153 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const ReturnRequest = require("../models/ReturnRequest");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
+const { ReturnError, createReturn, reviewReturn, inspectReturn, resolveReturn } = require("../services/returns");
+const { RefundError } = require("../services/refunds");
+const { StockReservationError } = require("../services/stockReservation");
+const { OrderTransitionError, actorFromUser } = require("../services/orderStateMachine");
+const { hasPermission } = require("../services/permissions");
+
+const router = express.Router();
+
+// Errors from the return workflow and the services it drives all carry a status
+const sendReturnError = (res, err, fallback) => {
+  if (err instanceof ReturnError || err instanceof RefundError || err instanceof OrderTransitionError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  if (err instanceof StockReservationError) {
+    return res.status(err.status).json({ message: err.message, shortfalls: err.shortfalls });
+  }
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+// Load a return request by :id for the admin step routes
+const loadReturn = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: "Invalid return request id" });
+    return null;
+  }
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+  if (!returnRequest) res.status(404).json({ message: "Return request not found" });
+  return returnRequest;
+};
+
+// Open a return for an order line. Photos are uploaded first via /api/upload/upload?folder=returns
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { orderId, itemId, quantity, reason, description, photos } = req.body;
+    if (!orderId || !itemId || !reason) {
+      return res.status(400).json({ message: "Order, item and reason are required" });
+    }
+
+    const returnRequest = await createReturn(req.user, { orderId, itemId, quantity, reason, description, photos });
+    res.status(201).json({ message: "Return request submitted", returnRequest });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    sendReturnError(res, err, "Failed to create return request");
+  }
+});
+
+// Customer's own return requests
+router.get("/my", authMiddleware, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ userId: req.user._id })
+      .populate("productId", "name images")
+      .sort({ createdAt: -1 });
+    res.json(returns);
+  } catch (err) {
+    sendReturnError(res, err, "Failed to fetch return requests");
+  }
+});
+
+// All return requests, optionally filtered by status (admin only)
+router.get("/", authMiddleware, requirePermission("returns:manage"), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const returns = await ReturnRequest.find(filter)
+      .populate("productId", "name images")
+      .populate("userId", "name email phone")
+      .populate("orderId", "total paymentMethod paymentStatus orderStatus deliveryMethod createdAt")
+      .sort({ createdAt: -1 });
+    res.json(returns);
+  } catch (err) {
+    sendReturnError(res, err, "Failed to fetch return requests");
+  }
+});
+
+// Single return request - the customer who opened it or an admin
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid return request id" });
+    }
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate("productId", "name images")
+      .populate("orderId", "total paymentMethod paymentStatus orderStatus deliveryMethod createdAt");
+    if (!returnRequest) return res.status(404).json({ message: "Return request not found" });
+
+    const isStaff = hasPermission(req.user.permissions, "returns:manage");
+    if (!isStaff && returnRequest.userId?.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: "Return request not found" });
+    }
+    res.json(returnRequest);
+  } catch (err) {
+    sendReturnError(res, err, "Failed to fetch return request");
+  }
+});
+
+// Approve or reject (admin only) - body: { decision: "approve" | "reject", note }
+router.put("/:id/review", authMiddleware, requirePermission("returns:manage"), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    const updated = await reviewReturn(returnRequest, {
+      decision: req.body.decision,
+      note: req.body.note,
+      actor: actorFromUser(req.user)
+    });
+    res.json({ message: `Return request ${updated.status}`, returnRequest: updated });
+  } catch (err) {
+    sendReturnError(res, err, "Failed to review return request");
+  }
+});
+
+// Record the inspection grade (admin only) - body: { grade, notes }
+router.put("/:id/inspect", authMiddleware, requirePermission("returns:manage"), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    const updated = await inspectReturn(returnRequest, {
+      grade: req.body.grade,
+      notes: req.body.notes,
+      actor: actorFromUser(req.user)
+    });
+    res.json({ message: "Inspection recorded", returnRequest: updated });
+  } catch (err) {
+    sendReturnError(res, err, "Failed to record inspection");
+  }
+});
+
+// Decide the outcome (admin only) - body: { resolution: "refund" | "replacement" | "restock_lower_grade", price, note }
+// `price` is only used when restocking creates a new variant for the inspected grade
+router.put("/:id/resolve", authMiddleware, requirePermission("returns:manage"), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    const updated = await resolveReturn(returnRequest, {
+      resolution: req.body.resolution,
+      price: req.body.price,
+      note: req.body.note,
+      actor: actorFromUser(req.user)
+    });
+    res.json({ message: "Return completed", returnRequest: updated });
+  } catch (err) {
+    sendReturnError(res, err, "Failed to resolve return request");
+  }
+});
+
+module.exports = router;
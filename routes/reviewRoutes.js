@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const Product = require("../models/Product");
-const { authMiddleware, roleCheck } = require("../middlewares/auth");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
 const cloudinary = require("cloudinary").v2;
 
 // Add review
@@ -57,7 +57,7 @@ router.get("/:productId/reviews", async (req, res) => {
 });
 
 // NEW: Update a review (Admin only)
-router.put("/:productId/reviews/:reviewId", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.put("/:productId/reviews/:reviewId", authMiddleware, requirePermission("reviews:moderate"), async (req, res) => {
   try {
     const { rating, comment, images } = req.body;
     const { productId, reviewId } = req.params;
@@ -112,7 +112,7 @@ router.put("/:productId/reviews/:reviewId", authMiddleware, roleCheck(["admin"])
 });
 
 // NEW: Delete a review (Admin only)
-router.delete("/:productId/reviews/:reviewId", authMiddleware, roleCheck(["admin"]), async (req, res) => {
+router.delete("/:productId/reviews/:reviewId", authMiddleware, requirePermission("reviews:moderate"), async (req, res) => {
   try {
     const { productId, reviewId } = req.params;
 
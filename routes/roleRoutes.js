@@ -0,0 +1,85 @@
+const express = require("express");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
+const { PERMISSIONS, PermissionError, saveRole, deleteRole, assignRole } = require("../services/permissions");
+const { actorFromUser } = require("../services/orderStateMachine");
+
+const router = express.Router();
+
+const sendRoleError = (res, err, fallback) => {
+  if (err instanceof PermissionError) return res.status(err.status).json({ message: err.message });
+  if (err.name === "CastError" || err.name === "ValidationError") return res.status(400).json({ message: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+const loadRole = (name) => Role.findOne({ name: String(name).toLowerCase() });
+
+// Every permission a role can be given, with what it allows
+router.get("/permissions", authMiddleware, requirePermission("roles:manage"), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// All roles with how many users have each
+router.get("/", authMiddleware, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ builtIn: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: "$role", users: { $sum: 1 } } }])
+    ]);
+    const usersByRole = new Map(counts.map(count => [count._id, count.users]));
+    res.json(roles.map(role => ({ ...role, users: usersByRole.get(role.name) || 0 })));
+  } catch (err) {
+    sendRoleError(res, err, "Failed to fetch roles");
+  }
+});
+
+// Create a staff role - body: { name, label, description, permissions }
+router.post("/", authMiddleware, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const role = await saveRole(req.body, null, actorFromUser(req.user));
+    res.status(201).json({ message: "Role created successfully", role });
+  } catch (err) {
+    sendRoleError(res, err, "Failed to create role");
+  }
+});
+
+// Change a role's label, description or permissions
+router.put("/:name", authMiddleware, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const role = await loadRole(req.params.name);
+    if (!role) return res.status(404).json({ message: "Role not found" });
+    const saved = await saveRole(req.body, role, actorFromUser(req.user));
+    res.json({ message: "Role updated successfully", role: saved });
+  } catch (err) {
+    sendRoleError(res, err, "Failed to update role");
+  }
+});
+
+// Delete a custom role no user has any more
+router.delete("/:name", authMiddleware, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const role = await loadRole(req.params.name);
+    if (!role) return res.status(404).json({ message: "Role not found" });
+    await deleteRole(role, actorFromUser(req.user));
+    res.json({ message: "Role deleted successfully" });
+  } catch (err) {
+    sendRoleError(res, err, "Failed to delete role");
+  }
+});
+
+// Give a user a role - body: { role }
+router.put("/users/:userId", authMiddleware, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("role");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!req.body.role) return res.status(400).json({ message: "Role is required" });
+    const updated = await assignRole(user, String(req.body.role).toLowerCase(), actorFromUser(req.user));
+    res.json({ message: "Role assigned successfully", user: updated });
+  } catch (err) {
+    sendRoleError(res, err, "Failed to assign role");
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,26 @@
 const router = require('express').Router();
-const { authMiddleware, roleCheck } = require('../middlewares/auth');
+const { authMiddleware, requirePermission } = require('../middlewares/auth');
 const sellController = require('../controllers/sellRequestController');
 
 // C2B flow
-router.post('/', authMiddleware, roleCheck(['buyer','seller_candidate']), sellController.createSellRequest);
+router.post('/', authMiddleware, requirePermission('sellrequests:create'), sellController.createSellRequest);
 router.get('/my', authMiddleware, sellController.getMySellRequests);
-router.get('/', authMiddleware, roleCheck(['admin','company']), sellController.getSellRequests);
-router.put('/:id', authMiddleware, roleCheck(['admin','company']), sellController.updateSellRequestStatus);
+router.get('/', authMiddleware, requirePermission('sellrequests:manage'), sellController.getSellRequests);
+router.put('/:id', authMiddleware, requirePermission('sellrequests:manage'), sellController.updateSellRequestStatus);
+
+// Buyback negotiation
+router.post('/:id/accept', authMiddleware, sellController.acceptOffer);
+router.post('/:id/decline', authMiddleware, sellController.declineOffer);
+router.post('/:id/requote', authMiddleware, sellController.requoteSellRequest);
+router.post('/:id/counter-offer', authMiddleware, requirePermission('sellrequests:manage'), sellController.counterOfferSellRequest);
+
+// Device intake, inspection and payout (admin)
+router.post('/:id/label', authMiddleware, requirePermission('sellrequests:manage'), sellController.issueShippingLabel);
+router.post('/:id/receive', authMiddleware, requirePermission('sellrequests:manage'), sellController.markReceived);
+router.post('/:id/inspect', authMiddleware, requirePermission('sellrequests:manage'), sellController.inspectSellRequest);
+router.post('/:id/final-offer', authMiddleware, requirePermission('sellrequests:manage'), sellController.makeFinalOffer);
+router.post('/:id/return', authMiddleware, requirePermission('sellrequests:manage'), sellController.returnToSeller);
+router.post('/:id/pay-out', authMiddleware, requirePermission('sellrequests:manage'), sellController.markPaidOut);
+router.post('/:id/convert', authMiddleware, requirePermission('sellrequests:manage'), sellController.convertToProduct);
 
 module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const SellerForm = require('../models/SellerForm');
-const { authMiddleware, roleCheck } = require('../middlewares/auth');
+const { authMiddleware, requirePermission } = require('../middlewares/auth');
 
 // Submit a new seller form (B2C)
-router.post('/form', authMiddleware, roleCheck(['seller']), async (req, res) => {
+router.post('/form', authMiddleware, requirePermission('sellerforms:submit'), async (req, res) => {
   try {
     const { productName, quantity, price } = req.body;
 
@@ -23,7 +23,7 @@ router.post('/form', authMiddleware, roleCheck(['seller']), async (req, res) =>
 });
 
 // Admin: Get all seller forms
-router.get('/admin/forms', authMiddleware, roleCheck(['admin']), async (req, res) => {
+router.get('/admin/forms', authMiddleware, requirePermission('sellerforms:manage'), async (req, res) => {
   try {
     const forms = await SellerForm.find().populate('sellerId', 'name email');
     res.json(forms);
@@ -32,7 +32,7 @@ router.get('/admin/forms', authMiddleware, roleCheck(['admin']), async (req, res
   }
 });
 // routes/sellerForm.js (or existing seller form router)
-router.post('/admin/forms/:id/process', authMiddleware, roleCheck(['admin']), async (req, res) => {
+router.post('/admin/forms/:id/process', authMiddleware, requirePermission('sellerforms:manage'), async (req, res) => {
   try {
     const form = await SellerForm.findById(req.params.id);
     if (!form) return res.status(404).json({ message: 'Form not found' });
@@ -47,7 +47,7 @@ router.post('/admin/forms/:id/process', authMiddleware, roleCheck(['admin']), as
 });
 
 // routes/sellerForm.js - Add this route
-router.get('/my-forms', authMiddleware, roleCheck(['seller']), async (req, res) => {
+router.get('/my-forms', authMiddleware, requirePermission('sellerforms:submit'), async (req, res) => {
   try {
     const forms = await SellerForm.find({ sellerId: req.user._id })
       .sort({ createdAt: -1 });
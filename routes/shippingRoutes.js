@@ -0,0 +1,143 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const ShippingZone = require("../models/ShippingZone");
+const Shipment = require("../models/Shipment");
+const { authMiddleware, requirePermission } = require("../middlewares/auth");
+const { PricingError, priceOrderItems, applyCoupon, applyShipping } = require("../services/pricing");
+const { CouponError } = require("../services/coupons");
+const { ShippingError, saveZone } = require("../services/shipping");
+const { CarrierError } = require("../services/carriers");
+const { ShipmentError, refreshTracking } = require("../services/shipments");
+
+const router = express.Router();
+
+const sendShippingError = (res, err, fallback) => {
+  if (err instanceof ShippingError || err instanceof ShipmentError || err instanceof CarrierError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  if (err instanceof CouponError) return res.status(err.status).json({ message: err.message, reason: err.reason });
+  if (err instanceof PricingError) return res.status(err.status).json({ message: err.message, diff: err.diff });
+  if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ message: err.message });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+// Shipping and totals for a cart before checkout (public - works for guest carts too)
+// Body: { items, country, couponCode?, email? } - send the returned total with the checkout
+router.post("/quote", async (req, res) => {
+  try {
+    const { items = [], country, couponCode, email } = req.body;
+    if (!items.length) return res.status(400).json({ message: "No items provided" });
+
+    const priced = await applyShipping(
+      await applyCoupon(await priceOrderItems(items), { couponCode, email }),
+      { deliveryMethod: "delivery", country }
+    );
+    res.json({
+      subtotal: priced.subtotal,
+      discount: priced.discount,
+      shippingCost: priced.shippingCost,
+      shipping: {
+        country: priced.shipping.country,
+        weight: priced.shipping.weight,
+        baseCost: priced.shipping.baseCost,
+        free: priced.shipping.free,
+        freeShippingThreshold: priced.shipping.freeShippingThreshold
+      },
+      total: priced.total
+    });
+  } catch (err) {
+    sendShippingError(res, err, "Failed to quote shipping");
+  }
+});
+
+// Shipping zones (admin only)
+router.get("/zones", authMiddleware, requirePermission("shipping:manage", "shipments:manage"), async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ active: -1, name: 1 });
+    res.json(zones);
+  } catch (err) {
+    sendShippingError(res, err, "Failed to fetch shipping zones");
+  }
+});
+
+router.post("/zones", authMiddleware, requirePermission("shipping:manage"), async (req, res) => {
+  try {
+    const zone = await saveZone(req.body);
+    res.status(201).json({ message: "Shipping zone created", zone });
+  } catch (err) {
+    sendShippingError(res, err, "Failed to create shipping zone");
+  }
+});
+
+router.put("/zones/:id", authMiddleware, requirePermission("shipping:manage"), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ message: "Shipping zone not found" });
+    res.json({ message: "Shipping zone updated", zone: await saveZone(req.body, zone) });
+  } catch (err) {
+    sendShippingError(res, err, "Failed to update shipping zone");
+  }
+});
+
+// Orders keep their snapshot of the zone, so deleting one doesn't touch them
+router.delete("/zones/:id", authMiddleware, requirePermission("shipping:manage"), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ message: "Shipping zone not found" });
+    res.json({ message: "Shipping zone deleted" });
+  } catch (err) {
+    sendShippingError(res, err, "Failed to delete shipping zone");
+  }
+});
+
+// Shipments, newest first - ?orderId to get an order's parcel (staff only).
+// Labels are bought through POST /api/orders/:orderId/shipments.
+router.get("/shipments", authMiddleware, requirePermission("shipments:manage"), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = {};
+    if (req.query.orderId) {
+      if (!mongoose.isValidObjectId(req.query.orderId)) return res.status(400).json({ message: "Invalid order id" });
+      filter.orderId = req.query.orderId;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const [shipments, total] = await Promise.all([
+      Shipment.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Shipment.countDocuments(filter)
+    ]);
+    res.json({ shipments, page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    sendShippingError(res, err, "Failed to fetch shipments");
+  }
+});
+
+// Download the label PDF for printing (staff only)
+router.get("/shipments/:id/label", authMiddleware, requirePermission("shipments:manage"), async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id).select("+label.data");
+    if (!shipment) return res.status(404).json({ message: "Shipment not found" });
+    if (!shipment.label?.data) return res.status(409).json({ message: "This shipment has no label yet" });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="label-${shipment.trackingNumber}.pdf"`);
+    res.send(shipment.label.data);
+  } catch (err) {
+    sendShippingError(res, err, "Failed to fetch label");
+  }
+});
+
+// Fetch the latest tracking events from the carrier (staff only)
+router.post("/shipments/:id/tracking", authMiddleware, requirePermission("shipments:manage"), async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) return res.status(404).json({ message: "Shipment not found" });
+    res.json(await refreshTracking(shipment));
+  } catch (err) {
+    sendShippingError(res, err, "Failed to refresh tracking");
+  }
+});
+
+module.exports = router;
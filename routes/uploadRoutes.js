@@ -195,9 +195,20 @@ router.post("/upload-guest", upload.array("images", 5), async (req, res) => {
   }
 });
 
+// NEW: Cloudinary folders the authenticated upload may target (?folder=returns for return photos)
+const UPLOAD_FOLDERS = {
+  products: "fssmartphones/products",
+  returns: "fssmartphones/returns"
+};
+
 // Upload image endpoint with improved error handling and retry logic
 router.post("/upload", authMiddleware, upload.array("images", 5), async (req, res) => {
   try {
+    const folder = UPLOAD_FOLDERS[req.query.folder || req.body?.folder || "products"];
+    if (!folder) {
+      return res.status(400).json({ message: "Unknown upload folder" });
+    }
+
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ message: "No files uploaded" });
     }
@@ -225,7 +236,7 @@ router.post("/upload", authMiddleware, upload.array("images", 5), async (req, re
           
           // Upload with direct method - simpler and more reliable than streams
           const result = await cloudinary.uploader.upload(dataUri, {
-            folder: "fssmartphones/products",
+            folder,
             resource_type: "image",
             use_filename: true,
             unique_filename: true,
@@ -7,6 +7,7 @@ const connectDB = require("./config/db");
 const authRoutes = require("./routes/auth.js");
 const productRoutes = require("./routes/product");
 const sellRequestRoutes = require("./routes/sellRequest");
+const buybackRoutes = require("./routes/buybackRoutes");
 const adminRoutes = require("./routes/admin");
 const sellerFromRoutes = require("./routes/sellerForm.js");
 const reviewRoutes = require("./routes/reviewRoutes");
@@ -16,6 +17,11 @@ const orderRoutes = require("./routes/orderRoutes.js");
 const uploadRoutes = require("./routes/uploadRoutes");
 const categoryRoutes = require("./routes/category");
 const outletRoutes = require("./routes/outletRoutes.js");
+const couponRoutes = require("./routes/couponRoutes.js");
+const returnRoutes = require("./routes/returnRoutes.js");
+const invoiceRoutes = require("./routes/invoiceRoutes.js");
+const shippingRoutes = require("./routes/shippingRoutes.js");
+const roleRoutes = require("./routes/roleRoutes.js");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -39,6 +45,33 @@ if (process.env.NODE_ENV !== "test") {
   console.log("✅ Abandoned orders cron job started (runs every minute)");
 }
 
+// NEW: Send queued notifications and retry failed ones (runs every minute)
+if (process.env.NODE_ENV !== "test") {
+  const { sendDueNotifications } = require("./jobs/notificationOutbox");
+  setInterval(() => {
+    sendDueNotifications();
+  }, 60 * 1000);
+  console.log("✅ Notification outbox job started (runs every minute)");
+}
+
+// NEW: Fill in search fields for products saved before search indexing existed (no-op afterwards)
+if (process.env.NODE_ENV !== "test") {
+  const { reindexProducts } = require("./services/productSearch");
+  reindexProducts().catch(err => console.error("❌ Product reindex failed:", err.message));
+}
+
+// NEW: Give orders from before order numbers their ORD- number (no-op afterwards)
+if (process.env.NODE_ENV !== "test") {
+  const { backfillOrderNumbers } = require("./services/orderNumbers");
+  backfillOrderNumbers().catch(err => console.error("❌ Order number backfill failed:", err.message));
+}
+
+// NEW: Store the built-in roles (admin, buyer, seller, ...) on first start (no-op afterwards)
+if (process.env.NODE_ENV !== "test") {
+  const { ensureDefaultRoles } = require("./services/permissions");
+  ensureDefaultRoles().catch(err => console.error("❌ Creating built-in roles failed:", err.message));
+}
+
 // CORS configuration for production
 const allowedOrigins = [
   process.env.CLIENT_URL,
@@ -61,10 +94,12 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    exposedHeaders: ["X-Total-Count"], // NEW: total of the capped GET /api/products list
   })
 );
 
 app.use('/api/webhooks/stripe', require('./api/webhooks/stripe'));
+app.use('/api/webhooks/carriers', require('./api/webhooks/carriers'));
 // middleware for other routes (NO express.raw() for webhooks)
 app.use(express.json({ limit: "10mb" }));
 app.use(cookieParser());
@@ -92,6 +127,7 @@ app.get("/health", (req, res) =>
 app.use("/api/auth", authRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/sellrequests", sellRequestRoutes);
+app.use("/api/buyback", buybackRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/seller-company", sellerFromRoutes);
 app.use("/api/products", reviewRoutes);
@@ -99,6 +135,11 @@ app.use("/api/cart", cartRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/outlets", outletRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/shipping", shippingRoutes);
+app.use("/api/roles", roleRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/orders", orderRoutes);
 
@@ -0,0 +1,251 @@
+const Category = require("../models/Category");
+const BuybackPrice = require("../models/BuybackPrice");
+const SellRequest = require("../models/SellerRequest");
+const { compactName, specEntries } = require("./productIndex");
+
+// How long an instant quote or counter-offer can be accepted
+const QUOTE_VALID_DAYS = Number(process.env.BUYBACK_QUOTE_VALID_DAYS ?? 7);
+
+// Condition questions with the default deduction per answer, in percent of the grid price.
+// Categories can override single answers through Category.buybackDeductions.
+const CONDITION_QUESTIONS = {
+  screen: {
+    label: "Screen",
+    answers: { flawless: 0, minor_scratches: 5, heavy_scratches: 15, cracked: 40 }
+  },
+  battery: {
+    label: "Battery health",
+    answers: { above_90: 0, "80_to_90": 10, below_80: 25 }
+  },
+  housing: {
+    label: "Housing",
+    answers: { flawless: 0, minor_wear: 5, visible_wear: 15, damaged: 35 }
+  }
+};
+
+class BuybackError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BuybackError";
+    this.status = status;
+  }
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const addDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+// Order-independent lookup key for a spec combination - "128GB" and "128 gb" are the same
+const specKeyOf = (specs) => specEntries(specs)
+  .map(([name, value]) => `${compactName(name)}=${compactName(value)}`)
+  .sort()
+  .join("|");
+
+async function loadCategory(categoryId) {
+  const category = await Category.findById(categoryId);
+  if (!category) throw new BuybackError("Category not found", 404);
+  return category;
+}
+
+// Map the given specs onto the category's spec names (case-insensitive).
+// strict: unknown spec names are an error (admin grid rows) instead of being ignored (customer input).
+function categorySpecs(category, specs, { strict = false } = {}) {
+  const result = {};
+  specEntries(specs).forEach(([name, value]) => {
+    const spec = category.specs.find(s => s.name.toLowerCase() === String(name).trim().toLowerCase());
+    if (!spec) {
+      if (strict) throw new BuybackError(`${category.name} has no spec "${name}"`);
+      return;
+    }
+    if (value !== undefined && value !== null && String(value).trim()) result[spec.name] = String(value).trim();
+  });
+  if (Object.keys(result).length === 0) throw new BuybackError("Select the model and specs of your device");
+  return result;
+}
+
+// Questions with the deductions that apply in this category
+function conditionQuestions(category) {
+  const overrides = category?.buybackDeductions || [];
+  return Object.fromEntries(Object.entries(CONDITION_QUESTIONS).map(([question, { label, answers }]) => [
+    question,
+    {
+      label,
+      answers: Object.fromEntries(Object.entries(answers).map(([answer, percent]) => {
+        const override = overrides.find(o => o.question === question && o.answer === answer);
+        return [answer, override ? override.percent : percent];
+      }))
+    }
+  ]));
+}
+
+// Instant quote for a device: grid price minus the condition deductions, in whole euros
+async function computeQuote({ categoryId, specs, condition = {} }) {
+  if (!categoryId) throw new BuybackError("Category is required");
+  const category = await loadCategory(categoryId);
+  const deviceSpecs = categorySpecs(category, specs);
+
+  const price = await BuybackPrice.findOne({ categoryId: category._id, specKey: specKeyOf(deviceSpecs), active: true });
+  if (!price) throw new BuybackError("We don't buy this device at the moment", 404);
+
+  const questions = conditionQuestions(category);
+  const deductions = Object.entries(questions).map(([question, { answers }]) => {
+    const answer = condition[question];
+    if (!answer || !(answer in answers)) {
+      throw new BuybackError(`Answer the ${question} question with one of: ${Object.keys(answers).join(", ")}`);
+    }
+    const percent = answers[answer];
+    return { question, answer, percent, amount: roundMoney(price.basePrice * percent / 100) };
+  });
+
+  const totalPercent = Math.min(100, deductions.reduce((sum, d) => sum + d.percent, 0));
+  const now = new Date();
+  return {
+    category,
+    specs: deviceSpecs,
+    condition: Object.fromEntries(deductions.map(d => [d.question, d.answer])),
+    quote: {
+      priceId: price._id,
+      basePrice: price.basePrice,
+      deductions,
+      amount: Math.floor(price.basePrice * (100 - totalPercent) / 100),
+      currency: "EUR",
+      createdAt: now,
+      expiresAt: addDays(QUOTE_VALID_DAYS)
+    }
+  };
+}
+
+// Create or update a grid row. Spec names must exist on the category.
+async function savePrice({ categoryId, specs, basePrice, active }, existing = null) {
+  const category = await loadCategory(categoryId || existing?.categoryId);
+  const price = existing || new BuybackPrice({ categoryId: category._id });
+
+  if (specs !== undefined || !existing) {
+    const rowSpecs = categorySpecs(category, specs, { strict: true });
+    price.specs = rowSpecs;
+    price.specKey = specKeyOf(rowSpecs);
+  }
+  if (basePrice !== undefined || !existing) {
+    const value = Number(basePrice);
+    if (!Number.isFinite(value) || value < 0) throw new BuybackError("Base price must be a positive number");
+    price.basePrice = value;
+  }
+  if (active !== undefined) price.active = Boolean(active);
+  price.updatedAt = Date.now();
+
+  try {
+    return await price.save();
+  } catch (err) {
+    if (err.code === 11000) throw new BuybackError("This spec combination already has a price", 409);
+    throw err;
+  }
+}
+
+// Offer statuses the customer can still accept or decline
+const OPEN_OFFER_STATUSES = ["quoted", "countered"];
+
+// The offer the customer can currently accept - the counter-offer once there is one,
+// nothing once it was declined or accepted
+const currentOffer = (request) => {
+  if (!OPEN_OFFER_STATUSES.includes(request.offerStatus)) return null;
+  return request.offerStatus === "countered" ? request.counterOffer : request.quote;
+};
+
+const historyEntry = (action, actor, { amount, note } = {}) =>
+  ({ action, amount, note, by: actor.id, role: actor.role, at: new Date() });
+
+// Apply a negotiation step, conditional on the offer status it was read in.
+// Two tabs (or the customer and an admin) can't both act on the same offer.
+// `history` is a statusHistory entry for steps that also move the request on.
+async function moveOffer(request, fromStatuses, { set, unset, entry, history }) {
+  const updated = await SellRequest.findOneAndUpdate(
+    { _id: request._id, status: "pending", offerStatus: { $in: fromStatuses } },
+    {
+      $set: { ...set, updatedAt: Date.now() },
+      ...(unset && { $unset: unset }),
+      $push: { negotiation: entry, ...(history && { statusHistory: history }) }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new BuybackError("This offer was changed in the meantime. Please reload and try again.", 409);
+  }
+  return updated;
+}
+
+// Company answers with its own price, e.g. after seeing the photos.
+// Also works for free-text requests, which never had a quote.
+async function counterOffer(request, { amount, note, actor }) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) throw new BuybackError("Counter-offer must be a positive amount");
+
+  const updated = await moveOffer(request, ["quoted", "countered", "declined", null], {
+    set: {
+      offerStatus: "countered",
+      counterOffer: { amount: value, note, by: actor.id, createdAt: new Date(), expiresAt: addDays(QUOTE_VALID_DAYS) },
+      ...(note && { companyResponse: note })
+    },
+    entry: historyEntry("counter_offer", actor, { amount: value, note })
+  });
+  console.log(`✅ Sell request ${updated._id}: counter-offer €${value}`);
+  return updated;
+}
+
+// Customer accepts or declines the offer on the table
+async function respondToOffer(request, { accept, note, actor }) {
+  const offer = currentOffer(request);
+  if (offer?.amount == null) throw new BuybackError("There is no offer to respond to", 409);
+
+  if (!accept) {
+    return moveOffer(request, OPEN_OFFER_STATUSES, {
+      set: { offerStatus: "declined" },
+      entry: historyEntry("decline", actor, { amount: offer.amount, note })
+    });
+  }
+
+  if (offer.expiresAt && offer.expiresAt < new Date()) {
+    throw new BuybackError("This offer has expired. Please request a new quote.", 409);
+  }
+  const updated = await moveOffer(request, [request.offerStatus], {
+    set: { offerStatus: "accepted", agreedPrice: offer.amount, status: "approved" },
+    entry: historyEntry("accept", actor, { amount: offer.amount, note }),
+    history: { from: "pending", to: "approved", actorId: actor.id, actorRole: actor.role, note: `Offer of €${offer.amount} accepted`, at: new Date() }
+  });
+  console.log(`✅ Sell request ${updated._id}: offer of €${offer.amount} accepted`);
+  return updated;
+}
+
+// Fresh quote from today's grid for an expired or declined offer
+async function requote(request, actor) {
+  if (!request.categoryId) throw new BuybackError("Only structured sell requests can be re-quoted", 409);
+  const offer = currentOffer(request);
+  const expired = offer?.expiresAt && offer.expiresAt < new Date();
+  if (request.offerStatus !== "declined" && !expired) {
+    throw new BuybackError("The current offer is still valid", 409);
+  }
+
+  const { quote } = await computeQuote({
+    categoryId: request.categoryId,
+    specs: request.specs,
+    condition: request.condition || {}
+  });
+  return moveOffer(request, ["quoted", "countered", "declined"], {
+    set: { offerStatus: "quoted", quote },
+    unset: { counterOffer: "" },
+    entry: historyEntry("requote", actor, { amount: quote.amount })
+  });
+}
+
+module.exports = {
+  QUOTE_VALID_DAYS,
+  CONDITION_QUESTIONS,
+  BuybackError,
+  specKeyOf,
+  conditionQuestions,
+  computeQuote,
+  savePrice,
+  currentOffer,
+  counterOffer,
+  respondToOffer,
+  requote
+};
@@ -0,0 +1,258 @@
+const axios = require("axios");
+const PDFDocument = require("pdfkit");
+const TrackingEvent = require("../models/TrackingEvent");
+const { SHOP_COUNTRY } = require("./tax");
+
+// Carriers buy labels and report where a parcel is:
+//   createLabel({ reference, service, weight, recipient }) -> { trackingNumber, label (PDF Buffer) }
+//   getTrackingEvents(trackingNumber) -> events, oldest first
+//   parseWebhook(payload) -> events from a (signature-checked) webhook body
+// `recipient` is { name, street, postalCode, city, country (ISO code), email, phone }.
+// Events are { id, trackingNumber, at, status, description, location } - `id` only where the
+// carrier has one. Statuses are the normalized TrackingEvent ones: label_created, in_transit,
+// out_for_delivery, delivered, exception.
+
+class CarrierError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = "CarrierError";
+    this.status = status;
+  }
+}
+
+const pdfBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  doc.on("end", () => resolve(Buffer.concat(chunks)));
+  doc.on("error", reject);
+  doc.end();
+});
+
+// DHL wants three-letter country codes
+const ISO3 = {
+  AT: "AUT", BE: "BEL", BG: "BGR", CH: "CHE", CY: "CYP", CZ: "CZE", DE: "DEU", DK: "DNK", EE: "EST",
+  ES: "ESP", FI: "FIN", FR: "FRA", GB: "GBR", GR: "GRC", HR: "HRV", HU: "HUN", IE: "IRL", IT: "ITA",
+  LT: "LTU", LU: "LUX", LV: "LVA", MT: "MLT", NL: "NLD", NO: "NOR", PL: "POL", PT: "PRT", RO: "ROU",
+  SE: "SWE", SI: "SVN", SK: "SVK", US: "USA"
+};
+
+// DHL tracking status codes -> ours
+const DHL_STATUSES = {
+  "pre-transit": "label_created",
+  transit: "in_transit",
+  delivered: "delivered",
+  failure: "exception"
+};
+
+// Webhook bodies all use one envelope, sent by the carrier or by a relay in front of it:
+//   { events: [{ id, trackingNumber, status, timestamp, description, location }] }
+// `mapStatus` turns the carrier's status into ours (undefined = unknown, the event is skipped).
+const parseEventEnvelope = (payload, mapStatus) =>
+  (Array.isArray(payload?.events) ? payload.events : []).map(event => ({
+    id: event.id ? String(event.id) : undefined,
+    trackingNumber: event.trackingNumber ? String(event.trackingNumber) : undefined,
+    at: new Date(event.timestamp),
+    status: mapStatus(event.status),
+    description: event.description,
+    location: event.location
+  }));
+
+const NORMALIZED_STATUSES = TrackingEvent.schema.path("status").enumValues;
+const normalizedStatus = (status) => (NORMALIZED_STATUSES.includes(status) ? status : undefined);
+
+// DHL Parcel DE (Paket, Europaket, Warenpost) through the Parcel DE Shipping API v2,
+// tracking through the DHL Shipment Tracking API
+function createDhlCarrier({
+  apiKey = process.env.DHL_API_KEY,
+  user = process.env.DHL_USER,
+  password = process.env.DHL_PASSWORD,
+  billingNumber = process.env.DHL_BILLING_NUMBER,
+  sandbox = process.env.DHL_SANDBOX === "true",
+  shipper = {
+    name: process.env.DHL_SHIPPER_NAME || process.env.COMPANY_NAME,
+    street: process.env.DHL_SHIPPER_STREET,
+    postalCode: process.env.DHL_SHIPPER_POSTAL_CODE,
+    city: process.env.DHL_SHIPPER_CITY,
+    country: SHOP_COUNTRY
+  }
+} = {}) {
+  const shippingUrl = sandbox
+    ? "https://api-sandbox.dhl.com/parcel/de/shipping/v2"
+    : "https://api-eu.dhl.com/parcel/de/shipping/v2";
+
+  const requireConfig = () => {
+    if (!apiKey || !user || !password || !billingNumber) {
+      throw new CarrierError("DHL is not configured (DHL_API_KEY, DHL_USER, DHL_PASSWORD, DHL_BILLING_NUMBER)", 503);
+    }
+  };
+
+  const address = (party) => ({
+    name1: party.name,
+    addressStreet: party.street,
+    postalCode: party.postalCode,
+    city: party.city,
+    country: ISO3[party.country] || party.country,
+    ...(party.email && { email: party.email }),
+    ...(party.phone && { phone: party.phone })
+  });
+
+  return {
+    name: "dhl",
+    async createLabel({ reference, service, weight, recipient }) {
+      requireConfig();
+      if (!recipient.street || !recipient.postalCode || !recipient.city) {
+        throw new CarrierError("DHL needs street, postal code and city of the recipient", 400);
+      }
+      try {
+        const { data } = await axios.post(`${shippingUrl}/orders`, {
+          profile: "STANDARD_GRUPPENPROFIL",
+          shipments: [{
+            product: service || (recipient.country === "DE" ? "V01PAK" : "V53WPAK"),
+            billingNumber,
+            refNo: String(reference).slice(0, 35),
+            shipper: address(shipper),
+            consignee: address(recipient),
+            details: { weight: { uom: "kg", value: weight } }
+          }]
+        }, {
+          params: { docFormat: "PDF", printFormat: "910-300-700" },
+          headers: { "dhl-api-key": apiKey },
+          auth: { username: user, password },
+          timeout: 20000
+        });
+        const item = data.items?.[0];
+        if (!item?.shipmentNo || !item.label?.b64) throw new CarrierError("DHL returned no label");
+        return { trackingNumber: item.shipmentNo, label: Buffer.from(item.label.b64, "base64") };
+      } catch (error) {
+        if (error instanceof CarrierError) throw error;
+        const item = error.response?.data?.items?.[0];
+        const detail = item?.validationMessages?.map(m => m.validationMessage).join("; ") ||
+          error.response?.data?.status?.detail || error.message;
+        // 400 = DHL rejected the address or weight - retrying won't help
+        throw new CarrierError(`DHL label failed: ${detail}`, error.response?.status === 400 ? 400 : 502);
+      }
+    },
+    async getTrackingEvents(trackingNumber) {
+      requireConfig();
+      try {
+        const { data } = await axios.get("https://api-eu.dhl.com/track/shipments", {
+          params: { trackingNumber, service: "parcel-de" },
+          headers: { "DHL-API-Key": apiKey },
+          timeout: 20000
+        });
+        const events = data.shipments?.[0]?.events || [];
+        return events.map(event => ({
+          trackingNumber,
+          at: new Date(event.timestamp),
+          status: DHL_STATUSES[event.statusCode] || "in_transit",
+          description: event.description || event.status,
+          location: event.location?.address?.addressLocality
+        })).sort((a, b) => a.at - b.at);
+      } catch (error) {
+        // Not scanned yet - DHL doesn't know the number for the first hours
+        if (error.response?.status === 404) return [];
+        throw new CarrierError(`DHL tracking failed: ${error.response?.data?.detail || error.message}`);
+      }
+    },
+    // DHL status codes or ours
+    parseWebhook(payload) {
+      return parseEventEnvelope(payload, status => DHL_STATUSES[status] || normalizedStatus(status));
+    }
+  };
+}
+
+// Mock carrier timeline, in hours after the label was created (the label_created event is ours)
+const MOCK_TIMELINE = [
+  { after: 4, status: "in_transit", description: "Parcel picked up", location: "Depot" },
+  { after: 12, status: "in_transit", description: "Parcel is on its way", location: "Hub" },
+  { after: 36, status: "out_for_delivery", description: "Out for delivery" },
+  { after: 40, status: "delivered", description: "Delivered" }
+];
+
+// Works offline: hands out MOCK… tracking numbers and a printable dummy label, and plays
+// the timeline above from the label's creation time (kept in the number, so it survives
+// restarts). Turned on with MOCK_CARRIER=true; MOCK_CARRIER_HOUR_MS shortens an "hour" for trying the flow out.
+function createMockCarrier({ hourMs = Number(process.env.MOCK_CARRIER_HOUR_MS) || 60 * 60 * 1000, now = () => Date.now() } = {}) {
+  return {
+    name: "mock",
+    async createLabel({ reference, service, weight, recipient }) {
+      const createdAt = now();
+      const trackingNumber = `MOCK${createdAt.toString(36).toUpperCase()}${Math.floor(Math.random() * 100).toString().padStart(2, "0")}`;
+
+      const doc = new PDFDocument({ size: "A6", margin: 20 });
+      doc.fontSize(14).font("Helvetica-Bold").text("MOCK CARRIER", { align: "center" });
+      doc.fontSize(8).font("Helvetica").text("Test label - not valid for shipping", { align: "center" });
+      doc.moveDown();
+      doc.fontSize(9).text("To:");
+      doc.fontSize(11).text([recipient.name, recipient.street, [recipient.postalCode, recipient.city].filter(Boolean).join(" "), recipient.country]
+        .filter(Boolean).join("\n"));
+      doc.moveDown();
+      doc.fontSize(9).text(`Weight: ${weight} kg${service ? ` · Service: ${service}` : ""}`);
+      doc.text(`Reference: ${reference}`);
+      doc.moveDown();
+      doc.fontSize(16).font("Helvetica-Bold").text(trackingNumber, { align: "center" });
+
+      return { trackingNumber, label: await pdfBuffer(doc) };
+    },
+    async getTrackingEvents(trackingNumber) {
+      const createdAt = parseInt(String(trackingNumber).replace(/^MOCK/, "").slice(0, -2), 36);
+      if (!String(trackingNumber).startsWith("MOCK") || Number.isNaN(createdAt)) {
+        throw new CarrierError(`Unknown tracking number ${trackingNumber}`, 404);
+      }
+      return MOCK_TIMELINE
+        .map((step, index) => ({
+          id: `${trackingNumber}-${index}`,
+          trackingNumber,
+          at: new Date(createdAt + step.after * hourMs),
+          status: step.status,
+          description: step.description,
+          location: step.location
+        }))
+        .filter(event => event.at.getTime() <= now());
+    },
+    parseWebhook(payload) {
+      return parseEventEnvelope(payload, normalizedStatus);
+    }
+  };
+}
+
+const CARRIER_FACTORIES = {
+  dhl: createDhlCarrier,
+  mock: createMockCarrier
+};
+
+const carriers = new Map();
+
+// The mock carrier prints test labels - it is only there when MOCK_CARRIER=true
+const isAvailable = (name) => Object.hasOwn(CARRIER_FACTORIES, name) && (name !== "mock" || process.env.MOCK_CARRIER === "true");
+
+const hasCarrier = (name) => carriers.has(name) || isAvailable(name);
+
+// Carriers are created on first use, so an unconfigured one only fails when it is actually used
+function getCarrier(name) {
+  if (!carriers.has(name)) {
+    if (name === "mock" && !isAvailable(name)) {
+      throw new CarrierError("The mock carrier is turned off - set MOCK_CARRIER=true to use it", 400);
+    }
+    if (!isAvailable(name)) throw new CarrierError(`Unknown carrier "${name}"`, 400);
+    carriers.set(name, CARRIER_FACTORIES[name]());
+    console.log(`📦 Carrier ready: ${name}`);
+  }
+  return carriers.get(name);
+}
+
+// Swap a carrier, e.g. for a fake one in tests. Returns the previous one.
+const setCarrier = (name, carrier) => {
+  const previous = carriers.get(name);
+  carriers.set(name, carrier);
+  return previous;
+};
+
+module.exports = {
+  CarrierError,
+  createDhlCarrier,
+  createMockCarrier,
+  hasCarrier,
+  getCarrier,
+  setCarrier
+};
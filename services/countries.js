@@ -0,0 +1,80 @@
+// guestInfo.country is free text, so accept the names customers actually type.
+// Maps English and German names to ISO codes.
+const COUNTRY_NAMES = {
+  germany: "DE",
+  deutschland: "DE",
+  austria: "AT",
+  österreich: "AT",
+  switzerland: "CH",
+  schweiz: "CH",
+  netherlands: "NL",
+  niederlande: "NL",
+  belgium: "BE",
+  belgien: "BE",
+  luxembourg: "LU",
+  luxemburg: "LU",
+  france: "FR",
+  frankreich: "FR",
+  italy: "IT",
+  italien: "IT",
+  spain: "ES",
+  spanien: "ES",
+  portugal: "PT",
+  poland: "PL",
+  polen: "PL",
+  "czech republic": "CZ",
+  czechia: "CZ",
+  tschechien: "CZ",
+  slovakia: "SK",
+  slowakei: "SK",
+  hungary: "HU",
+  ungarn: "HU",
+  slovenia: "SI",
+  slowenien: "SI",
+  croatia: "HR",
+  kroatien: "HR",
+  romania: "RO",
+  rumänien: "RO",
+  bulgaria: "BG",
+  bulgarien: "BG",
+  greece: "GR",
+  griechenland: "GR",
+  cyprus: "CY",
+  zypern: "CY",
+  malta: "MT",
+  denmark: "DK",
+  dänemark: "DK",
+  sweden: "SE",
+  schweden: "SE",
+  finland: "FI",
+  finnland: "FI",
+  estonia: "EE",
+  estland: "EE",
+  latvia: "LV",
+  lettland: "LV",
+  lithuania: "LT",
+  litauen: "LT",
+  ireland: "IE",
+  irland: "IE",
+  norway: "NO",
+  norwegen: "NO",
+  "united kingdom": "GB",
+  uk: "GB",
+  "united states": "US",
+  usa: "US"
+};
+
+const ISO_CODES = new Set(Object.values(COUNTRY_NAMES));
+
+// "DE", "de", "Germany" or "Deutschland" -> "DE". Null for anything we don't know.
+function countryCode(country) {
+  const value = String(country || "").trim();
+  if (!value) return null;
+  if (ISO_CODES.has(value.toUpperCase())) return value.toUpperCase();
+  return COUNTRY_NAMES[value.toLowerCase()] || null;
+}
+
+module.exports = {
+  COUNTRY_NAMES,
+  countryCode
+};
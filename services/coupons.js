@@ -0,0 +1,205 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Order = require("../models/Orders");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Thrown when a coupon can't be applied. `reason` is a stable code the frontend can map to a message.
+class CouponError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = "CouponError";
+    this.status = 400;
+    this.reason = reason;
+  }
+}
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+const idIn = (list, id) => list.some(item => item.toString() === String(id));
+
+// A line is in scope when it matches every restriction the coupon defines
+const lineMatchesScope = (coupon, line) => {
+  if (coupon.categories.length > 0 &&
+      !coupon.categories.some(c => c.toLowerCase() === String(line.category || "").toLowerCase())) {
+    return false;
+  }
+  if (coupon.categoryRefs.length > 0 && (!line.categoryRef || !idIn(coupon.categoryRefs, line.categoryRef))) {
+    return false;
+  }
+  if (coupon.appearance.length > 0 && !coupon.appearance.includes(line.appearance)) {
+    return false;
+  }
+  if (coupon.battery.length > 0 && !coupon.battery.includes(line.battery)) {
+    return false;
+  }
+  return true;
+};
+
+// How many orders this customer already placed with the coupon (cancelled ones don't count)
+const countCustomerRedemptions = async (coupon, { userId, email }) => {
+  const customerMatch = [];
+  if (userId) customerMatch.push({ userId });
+  if (email) {
+    // guestInfo.email is stored as typed, so match it case-insensitively
+    const escaped = String(email).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    customerMatch.push({ "guestInfo.email": new RegExp(`^${escaped}$`, "i") });
+  }
+
+  return Order.countDocuments({
+    "coupon.couponId": coupon._id,
+    "coupon.redeemed": true,
+    $or: customerMatch
+  });
+};
+
+// Check a code against priced order lines and work out the discount. Read-only -
+// the usage limits are enforced atomically later by redeemCoupon().
+async function evaluateCoupon(code, lines, { userId, email } = {}) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError("Invalid coupon code", "not_found");
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw new CouponError("This coupon is not active yet", "not_started");
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw new CouponError("This coupon has expired", "expired");
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError("This coupon has been fully redeemed", "usage_limit_reached");
+  }
+
+  if (coupon.perUserLimit !== null) {
+    if (!userId && !email) {
+      throw new CouponError("Please log in or enter your email to use this coupon", "customer_required");
+    }
+    const used = await countCustomerRedemptions(coupon, { userId, email });
+    if (used >= coupon.perUserLimit) {
+      throw new CouponError("You have already used this coupon", "user_limit_reached");
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (subtotal < (coupon.minOrderTotal || 0)) {
+    throw new CouponError(`This coupon requires a minimum order of €${coupon.minOrderTotal.toFixed(2)}`, "min_order_total");
+  }
+
+  const eligibleLines = lines.filter(line => lineMatchesScope(coupon, line));
+  if (eligibleLines.length === 0) {
+    throw new CouponError("This coupon doesn't apply to any item in your cart", "not_applicable");
+  }
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  let discount = 0;
+  if (coupon.type === "percentage") {
+    discount = eligibleSubtotal * Math.min(coupon.value, 100) / 100;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon.type === "fixed") {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  }
+
+  return {
+    coupon,
+    discount: roundMoney(discount),
+    freeShipping: coupon.type === "free_shipping"
+  };
+}
+
+// Snapshot stored on the order so reports don't depend on the coupon staying unchanged
+const toOrderCoupon = (evaluation) => ({
+  couponId: evaluation.coupon._id,
+  code: evaluation.coupon.code,
+  type: evaluation.coupon.type,
+  value: evaluation.coupon.value,
+  discount: evaluation.discount,
+  freeShipping: evaluation.freeShipping,
+  redeemed: false
+});
+
+// Keys a customer's uses are counted under - their account and their email, so neither
+// a second email nor logging out gets around perUserLimit
+const customerKeys = ({ userId, email } = {}) => [
+  userId && `user:${userId}`,
+  email && `email:${String(email).trim().toLowerCase()}`
+].filter(Boolean);
+
+const takeBackUse = (couponId) =>
+  Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+
+// Count one use for `customer` ({ userId, email }). Conditional updates so two checkouts can't
+// both take the last redemption - of the coupon, or of the customer's perUserLimit.
+async function redeemCoupon(couponId, customer = {}) {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }]
+    },
+    { $inc: { usedCount: 1 }, $set: { updatedAt: Date.now() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new CouponError("This coupon has been fully redeemed", "usage_limit_reached");
+  }
+  if (updated.perUserLimit === null) return updated;
+
+  const taken = [];
+  try {
+    for (const key of customerKeys(customer)) {
+      await CouponRedemption.findOneAndUpdate(
+        { couponId, customer: key, uses: { $lt: updated.perUserLimit } },
+        { $inc: { uses: 1 } },
+        { upsert: true }
+      );
+      taken.push(key);
+    }
+  } catch (err) {
+    await CouponRedemption.updateMany({ couponId, customer: { $in: taken } }, { $inc: { uses: -1 } }).catch(() => {});
+    await takeBackUse(couponId).catch(() => {});
+    // The customer's count exists and is at the limit - the upsert tried to create it a second time
+    if (err.code === 11000) throw new CouponError("You have already used this coupon", "user_limit_reached");
+    throw err;
+  }
+  return updated;
+}
+
+// Undo redeemCoupon() for an order that was never stored
+async function cancelRedemption(couponId, customer = {}) {
+  await takeBackUse(couponId);
+  await CouponRedemption.updateMany(
+    { couponId, customer: { $in: customerKeys(customer) }, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } }
+  );
+}
+
+// Give a use back when the order is cancelled. Claimed on the order first so it happens once.
+async function releaseCoupon(order) {
+  if (!order.coupon?.couponId) return false;
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "coupon.redeemed": true },
+    { $set: { "coupon.redeemed": false } }
+  );
+  if (!claimed) return false;
+  order.coupon.redeemed = false;
+
+  await cancelRedemption(order.coupon.couponId, {
+    userId: order.userId?._id || order.userId,
+    email: order.guestInfo?.email
+  });
+  console.log(`✅ Released coupon ${order.coupon.code} for order ${order._id}`);
+  return true;
+}
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  evaluateCoupon,
+  toOrderCoupon,
+  redeemCoupon,
+  cancelRedemption,
+  releaseCoupon
+};
@@ -0,0 +1,480 @@
+const nodemailer = require("nodemailer");
+const axios = require("axios");
+
+// ==================== UNIVERSAL EMAIL CONFIGURATION ====================
+class UniversalEmailService {
+  constructor() {
+    this.transporter = null;
+    this.isConfigured = false;
+    this.init();
+  }
+
+  init() {
+    console.log('\n📧 ========== INITIALIZING EMAIL SERVICE ==========');
+    console.log('📧 Checking available email configurations...');
+    
+    // Check what's available
+    const hasResend = !!process.env.RESEND_API_KEY;
+    const hasSMTP = !!(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
+    const hasGmail = !!(process.env.EMAIL_USER && process.env.EMAIL_PASS);
+    
+    console.log(`📧 Resend API Key: ${hasResend ? '✅ Found' : '❌ Not set'}`);
+    console.log(`📧 SMTP Config: ${hasSMTP ? '✅ Found' : '❌ Not set'}`);
+    console.log(`📧 Gmail Config: ${hasGmail ? '✅ Found' : '❌ Not set'}`);
+    
+    // IMPORTANT: On cloud servers (Railway, Vercel, etc.), SMTP ports 587/465 are often blocked
+    // Resend uses HTTPS API and works everywhere - prioritize it for production
+    const transporters = [];
+    
+    // 1. Try Resend first (works on all servers, API-based, not SMTP)
+    const resendTransporter = this.createResendTransporter();
+    if (resendTransporter) {
+      transporters.push(resendTransporter);
+      console.log('📧 Resend transporter added (recommended for cloud servers)');
+    }
+    
+    // 2. Try SMTP (generic, might work on some servers)
+    const smtpTransporter = this.createSMTPTransporter();
+    if (smtpTransporter) {
+      transporters.push(smtpTransporter);
+      console.log('📧 SMTP transporter added');
+    }
+    
+    // 3. Try Gmail last (often blocked on cloud servers due to SMTP port restrictions)
+    // NOTE: Gmail SMTP (ports 587/465) is often blocked on cloud platforms
+    // If you're on Railway/Vercel/etc., Gmail SMTP will likely timeout
+    // Solution: Use Resend.com (free tier available) or enable "Less secure app access" + use OAuth2
+    if (hasGmail) {
+      console.log('📧 Attempting Gmail transporter (may fail on cloud servers due to SMTP port blocking)...');
+      const gmailTransporter = this.createGmailTransporter();
+      if (gmailTransporter) {
+        transporters.push(gmailTransporter);
+        console.log('📧 Gmail transporter added (will be tested during verification)');
+      } else {
+        console.warn('⚠️ Gmail transporter creation failed - this is normal on cloud servers that block SMTP');
+      }
+    }
+    
+    // 4. Development fallback
+    const etherealTransporter = this.createEtherealTransporter();
+    if (etherealTransporter) {
+      transporters.push(etherealTransporter);
+      console.log('📧 Ethereal transporter added (development only)');
+    }
+
+    if (transporters.length > 0) {
+      this.transporter = transporters[0];
+      this.isConfigured = true;
+      console.log(`✅ Email service initialized with: ${transporters[0].name}`);
+      console.log(`📧 Total available transporters: ${transporters.length}`);
+      
+      // Verify connection in background
+      this.verifyConnection();
+    } else {
+      console.error('❌ No email transport configured - emails will be logged only');
+      console.error('❌ Please set EMAIL_USER and EMAIL_PASS for Gmail, or configure another email service');
+    }
+    
+    console.log('📧 ================================================\n');
+  }
+
+  // 1. RESEND.COM (Uses REST API via HTTPS - works on ALL servers, no SMTP ports needed)
+  createResendTransporter() {
+    if (process.env.RESEND_API_KEY) {
+      try {
+        console.log('📧 Resend: Initializing Resend REST API (HTTPS-based, works on all servers)...');
+        
+        // Create a special transporter object that uses Resend REST API
+        const resendTransporter = {
+          name: 'Resend (REST API)',
+          apiKey: process.env.RESEND_API_KEY,
+          // Flag to indicate this uses REST API, not SMTP
+          isResendAPI: true,
+          // Skip verification (REST API doesn't need SMTP verification)
+          verify: async () => {
+            console.log('✅ Resend: REST API ready (no verification needed)');
+            return true;
+          }
+        };
+        
+        console.log('✅ Resend: REST API transporter initialized successfully');
+        return resendTransporter;
+      } catch (error) {
+        console.error('❌ Resend: Failed to initialize:', error.message);
+        return null;
+      }
+    }
+    return null;
+  }
+
+  // 2. GENERIC SMTP (Works with any SMTP provider)
+  createSMTPTransporter() {
+    if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+      const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        },
+        connectionTimeout: 10000,  // Reduced to 10 seconds
+        greetingTimeout: 5000,     // Reduced to 5 seconds
+        socketTimeout: 10000,       // Reduced to 10 seconds
+        tls: {
+          rejectUnauthorized: false
+        }
+      });
+      transporter.name = 'SMTP';
+      return transporter;
+    }
+    return null;
+  }
+
+  // 3. GMAIL (Common but less reliable in cloud)
+  createGmailTransporter() {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('📧 Gmail: EMAIL_USER or EMAIL_PASS not set, skipping Gmail transporter');
+      return null;
+    }
+
+    console.log('📧 Gmail: Attempting to create Gmail transporter...');
+    console.log('📧 Gmail: Using email:', process.env.EMAIL_USER);
+    console.log('📧 Gmail: Password provided:', process.env.EMAIL_PASS ? 'Yes (hidden)' : 'No');
+
+    const portsToTry = [
+      { port: 587, secure: false, name: 'STARTTLS' },
+      { port: 465, secure: true, name: 'SSL/TLS' }
+    ];
+
+    for (const config of portsToTry) {
+      try {
+        console.log(`📧 Gmail: Trying port ${config.port} (${config.name})...`);
+        
+        const transporter = nodemailer.createTransport({
+          host: 'smtp.gmail.com',
+          port: config.port,
+          secure: config.secure,
+          auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+          },
+          connectionTimeout: 15000, // 15 seconds
+          greetingTimeout: 10000,   // 10 seconds
+          socketTimeout: 15000,     // 15 seconds
+          tls: {
+            rejectUnauthorized: false,
+            ciphers: 'SSLv3'
+          },
+          debug: true, // Enable debug logging
+          logger: true  // Enable logger
+        });
+        
+        transporter.name = `Gmail (port ${config.port})`;
+        console.log(`✅ Gmail: Transporter created for port ${config.port}`);
+        return transporter;
+      } catch (error) {
+        console.error(`❌ Gmail: Failed to create transporter on port ${config.port}:`, error.message);
+        continue;
+      }
+    }
+    
+    console.error('❌ Gmail: All port attempts failed');
+    return null;
+  }
+
+  // 4. ETHEREAL (Development/Testing fallback)
+  createEtherealTransporter() {
+    if (process.env.NODE_ENV === 'development') {
+      const transporter = nodemailer.createTransport({
+        host: 'smtp.ethereal.email',
+        port: 587,
+        secure: false,
+        auth: {
+          user: 'test@ethereal.email',
+          pass: 'test'
+        }
+      });
+      transporter.name = 'Ethereal (Test)';
+      return transporter;
+    }
+    return null;
+  }
+
+  async verifyConnection() {
+    if (!this.transporter) {
+      console.log('📧 Verify: No transporter available to verify');
+      return;
+    }
+    
+    // Skip verification for Resend REST API (it's not SMTP, doesn't need verification)
+    if (this.transporter.isResendAPI) {
+      console.log(`✅ Resend: REST API ready (no SMTP verification needed)`);
+      return;
+    }
+    
+    console.log(`📧 Verify: Starting connection verification for ${this.transporter.name}...`);
+    
+    // Don't block - verify in background with timeout
+    setTimeout(async () => {
+      try {
+        console.log(`📧 Verify: Attempting to verify ${this.transporter.name} connection...`);
+        
+        // Use Promise.race to add timeout to verification
+        const verifyPromise = this.transporter.verify();
+        const timeoutPromise = new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Verification timeout after 10 seconds')), 10000)
+        );
+        
+        await Promise.race([verifyPromise, timeoutPromise]);
+        console.log(`✅ Verify: Email connection verified successfully for ${this.transporter.name}`);
+      } catch (error) {
+        const errorMsg = error.message || 'Unknown error';
+        console.error(`❌ Verify: Email connection verification FAILED for ${this.transporter.name}`);
+        console.error(`❌ Verify: Error details:`, {
+          message: errorMsg,
+          code: error.code,
+          command: error.command,
+          response: error.response,
+          responseCode: error.responseCode
+        });
+        
+        // Log specific error types
+        if (errorMsg.includes('timeout') || errorMsg.includes('ETIMEDOUT')) {
+          console.error(`❌ Verify: Connection timeout - Gmail server not responding`);
+          console.error(`❌ Verify: This usually means:`);
+          console.error(`   - Your cloud server (Railway/Vercel/etc.) is BLOCKING SMTP ports 587/465`);
+          console.error(`   - Gmail SMTP will NOT work on most cloud platforms`);
+          console.error(`   - Network connectivity issues`);
+          console.error(`\n💡 SOLUTION: Use Resend.com (API-based, works everywhere)`);
+          console.error(`   - Sign up at https://resend.com (free tier: 3,000 emails/month)`);
+          console.error(`   - Get API key and set: RESEND_API_KEY=re_your_key`);
+          console.error(`   - See EMAIL_SETUP_GUIDE.md for details`);
+        } else if (errorMsg.includes('EAUTH') || errorMsg.includes('authentication')) {
+          console.error(`❌ Verify: Authentication failed - check EMAIL_USER and EMAIL_PASS`);
+          console.error(`❌ Verify: Make sure you're using an App Password, not your regular password`);
+        } else if (errorMsg.includes('ECONNREFUSED')) {
+          console.error(`❌ Verify: Connection refused - Gmail server not reachable`);
+        } else {
+          console.error(`❌ Verify: Unknown error: ${errorMsg}`);
+        }
+      }
+    }, 2000); // Wait 2 seconds before verifying to not block startup
+  }
+
+  // NEW: Send email via Resend REST API (HTTPS, works on all servers)
+  async sendViaResendAPI(options) {
+    try {
+      console.log('📧 Resend API: Sending email via HTTPS REST API...');
+      
+      // Parse from address - handle different formats
+      let from;
+      
+      if (typeof options.from === 'object') {
+        // Object format: { name: 'F&S Smartphones', address: 'email@example.com' }
+        const fromAddress = options.from.address;
+        const fromName = options.from.name;
+        // Format for Resend: "Name <email@example.com>" or just "email@example.com"
+        from = fromName ? `${fromName} <${fromAddress}>` : fromAddress;
+      } else if (typeof options.from === 'string') {
+        // String format: could be "email@example.com" or "Name <email@example.com>"
+        // Check if it's already in the correct format
+        if (options.from.includes('<') && options.from.includes('>')) {
+          // Already formatted: "Name <email@example.com>" - use as is
+          from = options.from.trim();
+        } else {
+          // Just email: "email@example.com" - use as is (Resend accepts this)
+          from = options.from.trim();
+        }
+      } else {
+        // Fallback - use environment variable or default
+        const defaultFrom = process.env.EMAIL_FROM || 'onboarding@resend.dev';
+        // Check if EMAIL_FROM is already formatted
+        if (defaultFrom.includes('<') && defaultFrom.includes('>')) {
+          from = defaultFrom;
+        } else {
+          from = `F&S Smartphones <${defaultFrom}>`;
+        }
+      }
+      
+      console.log('📧 Resend API: From address:', from);
+      
+      // Prepare Resend API request
+      const resendPayload = {
+        from: from,
+        to: [options.to], // Resend expects array
+        subject: options.subject,
+        html: options.html || options.text,
+        ...(options.text && { text: options.text }),
+        // NEW: Resend takes attachment content as base64
+        ...(options.attachments?.length && {
+          attachments: options.attachments.map(a => ({
+            filename: a.filename,
+            content: Buffer.isBuffer(a.content) ? a.content.toString('base64') : a.content
+          }))
+        })
+      };
+      
+      console.log('📧 Resend API: Calling Resend API via HTTPS...');
+      
+      // Call Resend REST API
+      const response = await axios.post(
+        'https://api.resend.com/emails',
+        resendPayload,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.transporter.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 15000 // 15 second timeout
+        }
+      );
+      
+      console.log('✅ Resend API: Email sent successfully via HTTPS');
+      console.log('✅ Resend API: Response:', response.data);
+      
+      // Format response to match nodemailer format
+      return {
+        messageId: response.data.id || `resend-${Date.now()}`,
+        accepted: [options.to],
+        rejected: [],
+        response: response.data
+      };
+    } catch (error) {
+      console.error('❌ Resend API: Failed to send email via REST API');
+      console.error('❌ Resend API: Error:', error.response?.data || error.message);
+      console.error('❌ Resend API: Status:', error.response?.status);
+      console.error('❌ Resend API: Full error:', error);
+      
+      throw new Error(`Resend API error: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  async sendEmail(mailOptions) {
+    // Handle EMAIL_FROM - it might be formatted string or just email
+    let defaultFrom;
+    const emailFrom = process.env.EMAIL_FROM || process.env.EMAIL_USER || process.env.SMTP_USER || 'onboarding@resend.dev';
+    
+    // Check if EMAIL_FROM is already formatted as "Name <email@example.com>"
+    if (emailFrom.includes('<') && emailFrom.includes('>')) {
+      // Already formatted string - use as is
+      defaultFrom = emailFrom;
+    } else {
+      // Just email address - create object for formatting
+      defaultFrom = {
+        name: 'F&S Smartphones',
+        address: emailFrom
+      };
+    }
+
+    const options = {
+      from: mailOptions.from || defaultFrom,
+      to: mailOptions.to,
+      subject: mailOptions.subject,
+      html: mailOptions.html,
+      text: mailOptions.text,
+      // NEW: [{ filename, content: Buffer, contentType }] - nodemailer format
+      ...(mailOptions.attachments?.length && { attachments: mailOptions.attachments })
+    };
+
+    // If no transporter, log the email (never fail)
+    if (!this.isConfigured || !this.transporter) {
+      console.log('📧 EMAIL LOGGED (No transporter):', {
+        to: options.to,
+        subject: options.subject,
+        html: options.html.substring(0, 100) + '...'
+      });
+      return { messageId: 'logged-only', accepted: [options.to] };
+    }
+
+    try {
+      console.log(`📧 Send: Attempting to send email via ${this.transporter.name}...`);
+      console.log(`📧 Send: To: ${options.to}`);
+      console.log(`📧 Send: Subject: ${options.subject}`);
+      console.log(`📧 Send: From: ${typeof options.from === 'object' ? options.from.address : options.from}`);
+      
+      // Check if this is Resend REST API (not SMTP)
+      if (this.transporter.isResendAPI) {
+        return await this.sendViaResendAPI(options);
+      }
+      
+      // For SMTP transporters, use nodemailer
+      // Add timeout wrapper to prevent hanging
+      const sendPromise = this.transporter.sendMail(options);
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Email send timeout after 20 seconds')), 20000)
+      );
+      
+      const result = await Promise.race([sendPromise, timeoutPromise]);
+      console.log(`✅ Send: Email sent successfully via ${this.transporter.name}`);
+      console.log(`✅ Send: Message ID: ${result.messageId}`);
+      console.log(`✅ Send: Accepted recipients: ${result.accepted?.join(', ') || 'N/A'}`);
+      if (result.rejected && result.rejected.length > 0) {
+        console.warn(`⚠️ Send: Rejected recipients: ${result.rejected.join(', ')}`);
+      }
+      return result;
+    } catch (error) {
+      // Comprehensive error logging
+      const errorMsg = error.message || 'Unknown error';
+      const errorCode = error.code || 'NO_CODE';
+      const isTimeout = errorMsg.includes('timeout') || errorMsg.includes('ETIMEDOUT') || errorCode === 'ETIMEDOUT';
+      const isAuthError = errorMsg.includes('EAUTH') || errorMsg.includes('authentication') || errorCode === 'EAUTH';
+      const isConnectionError = errorMsg.includes('ECONNREFUSED') || errorMsg.includes('ENOTFOUND') || errorCode === 'ECONNREFUSED';
+      
+      console.error(`\n❌ ========== EMAIL SEND FAILED ==========`);
+      console.error(`❌ Transporter: ${this.transporter.name}`);
+      console.error(`❌ To: ${options.to}`);
+      console.error(`❌ Subject: ${options.subject}`);
+      console.error(`❌ Error Message: ${errorMsg}`);
+      console.error(`❌ Error Code: ${errorCode}`);
+      
+      if (isTimeout) {
+        console.error(`❌ Error Type: CONNECTION TIMEOUT`);
+        console.error(`❌ Details: Email server did not respond within 20 seconds`);
+        console.error(`❌ Possible causes:`);
+        console.error(`   - Gmail SMTP servers are blocking your connection`);
+        console.error(`   - Firewall or network blocking port 587/465`);
+        console.error(`   - Server network connectivity issues`);
+        console.error(`   - Gmail rate limiting or blocking`);
+      } else if (isAuthError) {
+        console.error(`❌ Error Type: AUTHENTICATION FAILED`);
+        console.error(`❌ Details: Invalid email credentials`);
+        console.error(`❌ Possible causes:`);
+        console.error(`   - Wrong EMAIL_USER or EMAIL_PASS`);
+        console.error(`   - Using regular password instead of App Password`);
+        console.error(`   - 2FA not enabled or App Password not generated`);
+        console.error(`   - Account security settings blocking access`);
+      } else if (isConnectionError) {
+        console.error(`❌ Error Type: CONNECTION REFUSED`);
+        console.error(`❌ Details: Cannot reach Gmail SMTP server`);
+        console.error(`❌ Possible causes:`);
+        console.error(`   - Network connectivity issues`);
+        console.error(`   - DNS resolution problems`);
+        console.error(`   - Firewall blocking outbound connections`);
+      } else {
+        console.error(`❌ Error Type: UNKNOWN ERROR`);
+        console.error(`❌ Full Error:`, error);
+      }
+      
+      console.error(`❌ ========================================\n`);
+      
+      // Log email content that failed
+      console.log('📧 FAILED EMAIL DETAILS:', {
+        to: options.to,
+        subject: options.subject,
+        from: typeof options.from === 'object' ? options.from.address : options.from,
+        error: errorMsg,
+        errorCode: errorCode
+      });
+      
+      // Re-throw the error so caller knows it failed
+      throw error;
+    }
+  }
+}
+
+// Initialize email service
+const emailService = new UniversalEmailService();
+
+module.exports = emailService;
+module.exports.UniversalEmailService = UniversalEmailService;
@@ -0,0 +1,94 @@
+// Customer-facing language. Locales are short codes ("en", "de"); dates and money are
+// formatted with the matching Intl locale. Strings live in services/locales/<locale>.js.
+
+const MESSAGES = {
+  en: require("./locales/en"),
+  de: require("./locales/de")
+};
+
+const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+// Intl locale used for formatting - en-GB keeps "€1,234.50" and day-month dates
+const INTL_LOCALES = { en: "en-GB", de: "de-DE" };
+
+// "de", "de-DE", "DE_at" or an Accept-Language header ("de-DE,de;q=0.9,en;q=0.8") -> "de".
+// Null for anything we don't have translations for.
+function normalizeLocale(value) {
+  if (!value) return null;
+  const tags = String(value).split(",").map(tag => tag.split(";")[0].trim().toLowerCase().split(/[-_]/)[0]);
+  return tags.find(tag => SUPPORTED_LOCALES.includes(tag)) || null;
+}
+
+const DEFAULT_LOCALE = normalizeLocale(process.env.DEFAULT_LOCALE) || "en";
+
+// Times are shown in the shop's timezone, not the server's
+const TIME_ZONE = process.env.SHOP_TIMEZONE || "Europe/Berlin";
+
+// First supported locale among the candidates, e.g. resolveLocale(guestInfo?.locale, user?.locale)
+const resolveLocale = (...candidates) =>
+  candidates.map(normalizeLocale).find(Boolean) || DEFAULT_LOCALE;
+
+const lookup = (messages, key) => key.split(".").reduce((node, part) => node?.[part], messages);
+
+// t("confirmation.subject", shortOrderId) - falls back to English for missing keys.
+// Messages are strings or functions of the arguments.
+function translator(locale) {
+  const messages = MESSAGES[normalizeLocale(locale) || DEFAULT_LOCALE];
+  return (key, ...args) => {
+    const message = lookup(messages, key) ?? lookup(MESSAGES.en, key);
+    if (message === undefined) return key;
+    return typeof message === "function" ? message(...args) : message;
+  };
+}
+
+// Order status as shown to the customer - statuses without a translation are shown as they are
+function statusLabel(status, locale) {
+  const messages = MESSAGES[normalizeLocale(locale) || DEFAULT_LOCALE];
+  return messages.statuses?.[status] ?? status;
+}
+
+const intlLocale = (locale) => INTL_LOCALES[normalizeLocale(locale) || DEFAULT_LOCALE];
+
+function formatMoney(amount, locale, currency = "EUR") {
+  return new Intl.NumberFormat(intlLocale(locale), { style: "currency", currency }).format(Number(amount) || 0);
+}
+
+function formatDate(date, locale, { time = false } = {}) {
+  return new Intl.DateTimeFormat(intlLocale(locale), {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    ...(time && { hour: "2-digit", minute: "2-digit" }),
+    timeZone: TIME_ZONE
+  }).format(date ? new Date(date) : new Date());
+}
+
+// "Monday, 20 October 2026, 10:00 - 10:30" - pickup slots
+function formatTimeRange(start, end, locale) {
+  const time = (date) => new Intl.DateTimeFormat(intlLocale(locale), {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: TIME_ZONE
+  }).format(new Date(date));
+  const day = new Intl.DateTimeFormat(intlLocale(locale), {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: TIME_ZONE
+  }).format(new Date(start));
+  return `${day}, ${time(start)} - ${time(end)}`;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  TIME_ZONE,
+  normalizeLocale,
+  resolveLocale,
+  translator,
+  statusLabel,
+  formatMoney,
+  formatDate,
+  formatTimeRange
+};
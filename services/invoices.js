@@ -0,0 +1,491 @@
+const PDFDocument = require("pdfkit");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Orders");
+const { notify } = require("./notifications");
+const { TIME_ZONE, resolveLocale, translator, formatMoney, formatDate, formatTimeRange } = require("./i18n");
+const { allocate, taxSchemeOf, lineTax, computeOrderTax } = require("./tax");
+const { orderNumberOf } = require("./orderNumbers");
+const { markOrderPaid } = require("./orderStateMachine");
+const { recordOrderSales } = require("./ledger");
+
+// Number prefixes - RE-2026-000001 (Rechnung), RK-2026-000001 (Rechnungskorrektur)
+const SERIES_PREFIX = { invoice: "RE", credit_note: "RK" };
+
+// Cash orders (COD, paid at pickup) are invoiced once the goods are handed over
+const HANDED_OVER_STATUSES = ["Delivered", "PickedUp"];
+
+// Another request can take the same number between reading the last one and inserting -
+// the unique index rejects the second insert and it reads again
+const MAX_NUMBER_ATTEMPTS = 5;
+
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "InvoiceError";
+    this.status = status;
+  }
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const invoiceDue = (order) =>
+  order.paymentStatus === "Paid" || HANDED_OVER_STATUSES.includes(order.orderStatus);
+
+// Seller details as printed on new documents. COMPANY_ADDRESS lines are separated by "|".
+const sellerDetails = () => ({
+  name: process.env.COMPANY_NAME || "F&S Smartphones",
+  address: (process.env.COMPANY_ADDRESS || "").split("|").map(line => line.trim()).filter(Boolean),
+  email: process.env.COMPANY_EMAIL || process.env.ADMIN_EMAIL,
+  vatId: process.env.COMPANY_VAT_ID,
+  taxNumber: process.env.COMPANY_TAX_NUMBER
+});
+
+// Billing details come from the checkout form, the account is only the fallback
+function buyerDetails(order) {
+  const guest = order.guestInfo || {};
+  return {
+    name: [guest.firstName, guest.lastName].filter(Boolean).join(" ") || order.userId?.name || "Customer",
+    address: [guest.address, [guest.postalCode, guest.city].filter(Boolean).join(" "), guest.country].filter(Boolean),
+    email: guest.email || order.userId?.email
+  };
+}
+
+// Invoice amounts of a taxed line. Margin-scheme lines show no VAT at all - the tax on our
+// margin is in order.tax, but the buyer never sees it.
+function splitGross(gross, taxScheme, vatRate) {
+  if (taxScheme === "margin") return { net: gross, vat: 0, vatRate: 0 };
+  const { net, tax } = lineTax({ gross, taxScheme, vatRate });
+  return { net, vat: tax, vatRate };
+}
+
+function describeItem(item, variant) {
+  const specs = variant?.specs ? Object.values(variant.specs) : [];
+  const details = [...specs, variant?.appearance].filter(Boolean).join(", ");
+  const name = item.productId?.name || "Product";
+  return details ? `${name} (${details})` : name;
+}
+
+// Invoice lines for an order (items populated with name and variants), from the tax worked
+// out at checkout. Orders from before that get it worked out now. Shipping is a line of its own.
+async function orderLines(order) {
+  const variants = order.items.map(item =>
+    item.variantId && item.productId?.variants?.find(v => v._id.toString() === item.variantId.toString()));
+  const shippingCost = order.shippingCost || 0;
+
+  let taxes = order.items.map(item => item.tax);
+  let shippingTax = order.shipping?.tax;
+  if (taxes.some(tax => !tax?.taxScheme) || (shippingCost > 0 && shippingTax?.vatRate == null)) {
+    const computed = await computeOrderTax({
+      items: order.items.map((item, index) => ({ ...item, taxScheme: taxSchemeOf(item.productId, variants[index]) })),
+      discount: order.discount || 0,
+      shippingCost,
+      country: order.guestInfo?.country,
+      deliveryMethod: order.deliveryMethod
+    });
+    taxes = computed.lines;
+    shippingTax = computed.shipping;
+  }
+
+  const lines = order.items.map((item, index) => ({
+    itemId: item._id,
+    description: describeItem(item, variants[index]),
+    quantity: item.quantity,
+    unitPrice: item.price,
+    discount: taxes[index].discount || 0,
+    gross: taxes[index].gross,
+    taxScheme: taxes[index].taxScheme,
+    ...splitGross(taxes[index].gross, taxes[index].taxScheme, taxes[index].vatRate)
+  }));
+
+  if (shippingCost > 0) {
+    lines.push({
+      description: translator(resolveLocale(order.locale))("shipping.label"),
+      quantity: 1,
+      unitPrice: shippingCost,
+      gross: shippingCost,
+      taxScheme: "standard",
+      ...splitGross(shippingCost, "standard", shippingTax.vatRate)
+    });
+  }
+  return lines;
+}
+
+function summarize(lines) {
+  const groups = new Map();
+  lines.forEach(line => {
+    const key = `${line.taxScheme}:${line.vatRate}`;
+    const group = groups.get(key) || { taxScheme: line.taxScheme, vatRate: line.vatRate, net: 0, vat: 0, gross: 0 };
+    group.net = roundMoney(group.net + line.net);
+    group.vat = roundMoney(group.vat + line.vat);
+    group.gross = roundMoney(group.gross + line.gross);
+    groups.set(key, group);
+  });
+  const vatBreakdown = [...groups.values()];
+  return {
+    vatBreakdown,
+    totals: {
+      net: roundMoney(vatBreakdown.reduce((sum, g) => sum + g.net, 0)),
+      vat: roundMoney(vatBreakdown.reduce((sum, g) => sum + g.vat, 0)),
+      gross: roundMoney(vatBreakdown.reduce((sum, g) => sum + g.gross, 0))
+    }
+  };
+}
+
+const yearOf = (date) => new Intl.DateTimeFormat("en", { year: "numeric", timeZone: TIME_ZONE }).format(date);
+
+// Insert a document under the next number of its series. The number only exists once the
+// document does, so a failed insert never leaves a gap.
+async function createNumbered(type, fields) {
+  const issuedAt = new Date();
+  const series = `${SERIES_PREFIX[type]}-${yearOf(issuedAt)}`;
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await Invoice.findOne({ series }).sort({ sequence: -1 }).select("sequence").lean();
+    const sequence = (last?.sequence || 0) + 1;
+    try {
+      return await Invoice.create({
+        ...fields,
+        type,
+        series,
+        sequence,
+        number: `${series}-${String(sequence).padStart(6, "0")}`,
+        issuedAt
+      });
+    } catch (err) {
+      const numberTaken = err.code === 11000 && (err.keyPattern?.sequence || err.keyPattern?.number);
+      if (numberTaken && attempt < MAX_NUMBER_ATTEMPTS) continue;
+      throw err;
+    }
+  }
+}
+
+// Issue the invoice for an order. Safe to call more than once - an order only ever gets one.
+// Resolves with { invoice, created }.
+async function issueInvoice(order) {
+  const existing = await Invoice.findOne({ orderId: order._id, type: "invoice" });
+  if (existing) return { invoice: existing, created: false };
+
+  const fullOrder = await Order.findById(order._id)
+    .populate("items.productId", "name variants")
+    .populate("userId", "name email")
+    .lean();
+  if (!fullOrder) throw new InvoiceError("Order not found", 404);
+  if (!invoiceDue(fullOrder)) {
+    throw new InvoiceError("Orders are invoiced once they are paid or handed over", 409);
+  }
+
+  const lines = await orderLines(fullOrder);
+  const { vatBreakdown, totals } = summarize(lines);
+  if (Math.abs(totals.gross - fullOrder.total) > 0.005) {
+    console.warn(`⚠️ Invoice lines for order ${order._id} add up to €${totals.gross}, order total is €${fullOrder.total}`);
+  }
+
+  try {
+    const invoice = await createNumbered("invoice", {
+      orderId: fullOrder._id,
+      orderNumber: orderNumberOf(fullOrder),
+      userId: fullOrder.userId?._id,
+      seller: sellerDetails(),
+      buyer: buyerDetails(fullOrder),
+      lines,
+      vatBreakdown,
+      totals,
+      couponCode: fullOrder.coupon?.code,
+      pickupSlot: fullOrder.pickupSlot?.start ? { start: fullOrder.pickupSlot.start, end: fullOrder.pickupSlot.end } : undefined,
+      locale: resolveLocale(fullOrder.locale)
+    });
+    console.log(`✅ Invoice ${invoice.number} issued for order ${order._id}`);
+    return { invoice, created: true };
+  } catch (err) {
+    // Issued by a concurrent call (webhook retry, admin) - that one counts
+    if (err.code === 11000 && err.keyPattern?.orderId) {
+      return { invoice: await Invoice.findOne({ orderId: order._id, type: "invoice" }), created: false };
+    }
+    throw err;
+  }
+}
+
+// Lines of the invoice a refund takes back: the refunded units, or every line for a plain amount
+function creditBasis(invoice, refundLines) {
+  const byItem = (refundLines || []).map(({ itemId, quantity }) => {
+    const line = invoice.lines.find(l => l.itemId?.toString() === itemId?.toString());
+    return line && { line, quantity, weight: line.gross * quantity / line.quantity };
+  });
+  if (byItem.length && byItem.every(Boolean)) return byItem;
+  return invoice.lines.map(line => ({ line, quantity: undefined, weight: line.gross }));
+}
+
+// Issue the credit note for a refund. `lines` are the refunded order lines ([{ itemId, quantity }]),
+// left out for refunds of a plain amount. One credit note per refund, safe to call again.
+async function issueCreditNote(order, { refundId, amount, lines }) {
+  if (!refundId) throw new InvoiceError("Refund id is required");
+  const existing = await Invoice.findOne({ refundId, type: "credit_note" });
+  if (existing) return { creditNote: existing, created: false };
+
+  const { invoice } = await issueInvoice(order);
+  const basis = creditBasis(invoice, lines);
+  const shares = allocate(basis.map(b => b.weight), amount);
+  const creditLines = basis.map(({ line, quantity }, index) => ({
+    itemId: line.itemId,
+    description: line.description,
+    quantity,
+    unitPrice: quantity ? roundMoney(shares[index] / quantity) : undefined,
+    gross: shares[index],
+    taxScheme: line.taxScheme,
+    ...splitGross(shares[index], line.taxScheme, line.vatRate)
+  })).filter(line => line.gross !== 0);
+  const { vatBreakdown, totals } = summarize(creditLines);
+
+  try {
+    const creditNote = await createNumbered("credit_note", {
+      orderId: invoice.orderId,
+      orderNumber: invoice.orderNumber,
+      userId: invoice.userId,
+      refundId,
+      correctsInvoiceId: invoice._id,
+      correctsNumber: invoice.number,
+      seller: sellerDetails(),
+      buyer: invoice.buyer,
+      lines: creditLines,
+      vatBreakdown,
+      totals,
+      locale: invoice.locale
+    });
+    console.log(`✅ Credit note ${creditNote.number} issued for order ${order._id} (€${amount})`);
+    return { creditNote, created: true };
+  } catch (err) {
+    if (err.code === 11000 && err.keyPattern?.refundId) {
+      return { creditNote: await Invoice.findOne({ refundId, type: "credit_note" }), created: false };
+    }
+    throw err;
+  }
+}
+
+// Issue whatever the order is missing: its invoice and a credit note for every refund.
+// For orders from before invoicing, or after a hook failed.
+async function syncOrderInvoices(order) {
+  const { invoice } = await issueInvoice(order);
+  const creditNotes = [];
+  for (const refund of order.refunds || []) {
+    if (refund.status === "failed") continue;
+    const { creditNote } = await issueCreditNote(order, {
+      refundId: refund._id,
+      amount: refund.amount,
+      lines: refund.items?.length ? refund.items : undefined
+    });
+    creditNotes.push(creditNote);
+  }
+  return { invoice, creditNotes };
+}
+
+// Email a stand-alone invoice (orders that weren't paid online get no confirmation to attach it to)
+async function sendInvoiceEmail(invoice) {
+  return notify("order_invoice", invoice.buyer?.email, {
+    order: { _id: invoice.orderId, orderNumber: invoice.orderNumber },
+    customerName: invoice.buyer?.name,
+    invoiceNumber: invoice.number,
+    locale: invoice.locale
+  }, {
+    orderId: invoice.orderId,
+    userId: invoice.userId,
+    dedupeKey: `order_invoice:${invoice._id}`,
+    attachments: [{ invoiceId: invoice._id }]
+  });
+}
+
+// Invoice an order from a payment or hand-over hook. Never throws - the payment or the
+// status change already happened, and an admin can issue a missing invoice later.
+async function invoiceOrder(order, { email = false } = {}) {
+  let result;
+  try {
+    result = await issueInvoice(order);
+  } catch (err) {
+    console.error(`❌ Invoicing failed for order ${order._id}:`, err.message);
+    return null;
+  }
+  if (email && result.created) {
+    try {
+      await sendInvoiceEmail(result.invoice);
+    } catch (err) {
+      console.error(`❌ Failed to email invoice ${result.invoice.number}:`, err.message);
+    }
+  }
+  return result.invoice;
+}
+
+// An order was delivered or picked up. Cash orders (COD, paid at pickup) are paid now, so they
+// are marked paid and their sellers credited before the invoice goes out. Never throws either.
+async function completeHandOver(order, note) {
+  try {
+    if (order.paymentMethod !== "Stripe" && order.paymentStatus !== "Paid") {
+      await markOrderPaid(order, note);
+    }
+    // Idempotent, so a hand-over recorded twice credits nothing twice
+    await recordOrderSales(order);
+  } catch (err) {
+    console.error(`❌ Failed to book the payment of order ${order._id}:`, err.message);
+  }
+  return invoiceOrder(order, { email: true });
+}
+
+// Table columns of the PDF, x positions on an A4 page with 50pt margins
+const COLUMNS = [
+  { key: "pos", x: 50, width: 30 },
+  { key: "description", x: 80, width: 210 },
+  { key: "qty", x: 290, width: 40, align: "right" },
+  { key: "unitPrice", x: 330, width: 75, align: "right" },
+  { key: "vat", x: 405, width: 50, align: "right" },
+  { key: "amount", x: 455, width: 90, align: "right" }
+];
+
+const PAGE_BOTTOM = 740;
+
+function tableRow(doc, cells, { bold = false } = {}) {
+  if (doc.y > PAGE_BOTTOM) doc.addPage();
+  const top = doc.y;
+  let bottom = top;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  COLUMNS.forEach(column => {
+    doc.text(String(cells[column.key] ?? ""), column.x, top, { width: column.width, align: column.align || "left" });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.x = 50;
+  doc.y = bottom + 4;
+}
+
+function summaryRow(doc, label, value, { bold = false } = {}) {
+  if (doc.y > PAGE_BOTTOM) doc.addPage();
+  const top = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 10 : 9);
+  doc.text(label, 255, top, { width: 195, align: "right" });
+  doc.text(value, 455, top, { width: 90, align: "right" });
+  doc.x = 50;
+  doc.y = Math.max(doc.y, top + 12) + 2;
+}
+
+const rule = (doc) => {
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor("#cccccc").stroke();
+  doc.y += 6;
+};
+
+// Render an invoice or credit note as a PDF. Resolves with a Buffer.
+// Credit note amounts are printed negative - they take money off the invoice they correct.
+function renderInvoicePdf(invoice) {
+  const t = translator(invoice.locale);
+  const creditNote = invoice.type === "credit_note";
+  const sign = creditNote ? -1 : 1;
+  const money = (amount) => formatMoney(sign * amount, invoice.locale, invoice.currency);
+  const title = creditNote ? t("invoice.creditNoteTitle") : t("invoice.title");
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `${title} ${invoice.number}`, Author: invoice.seller?.name } });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Seller
+    doc.font("Helvetica-Bold").fontSize(12).text(invoice.seller?.name || "", 50, 50, { width: 250 });
+    doc.font("Helvetica").fontSize(9);
+    [...(invoice.seller?.address || []), invoice.seller?.email].filter(Boolean).forEach(line => doc.text(line, { width: 250 }));
+
+    // Title and document details
+    doc.font("Helvetica-Bold").fontSize(20).text(title, 300, 50, { width: 245, align: "right" });
+    doc.font("Helvetica").fontSize(9).moveDown(0.5);
+    const details = [
+      `${creditNote ? t("invoice.creditNoteNumber") : t("invoice.number")} ${invoice.number}`,
+      `${t("invoice.date")}: ${formatDate(invoice.issuedAt, invoice.locale)}`,
+      `${t("invoice.order")}: ${orderNumberOf({ _id: invoice.orderId, orderNumber: invoice.orderNumber })}`,
+      creditNote && invoice.correctsNumber && t("invoice.corrects", invoice.correctsNumber),
+      !creditNote && invoice.pickupSlot?.start &&
+        `${t("invoice.pickupSlot")}: ${formatTimeRange(invoice.pickupSlot.start, invoice.pickupSlot.end, invoice.locale)}`
+    ].filter(Boolean);
+    details.forEach(line => doc.text(line, 300, doc.y, { width: 245, align: "right" }));
+
+    // Buyer
+    doc.font("Helvetica-Bold").fontSize(9).text(t("invoice.billTo"), 50, 160);
+    doc.font("Helvetica").fontSize(10);
+    [invoice.buyer?.name, ...(invoice.buyer?.address || []), invoice.buyer?.email].filter(Boolean)
+      .forEach(line => doc.text(line, 50, doc.y, { width: 250 }));
+
+    // Lines
+    doc.y = Math.max(doc.y, 240) + 20;
+    tableRow(doc, {
+      pos: t("invoice.pos"),
+      description: t("invoice.description"),
+      qty: t("invoice.qty"),
+      unitPrice: t("invoice.unitPrice"),
+      vat: t("invoice.vat"),
+      amount: t("invoice.amount")
+    }, { bold: true });
+    rule(doc);
+    invoice.lines.forEach((line, index) => {
+      tableRow(doc, {
+        pos: index + 1,
+        description: line.description,
+        qty: line.quantity ?? "",
+        unitPrice: line.unitPrice != null ? money(line.unitPrice) : "",
+        vat: line.taxScheme === "margin" ? t("invoice.marginMark") : `${line.vatRate}%`,
+        amount: money(line.gross + (line.discount || 0))
+      });
+    });
+    rule(doc);
+
+    // Totals
+    const discount = roundMoney(invoice.lines.reduce((sum, line) => sum + (line.discount || 0), 0));
+    if (discount > 0) summaryRow(doc, t("invoice.discount", invoice.couponCode), money(-discount));
+    invoice.vatBreakdown.forEach(group => {
+      if (group.taxScheme === "margin") {
+        summaryRow(doc, t("invoice.marginItems"), money(group.gross));
+      } else {
+        summaryRow(doc, t("invoice.netAt", group.vatRate), money(group.net));
+        summaryRow(doc, t("invoice.vatAt", group.vatRate), money(group.vat));
+      }
+    });
+    summaryRow(doc, creditNote ? t("invoice.refundTotal") : t("invoice.total"), money(invoice.totals.gross), { bold: true });
+
+    // Notes
+    doc.moveDown(1.5).font("Helvetica").fontSize(8);
+    if (invoice.lines.some(line => line.taxScheme === "margin")) {
+      doc.text(t("invoice.marginNote"), 50, doc.y, { width: 495 }).moveDown(0.5);
+    }
+    if (invoice.lines.some(line => line.taxScheme === "standard" && !line.vatRate)) {
+      doc.text(t("tax.exportFree"), 50, doc.y, { width: 495 }).moveDown(0.5);
+    }
+    if (!creditNote) {
+      doc.text(t("invoice.supplyDate"), 50, doc.y, { width: 495 }).moveDown(0.5);
+      doc.fontSize(9).text(t("invoice.thanks"), 50, doc.y, { width: 495 });
+    }
+
+    // Tax ids in the footer of the last page
+    const taxIds = [
+      invoice.seller?.vatId && `${t("invoice.vatId")}: ${invoice.seller.vatId}`,
+      invoice.seller?.taxNumber && `${t("invoice.taxNumber")}: ${invoice.seller.taxNumber}`
+    ].filter(Boolean).join("  ·  ");
+    if (taxIds) {
+      doc.fontSize(8).fillColor("#666666").text(taxIds, 50, 780, { width: 495, align: "center", lineBreak: false });
+    }
+
+    doc.end();
+  });
+}
+
+// Attachment for emails (nodemailer format)
+async function invoiceAttachment(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) throw new InvoiceError(`Invoice ${invoiceId} not found`, 404);
+  return { filename: `${invoice.number}.pdf`, content: await renderInvoicePdf(invoice), contentType: "application/pdf" };
+}
+
+module.exports = {
+  InvoiceError,
+  invoiceDue,
+  issueInvoice,
+  issueCreditNote,
+  syncOrderInvoices,
+  sendInvoiceEmail,
+  invoiceOrder,
+  completeHandOver,
+  renderInvoicePdf,
+  invoiceAttachment
+};
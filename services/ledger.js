@@ -0,0 +1,359 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const PayoutBatch = require("../models/PayoutBatch");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const { SYSTEM_ACTOR } = require("./orderStateMachine");
+
+// Platform commission in percent when the product's category doesn't set its own
+const DEFAULT_COMMISSION_RATE = Number(process.env.PLATFORM_COMMISSION_RATE ?? 10);
+
+// Credits stay on hold this long before they can go into a payout (covers the return window)
+const PAYOUT_HOLD_DAYS = Number(process.env.PAYOUT_HOLD_DAYS ?? 14);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => String(value?._id || value);
+
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "LedgerError";
+    this.status = status;
+  }
+}
+
+const holdCutoff = () => new Date(Date.now() - PAYOUT_HOLD_DAYS * 24 * 60 * 60 * 1000);
+
+// Insert entries, skipping any that were booked before (same key). Webhook retries and
+// a cancel racing a refund can ask for the same entry twice.
+async function insertEntries(entries) {
+  if (entries.length === 0) return [];
+  try {
+    return await LedgerEntry.insertMany(entries, { ordered: false });
+  } catch (err) {
+    const duplicatesOnly = (err.writeErrors || [err]).every(e => e.code === 11000);
+    if (!duplicatesOnly) throw err;
+    return err.insertedDocs || [];
+  }
+}
+
+// Commission rate per product id, from the product's category
+async function commissionRates(items) {
+  const productIds = [...new Set(items.map(item => idOf(item.productId)))];
+  const products = await Product.find({ _id: { $in: productIds } }).select("category categoryRef").lean();
+  const categories = await Category.find({
+    $or: [
+      { _id: { $in: products.map(p => p.categoryRef).filter(Boolean) } },
+      { name: { $in: products.map(p => p.category) } }
+    ]
+  }).select("name commissionRate").lean();
+
+  const rates = new Map();
+  products.forEach(product => {
+    const category = categories.find(c => product.categoryRef && c._id.equals(product.categoryRef)) ||
+      categories.find(c => c.name === product.category);
+    rates.set(product._id.toString(), category?.commissionRate ?? DEFAULT_COMMISSION_RATE);
+  });
+  return rates;
+}
+
+// Credit the seller of every line of a paid order. Coupons are funded by the platform,
+// so sellers are credited on the line price. Free lines (replacement orders) and the shop's
+// own stock book nothing.
+async function recordOrderSales(order) {
+  if (order.paymentStatus !== "Paid") return [];
+
+  const lines = order.items.filter(item => item.sellerId && !item.shopOwned && item.price > 0);
+  if (lines.length === 0) return [];
+
+  const rates = await commissionRates(lines);
+  const entries = lines.map(item => {
+    const rate = rates.get(idOf(item.productId)) ?? DEFAULT_COMMISSION_RATE;
+    const gross = roundMoney(item.price * item.quantity);
+    const commission = roundMoney(gross * rate / 100);
+    return {
+      sellerId: idOf(item.sellerId),
+      type: "sale",
+      amount: roundMoney(gross - commission),
+      gross,
+      commission,
+      commissionRate: rate,
+      quantity: item.quantity,
+      orderId: order._id,
+      itemId: item._id,
+      key: `sale:${order._id}:${item._id}`
+    };
+  });
+
+  const created = await insertEntries(entries);
+  if (created.length > 0) {
+    console.log(`✅ Ledger: credited ${created.length} line(s) of order ${order._id}`);
+  }
+  return created;
+}
+
+// Take back the seller credit for refunded or cancelled units.
+// `lines` is [{ itemId, quantity }]; without it everything not reversed yet is taken back.
+// Reversals are pro rata to the sale, the last units take whatever is left of it.
+async function reverseOrderSales(order, { lines, refundId, reason } = {}) {
+  const sales = await LedgerEntry.find({ orderId: order._id, type: "sale" }).lean();
+  if (sales.length === 0) return [];
+  const reversals = await LedgerEntry.find({ orderId: order._id, type: "reversal" }).lean();
+
+  const wanted = lines || sales.map(sale => ({ itemId: sale.itemId, quantity: sale.quantity }));
+  const tag = refundId ? `refund-${refundId}` : (reason || "reversed");
+
+  const entries = [];
+  for (const line of wanted) {
+    const sale = sales.find(s => s.itemId.toString() === idOf(line.itemId));
+    if (!sale) continue;
+
+    const previous = reversals.filter(r => r.itemId.toString() === sale.itemId.toString());
+    const reversedQuantity = previous.reduce((sum, r) => sum + r.quantity, 0);
+    const quantity = Math.min(line.quantity, sale.quantity - reversedQuantity);
+    if (quantity <= 0) continue;
+
+    let gross, commission;
+    if (reversedQuantity + quantity === sale.quantity) {
+      // Reversal amounts are negative, so adding them gives what is left of the sale
+      gross = roundMoney(sale.gross + previous.reduce((sum, r) => sum + r.gross, 0));
+      commission = roundMoney(sale.commission + previous.reduce((sum, r) => sum + r.commission, 0));
+    } else {
+      gross = roundMoney(sale.gross * quantity / sale.quantity);
+      commission = roundMoney(sale.commission * quantity / sale.quantity);
+    }
+
+    entries.push({
+      sellerId: sale.sellerId,
+      type: "reversal",
+      amount: -roundMoney(gross - commission),
+      gross: -gross,
+      commission: -commission,
+      commissionRate: sale.commissionRate,
+      quantity,
+      orderId: order._id,
+      itemId: sale.itemId,
+      refundId,
+      note: reason,
+      key: `reversal:${order._id}:${sale.itemId}:${tag}`
+    });
+  }
+
+  const created = await insertEntries(entries);
+  if (created.length > 0) {
+    console.log(`✅ Ledger: reversed ${created.length} line(s) of order ${order._id} (${tag})`);
+  }
+  return created;
+}
+
+// What the platform owes a seller right now.
+// available: can go into the next payout, onHold: still inside the hold period,
+// inPayout: in a batch that wasn't paid yet.
+async function sellerBalance(sellerId) {
+  const cutoff = holdCutoff();
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { sellerId: new mongoose.Types.ObjectId(idOf(sellerId)) } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: "$amount" },
+        available: {
+          $sum: { $cond: [{ $and: [{ $eq: ["$payoutBatchId", null] }, { $lte: ["$createdAt", cutoff] }] }, "$amount", 0] }
+        },
+        onHold: {
+          $sum: { $cond: [{ $and: [{ $eq: ["$payoutBatchId", null] }, { $gt: ["$createdAt", cutoff] }] }, "$amount", 0] }
+        },
+        grossSales: { $sum: { $cond: [{ $in: ["$type", ["sale", "reversal"]] }, "$gross", 0] } },
+        commission: { $sum: { $cond: [{ $in: ["$type", ["sale", "reversal"]] }, "$commission", 0] } },
+        paidOut: { $sum: { $cond: [{ $eq: ["$type", "payout"] }, { $multiply: ["$amount", -1] }, 0] } }
+      }
+    }
+  ]);
+
+  const t = totals || { balance: 0, available: 0, onHold: 0, grossSales: 0, commission: 0, paidOut: 0 };
+  return {
+    balance: roundMoney(t.balance),
+    available: roundMoney(t.available),
+    onHold: roundMoney(t.onHold),
+    inPayout: roundMoney(t.balance - t.available - t.onHold),
+    grossSales: roundMoney(t.grossSales),
+    commission: roundMoney(t.commission),
+    paidOut: roundMoney(t.paidOut),
+    holdDays: PAYOUT_HOLD_DAYS,
+    currency: "EUR"
+  };
+}
+
+// Paginated ledger entries for a period, with the running balance before and after it
+async function sellerStatement(sellerId, { from, to, page = 1, limit = 50 } = {}) {
+  page = Math.max(1, parseInt(page, 10) || 1);
+  limit = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+  const seller = new mongoose.Types.ObjectId(idOf(sellerId));
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    throw new LedgerError("from and to must be valid dates");
+  }
+
+  const createdAt = {};
+  if (fromDate) createdAt.$gte = fromDate;
+  if (toDate) createdAt.$lte = toDate;
+  const filter = { sellerId: seller, ...(fromDate || toDate ? { createdAt } : {}) };
+
+  const sumOf = async (match) => {
+    const [row] = await LedgerEntry.aggregate([{ $match: match }, { $group: { _id: null, amount: { $sum: "$amount" } } }]);
+    return roundMoney(row?.amount || 0);
+  };
+
+  const [entries, total, openingBalance, periodTotal] = await Promise.all([
+    LedgerEntry.find(filter)
+      .populate("orderId", "orderStatus paymentStatus createdAt")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    LedgerEntry.countDocuments(filter),
+    fromDate ? sumOf({ sellerId: seller, createdAt: { $lt: fromDate } }) : 0,
+    sumOf(filter)
+  ]);
+
+  return {
+    entries,
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    openingBalance,
+    closingBalance: roundMoney(openingBalance + periodTotal)
+  };
+}
+
+// Claim everything that is past the hold period and not in a batch yet.
+// Entries are claimed with a conditional update, so two admins creating batches at the same
+// time never pay an entry twice. Sellers whose claimed total isn't positive are left for later.
+async function createPayoutBatch({ sellerIds, actor = SYSTEM_ACTOR } = {}) {
+  const batchId = new mongoose.Types.ObjectId();
+  const cutoff = holdCutoff();
+
+  const filter = { payoutBatchId: null, type: { $ne: "payout" }, createdAt: { $lte: cutoff } };
+  if (Array.isArray(sellerIds) && sellerIds.length > 0) {
+    filter.sellerId = { $in: sellerIds.map(id => new mongoose.Types.ObjectId(idOf(id))) };
+  }
+  await LedgerEntry.updateMany(filter, { $set: { payoutBatchId: batchId } });
+
+  const unclaim = (match = {}) =>
+    LedgerEntry.updateMany({ payoutBatchId: batchId, ...match }, { $set: { payoutBatchId: null } });
+
+  try {
+    const totals = await LedgerEntry.aggregate([
+      { $match: { payoutBatchId: batchId } },
+      { $group: { _id: "$sellerId", amount: { $sum: "$amount" }, entryCount: { $sum: 1 } } }
+    ]);
+
+    const payable = totals.filter(t => roundMoney(t.amount) > 0);
+    const carried = totals.filter(t => roundMoney(t.amount) <= 0).map(t => t._id);
+    if (carried.length > 0) await unclaim({ sellerId: { $in: carried } });
+    if (payable.length === 0) throw new LedgerError("No seller has an amount due for payout", 409);
+
+    const users = await User.find({ _id: { $in: payable.map(t => t._id) } }).select("name email payoutDetails").lean();
+    const sellers = payable.map(t => {
+      const user = users.find(u => u._id.equals(t._id));
+      return {
+        sellerId: t._id,
+        name: user?.name,
+        email: user?.email,
+        amount: roundMoney(t.amount),
+        entryCount: t.entryCount,
+        payoutDetails: user?.payoutDetails || {}
+      };
+    });
+
+    const day = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const batch = await PayoutBatch.create({
+      _id: batchId,
+      reference: `PAYOUT-${day}-${batchId.toString().slice(-6).toUpperCase()}`,
+      cutoff,
+      sellers,
+      total: roundMoney(sellers.reduce((sum, s) => sum + s.amount, 0)),
+      createdBy: actor.id
+    });
+    console.log(`✅ Payout batch ${batch.reference}: ${sellers.length} seller(s), €${batch.total.toFixed(2)}`);
+    return batch;
+  } catch (err) {
+    await unclaim().catch(() => {});
+    throw err;
+  }
+}
+
+// Record that the bank transfers went out. Payout entries are booked first (idempotent),
+// then the batch flips to paid - a failed request can simply be repeated.
+async function markBatchPaid(batch, { paymentReference, actor = SYSTEM_ACTOR } = {}) {
+  if (batch.status !== "pending") {
+    throw new LedgerError("Payout batch is already paid", 409);
+  }
+
+  await insertEntries(batch.sellers.map(seller => ({
+    sellerId: seller.sellerId,
+    type: "payout",
+    amount: -seller.amount,
+    payoutBatchId: batch._id,
+    note: `Payout ${batch.reference}`,
+    key: `payout:${batch._id}:${seller.sellerId}`,
+    createdBy: actor.id
+  })));
+
+  const updated = await PayoutBatch.findOneAndUpdate(
+    { _id: batch._id, status: "pending" },
+    { $set: { status: "paid", paidAt: new Date(), paidBy: actor.id, paymentReference } },
+    { new: true }
+  );
+  if (!updated) throw new LedgerError("Payout batch is already paid", 409);
+
+  console.log(`✅ Payout batch ${updated.reference} marked paid`);
+  return updated;
+}
+
+// Seller-entered text like "=HYPERLINK(...)" would run as a formula when the file is opened
+// in a spreadsheet - a leading quote makes it plain text
+const csvValue = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per seller, in the shape banks' bulk transfer imports expect
+function payoutBatchCsv(batch) {
+  const header = ["reference", "seller_id", "name", "email", "account_holder", "iban", "bic", "paypal_email", "amount", "currency"];
+  const rows = batch.sellers.map(seller => {
+    const details = seller.payoutDetails || {};
+    return [
+      batch.reference,
+      seller.sellerId,
+      seller.name,
+      seller.email,
+      details.accountHolder || seller.name,
+      details.iban,
+      details.bic,
+      details.paypalEmail,
+      seller.amount.toFixed(2),
+      "EUR"
+    ];
+  });
+  return [header, ...rows].map(row => row.map(csvValue).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  PAYOUT_HOLD_DAYS,
+  LedgerError,
+  recordOrderSales,
+  reverseOrderSales,
+  sellerBalance,
+  sellerStatement,
+  createPayoutBatch,
+  markBatchPaid,
+  payoutBatchCsv
+};
@@ -0,0 +1,240 @@
+// German email strings. Keys mirror services/locales/en.js.
+module.exports = {
+  common: {
+    dear: (name) => `Hallo ${name},`,
+    hello: (name) => `Hallo ${name},`,
+    hi: (name) => `Hallo ${name},`,
+    orderId: "Bestellnummer:",
+    orderNumber: (id) => `Bestellung ${id}`,
+    product: "Produkt",
+    qty: "Menge",
+    price: "Preis",
+    subtotal: "Zwischensumme",
+    lineTotal: "Summe",
+    total: "Gesamt:",
+    orderItems: "Bestellte Artikel",
+    bestRegards: "Viele Grüße,",
+    team: "Ihr F&S Smartphones Team",
+    rightsReserved: (year) => `© ${year} F&S Smartphones. Alle Rechte vorbehalten.`,
+    notAvailable: "k. A.",
+    selectedOutlet: "Ausgewählte Filiale"
+  },
+  statuses: {
+    Pending: "Offen",
+    Processing: "In Bearbeitung",
+    Shipped: "Versandt",
+    "Ready for Pickup": "Abholbereit",
+    Delivered: "Zugestellt",
+    Completed: "Abgeschlossen",
+    Cancelled: "Storniert"
+  },
+  confirmation: {
+    subject: (id) => `Bestellbestätigung - ${id}`,
+    heading: "Vielen Dank für Ihre Bestellung!",
+    intro: "Wir haben Ihre Bestellung erhalten und bearbeiten sie. Sobald sie versandt wird, erhalten Sie eine weitere E-Mail.",
+    details: "Bestelldetails",
+    orderDate: "Bestelldatum:",
+    paymentMethod: "Zahlungsart:",
+    paymentStatus: "Zahlungsstatus:",
+    paid: "Bezahlt",
+    pending: "Ausstehend",
+    deliveryMethod: "Lieferart:",
+    homeDelivery: "Lieferung nach Hause",
+    outletPickup: "Abholung in der Filiale",
+    pickupInformation: "Informationen zur Abholung",
+    pickupSlot: "Abholzeit:",
+    outlet: "Filiale:",
+    address: "Adresse:",
+    phone: "Telefon:",
+    email: "E-Mail:",
+    deliveryAddress: "Lieferadresse",
+    statusChanges: "Wir benachrichtigen Sie, sobald sich der Status Ihrer Bestellung ändert.",
+    viewOrder: "Bestellung ansehen",
+    viewOrderHint: "Über diesen Link können Sie Ihre Bestellung verfolgen, sie stornieren, solange wir noch nicht mit der Bearbeitung begonnen haben, oder einen Artikel zurücksenden. Bitte geben Sie ihn nicht weiter.",
+    questions: "Bei Fragen wenden Sie sich bitte an unseren Kundenservice."
+  },
+  statusUpdate: {
+    subject: (id) => `Statusänderung Ihrer Bestellung - ${id}`,
+    onTheWay: "Ihre Bestellung ist unterwegs!",
+    readyForPickup: "Ihre Bestellung ist abholbereit!",
+    delivered: "Ihre Bestellung wurde zugestellt!",
+    updated: "Der Status Ihrer Bestellung hat sich geändert.",
+    intro: "Wir möchten Sie darüber informieren, dass sich der Status Ihrer Bestellung geändert hat.",
+    orderStatus: "Bestellstatus",
+    status: "Status:",
+    trackingNumber: "Sendungsnummer:",
+    trackWithDhl: "Sendung bei DHL verfolgen",
+    shippingInformation: "📦 Versandinformationen",
+    shippedVia: "Ihre Bestellung wurde mit DHL Express versandt und ist auf dem Weg zu Ihnen!",
+    trackHint: "Sie können Ihre Sendung mit der oben genannten Sendungsnummer oder über die Schaltfläche \"Sendung bei DHL verfolgen\" verfolgen.",
+    expectedDelivery: "Voraussichtliche Lieferung:",
+    deliveryTime: "Bitte rechnen Sie mit 3-5 Werktagen für die Lieferung mit DHL Express.",
+    pickupInformation: "📍 Informationen zur Abholung",
+    pickupAt: "Ihre Bestellung liegt in folgender Filiale zur Abholung bereit:",
+    outletAddress: "Adresse der Filiale",
+    phone: "Telefon:",
+    email: "E-Mail:",
+    bringId: "Bitte bringen Sie zur Abholung einen gültigen Ausweis mit.",
+    pickupSlot: "Ihre Abholzeit:",
+    pickupCode: "Ihr Abholcode:",
+    pickupCodeHint: "Zeigen Sie diesen Code in der Filiale vor - wir fragen danach, bevor wir Ihre Bestellung aushändigen.",
+    deliveryComplete: "🎉 Zustellung abgeschlossen!",
+    enjoy: "Ihre Bestellung wurde erfolgreich zugestellt. Wir wünschen Ihnen viel Freude damit!",
+    contactUs: "Wenn Sie Fragen oder Anliegen haben, wenden Sie sich gerne an unseren Kundenservice.",
+    questions: "Bei Fragen zu Ihrer Bestellung wenden Sie sich bitte an unseren Kundenservice."
+  },
+  cancellation: {
+    subject: (id) => `Bestellung storniert - ${id}`,
+    heading: "Bestellung storniert",
+    intro: (id) => `Leider müssen wir Ihnen mitteilen, dass Ihre Bestellung <strong>${id}</strong> storniert wurde.`,
+    reasons: {
+      abandoned: "Ihre Bestellung wurde automatisch storniert, da die Zahlung nicht innerhalb von 5 Minuten abgeschlossen wurde.",
+      user_cancelled: "Ihre Bestellung wurde wie gewünscht storniert.",
+      stripe_cancelled: "Ihre Bestellung wurde wie gewünscht storniert.",
+      payment_failed: "Ihre Bestellung wurde storniert, da die Zahlung nicht erfolgreich war.",
+      default: "Ihre Bestellung wurde storniert."
+    },
+    details: "Details zur Stornierung",
+    orderTotal: "Bestellsumme:",
+    cancelledOn: "Storniert am:",
+    orderItems: "Bestellte Artikel:",
+    whatsNext: "Wie geht es weiter?",
+    refundInfo: "Falls Ihnen diese Bestellung bereits berechnet wurde, wird der Betrag innerhalb von 5-10 Werktagen automatisch erstattet.",
+    newOrder: "Wenn Sie Fragen haben oder eine neue Bestellung aufgeben möchten, wenden Sie sich gerne an unseren Kundenservice.",
+    questions: "Bei Fragen zu dieser Stornierung wenden Sie sich bitte an unseren Kundenservice."
+  },
+  refund: {
+    subjectFull: (id) => `Bestellung erstattet - ${id}`,
+    subjectPartial: (id) => `Teilerstattung - ${id}`,
+    headingFull: "Erstattung veranlasst",
+    headingPartial: "Teilerstattung veranlasst",
+    introFull: (id) => `Wir haben den Betrag Ihrer Bestellung <strong>${id}</strong> erstattet.`,
+    introPartial: (id) => `Wir haben einen Teil des Betrags Ihrer Bestellung <strong>${id}</strong> erstattet.`,
+    details: "Details zur Erstattung",
+    amount: "Erstatteter Betrag:",
+    orderTotal: "Bestellsumme:",
+    reason: "Grund:",
+    refundedOn: "Erstattet am:",
+    items: "Erstattete Artikel:",
+    whenTitle: "Wann erhalte ich mein Geld?",
+    whenText: "Die Erstattung erfolgt über Ihre ursprüngliche Zahlungsmethode und ist in der Regel innerhalb von 5-10 Werktagen sichtbar.",
+    questions: "Bei Fragen zu dieser Erstattung wenden Sie sich bitte an unseren Kundenservice."
+  },
+  returns: {
+    subject: (title, id) => `${title} - Rücksendung #${id}`,
+    titles: {
+      requested: "Rücksendeanfrage erhalten",
+      approved: "Rücksendung genehmigt",
+      rejected: "Rücksendeanfrage abgelehnt",
+      inspected: "Gerät geprüft",
+      completed: "Rücksendung abgeschlossen"
+    },
+    messages: {
+      requested: "Wir haben Ihre Rücksendeanfrage erhalten und prüfen sie in Kürze.",
+      approved: "Ihre Rücksendung wurde genehmigt. Bitte senden Sie uns das Gerät zurück oder bringen Sie es in eine unserer Filialen.",
+      rejected: "Leider konnten wir Ihre Rücksendeanfrage nicht annehmen.",
+      inspected: "Wir haben Ihr Gerät erhalten und geprüft. Wir informieren Sie in Kürze über das Ergebnis.",
+      replacement: "Ein Ersatzgerät ist auf dem Weg zu Ihnen. Sie erhalten dafür eine separate Bestätigung.",
+      refunded: (amount) => `Wir haben ${amount} über Ihre ursprüngliche Zahlungsmethode erstattet. Der Betrag ist in der Regel innerhalb von 5-10 Werktagen sichtbar.`
+    },
+    details: "Details zur Rücksendung",
+    returnId: "Rücksendung:",
+    order: "Bestellung:",
+    product: "Artikel:",
+    grade: "Prüfergebnis:",
+    note: "Hinweis:",
+    questions: "Bei Fragen zu Ihrer Rücksendung wenden Sie sich bitte an unseren Kundenservice."
+  },
+  texts: {
+    shipped: (name, id) => `Hallo ${name}! Ihre Bestellung ${id} wurde versandt. 🚚`,
+    trackingNumber: "Sendungsnummer:",
+    trackOrder: "Bestellung verfolgen:",
+    readyForPickup: (name, id) => `Hallo ${name}! Ihre Bestellung ${id} ist abholbereit. 🎉`,
+    pickupLocation: "📍 Abholort:",
+    selectedOutlet: "die gewählte Filiale",
+    pickupCode: "🔑 Abholcode:",
+    bringId: "Bitte bringen Sie Ihre Bestellbestätigung und einen Ausweis mit."
+  },
+  verification: {
+    subject: "Bestätigen Sie Ihre E-Mail-Adresse - F&S Smartphones",
+    welcomeTitle: "Willkommen bei F&S Smartphones!",
+    title: "Bestätigen Sie Ihre E-Mail-Adresse - F&S Smartphones",
+    welcomeIntro: "Vielen Dank für Ihre Registrierung! Bitte bestätigen Sie Ihre E-Mail-Adresse über einen der folgenden Links:",
+    intro: "Bitte bestätigen Sie Ihre E-Mail-Adresse über einen der folgenden Links:",
+    button: "E-MAIL-ADRESSE BESTÄTIGEN",
+    expiry: "Dieser Link ist 24 Stunden gültig."
+  },
+  passwordReset: {
+    subject: "Passwort zurücksetzen - F&S Smartphones",
+    title: "Passwort zurücksetzen - F&S Smartphones",
+    intro: "Sie haben angefordert, Ihr Passwort zurückzusetzen. Klicken Sie auf einen der folgenden Links, um ein neues Passwort festzulegen:",
+    button: "PASSWORT ZURÜCKSETZEN",
+    expiry: "Dieser Link ist 1 Stunde gültig."
+  },
+  accountLink: {
+    orClick: "Oder klicken Sie auf diesen Link:",
+    orCopy: "Oder kopieren Sie diese URL in Ihren Browser:"
+  },
+  tax: {
+    included: (rate) => `inkl. ${rate} % MwSt.`,
+    margin: "Differenzbesteuert nach § 25a UStG - kein gesonderter Steuerausweis",
+    exportFree: "Steuerfreie Ausfuhrlieferung"
+  },
+  invoice: {
+    title: "Rechnung",
+    creditNoteTitle: "Rechnungskorrektur",
+    number: "Rechnungsnr.",
+    creditNoteNumber: "Korrekturnr.",
+    corrects: (number) => `Korrektur zur Rechnung ${number}`,
+    date: "Datum",
+    order: "Bestellung",
+    billTo: "Rechnungsempfänger",
+    pickupSlot: "Abholung",
+    pos: "Pos.",
+    description: "Beschreibung",
+    qty: "Menge",
+    unitPrice: "Einzelpreis",
+    vat: "USt.",
+    amount: "Betrag",
+    discount: (code) => (code ? `Rabatt (${code})` : "Rabatt"),
+    netAt: (rate) => `Nettobetrag (${rate} % USt.)`,
+    vatAt: (rate) => `Umsatzsteuer ${rate} %`,
+    marginItems: "Differenzbesteuerte Artikel",
+    total: "Gesamtbetrag",
+    refundTotal: "Erstattungsbetrag",
+    marginMark: "§25a",
+    marginNote: "Gebrauchtgegenstände/Sonderregelung - Differenzbesteuerung nach § 25a UStG. Die Umsatzsteuer ist im Preis enthalten und wird nicht gesondert ausgewiesen.",
+    supplyDate: "Das Leistungsdatum entspricht dem Rechnungsdatum.",
+    vatId: "USt-IdNr.",
+    taxNumber: "Steuernummer",
+    thanks: "Vielen Dank für Ihren Einkauf!",
+    emailSubject: (number) => `Ihre Rechnung ${number} - F&S Smartphones`,
+    emailIntro: (orderId) => `Vielen Dank für Ihre Bestellung ${orderId}. Ihre Rechnung finden Sie im Anhang dieser E-Mail.`
+  },
+  shipping: {
+    label: "Versand",
+    free: "Kostenloser Versand"
+  },
+  tracking: {
+    statuses: {
+      label_created: "Versandetikett erstellt",
+      in_transit: "Unterwegs",
+      out_for_delivery: "In Zustellung",
+      delivered: "Zugestellt",
+      exception: "Zustellproblem"
+    },
+    subjects: {
+      out_for_delivery: (orderId) => `Ihre Bestellung ${orderId} ist in Zustellung - F&S Smartphones`,
+      delivered: (orderId) => `Ihre Bestellung ${orderId} wurde zugestellt - F&S Smartphones`,
+      exception: (orderId) => `Zustellproblem bei Ihrer Bestellung ${orderId} - F&S Smartphones`
+    },
+    intros: {
+      out_for_delivery: (orderId) => `Ihr Paket mit der Bestellung ${orderId} ist im Zustellfahrzeug und kommt voraussichtlich heute an.`,
+      delivered: (orderId) => `Ihr Paket mit der Bestellung ${orderId} wurde zugestellt. Viel Freude mit Ihrem Einkauf!`,
+      exception: (orderId) => `Der Versanddienstleister hat ein Problem bei der Zustellung Ihres Pakets mit der Bestellung ${orderId} gemeldet. In der Regel erfolgt ein neuer Zustellversuch - wir behalten die Sendung im Blick und melden uns bei Bedarf.`
+    },
+    trackingNumber: "Sendungsnummer:",
+    latest: "Letzte Meldung:",
+    trackButton: "Sendung verfolgen"
+  }
+};
@@ -0,0 +1,240 @@
+// English email strings. Keys mirror services/locales/de.js.
+module.exports = {
+  common: {
+    dear: (name) => `Dear ${name},`,
+    hello: (name) => `Hello ${name},`,
+    hi: (name) => `Hi ${name},`,
+    orderId: "Order ID:",
+    orderNumber: (id) => `Order ${id}`,
+    product: "Product",
+    qty: "Qty",
+    price: "Price",
+    subtotal: "Subtotal",
+    lineTotal: "Total",
+    total: "Total:",
+    orderItems: "Order Items",
+    bestRegards: "Best regards,",
+    team: "F&S Smartphones Team",
+    rightsReserved: (year) => `© ${year} F&S Smartphones. All rights reserved.`,
+    notAvailable: "N/A",
+    selectedOutlet: "Selected Outlet"
+  },
+  statuses: {
+    Pending: "Pending",
+    Processing: "Processing",
+    Shipped: "Shipped",
+    "Ready for Pickup": "Ready for Pickup",
+    Delivered: "Delivered",
+    Completed: "Completed",
+    Cancelled: "Cancelled"
+  },
+  confirmation: {
+    subject: (id) => `Order Confirmation - ${id}`,
+    heading: "Thank You for Your Order!",
+    intro: "Your order has been received and is being processed. We'll send you another email when your order ships.",
+    details: "Order Details",
+    orderDate: "Order Date:",
+    paymentMethod: "Payment Method:",
+    paymentStatus: "Payment Status:",
+    paid: "Paid",
+    pending: "Pending",
+    deliveryMethod: "Delivery Method:",
+    homeDelivery: "Home Delivery",
+    outletPickup: "Outlet Pickup",
+    pickupInformation: "Pickup Information",
+    pickupSlot: "Pickup time:",
+    outlet: "Outlet:",
+    address: "Address:",
+    phone: "Phone:",
+    email: "Email:",
+    deliveryAddress: "Delivery Address",
+    statusChanges: "We'll notify you when your order status changes.",
+    viewOrder: "View your order",
+    viewOrderHint: "Use this link to follow your order, cancel it before we start on it, or return an item. Please don't share it.",
+    questions: "If you have any questions, please contact our support team."
+  },
+  statusUpdate: {
+    subject: (id) => `Order Status Update - ${id}`,
+    onTheWay: "Your order is on the way!",
+    readyForPickup: "Your order is ready for pickup!",
+    delivered: "Your order has been delivered!",
+    updated: "Your order status has been updated.",
+    intro: "We wanted to let you know that your order status has been updated.",
+    orderStatus: "Order Status",
+    status: "Status:",
+    trackingNumber: "Tracking Number:",
+    trackWithDhl: "Track Your Package with DHL",
+    shippingInformation: "📦 Shipping Information",
+    shippedVia: "Your order has been shipped via DHL Express and is on its way to you!",
+    trackHint: "You can track your package using the tracking number above or click the \"Track Your Package with DHL\" button.",
+    expectedDelivery: "Expected Delivery:",
+    deliveryTime: "Please allow 3-5 business days for delivery via DHL Express.",
+    pickupInformation: "📍 Pickup Information",
+    pickupAt: "Your order is ready for pickup at the following location:",
+    outletAddress: "Outlet address",
+    phone: "Phone:",
+    email: "Email:",
+    bringId: "Please bring a valid ID when picking up your order.",
+    pickupSlot: "Your pickup time:",
+    pickupCode: "Your pickup code:",
+    pickupCodeHint: "Show this code at the outlet - we ask for it before handing over your order.",
+    deliveryComplete: "🎉 Delivery Complete!",
+    enjoy: "Your order has been successfully delivered. We hope you enjoy your purchase!",
+    contactUs: "If you have any questions or concerns, please don't hesitate to contact our support team.",
+    questions: "If you have any questions about your order, please contact our support team."
+  },
+  cancellation: {
+    subject: (id) => `Order Cancelled - ${id}`,
+    heading: "Order Cancelled",
+    intro: (id) => `We regret to inform you that your order <strong>${id}</strong> has been cancelled.`,
+    reasons: {
+      abandoned: "Your order was automatically cancelled because payment was not completed within 5 minutes.",
+      user_cancelled: "Your order was cancelled as requested.",
+      stripe_cancelled: "Your order was cancelled as requested.",
+      payment_failed: "Your order was cancelled due to unsuccessful payment.",
+      default: "Your order has been cancelled."
+    },
+    details: "Cancellation Details",
+    orderTotal: "Order Total:",
+    cancelledOn: "Cancelled On:",
+    orderItems: "Order Items:",
+    whatsNext: "What's Next?",
+    refundInfo: "If you were charged for this order, the refund will be processed automatically within 5-10 business days.",
+    newOrder: "If you have any questions or would like to place a new order, please don't hesitate to contact our support team.",
+    questions: "If you have any questions about this cancellation, please contact our support team."
+  },
+  refund: {
+    subjectFull: (id) => `Order Refunded - ${id}`,
+    subjectPartial: (id) => `Partial Refund - ${id}`,
+    headingFull: "Refund Issued",
+    headingPartial: "Partial Refund Issued",
+    introFull: (id) => `We have issued a refund for your order <strong>${id}</strong>.`,
+    introPartial: (id) => `We have issued a partial refund for your order <strong>${id}</strong>.`,
+    details: "Refund Details",
+    amount: "Refund Amount:",
+    orderTotal: "Order Total:",
+    reason: "Reason:",
+    refundedOn: "Refunded On:",
+    items: "Refunded Items:",
+    whenTitle: "When will I get my money?",
+    whenText: "The refund goes back to your original payment method and usually shows up within 5-10 business days.",
+    questions: "If you have any questions about this refund, please contact our support team."
+  },
+  returns: {
+    subject: (title, id) => `${title} - Return #${id}`,
+    titles: {
+      requested: "Return Request Received",
+      approved: "Return Approved",
+      rejected: "Return Request Declined",
+      inspected: "Device Inspected",
+      completed: "Return Completed"
+    },
+    messages: {
+      requested: "We have received your return request and will review it shortly.",
+      approved: "Your return has been approved. Please send the device back to us or bring it to one of our outlets.",
+      rejected: "Unfortunately we could not accept your return request.",
+      inspected: "We have received and inspected your device. We will let you know the outcome shortly.",
+      replacement: "A replacement device is on its way to you. You will receive a separate confirmation for it.",
+      refunded: (amount) => `We have refunded ${amount} to your original payment method. It usually shows up within 5-10 business days.`
+    },
+    details: "Return Details",
+    returnId: "Return:",
+    order: "Order:",
+    product: "Product:",
+    grade: "Inspection Grade:",
+    note: "Note:",
+    questions: "If you have any questions about your return, please contact our support team."
+  },
+  texts: {
+    shipped: (name, id) => `Hello ${name}! Your order ${id} has been shipped. 🚚`,
+    trackingNumber: "Tracking Number:",
+    trackOrder: "Track your order:",
+    readyForPickup: (name, id) => `Hello ${name}! Your order ${id} is ready for pickup. 🎉`,
+    pickupLocation: "📍 Pickup Location:",
+    selectedOutlet: "the selected outlet",
+    pickupCode: "🔑 Pickup code:",
+    bringId: "Please bring your order confirmation and ID."
+  },
+  verification: {
+    subject: "Verify Your Email - F&S Smartphones",
+    welcomeTitle: "Welcome to F&S Smartphones!",
+    title: "Verify Your Email - F&S Smartphones",
+    welcomeIntro: "Thank you for registering! Please verify your email address by clicking one of the links below:",
+    intro: "Please verify your email address by clicking one of the links below:",
+    button: "CLICK HERE TO VERIFY EMAIL",
+    expiry: "This link will expire in 24 hours."
+  },
+  passwordReset: {
+    subject: "Reset Your Password - F&S Smartphones",
+    title: "Reset Your Password - F&S Smartphones",
+    intro: "You requested to reset your password. Click one of the links below to reset it:",
+    button: "CLICK HERE TO RESET PASSWORD",
+    expiry: "This link will expire in 1 hour."
+  },
+  accountLink: {
+    orClick: "Or click this link:",
+    orCopy: "Or copy and paste this URL into your browser:"
+  },
+  tax: {
+    included: (rate) => `incl. ${rate}% VAT`,
+    margin: "Margin scheme (§ 25a UStG) - VAT not shown separately",
+    exportFree: "Tax-free export delivery"
+  },
+  invoice: {
+    title: "Invoice",
+    creditNoteTitle: "Credit note",
+    number: "Invoice no.",
+    creditNoteNumber: "Credit note no.",
+    corrects: (number) => `Corrects invoice ${number}`,
+    date: "Date",
+    order: "Order",
+    billTo: "Bill to",
+    pickupSlot: "Pickup",
+    pos: "Pos.",
+    description: "Description",
+    qty: "Qty",
+    unitPrice: "Unit price",
+    vat: "VAT",
+    amount: "Amount",
+    discount: (code) => (code ? `Discount (${code})` : "Discount"),
+    netAt: (rate) => `Net amount (${rate}% VAT)`,
+    vatAt: (rate) => `VAT ${rate}%`,
+    marginItems: "Items under the margin scheme",
+    total: "Total",
+    refundTotal: "Total refunded",
+    marginMark: "§25a",
+    marginNote: "Margin scheme - second-hand goods (Sonderregelung für Gebrauchtgegenstände, Differenzbesteuerung nach § 25a UStG). VAT is included but not shown separately.",
+    supplyDate: "The date of supply is the invoice date.",
+    vatId: "VAT ID",
+    taxNumber: "Tax number",
+    thanks: "Thank you for your purchase!",
+    emailSubject: (number) => `Your invoice ${number} - F&S Smartphones`,
+    emailIntro: (orderId) => `Thank you for your order ${orderId}. Your invoice is attached to this email.`
+  },
+  shipping: {
+    label: "Shipping",
+    free: "Free shipping"
+  },
+  tracking: {
+    statuses: {
+      label_created: "Label created",
+      in_transit: "In transit",
+      out_for_delivery: "Out for delivery",
+      delivered: "Delivered",
+      exception: "Delivery problem"
+    },
+    subjects: {
+      out_for_delivery: (orderId) => `Your order ${orderId} is out for delivery - F&S Smartphones`,
+      delivered: (orderId) => `Your order ${orderId} has been delivered - F&S Smartphones`,
+      exception: (orderId) => `Delivery problem with your order ${orderId} - F&S Smartphones`
+    },
+    intros: {
+      out_for_delivery: (orderId) => `Your parcel with order ${orderId} is on the delivery vehicle and should arrive today.`,
+      delivered: (orderId) => `Your parcel with order ${orderId} has been delivered. We hope you enjoy your purchase!`,
+      exception: (orderId) => `The carrier reported a problem delivering your parcel with order ${orderId}. It will usually try again - we are keeping an eye on it and will contact you if needed.`
+    },
+    trackingNumber: "Tracking number:",
+    latest: "Latest update:",
+    trackButton: "Track your parcel"
+  }
+};
@@ -0,0 +1,104 @@
+const MessagingConsent = require("../models/MessagingConsent");
+const { toE164, maskPhone } = require("./phoneNumbers");
+
+const TEXT_CHANNELS = ["whatsapp", "sms"]; // in order of preference
+
+class ConsentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ConsentError";
+    this.status = status;
+  }
+}
+
+// Record an opt-in or opt-out for one channel. `phone` may be in any format; `country`
+// completes national numbers. With a `userId` the number is claimed for that user - a number
+// another account already has is refused. Returns the consent document.
+async function setConsent(phone, channel, optedIn, { source, userId, country } = {}) {
+  if (!TEXT_CHANNELS.includes(channel)) throw new ConsentError(`Channel must be one of: ${TEXT_CHANNELS.join(", ")}`);
+  const e164 = toE164(phone, country);
+  if (!e164) throw new ConsentError("Please enter a valid phone number");
+
+  let consent;
+  try {
+    consent = await MessagingConsent.findOneAndUpdate(
+      { phone: e164, ...(userId && { userId: { $in: [null, userId] } }) },
+      {
+        $set: {
+          [channel]: { optedIn: Boolean(optedIn), source, at: new Date() },
+          ...(userId && { userId }),
+          updatedAt: Date.now()
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    // The number exists for another user - the upsert tried to create it a second time
+    if (err.code === 11000) throw new ConsentError("This phone number belongs to another account", 409);
+    throw err;
+  }
+  console.log(`✅ ${channel} ${optedIn ? "opt-in" : "opt-out"} for ${maskPhone(e164)} (${source})`);
+  return consent;
+}
+
+async function findConsent(phone, country) {
+  const e164 = toE164(phone, country);
+  return e164 ? MessagingConsent.findOne({ phone: e164 }) : null;
+}
+
+// Nothing is sent to a number that hasn't opted in to the channel
+async function isOptedIn(phone, channel) {
+  const consent = await MessagingConsent.findOne({ phone }).lean();
+  return Boolean(consent?.[channel]?.optedIn);
+}
+
+// The channel to reach a number on - WhatsApp if they opted in to it, otherwise SMS, otherwise none
+async function preferredChannel(phone) {
+  const consent = await MessagingConsent.findOne({ phone }).lean();
+  return TEXT_CHANNELS.find(channel => consent?.[channel]?.optedIn) || null;
+}
+
+// Opt-in checkboxes sent with a checkout (guestInfo.smsOptIn / guestInfo.whatsappOptIn).
+// Only ever opts in - an unticked box doesn't undo an earlier opt-in. Never fails the order.
+async function recordCheckoutConsent(guestInfo, userId) {
+  if (!guestInfo?.phone) return;
+  const choices = { sms: guestInfo.smsOptIn, whatsapp: guestInfo.whatsappOptIn };
+  for (const channel of TEXT_CHANNELS) {
+    if (choices[channel] !== true && choices[channel] !== "true") continue;
+    try {
+      await setConsent(guestInfo.phone, channel, true, { source: "checkout", userId, country: guestInfo.country });
+    } catch (err) {
+      console.warn(`⚠️ Could not record ${channel} opt-in from checkout:`, err.message);
+    }
+  }
+}
+
+// Keywords a customer can reply with, as Twilio handles them for SMS
+const STOP_WORDS = ["stop", "stopall", "unsubscribe", "cancel", "end", "quit", "stopp"];
+const START_WORDS = ["start", "unstop", "yes"];
+
+// Inbound message from the provider. Returns true if it changed the sender's consent.
+async function handleReply({ from, body }) {
+  const channel = String(from || "").toLowerCase().startsWith("whatsapp:") ? "whatsapp" : "sms";
+  const keyword = String(body || "").trim().toLowerCase();
+  if (STOP_WORDS.includes(keyword)) {
+    await setConsent(from, channel, false, { source: "reply" });
+    return true;
+  }
+  if (START_WORDS.includes(keyword)) {
+    await setConsent(from, channel, true, { source: "reply" });
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  TEXT_CHANNELS,
+  ConsentError,
+  setConsent,
+  findConsent,
+  isOptedIn,
+  preferredChannel,
+  recordCheckoutConsent,
+  handleReply
+};
@@ -0,0 +1,822 @@
+// Named notification templates. Each one turns plain variables into the message to send,
+// so the outbox can store the variables and render again on every retry.
+// Customer emails take a `locale` variable ("en" / "de"), see services/i18n.js.
+
+const { translator, statusLabel, formatMoney, formatDate, formatTimeRange } = require("./i18n");
+const { orderNumberOf } = require("./orderNumbers");
+
+// Order number as the customer sees it (ORD-1A2B3C4D) - variables may carry only { _id }
+const getOrderShortId = (order) => {
+  try {
+    return orderNumberOf(order);
+  } catch (error) {
+    return 'N/A';
+  }
+};
+
+// Order confirmation - variables: { order, customer: { name, email }, orderUrl, locale }
+// `orderUrl` is the signed link guests use to view and manage their order (services/orderAccess)
+function orderConfirmation({ order, customer, orderUrl, locale }) {
+  const t = translator(locale);
+  const money = (amount) => formatMoney(amount, locale);
+  const shortOrderId = getOrderShortId(order);
+  
+  // Format order date
+  const orderDate = formatDate(order.createdAt, locale, { time: true });
+
+  // Build items HTML
+  let itemsHtml = '';
+  if (order.items && Array.isArray(order.items)) {
+    itemsHtml = order.items.map((item, index) => {
+      const productName = item.productId?.name || item.name || t('common.product');
+      const quantity = item.quantity || 1;
+      const price = item.price || 0;
+      const subtotal = price * quantity;
+      
+      // Get variant specs if available
+      let variantInfo = '';
+      if (item.variantId && item.productId?.variants) {
+        const variant = item.productId.variants.find(v => 
+          v._id?.toString() === item.variantId?.toString()
+        );
+        if (variant && variant.specs) {
+          const specs = variant.specs instanceof Map 
+            ? Object.fromEntries(variant.specs) 
+            : variant.specs;
+          const specsEntries = Object.entries(specs);
+          if (specsEntries.length > 0) {
+            variantInfo = `<div style="margin-top: 6px; display: flex; flex-wrap: wrap; gap: 6px;">${specsEntries.map(([key, value]) => 
+              `<span style="background: #f3f4f6; padding: 4px 8px; border-radius: 4px; font-size: 11px; color: #374151; border: 1px solid #e5e7eb;"><strong style="text-transform: capitalize;">${key}:</strong> ${value}</span>`
+            ).join('')}</div>`;
+          }
+        }
+      }
+      
+      return `
+        <tr style="border-bottom: 1px solid #e5e7eb;">
+          <td style="padding: 12px; text-align: left;">
+            <strong style="display: block; margin-bottom: 4px;">${productName}</strong>
+            ${variantInfo}
+          </td>
+          <td style="padding: 12px; text-align: center;">${quantity}</td>
+          <td style="padding: 12px; text-align: right;">${money(price)}</td>
+          <td style="padding: 12px; text-align: right; font-weight: bold;">${money(subtotal)}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  // Payment status
+  const paymentStatus = order.paymentStatus === 'Paid' 
+    ? `<span style="color: #059669; font-weight: bold;">${t('confirmation.paid')}</span>` 
+    : `<span style="color: #d97706; font-weight: bold;">${t('confirmation.pending')}</span>`;
+
+  // Delivery/Shipping info
+  let deliveryInfo = '';
+  if (order.deliveryMethod === 'pickup' && order.outletId) {
+    deliveryInfo = `
+      <div style="background: #fef3c7; padding: 15px; border-radius: 8px; margin: 15px 0;">
+        <h4 style="color: #d97706; margin-top: 0;">${t('confirmation.pickupInformation')}</h4>
+        <p><strong>${t('confirmation.outlet')}</strong> ${order.outletId.name || t('common.selectedOutlet')}</p>
+        <p><strong>${t('confirmation.address')}</strong> ${order.outletId.address || t('common.notAvailable')}</p>
+        <p><strong>${t('confirmation.phone')}</strong> ${order.outletId.phone || t('common.notAvailable')}</p>
+        ${order.outletId.email ? `<p><strong>${t('confirmation.email')}</strong> ${order.outletId.email}</p>` : ''}
+        ${order.pickupSlot?.start ? `<p><strong>${t('confirmation.pickupSlot')}</strong> ${formatTimeRange(order.pickupSlot.start, order.pickupSlot.end, locale)}</p>` : ''}
+      </div>
+    `;
+  } else if (order.guestInfo?.address) {
+    deliveryInfo = `
+      <div style="background: #f0f9ff; padding: 15px; border-radius: 8px; margin: 15px 0;">
+        <h4 style="color: #0284c7; margin-top: 0;">${t('confirmation.deliveryAddress')}</h4>
+        <p>${order.guestInfo.address}</p>
+        <p>${order.guestInfo.postalCode || ''} ${order.guestInfo.country || ''}</p>
+      </div>
+    `;
+  }
+
+  return {
+    subject: t('confirmation.subject', shortOrderId),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+        <!-- Header -->
+        <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${t('confirmation.heading')}</h1>
+          <p style="color: #d1fae5; margin: 10px 0 0 0; font-size: 16px;">${t('common.orderNumber', shortOrderId)}</p>
+        </div>
+
+        <!-- Content -->
+        <div style="padding: 30px; background: #ffffff;">
+          <p style="font-size: 16px; color: #374151; margin: 0 0 20px 0;">${t('common.dear', customer.name)}</p>
+          <p style="font-size: 16px; color: #374151; margin: 0 0 30px 0;">${t('confirmation.intro')}</p>
+          
+          <!-- Order Details -->
+          <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px;">${t('confirmation.details')}</h3>
+            <table style="width: 100%; margin: 10px 0;">
+              <tr>
+                <td style="padding: 6px 0; color: #6b7280;"><strong>${t('common.orderId')}</strong></td>
+                <td style="padding: 6px 0; color: #111827; text-align: right;"><strong>${shortOrderId}</strong></td>
+              </tr>
+              <tr>
+                <td style="padding: 6px 0; color: #6b7280;"><strong>${t('confirmation.orderDate')}</strong></td>
+                <td style="padding: 6px 0; color: #111827; text-align: right;">${orderDate}</td>
+              </tr>
+              <tr>
+                <td style="padding: 6px 0; color: #6b7280;"><strong>${t('confirmation.paymentMethod')}</strong></td>
+                <td style="padding: 6px 0; color: #111827; text-align: right;">${order.paymentMethod || t('common.notAvailable')}</td>
+              </tr>
+              <tr>
+                <td style="padding: 6px 0; color: #6b7280;"><strong>${t('confirmation.paymentStatus')}</strong></td>
+                <td style="padding: 6px 0; text-align: right;">${paymentStatus}</td>
+              </tr>
+              <tr>
+                <td style="padding: 6px 0; color: #6b7280;"><strong>${t('confirmation.deliveryMethod')}</strong></td>
+                <td style="padding: 6px 0; color: #111827; text-align: right;">${order.deliveryMethod === 'delivery' ? t('confirmation.homeDelivery') : t('confirmation.outletPickup')}</td>
+              </tr>
+            </table>
+          </div>
+
+          <!-- Order Items -->
+          <div style="margin: 30px 0;">
+            <h3 style="color: #111827; font-size: 18px; margin-bottom: 15px;">${t('common.orderItems')}</h3>
+            <table style="width: 100%; border-collapse: collapse; background: #ffffff; border: 1px solid #e5e7eb; border-radius: 8px; overflow: hidden;">
+              <thead>
+                <tr style="background: #f9fafb;">
+                  <th style="padding: 12px; text-align: left; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb;">${t('common.product')}</th>
+                  <th style="padding: 12px; text-align: center; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb;">${t('common.qty')}</th>
+                  <th style="padding: 12px; text-align: right; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb;">${t('common.price')}</th>
+                  <th style="padding: 12px; text-align: right; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb;">${t('common.subtotal')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${itemsHtml}
+              </tbody>
+              <tfoot>
+                ${order.shipping ? `
+                <tr>
+                  <td colspan="3" style="padding: 12px 15px; text-align: right; color: #374151;">${order.shippingCost > 0 ? t('shipping.label') : t('shipping.free')}</td>
+                  <td style="padding: 12px 15px; text-align: right; color: #111827;">${money(order.shippingCost || 0)}</td>
+                </tr>` : ''}
+                <tr style="background: #f9fafb; border-top: 2px solid #e5e7eb;">
+                  <td colspan="3" style="padding: 15px; text-align: right; font-weight: 600; color: #374151;">${t('common.total')}</td>
+                  <td style="padding: 15px; text-align: right; font-weight: bold; font-size: 18px; color: #111827;">${money(order.total)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          ${deliveryInfo}
+
+          ${orderUrl ? `
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${orderUrl}" style="display: inline-block; background: #10b981; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">${t('confirmation.viewOrder')}</a>
+            <p style="color: #6b7280; font-size: 13px; margin: 12px 0 0 0;">${t('confirmation.viewOrderHint')}</p>
+          </div>` : ''}
+
+          <!-- Footer -->
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+            <p style="color: #6b7280; font-size: 14px; margin: 10px 0;">${t('confirmation.statusChanges')}</p>
+            <p style="color: #6b7280; font-size: 14px; margin: 10px 0;">${t('confirmation.questions')}</p>
+            <p style="margin-top: 20px; color: #111827; font-weight: 600;">${t('common.bestRegards')}<br><strong>${t('common.team')}</strong></p>
+          </div>
+        </div>
+
+        <!-- Footer Bar -->
+        <div style="background: #f9fafb; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; border-top: 1px solid #e5e7eb;">
+          <p style="color: #6b7280; font-size: 12px; margin: 0;">${t('common.rightsReserved', new Date().getFullYear())}</p>
+        </div>
+      </div>
+    `
+  };
+}
+
+// Status update (shipped, ready for pickup, delivered) - variables: { order, customerName, status, trackingNumber, pickupCode, locale }
+function orderStatusUpdate({ order, customerName, status, trackingNumber = null, pickupCode = null, locale }) {
+  const t = translator(locale);
+  const money = (amount) => formatMoney(amount, locale);
+  const shortOrderId = getOrderShortId(order);
+  const subject = t('statusUpdate.subject', shortOrderId);
+  const statusText = statusLabel(status, locale);
+  
+  // Status color and icon
+  let statusColor = '#059669';
+  let statusIcon = '✅';
+  let statusMessage = '';
+  
+  if (status === 'Shipped' || status === 'Processing') {
+    statusColor = '#0284c7';
+    statusIcon = '🚚';
+    statusMessage = t('statusUpdate.onTheWay');
+  } else if (status === 'Ready for Pickup') {
+    statusColor = '#d97706';
+    statusIcon = '📦';
+    statusMessage = t('statusUpdate.readyForPickup');
+  } else if (status === 'Delivered' || status === 'Completed') {
+    statusColor = '#059669';
+    statusIcon = '🎉';
+    statusMessage = t('statusUpdate.delivered');
+  } else {
+    statusMessage = t('statusUpdate.updated');
+  }
+
+  // Build items summary with variant details
+  let itemsSummary = '';
+  if (order.items && Array.isArray(order.items)) {
+    itemsSummary = order.items.map((item, index) => {
+      const productName = item.productId?.name || item.name || t('common.product');
+      const quantity = item.quantity || 1;
+      const price = item.price || 0;
+      const subtotal = price * quantity;
+      
+      // Get variant specs if available
+      let variantInfo = '';
+      if (item.variantId && item.productId?.variants) {
+        const variant = item.productId.variants.find(v => 
+          v._id?.toString() === item.variantId?.toString()
+        );
+        if (variant && variant.specs) {
+          const specs = variant.specs instanceof Map 
+            ? Object.fromEntries(variant.specs) 
+            : variant.specs;
+          const specsEntries = Object.entries(specs);
+          if (specsEntries.length > 0) {
+            variantInfo = `<div style="margin-top: 4px; display: flex; flex-wrap: wrap; gap: 4px;">${specsEntries.map(([key, value]) => 
+              `<span style="background: #f3f4f6; padding: 2px 6px; border-radius: 3px; font-size: 10px; color: #374151; border: 1px solid #e5e7eb;"><strong style="text-transform: capitalize;">${key}:</strong> ${value}</span>`
+            ).join('')}</div>`;
+          }
+        }
+      }
+      
+      return `
+        <li style="margin: 8px 0; padding: 8px; background: #f9fafb; border-radius: 4px; border-left: 3px solid ${statusColor};">
+          <div style="font-weight: 600; color: #111827;">${productName} × ${quantity}</div>
+          ${variantInfo}
+          <div style="margin-top: 4px; font-size: 12px; color: #6b7280;">
+            ${t('common.price')}: ${money(price)} | ${t('common.subtotal')}: <strong>${money(subtotal)}</strong>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  let htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+      <!-- Header -->
+      <div style="background: linear-gradient(135deg, ${statusColor} 0%, ${statusColor}dd 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+        <div style="font-size: 48px; margin-bottom: 10px;">${statusIcon}</div>
+        <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${statusMessage}</h1>
+        <p style="color: #ffffffdd; margin: 10px 0 0 0; font-size: 16px;">${t('common.orderNumber', shortOrderId)}</p>
+      </div>
+
+      <!-- Content -->
+      <div style="padding: 30px; background: #ffffff;">
+        <p style="font-size: 16px; color: #374151; margin: 0 0 20px 0;">${t('common.dear', customerName)}</p>
+        <p style="font-size: 16px; color: #374151; margin: 0 0 30px 0;">${t('statusUpdate.intro')}</p>
+        
+        <!-- Status Card -->
+        <div style="background: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${statusColor};">
+          <h3 style="margin-top: 0; color: #111827; font-size: 18px;">${t('statusUpdate.orderStatus')}</h3>
+          <table style="width: 100%; margin: 10px 0;">
+            <tr>
+              <td style="padding: 6px 0; color: #6b7280;"><strong>${t('common.orderId')}</strong></td>
+              <td style="padding: 6px 0; color: #111827; text-align: right;"><strong>${shortOrderId}</strong></td>
+            </tr>
+            <tr>
+              <td style="padding: 6px 0; color: #6b7280;"><strong>${t('statusUpdate.status')}</strong></td>
+              <td style="padding: 6px 0; text-align: right;"><span style="color: ${statusColor}; font-weight: bold; font-size: 16px;">${statusText}</span></td>
+            </tr>
+  `;
+
+  if (trackingNumber) {
+    htmlContent += `
+            <tr>
+              <td style="padding: 6px 0; color: #6b7280;"><strong>${t('statusUpdate.trackingNumber')}</strong></td>
+              <td style="padding: 6px 0; color: #111827; text-align: right;"><strong>${trackingNumber}</strong></td>
+            </tr>
+            <tr>
+              <td colspan="2" style="padding: 10px 0; text-align: center;">
+                <a href="https://www.dhl.com/en/express/tracking.html?AWB=${trackingNumber}" 
+                   target="_blank"
+                   style="display: inline-block; background: ${statusColor}; color: #ffffff; padding: 10px 20px; text-decoration: none; border-radius: 6px; font-weight: 600; margin-top: 10px;">
+                  ${t('statusUpdate.trackWithDhl')}
+                </a>
+              </td>
+            </tr>
+    `;
+  }
+
+  htmlContent += `
+          </table>
+        </div>
+
+        <!-- Order Items Summary -->
+        ${itemsSummary ? `
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0; color: #111827; font-size: 18px;">${t('common.orderItems')}</h3>
+          <ul style="margin: 10px 0; padding-left: 20px; color: #374151;">
+            ${itemsSummary}
+          </ul>
+          <p style="margin: 15px 0 0 0; font-weight: 600; color: #111827;">${t('common.total')} ${money(order.total)}</p>
+        </div>
+        ` : ''}
+  `;
+
+  // Add specific information based on status
+  if (status === 'Shipped' && trackingNumber) {
+    htmlContent += `
+        <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #d97706;">
+          <h3 style="color: #d97706; margin-top: 0;">${t('statusUpdate.shippingInformation')}</h3>
+          <p style="color: #374151; margin: 10px 0;">${t('statusUpdate.shippedVia')}</p>
+          <p style="color: #374151; margin: 10px 0;">${t('statusUpdate.trackHint')}</p>
+          <p style="color: #374151; margin: 10px 0;"><strong>${t('statusUpdate.expectedDelivery')}</strong> ${t('statusUpdate.deliveryTime')}</p>
+        </div>
+    `;
+  } else if (status === 'Ready for Pickup') {
+    htmlContent += `
+        <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #d97706;">
+          <h3 style="color: #d97706; margin-top: 0;">${t('statusUpdate.pickupInformation')}</h3>
+          <p style="color: #374151; margin: 10px 0;">${t('statusUpdate.pickupAt')}</p>
+          <div style="background: #ffffff; padding: 15px; border-radius: 6px; margin: 15px 0;">
+            <p style="margin: 8px 0; font-weight: 600; color: #111827; font-size: 16px;">${order.outletId?.name || t('common.selectedOutlet')}</p>
+            <p style="margin: 8px 0; color: #374151;">${order.outletId?.address || t('statusUpdate.outletAddress')}</p>
+            ${order.outletId?.phone ? `<p style="margin: 8px 0; color: #374151;">📞 ${t('statusUpdate.phone')} ${order.outletId.phone}</p>` : ''}
+            ${order.outletId?.email ? `<p style="margin: 8px 0; color: #374151;">✉️ ${t('statusUpdate.email')} ${order.outletId.email}</p>` : ''}
+            ${order.pickupSlot?.start ? `<p style="margin: 8px 0; color: #111827;">🕒 <strong>${t('statusUpdate.pickupSlot')}</strong> ${formatTimeRange(order.pickupSlot.start, order.pickupSlot.end, locale)}</p>` : ''}
+          </div>
+          ${pickupCode ? `
+          <div style="background: #ffffff; padding: 15px; border-radius: 6px; margin: 15px 0; text-align: center;">
+            <p style="margin: 0; color: #374151;">${t('statusUpdate.pickupCode')}</p>
+            <p style="margin: 8px 0; font-size: 28px; font-weight: 700; letter-spacing: 6px; color: #111827;">${pickupCode}</p>
+            <p style="margin: 0; color: #6b7280; font-size: 14px;">${t('statusUpdate.pickupCodeHint')}</p>
+          </div>` : ''}
+          <p style="color: #374151; margin: 15px 0 0 0;"><strong>${t('statusUpdate.bringId')}</strong></p>
+        </div>
+    `;
+  } else if (status === 'Delivered' || status === 'Completed') {
+    htmlContent += `
+        <div style="background: #d1fae5; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #059669;">
+          <h3 style="color: #059669; margin-top: 0;">${t('statusUpdate.deliveryComplete')}</h3>
+          <p style="color: #374151; margin: 10px 0;">${t('statusUpdate.enjoy')}</p>
+          <p style="color: #374151; margin: 15px 0 0 0;">${t('statusUpdate.contactUs')}</p>
+        </div>
+    `;
+  }
+
+  htmlContent += `
+        <!-- Footer -->
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+          <p style="color: #6b7280; font-size: 14px; margin: 10px 0;">${t('statusUpdate.questions')}</p>
+          <p style="margin-top: 20px; color: #111827; font-weight: 600;">${t('common.bestRegards')}<br><strong>${t('common.team')}</strong></p>
+        </div>
+      </div>
+
+      <!-- Footer Bar -->
+      <div style="background: #f9fafb; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; border-top: 1px solid #e5e7eb;">
+        <p style="color: #6b7280; font-size: 12px; margin: 0;">${t('common.rightsReserved', new Date().getFullYear())}</p>
+      </div>
+    </div>
+  `;
+
+  return {
+    subject,
+    html: htmlContent
+  };
+}
+
+// Order cancellation - variables: { order, customerName, reason, locale }
+function orderCancellation({ order, customerName, reason, locale }) {
+  const t = translator(locale);
+  const money = (amount) => formatMoney(amount, locale);
+  const shortOrderId = getOrderShortId(order);
+  const subject = t('cancellation.subject', shortOrderId);
+  
+  // Reason messages
+  const reasons = ['abandoned', 'user_cancelled', 'stripe_cancelled', 'payment_failed'];
+  const reasonMessage = t(`cancellation.reasons.${reasons.includes(reason) ? reason : 'default'}`);
+
+  // Build items summary
+  let itemsSummary = '';
+  if (order.items && Array.isArray(order.items)) {
+    order.items.forEach((item, index) => {
+      const productName = item.productId?.name || t('common.product');
+      const quantity = item.quantity || 1;
+      const price = item.price || 0;
+      itemsSummary += `
+        <tr>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${index + 1}</td>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${productName}</td>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;">${quantity}</td>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right;">${money(price)}</td>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right;">${money(quantity * price)}</td>
+        </tr>
+      `;
+    });
+  }
+
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+      <!-- Header -->
+      <div style="background: linear-gradient(135deg, #dc2626 0%, #b91c1c 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px;">${t('cancellation.heading')}</h1>
+      </div>
+
+      <!-- Content -->
+      <div style="padding: 30px; border: 1px solid #e5e7eb; border-top: none;">
+        <p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">${t('common.hello', customerName)}</p>
+        
+        <p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">
+          ${t('cancellation.intro', shortOrderId)}
+        </p>
+
+        <div style="background: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
+          <h3 style="color: #dc2626; margin-top: 0;">${t('cancellation.details')}</h3>
+          <p style="color: #374151; margin: 10px 0;">${reasonMessage}</p>
+          <p style="color: #374151; margin: 15px 0 0 0;">
+            <strong>${t('cancellation.orderTotal')}</strong> ${money(order.total)}<br>
+            <strong>${t('cancellation.cancelledOn')}</strong> ${formatDate(new Date(), locale, { time: true })}
+          </p>
+        </div>
+
+        <h3 style="color: #111827; margin-top: 30px; margin-bottom: 15px;">${t('cancellation.orderItems')}</h3>
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+          <thead>
+            <tr style="background: #f9fafb;">
+              <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">#</th>
+              <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">${t('common.product')}</th>
+              <th style="padding: 12px; text-align: center; border-bottom: 2px solid #e5e7eb;">${t('common.qty')}</th>
+              <th style="padding: 12px; text-align: right; border-bottom: 2px solid #e5e7eb;">${t('common.price')}</th>
+              <th style="padding: 12px; text-align: right; border-bottom: 2px solid #e5e7eb;">${t('common.lineTotal')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${itemsSummary}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colspan="4" style="padding: 12px; text-align: right; font-weight: bold; border-top: 2px solid #e5e7eb;">${t('common.total')}</td>
+              <td style="padding: 12px; text-align: right; font-weight: bold; border-top: 2px solid #e5e7eb;">${money(order.total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+
+        <div style="background: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #0284c7;">
+          <h3 style="color: #0284c7; margin-top: 0;">${t('cancellation.whatsNext')}</h3>
+          <p style="color: #374151; margin: 10px 0;">
+            ${t('cancellation.refundInfo')}
+          </p>
+          <p style="color: #374151; margin: 15px 0 0 0;">
+            ${t('cancellation.newOrder')}
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+          <p style="color: #6b7280; font-size: 14px; margin: 10px 0;">${t('cancellation.questions')}</p>
+          <p style="margin-top: 20px; color: #111827; font-weight: 600;">${t('common.bestRegards')}<br><strong>${t('common.team')}</strong></p>
+        </div>
+      </div>
+
+      <!-- Footer Bar -->
+      <div style="background: #f9fafb; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; border-top: 1px solid #e5e7eb;">
+        <p style="color: #6b7280; font-size: 12px; margin: 0;">${t('common.rightsReserved', new Date().getFullYear())}</p>
+      </div>
+    </div>
+  `;
+
+  return {
+    subject,
+    html: htmlContent
+  };
+}
+
+// Refund - variables: { order, customerName, refund: { amount, full, reason, items: [{ name, quantity }] }, locale }
+function orderRefund({ order, customerName, refund, locale }) {
+  const t = translator(locale);
+  const money = (amount) => formatMoney(amount, locale);
+  const shortOrderId = getOrderShortId(order);
+  const subject = refund.full ? t('refund.subjectFull', shortOrderId) : t('refund.subjectPartial', shortOrderId);
+
+  // Build refunded items summary (dashboard refunds have no items, only an amount)
+  let itemsSummary = '';
+  (refund.items || []).forEach((item, index) => {
+    itemsSummary += `
+        <tr>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${index + 1}</td>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${item.name || t('common.product')}</td>
+          <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;">${item.quantity}</td>
+        </tr>
+      `;
+  });
+
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+      <!-- Header -->
+      <div style="background: linear-gradient(135deg, #059669 0%, #047857 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px;">${refund.full ? t('refund.headingFull') : t('refund.headingPartial')}</h1>
+      </div>
+
+      <!-- Content -->
+      <div style="padding: 30px; border: 1px solid #e5e7eb; border-top: none;">
+        <p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">${t('common.hello', customerName)}</p>
+
+        <p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">
+          ${refund.full ? t('refund.introFull', shortOrderId) : t('refund.introPartial', shortOrderId)}
+        </p>
+
+        <div style="background: #ecfdf5; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #059669;">
+          <h3 style="color: #059669; margin-top: 0;">${t('refund.details')}</h3>
+          <p style="color: #374151; margin: 15px 0 0 0;">
+            <strong>${t('refund.amount')}</strong> ${money(refund.amount || 0)}<br>
+            <strong>${t('refund.orderTotal')}</strong> ${money(order.total || 0)}<br>
+            ${refund.reason ? `<strong>${t('refund.reason')}</strong> ${refund.reason}<br>` : ''}
+            <strong>${t('refund.refundedOn')}</strong> ${formatDate(new Date(), locale, { time: true })}
+          </p>
+        </div>
+
+        ${itemsSummary ? `
+        <h3 style="color: #111827; margin-top: 30px; margin-bottom: 15px;">${t('refund.items')}</h3>
+        <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+          <thead>
+            <tr style="background: #f9fafb;">
+              <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">#</th>
+              <th style="padding: 12px; text-align: left; border-bottom: 2px solid #e5e7eb;">${t('common.product')}</th>
+              <th style="padding: 12px; text-align: center; border-bottom: 2px solid #e5e7eb;">${t('common.qty')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${itemsSummary}
+          </tbody>
+        </table>` : ''}
+
+        <div style="background: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #0284c7;">
+          <h3 style="color: #0284c7; margin-top: 0;">${t('refund.whenTitle')}</h3>
+          <p style="color: #374151; margin: 10px 0;">
+            ${t('refund.whenText')}
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+          <p style="color: #6b7280; font-size: 14px; margin: 10px 0;">${t('refund.questions')}</p>
+          <p style="margin-top: 20px; color: #111827; font-weight: 600;">${t('common.bestRegards')}<br><strong>${t('common.team')}</strong></p>
+        </div>
+      </div>
+
+      <!-- Footer Bar -->
+      <div style="background: #f9fafb; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; border-top: 1px solid #e5e7eb;">
+        <p style="color: #6b7280; font-size: 12px; margin: 0;">${t('common.rightsReserved', new Date().getFullYear())}</p>
+      </div>
+    </div>
+  `;
+
+  return {
+    subject,
+    html: htmlContent
+  };
+}
+
+// Header color of each step of a return
+const RETURN_STEP_COLORS = {
+  requested: '#2563eb',
+  approved: '#059669',
+  rejected: '#dc2626',
+  inspected: '#7c3aed',
+  completed: '#059669'
+};
+
+// Return request update, one template for every step - variables: { returnRequest, order, customerName, productName, locale }
+function returnStatus({ returnRequest, order, customerName, productName, locale }) {
+  const t = translator(locale);
+  const shortOrderId = getOrderShortId(order);
+  const shortReturnId = returnRequest._id.toString().slice(-8).toUpperCase();
+  const step = RETURN_STEP_COLORS[returnRequest.status] ? returnRequest.status : 'requested';
+  const color = RETURN_STEP_COLORS[step];
+  const title = t(`returns.titles.${step}`);
+
+  let message;
+  if (step !== 'completed') message = t(`returns.messages.${step}`);
+  else if (returnRequest.resolution?.type === 'replacement') message = t('returns.messages.replacement');
+  else message = t('returns.messages.refunded', formatMoney(returnRequest.resolution?.refundAmount || 0, locale));
+
+  const subject = t('returns.subject', title, shortReturnId);
+
+  const htmlContent = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+      <!-- Header -->
+      <div style="background: ${color}; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px;">${title}</h1>
+      </div>
+
+      <!-- Content -->
+      <div style="padding: 30px; border: 1px solid #e5e7eb; border-top: none;">
+        <p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">${t('common.hello', customerName)}</p>
+
+        <p style="color: #374151; font-size: 16px; margin: 0 0 20px 0;">${message}</p>
+
+        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${color};">
+          <h3 style="color: #111827; margin-top: 0;">${t('returns.details')}</h3>
+          <p style="color: #374151; margin: 15px 0 0 0;">
+            <strong>${t('returns.returnId')}</strong> #${shortReturnId}<br>
+            <strong>${t('returns.order')}</strong> ${shortOrderId}<br>
+            <strong>${t('returns.product')}</strong> ${productName || t('common.product')} (x${returnRequest.quantity})<br>
+            ${returnRequest.inspection?.grade && returnRequest.status !== 'requested' ? `<strong>${t('returns.grade')}</strong> ${returnRequest.inspection.grade}<br>` : ''}
+            ${returnRequest.adminNote ? `<strong>${t('returns.note')}</strong> ${returnRequest.adminNote}<br>` : ''}
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+          <p style="color: #6b7280; font-size: 14px; margin: 10px 0;">${t('returns.questions')}</p>
+          <p style="margin-top: 20px; color: #111827; font-weight: 600;">${t('common.bestRegards')}<br><strong>${t('common.team')}</strong></p>
+        </div>
+      </div>
+
+      <!-- Footer Bar -->
+      <div style="background: #f9fafb; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; border-top: 1px solid #e5e7eb;">
+        <p style="color: #6b7280; font-size: 12px; margin: 0;">${t('common.rightsReserved', new Date().getFullYear())}</p>
+      </div>
+    </div>
+  `;
+
+  return {
+    subject,
+    html: htmlContent
+  };
+}
+
+// Shared layout of the account emails - one big button plus the plain link
+const accountLinkEmail = ({ t, title, greeting, intro, buttonLabel, url, expiry }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #333; font-size: 24px; margin-bottom: 20px;">${title}</h1>
+        
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">${greeting}</p>
+        
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 30px;">${intro}</p>
+        
+        <div style="text-align: center; margin: 40px 0;">
+          <a href="${url}" style="background-color: #000000; color: #ffffff; padding: 16px 40px; text-decoration: none; border-radius: 8px; display: inline-block; font-size: 16px; font-weight: 600;">${buttonLabel}</a>
+        </div>
+        
+        <p style="color: #666; font-size: 14px; margin: 30px 0 10px 0;">${t('accountLink.orClick')}</p>
+        <p style="margin: 0; padding: 12px; background-color: #f0f9ff; border-radius: 4px;">
+          <a href="${url}" style="color: #0066cc; font-size: 16px; text-decoration: underline; word-break: break-all;">${url}</a>
+        </p>
+        
+        <p style="color: #666; font-size: 14px; margin: 20px 0 10px 0;">${t('accountLink.orCopy')}</p>
+        <p style="color: #333; font-size: 13px; word-break: break-all; margin: 0; padding: 10px; background-color: #f9f9f9; border: 1px solid #ddd; font-family: monospace;">
+          ${url}
+        </p>
+        
+        <p style="color: #999; font-size: 12px; margin-top: 30px;">${expiry}</p>
+      </div>
+    `;
+
+// Email verification - variables: { name, verificationUrl, welcome, locale } (welcome: sent right after registering)
+function emailVerification({ name, verificationUrl, welcome = false, locale }) {
+  const t = translator(locale);
+  return {
+    subject: t('verification.subject'),
+    html: accountLinkEmail({
+      t,
+      title: welcome ? t('verification.welcomeTitle') : t('verification.title'),
+      greeting: t('common.hi', name),
+      intro: welcome ? t('verification.welcomeIntro') : t('verification.intro'),
+      buttonLabel: t('verification.button'),
+      url: verificationUrl,
+      expiry: t('verification.expiry')
+    })
+  };
+}
+
+// Password reset - variables: { name, resetUrl, locale }
+function passwordReset({ name, resetUrl, locale }) {
+  const t = translator(locale);
+  return {
+    subject: t('passwordReset.subject'),
+    html: accountLinkEmail({
+      t,
+      title: t('passwordReset.title'),
+      greeting: t('common.hi', name),
+      intro: t('passwordReset.intro'),
+      buttonLabel: t('passwordReset.button'),
+      url: resetUrl,
+      expiry: t('passwordReset.expiry')
+    })
+  };
+}
+
+// Invoice for orders paid at the counter or on delivery - the PDF is attached by the outbox.
+// variables: { order: { _id }, customerName, invoiceNumber, locale }
+function orderInvoice({ order, customerName, invoiceNumber, locale }) {
+  const t = translator(locale);
+  return {
+    subject: t('invoice.emailSubject', invoiceNumber),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #333; font-size: 24px; margin-bottom: 20px;">${t('invoice.title')} ${invoiceNumber}</h1>
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">${t('common.hello', customerName)}</p>
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">${t('invoice.emailIntro', getOrderShortId(order))}</p>
+        <p style="margin-top: 30px; color: #111827;">${t('common.bestRegards')}<br><strong>${t('common.team')}</strong></p>
+      </div>
+    `
+  };
+}
+
+// Parcel status reported by the carrier (out for delivery, delivered, delivery problem).
+// variables: { order: { _id }, customerName, status, trackingNumber, location, at, locale }
+function shipmentUpdate({ order, customerName, status, trackingNumber, location, at, locale }) {
+  const t = translator(locale);
+  const shortOrderId = getOrderShortId(order);
+  const frontendUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+  const color = status === 'exception' ? '#dc2626' : '#059669';
+  const latest = [at && formatDate(new Date(at), locale, { time: true }), location].filter(Boolean).join(' - ');
+  return {
+    subject: t(`tracking.subjects.${status}`, shortOrderId),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: ${color}; font-size: 24px; margin-bottom: 20px;">${t(`tracking.statuses.${status}`)}</h1>
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">${t('common.hello', customerName)}</p>
+        <p style="color: #666; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">${t(`tracking.intros.${status}`, shortOrderId)}</p>
+        <div style="background: #f9fafb; border-radius: 8px; padding: 15px; margin: 20px 0; color: #374151;">
+          <strong>${t('tracking.trackingNumber')}</strong> ${trackingNumber}<br>
+          ${latest ? `<strong>${t('tracking.latest')}</strong> ${latest}` : ''}
+        </div>
+        ${frontendUrl ? `<p><a href="${frontendUrl}/track-order" style="display: inline-block; background: #111827; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">${t('tracking.trackButton')}</a></p>` : ''}
+        <p style="margin-top: 30px; color: #111827;">${t('common.bestRegards')}<br><strong>${t('common.team')}</strong></p>
+      </div>
+    `
+  };
+}
+
+// Ready-made email from the generic /send-email endpoint - variables: { subject, html }
+function rawEmail({ subject, html }) {
+  return { subject, html };
+}
+
+// Shipped - short text for SMS / WhatsApp. variables: { customerName, order: { _id }, trackingNumber, locale }
+function orderShippedText({ customerName, order, trackingNumber, locale }) {
+  const t = translator(locale);
+  const frontendUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+  return {
+    text: `${t('texts.shipped', customerName, getOrderShortId(order))}\n\n` +
+      `${t('texts.trackingNumber')} ${trackingNumber}\n` +
+      (frontendUrl ? `${t('texts.trackOrder')} ${frontendUrl}/track-order\n` : '') +
+      `DHL: https://www.dhl.com/en/express/tracking.html?AWB=${trackingNumber}`
+  };
+}
+
+// Ready for pickup - short text for SMS / WhatsApp. variables: { customerName, order: { _id }, outlet, pickupSlot, pickupCode, locale }
+function pickupReadyText({ customerName, order, outlet, pickupSlot, pickupCode, locale }) {
+  const t = translator(locale);
+  const location = [outlet?.name, outlet?.address, outlet?.location].filter(Boolean).join('\n');
+  return {
+    text: `${t('texts.readyForPickup', customerName, getOrderShortId(order))}\n\n` +
+      `${t('texts.pickupLocation')}\n${location || t('texts.selectedOutlet')}\n` +
+      (outlet?.phone ? `📞 ${outlet.phone}\n` : '') +
+      (pickupSlot?.start ? `🕒 ${formatTimeRange(pickupSlot.start, pickupSlot.end, locale)}\n` : '') +
+      (pickupCode ? `\n${t('texts.pickupCode')} ${pickupCode}\n` : '') +
+      `\n${t('texts.bringId')}`
+  };
+}
+
+// channels: where the message can go, the first one is the default. sensitive: the variables
+// hold secrets (login links), so the admin outbox view never shows them - or, as a list, the
+// variables that do (pickup codes), so only those are hidden.
+const TEMPLATES = {
+  order_confirmation: { channels: ["email"], render: orderConfirmation },
+  order_status_update: { channels: ["email"], render: orderStatusUpdate, sensitive: ["pickupCode"] },
+  order_cancellation: { channels: ["email"], render: orderCancellation },
+  order_refund: { channels: ["email"], render: orderRefund },
+  return_status: { channels: ["email"], render: returnStatus },
+  order_invoice: { channels: ["email"], render: orderInvoice },
+  shipment_update: { channels: ["email"], render: shipmentUpdate },
+  email_verification: { channels: ["email"], render: emailVerification, sensitive: true },
+  password_reset: { channels: ["email"], render: passwordReset, sensitive: true },
+  raw_email: { channels: ["email"], render: rawEmail },
+  order_shipped_text: { channels: ["whatsapp", "sms"], render: orderShippedText },
+  pickup_ready_text: { channels: ["whatsapp", "sms"], render: pickupReadyText, sensitive: ["pickupCode"] }
+};
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+function renderTemplate(name, variables = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new TemplateError(`Unknown notification template "${name}"`);
+  const rendered = template.render(variables);
+  if (template.channels.includes("email") ? !rendered?.subject : !rendered?.text) {
+    throw new TemplateError(`Template "${name}" rendered an empty message`);
+  }
+  return rendered;
+}
+
+module.exports = {
+  TEMPLATES,
+  TemplateError,
+  getOrderShortId,
+  renderTemplate
+};
@@ -0,0 +1,288 @@
+const mongoose = require("mongoose");
+const OutboxMessage = require("../models/OutboxMessage");
+const emailService = require("./emailService");
+const { getTransport } = require("./smsTransport");
+const { toE164, maskPhone } = require("./phoneNumbers");
+const { isOptedIn, preferredChannel, setConsent } = require("./messagingConsent");
+const { TEMPLATES, TemplateError, renderTemplate } = require("./notificationTemplates");
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS ?? 5);
+
+// First retry after a minute, then 2, 4, 8... capped at 6 hours
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// An attempt that hasn't finished after this long crashed with the process - try again
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Messages one recipient may get per window through the manual send endpoints
+const RECIPIENT_LIMIT = Number(process.env.NOTIFICATION_RECIPIENT_LIMIT ?? 10);
+const RECIPIENT_WINDOW_MS = 60 * 60 * 1000;
+
+class NotificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "NotificationError";
+    this.status = status;
+  }
+}
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+
+// Send one rendered message. Returns the provider's message id.
+const CHANNELS = {
+  email: async (message, rendered) => {
+    const result = await emailService.sendEmail({
+      to: message.to,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      attachments: await loadAttachments(message)
+    });
+    return result?.messageId || result?.id;
+  },
+  sms: (message, rendered) => sendText("sms", message, rendered),
+  whatsapp: (message, rendered) => sendText("whatsapp", message, rendered)
+};
+
+// Invoice PDFs are built from the stored invoice when the message goes out.
+// Lazy require - services/invoices sends its own emails through notify().
+async function loadAttachments(message) {
+  if (!message.attachments?.length) return undefined;
+  const { invoiceAttachment } = require("./invoices");
+  return Promise.all(message.attachments.map(({ invoiceId }) => invoiceAttachment(invoiceId)));
+}
+
+// Consent is checked again on every attempt - a STOP reply between retries wins
+async function sendText(channel, message, rendered) {
+  if (!(await isOptedIn(message.to, channel))) {
+    const err = new Error(`Recipient has not opted in to ${channel}`);
+    err.permanent = true;
+    throw err;
+  }
+  try {
+    return await getTransport().send({ channel, to: message.to, body: rendered.text });
+  } catch (err) {
+    // The provider knows about a STOP we missed - remember it
+    if (err.optedOut) await setConsent(message.to, channel, false, { source: "provider" }).catch(() => {});
+    throw err;
+  }
+}
+
+// Variables are stored as plain JSON so a retry renders exactly what the first attempt saw
+const toVariables = (variables) => JSON.parse(JSON.stringify(variables || {}));
+
+// Recipient as it goes into the logs - phone numbers and email addresses masked
+const logRecipient = (message) => {
+  if (message.channel !== "email") return maskPhone(message.to);
+  const [local, domain] = String(message.to).split("@");
+  return `${local.slice(0, 1)}***@${domain || ""}`;
+};
+
+// Make one attempt at a message. Never throws - the outcome is recorded on the message.
+async function deliver(message) {
+  const now = new Date();
+  const claimed = await OutboxMessage.findOneAndUpdate(
+    { _id: message._id, status: { $in: ["pending", "failed"] }, nextAttemptAt: { $lte: now } },
+    { $set: { status: "sending", lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  // Sent already, or another worker has it right now
+  if (!claimed) return OutboxMessage.findById(message._id);
+
+  try {
+    const rendered = renderTemplate(claimed.template, claimed.variables);
+    const providerMessageId = await CHANNELS[claimed.channel](claimed, rendered);
+
+    const sent = await OutboxMessage.findByIdAndUpdate(
+      claimed._id,
+      {
+        $set: { status: "sent", sentAt: new Date(), subject: rendered.subject, providerMessageId, updatedAt: Date.now() },
+        $unset: { lockedAt: "", lastError: "" }
+      },
+      { new: true }
+    );
+    console.log(`✅ Notification ${claimed.template} sent to ${logRecipient(claimed)} (attempt ${claimed.attempts})`);
+    return sent;
+  } catch (err) {
+    // A template that can't render won't render on the next attempt either
+    const dead = err instanceof TemplateError || err.permanent || claimed.attempts >= claimed.maxAttempts;
+    const failed = await OutboxMessage.findByIdAndUpdate(
+      claimed._id,
+      {
+        $set: {
+          status: dead ? "dead" : "failed",
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + retryDelay(claimed.attempts)),
+          updatedAt: Date.now()
+        },
+        $unset: { lockedAt: "" },
+        $push: { attemptLog: { at: new Date(), error: err.message } }
+      },
+      { new: true }
+    );
+    if (dead) {
+      console.error(`❌ Notification ${claimed.template} to ${logRecipient(claimed)} gave up after ${claimed.attempts} attempt(s): ${err.message}`);
+    } else {
+      console.warn(`⚠️ Notification ${claimed.template} to ${logRecipient(claimed)} failed, retrying at ${failed.nextAttemptAt.toISOString()}: ${err.message}`);
+    }
+    return failed;
+  }
+}
+
+// Queue a templated message and try to send it right away.
+// Resolves with the outbox message (check .status) - a failed send is retried by the outbox job.
+// Text channels (sms, whatsapp) take any phone format plus `country`, and resolve with null
+// when the number is invalid or hasn't opted in. Emails can carry `attachments: [{ invoiceId }]`.
+async function notify(template, to, variables = {}, { channel, country, dedupeKey, orderId, userId, attachments, sendNow = true } = {}) {
+  const definition = TEMPLATES[template];
+  if (!definition) throw new TemplateError(`Unknown notification template "${template}"`);
+  const via = channel || definition.channels[0];
+  if (!definition.channels.includes(via)) {
+    throw new TemplateError(`Template "${template}" can't be sent by ${via}`);
+  }
+  if (attachments?.length && via !== "email") {
+    throw new TemplateError(`Attachments can only be sent by email, not ${via}`);
+  }
+  if (!to) {
+    console.log(`⚠️ No recipient for ${template}, skipping`);
+    return null;
+  }
+
+  // Emails lower-cased so the per-recipient rate limit sees every spelling as one address
+  let recipient = String(to).trim().toLowerCase();
+  if (via !== "email") {
+    recipient = toE164(to, country);
+    if (!recipient) {
+      console.log(`⚠️ Invalid phone number for ${template}, skipping`);
+      return null;
+    }
+    if (!(await isOptedIn(recipient, via))) {
+      console.log(`⚠️ ${maskPhone(recipient)} has not opted in to ${via}, skipping ${template}`);
+      return null;
+    }
+  }
+
+  let message;
+  try {
+    message = await OutboxMessage.create({
+      channel: via,
+      template,
+      to: recipient,
+      variables: toVariables(variables),
+      maxAttempts: MAX_ATTEMPTS,
+      dedupeKey,
+      attachments,
+      // Only kept for filtering the outbox, so anything that isn't an id is dropped
+      orderId: mongoose.isValidObjectId(orderId) ? orderId : undefined,
+      userId: mongoose.isValidObjectId(userId) ? userId : undefined
+    });
+  } catch (err) {
+    if (err.code === 11000 && dedupeKey) return OutboxMessage.findOne({ dedupeKey });
+    throw err;
+  }
+
+  return sendNow ? deliver(message) : message;
+}
+
+// Throws NotificationError (429) when `to` already got RECIPIENT_LIMIT messages in the last hour.
+// Counts everything in the outbox, so a manual send can't pile onto what the shop already sent.
+async function assertRecipientRate(to) {
+  if (!to) return;
+  const recipient = String(to).trim().toLowerCase();
+  const recent = await OutboxMessage.countDocuments({
+    to: recipient,
+    createdAt: { $gte: new Date(Date.now() - RECIPIENT_WINDOW_MS) }
+  });
+  if (recent >= RECIPIENT_LIMIT) {
+    const channel = recipient.includes("@") ? "email" : "sms";
+    console.warn(`⚠️ Rate limit: ${recent} message(s) to ${logRecipient({ channel, to: recipient })} in the last hour`);
+    throw new NotificationError("Too many messages to this recipient. Please try again later.", 429);
+  }
+}
+
+// Text a customer on the channel they prefer (WhatsApp before SMS). Null if they opted in to neither.
+async function notifyPhone(template, phone, variables = {}, options = {}) {
+  const recipient = toE164(phone, options.country);
+  if (!recipient) {
+    console.log(`⚠️ Invalid phone number for ${template}, skipping`);
+    return null;
+  }
+  const channel = await preferredChannel(recipient);
+  if (!channel) {
+    console.log(`⚠️ ${maskPhone(recipient)} has not opted in to text messages, skipping ${template}`);
+    return null;
+  }
+  return notify(template, recipient, variables, { ...options, channel });
+}
+
+// Send everything that is due. Called by the outbox job.
+async function processOutbox({ limit = 50 } = {}) {
+  // Attempts that never finished (process died mid-send) go back into the queue
+  await OutboxMessage.updateMany(
+    { status: "sending", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: "failed", lastError: "Attempt did not finish", nextAttemptAt: new Date() }, $unset: { lockedAt: "" } }
+  );
+
+  const due = await OutboxMessage.find({ status: { $in: ["pending", "failed"] }, nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select("_id");
+
+  const counts = { sent: 0, failed: 0, dead: 0 };
+  for (const { _id } of due) {
+    const result = await deliver({ _id });
+    if (result && counts[result.status] !== undefined) counts[result.status] += 1;
+  }
+  return counts;
+}
+
+// Admin resend of a failed or dead message. It gets a fresh set of attempts.
+async function resendMessage(message, actor) {
+  if (!["failed", "dead"].includes(message.status)) {
+    throw new NotificationError(`Only failed or dead messages can be resent (this one is ${message.status})`, 409);
+  }
+  const reset = await OutboxMessage.findOneAndUpdate(
+    { _id: message._id, status: message.status },
+    {
+      $set: {
+        status: "pending",
+        nextAttemptAt: new Date(),
+        maxAttempts: message.attempts + MAX_ATTEMPTS,
+        resentBy: actor?.id,
+        updatedAt: Date.now()
+      }
+    },
+    { new: true }
+  );
+  if (!reset) {
+    throw new NotificationError("Message was changed in the meantime. Please reload and try again.", 409);
+  }
+  return deliver(reset);
+}
+
+// Outbox entry as the admin view shows it - login links and pickup codes never leave the server
+function toAdminView(message) {
+  const view = message.toObject ? message.toObject() : { ...message };
+  const sensitive = TEMPLATES[view.template]?.sensitive;
+  if (Array.isArray(sensitive)) {
+    view.variables = { ...view.variables };
+    sensitive.filter(name => view.variables[name] != null).forEach(name => { view.variables[name] = "[redacted]"; });
+  } else if (sensitive) {
+    view.variables = "[redacted]";
+  }
+  return view;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  CHANNELS,
+  NotificationError,
+  notify,
+  notifyPhone,
+  assertRecipientRate,
+  deliver,
+  processOutbox,
+  resendMessage,
+  toAdminView
+};
@@ -0,0 +1,86 @@
+const jwt = require("jsonwebtoken");
+
+// Guests have no account, so their confirmation email carries a signed link to the order instead.
+// The token names one order and expires; anyone holding it can see and act on that order.
+const ORDER_ACCESS_TTL = process.env.ORDER_ACCESS_TOKEN_TTL || "90d";
+
+// Kept apart from login tokens by the audience - an access token can't be used as an order link
+const AUDIENCE = "order_access";
+
+class OrderAccessError extends Error {
+  constructor(message = "This order link is invalid or has expired", status = 401) {
+    super(message);
+    this.name = "OrderAccessError";
+    this.status = status;
+  }
+}
+
+const accessSecret = () => process.env.ORDER_ACCESS_SECRET || process.env.JWT_ACCESS_SECRET;
+
+// Token for one order
+function createOrderAccessToken(order) {
+  const secret = accessSecret();
+  if (!secret) throw new OrderAccessError("Order links are not configured", 503);
+  return jwt.sign({}, secret, { subject: order._id.toString(), audience: AUDIENCE, expiresIn: ORDER_ACCESS_TTL });
+}
+
+// Id of the order a token opens. Throws OrderAccessError for bad or expired tokens,
+// and when `orderId` is given but the token is for another order.
+function verifyOrderAccessToken(token, orderId) {
+  const secret = accessSecret();
+  if (!token || !secret) throw new OrderAccessError();
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { audience: AUDIENCE });
+  } catch (err) {
+    throw new OrderAccessError();
+  }
+  if (orderId && payload.sub !== orderId.toString()) throw new OrderAccessError();
+  return payload.sub;
+}
+
+// Token sent with a request: X-Order-Token header or ?token=
+const orderAccessTokenOf = (req) => req.headers["x-order-token"] || req.query?.token || null;
+
+// Link for the confirmation email - only guest orders get one, customers with an account log in.
+// Null when links can't be made (no secret or no frontend configured).
+function guestOrderUrl(order) {
+  const frontendUrl = (process.env.FRONTEND_URL || "").replace(/\/$/, "");
+  if (order.userId || !frontendUrl || !accessSecret()) return null;
+  return `${frontendUrl}/guest-order?token=${encodeURIComponent(createOrderAccessToken(order))}`;
+}
+
+// What anyone who knows an order or tracking number may see: progress, no personal or payment details
+function publicOrderView(order) {
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    orderStatus: order.orderStatus,
+    deliveryMethod: order.deliveryMethod,
+    trackingNumber: order.trackingNumber,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    items: (order.items || []).map(item => ({
+      _id: item._id,
+      name: item.productId?.name,
+      image: item.productId?.images?.[0],
+      variantId: item.variantId,
+      quantity: item.quantity
+    })),
+    outlet: order.deliveryMethod === "pickup" && order.outletId?.name
+      ? { name: order.outletId.name, address: order.outletId.address }
+      : undefined,
+    pickupSlot: order.pickupSlot?.start ? { start: order.pickupSlot.start, end: order.pickupSlot.end } : undefined,
+    statusHistory: (order.statusHistory || []).map(entry => ({ to: entry.to, at: entry.at }))
+  };
+}
+
+module.exports = {
+  OrderAccessError,
+  createOrderAccessToken,
+  verifyOrderAccessToken,
+  orderAccessTokenOf,
+  guestOrderUrl,
+  publicOrderView
+};
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const Order = require("../models/Orders");
+
+// Order numbers look like ORD-1A2B3C4D: the last 8 characters of the order id, which is what
+// customers have always been shown as "#1a2b3c4d". Ids that share their last 8 characters
+// are rare but possible, so a clash gets a random number of the same shape instead.
+const ORDER_NUMBER_PATTERN = /^#?\s*(?:ORD-?)?([0-9A-F]{8})$/i;
+
+// A clash on a random number is far less likely still - this only stops an endless loop
+const MAX_NUMBER_ATTEMPTS = 5;
+
+const randomOrderNumber = () => `ORD-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+
+// Number to show for an order - also for ones from before numbers were stored,
+// and for notification variables that only carry { _id }
+const orderNumberOf = (order) => order.orderNumber || Order.numberFor(order._id);
+
+// "ORD-1A2B3C4D", "ord1a2b3c4d", "#1a2b3c4d" or "1a2b3c4d" -> "ORD-1A2B3C4D". Null if it isn't one.
+function normalizeOrderNumber(value) {
+  const match = ORDER_NUMBER_PATTERN.exec(String(value || "").trim());
+  return match ? `ORD-${match[1].toUpperCase()}` : null;
+}
+
+const isOrderNumberClash = (err) => err.code === 11000 && Boolean(err.keyPattern?.orderNumber);
+
+// Save a new order. The model gives it its number; if that number is taken it gets a random one.
+async function saveNewOrder(order) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await order.save();
+    } catch (err) {
+      if (!isOrderNumberClash(err) || attempt >= MAX_NUMBER_ATTEMPTS) throw err;
+      order.orderNumber = randomOrderNumber();
+    }
+  }
+}
+
+// Give orders from before order numbers existed their number (no-op afterwards).
+// Conditional per order, so running it twice or on two instances is safe.
+async function backfillOrderNumbers() {
+  let count = 0;
+
+  for await (const order of Order.find({ orderNumber: { $exists: false } }).select("_id").lean().cursor()) {
+    let orderNumber = Order.numberFor(order._id);
+    for (let attempt = 1; attempt <= MAX_NUMBER_ATTEMPTS; attempt++) {
+      try {
+        const result = await Order.updateOne({ _id: order._id, orderNumber: { $exists: false } }, { $set: { orderNumber } });
+        count += result.modifiedCount;
+        break;
+      } catch (err) {
+        if (!isOrderNumberClash(err) || attempt === MAX_NUMBER_ATTEMPTS) {
+          console.error(`❌ Failed to number order ${order._id}:`, err.message);
+          break;
+        }
+        orderNumber = randomOrderNumber();
+      }
+    }
+  }
+
+  if (count > 0) console.log(`✅ Numbered ${count} existing order(s)`);
+  return count;
+}
+
+module.exports = {
+  orderNumberOf,
+  normalizeOrderNumber,
+  saveNewOrder,
+  backfillOrderNumbers
+};
@@ -0,0 +1,215 @@
+const Order = require("../models/Orders");
+
+// Single source of truth for the state list is the Order schema enum
+const ORDER_STATUSES = Order.schema.path("orderStatus").enumValues;
+
+// Allowed next states for each state. Anything not listed here is rejected.
+const TRANSITIONS = {
+  Pending: ["Paid", "Processing", "Cancelled"],
+  Paid: ["Processing", "Cancelled", "Refunded"],
+  Processing: ["Shipped", "ReadyForPickup", "Cancelled", "Refunded"],
+  Shipped: ["Delivered", "Returned"],
+  Delivered: ["Returned", "Refunded"],
+  ReadyForPickup: ["PickedUp", "Cancelled"],
+  PickedUp: ["Returned", "Refunded"],
+  Returned: ["Refunded"],
+  Cancelled: ["Refunded"],
+  Refunded: []
+};
+
+// Extra conditions on top of the transition table. Return an error message to block the move.
+const GUARDS = {
+  Processing: (order) => {
+    if (order.paymentMethod === "Stripe" && order.paymentStatus !== "Paid") {
+      return "Order must be paid before it can be processed";
+    }
+    return null;
+  },
+  Shipped: (order) => (order.deliveryMethod !== "delivery" ? "Only delivery orders can be shipped" : null),
+  Delivered: (order) => (order.deliveryMethod !== "delivery" ? "Only delivery orders can be delivered" : null),
+  ReadyForPickup: (order) => (order.deliveryMethod !== "pickup" ? "Only pickup orders can be ready for pickup" : null),
+  PickedUp: (order) => (order.deliveryMethod !== "pickup" ? "Only pickup orders can be picked up" : null),
+  Refunded: (order) => (order.paymentStatus !== "Paid" ? "Only paid orders can be refunded" : null)
+};
+
+// NEW: Which target states each permission (services/permissions) allows. "*" means every state.
+// Actors carry their permissions - actorFromUser, SYSTEM_ACTOR, GUEST_ACTOR.
+const PERMISSION_TARGETS = {
+  "*": "*",
+  "orders:manage": "*",
+  "orders:process": ["Processing", "Shipped", "ReadyForPickup"],
+  "orders:process:own": ["Processing", "Shipped", "ReadyForPickup"], // ownership is checked by the route
+  "orders:handover": ["Delivered", "PickedUp"],
+  "orders:handover:outlet": [], // hand-over only through services/pickupCodes, which checks outlet and code
+  "orders:cancel:own": ["Cancelled"],
+  "shipments:manage": ["Processing", "Shipped"],
+  "refunds:create": ["Refunded"],
+  "returns:manage": ["Returned", "Refunded"]
+};
+
+// Customers may only cancel before anyone started working on the order
+const CUSTOMER_CANCELLABLE = ["Pending"];
+
+// "system" is used by the Stripe webhook and background jobs
+const SYSTEM_ACTOR = { role: "system", permissions: ["*"] };
+// Guests acting through the signed link from their confirmation email (services/orderAccess)
+const GUEST_ACTOR = { role: "guest", permissions: ["orders:cancel:own"] };
+
+// Orders waiting for the shop to start fulfilment.
+// Legacy orders were left "Pending" after payment, so those count too.
+const AWAITING_FULFILLMENT_QUERY = {
+  $or: [
+    { orderStatus: "Paid" },
+    { orderStatus: "Pending", paymentStatus: "Paid" }
+  ]
+};
+
+// Orders the shop has started working on but not handed over yet
+const IN_FULFILLMENT_STATUSES = ["Processing", "Shipped", "ReadyForPickup"];
+
+class OrderTransitionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "OrderTransitionError";
+    this.status = status;
+  }
+}
+
+const canActorMoveTo = (actor, from, to) => (actor.permissions || []).some(permission => {
+  const targets = PERMISSION_TARGETS[permission];
+  if (!targets) return false;
+  if (targets !== "*" && !targets.includes(to)) return false;
+  if (permission === "orders:cancel:own" && !CUSTOMER_CANCELLABLE.includes(from)) return false;
+  return true;
+});
+
+// Check a transition without applying it. Throws OrderTransitionError when not allowed.
+function assertTransition(order, to, actor = SYSTEM_ACTOR) {
+  const from = order.orderStatus || "Pending";
+
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new OrderTransitionError(`Unknown order status: ${to}`, 400);
+  }
+  if (!TRANSITIONS[from] || !TRANSITIONS[from].includes(to)) {
+    throw new OrderTransitionError(`Cannot change order from ${from} to ${to}`);
+  }
+  if (!canActorMoveTo(actor, from, to)) {
+    throw new OrderTransitionError(`You are not allowed to change this order to ${to}`, 403);
+  }
+
+  const guardError = GUARDS[to] && GUARDS[to](order);
+  if (guardError) {
+    throw new OrderTransitionError(guardError);
+  }
+}
+
+// Move an order to a new state and append the change to its status history.
+// The update is conditional on the current state, so two concurrent transitions can't both win.
+// `set` lets callers store related fields (paymentStatus, cancelledAt, ...) in the same write.
+async function transitionOrder(order, to, { actor = SYSTEM_ACTOR, note, set = {} } = {}) {
+  assertTransition(order, to, actor);
+
+  const from = order.orderStatus || "Pending";
+  const entry = {
+    from,
+    to,
+    actorId: actor.id,
+    actorRole: actor.role,
+    note,
+    at: new Date()
+  };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: from },
+    {
+      $set: { ...set, orderStatus: to, updatedAt: Date.now() },
+      $push: { statusHistory: entry }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new OrderTransitionError("Order was changed by someone else. Please reload and try again.");
+  }
+
+  // Keep the caller's copy in sync without marking it dirty, so a later save() can't overwrite the history
+  if (typeof order.set === "function") {
+    const fields = { ...set, orderStatus: to, updatedAt: updated.updatedAt, statusHistory: updated.statusHistory };
+    order.set(fields);
+    Object.keys(fields).forEach(path => order.unmarkModified(path));
+  } else {
+    Object.assign(order, set, { orderStatus: to, statusHistory: updated.statusHistory });
+  }
+
+  console.log(`✅ Order ${order._id}: ${from} -> ${to} (${actor.role})`);
+  return order;
+}
+
+// Walk an order through several states in order, skipping the ones it already reached.
+// Used where one admin action implies intermediate steps (e.g. Paid -> Processing -> Shipped).
+async function advanceOrder(order, path, options = {}) {
+  const currentIndex = path.indexOf(order.orderStatus);
+  const remaining = currentIndex === -1 ? path : path.slice(currentIndex + 1);
+
+  for (const status of remaining) {
+    await transitionOrder(order, status, options);
+  }
+  return order;
+}
+
+// Record a confirmed payment. Pending orders move to Paid; orders that already moved on
+// (or were cancelled before the payment landed) only get their paymentStatus updated.
+async function markOrderPaid(order, note) {
+  if (order.orderStatus === "Pending") {
+    return transitionOrder(order, "Paid", { note, set: { paymentStatus: "Paid" } });
+  }
+  if (order.paymentStatus !== "Paid") {
+    order.paymentStatus = "Paid";
+    await order.save();
+  }
+  return order;
+}
+
+// Reopen a cancelled order whose payment arrived after all (late Stripe webhook).
+// Deliberately outside the transition table - only the payment webhook may do this, and only
+// after the caller reserved the stock again. Returns null if the order is no longer Cancelled.
+async function reopenCancelledOrder(order, note) {
+  const entry = { from: "Cancelled", to: "Paid", actorRole: SYSTEM_ACTOR.role, note, at: new Date() };
+  const set = { orderStatus: "Paid", paymentStatus: "Paid", stockStatus: "reserved", updatedAt: Date.now() };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: "Cancelled" },
+    {
+      $set: set,
+      $unset: { cancelledAt: "", cancellationReason: "" },
+      $push: { statusHistory: entry }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const fields = { ...set, cancelledAt: undefined, cancellationReason: undefined, statusHistory: updated.statusHistory };
+  order.set(fields);
+  Object.keys(fields).forEach(path => order.unmarkModified(path));
+  console.log(`✅ Order ${order._id}: Cancelled -> Paid (payment arrived late)`);
+  return order;
+}
+
+// Build an actor from an authenticated request user (authMiddleware loads the permissions)
+const actorFromUser = (user) => ({ id: user._id, role: user.role, permissions: user.permissions || [] });
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  AWAITING_FULFILLMENT_QUERY,
+  IN_FULFILLMENT_STATUSES,
+  SYSTEM_ACTOR,
+  GUEST_ACTOR,
+  OrderTransitionError,
+  assertTransition,
+  transitionOrder,
+  advanceOrder,
+  markOrderPaid,
+  reopenCancelledOrder,
+  actorFromUser
+};
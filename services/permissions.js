@@ -0,0 +1,212 @@
+const Role = require("../models/Role");
+
+// Everything a role can be allowed to do. Routes ask for these (middlewares/auth.requirePermission),
+// never for role names. "*" is everything - it belongs to the built-in admin role only.
+const PERMISSIONS = {
+  "orders:read:all": "See and export all orders",
+  "orders:read:lines": "See their own lines of orders (marketplace sellers)",
+  "orders:process": "Process any order - Processing, Shipped, Ready for pickup",
+  "orders:process:own": "Process orders with their own products",
+  "orders:handover": "Mark orders delivered or picked up",
+  "orders:handover:outlet": "Hand over pickup orders at their outlets after checking the pickup code",
+  "orders:cancel:own": "Cancel their own orders before processing starts",
+  "orders:manage": "Any order status change, seller assignment and deleting processed orders",
+  "refunds:create": "Refund paid orders",
+  "shipping:manage": "Edit shipping zones and rates",
+  "shipments:manage": "Create shipping labels, download them and refresh tracking",
+  "returns:manage": "Review, inspect and resolve returns",
+  "invoices:read:all": "See all invoices and credit notes",
+  "invoices:manage": "Issue missing invoices and credit notes",
+  "products:write:own": "Add and edit their own products",
+  "products:write": "Edit any product and choose featured products",
+  "categories:manage": "Edit categories",
+  "coupons:manage": "Edit coupons and see their reports",
+  "outlets:manage": "Edit outlets",
+  "reviews:moderate": "Edit and delete product reviews",
+  "buyback:manage": "Edit buyback prices and deductions",
+  "sellrequests:create": "Sell a device to the shop",
+  "sellrequests:manage": "Handle sell requests - offers, inspection, payout",
+  "sellerforms:submit": "Submit seller forms",
+  "sellerforms:manage": "Process seller forms",
+  "sellers:verify": "Approve or reject seller accounts",
+  "payouts:read:own": "See their own balance and statement",
+  "payouts:manage": "Create payout batches and mark them paid",
+  "reports:read": "Dashboard overview and tax report",
+  "notifications:send": "Send emails to customers by hand",
+  "notifications:outbox": "See the notification outbox and resend messages",
+  "notifications:diagnostics": "Email test endpoints (only with NOTIFICATION_DIAGNOSTICS=true)",
+  "roles:manage": "Create roles and assign them to users"
+};
+
+const ALL = "*";
+
+const SELLER_PERMISSIONS = [
+  "orders:read:lines",
+  "orders:process:own",
+  "products:write:own",
+  "payouts:read:own",
+  "sellerforms:submit",
+  "sellrequests:create"
+];
+
+// Created on start if missing (services/permissions.ensureDefaultRoles). After that the database
+// wins - except for admin, which always keeps "*" so nobody can lock the shop out.
+// seller and seller_candidate are the same marketplace seller, before and after the rename.
+const DEFAULT_ROLES = [
+  { name: "admin", label: "Administrator", permissions: [ALL] },
+  { name: "buyer", label: "Customer", permissions: ["orders:cancel:own", "sellrequests:create"] },
+  { name: "seller_candidate", label: "Marketplace seller", permissions: SELLER_PERMISSIONS },
+  { name: "seller", label: "Seller", permissions: SELLER_PERMISSIONS },
+  { name: "outlet_staff", label: "Outlet staff", permissions: ["orders:handover:outlet"] }
+];
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+// Role changes reach other server instances within this time
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+class PermissionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PermissionError";
+    this.status = status;
+  }
+}
+
+const defaultRole = (name) => DEFAULT_ROLES.find(role => role.name === name);
+
+// Permissions of a role name. Unknown roles get none.
+async function permissionsFor(roleName) {
+  const cached = cache.get(roleName);
+  if (cached && cached.at > Date.now() - CACHE_MS) return cached.permissions;
+
+  const role = await Role.findOne({ name: roleName }).select("permissions").lean();
+  // Before the defaults are stored (first start, tests) the built-in list applies
+  const permissions = roleName === "admin" ? [ALL] : role?.permissions || defaultRole(roleName)?.permissions || [];
+  cache.set(roleName, { permissions, at: Date.now() });
+  return permissions;
+}
+
+const hasPermission = (permissions = [], permission) => permissions.includes(ALL) || permissions.includes(permission);
+
+// Is this a role users can be given? Built-in names always are.
+async function roleExists(name) {
+  return Boolean(defaultRole(name)) || Boolean(await Role.exists({ name }));
+}
+
+// Store the built-in roles that aren't in the database yet (no-op afterwards)
+async function ensureDefaultRoles() {
+  let created = 0;
+  for (const role of DEFAULT_ROLES) {
+    const result = await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, builtIn: true } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+  if (created > 0) console.log(`✅ Created ${created} built-in role(s)`);
+  return created;
+}
+
+// Validate label / description / permissions from a request body
+function roleFields(body) {
+  const fields = {};
+  if (body.label !== undefined) {
+    if (typeof body.label !== "string" || !body.label.trim()) throw new PermissionError("Label is required");
+    fields.label = body.label.trim();
+  }
+  if (body.description !== undefined) fields.description = String(body.description);
+  if (body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions)) throw new PermissionError("Permissions must be a list");
+    const unknown = body.permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length) throw new PermissionError(`Unknown permission(s): ${unknown.join(", ")}`);
+    fields.permissions = [...new Set(body.permissions)];
+  }
+  return fields;
+}
+
+// Staff with roles:manage can only hand out what they may do themselves - otherwise they could
+// give themselves anything. Admins ("*") can hand out everything.
+function assertCanGrant(actor, permissions) {
+  if (hasPermission(actor.permissions, ALL)) return;
+  const missing = permissions.filter(permission => !hasPermission(actor.permissions, permission));
+  if (missing.length) {
+    throw new PermissionError(`You can't grant permissions you don't have: ${missing.join(", ")}`, 403);
+  }
+}
+
+// Create a role (no `role`) or change one. The name can't change - users refer to it.
+// `actor` is actorFromUser(req.user) of the admin making the change.
+async function saveRole(body, role = null, actor = {}) {
+  const fields = roleFields(body);
+  if (role?.name === "admin") throw new PermissionError("The admin role can't be changed", 409);
+  if (role) assertCanGrant(actor, role.permissions);
+  if (fields.permissions) assertCanGrant(actor, fields.permissions);
+
+  if (!role) {
+    const name = String(body.name || "").trim().toLowerCase();
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      throw new PermissionError("Name must be 2-32 lowercase letters, digits or underscores, starting with a letter");
+    }
+    if (!fields.label) throw new PermissionError("Label is required");
+    try {
+      role = await Role.create({ ...fields, name, updatedBy: actor.id });
+    } catch (err) {
+      if (err.code === 11000) throw new PermissionError(`Role "${name}" already exists`, 409);
+      throw err;
+    }
+  } else {
+    role.set({ ...fields, updatedBy: actor.id });
+    await role.save();
+  }
+
+  cache.delete(role.name);
+  console.log(`✅ Role ${role.name} saved: ${role.permissions.join(", ") || "no permissions"}`);
+  return role;
+}
+
+// Delete a custom role nobody has any more
+async function deleteRole(role, actor = {}) {
+  if (role.builtIn) throw new PermissionError("Built-in roles can't be deleted", 409);
+  assertCanGrant(actor, role.permissions);
+  // Lazy - models/User validates its role through this module
+  const User = require("../models/User");
+  const users = await User.countDocuments({ role: role.name });
+  if (users > 0) throw new PermissionError(`${users} user(s) still have this role`, 409);
+
+  await role.deleteOne();
+  cache.delete(role.name);
+  console.log(`✅ Role ${role.name} deleted`);
+}
+
+// Give a user another role. Nobody can take a role away or hand one out that can do more
+// than they can - so only admins make or unmake admins - and the last admin stays one.
+async function assignRole(user, roleName, actor = {}) {
+  const User = require("../models/User");
+  if (!(await roleExists(roleName))) throw new PermissionError(`Unknown role "${roleName}"`, 404);
+  assertCanGrant(actor, await permissionsFor(user.role));
+  assertCanGrant(actor, await permissionsFor(roleName));
+  if (user.role === "admin" && roleName !== "admin" && (await User.countDocuments({ role: "admin" })) <= 1) {
+    throw new PermissionError("The last admin can't be given another role", 409);
+  }
+
+  const updated = await User.findByIdAndUpdate(user._id, { $set: { role: roleName } }, { new: true }).select("-passwordHash");
+  console.log(`✅ User ${user._id}: role ${user.role} -> ${roleName} (by ${actor.id})`);
+  return updated;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL,
+  DEFAULT_ROLES,
+  PermissionError,
+  permissionsFor,
+  hasPermission,
+  roleExists,
+  ensureDefaultRoles,
+  saveRole,
+  deleteRole,
+  assignRole
+};
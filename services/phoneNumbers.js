@@ -0,0 +1,58 @@
+// Phone numbers are stored and messaged in E.164 (+4915112345678). Customers type them
+// however they like, so national numbers are completed with the country's calling code.
+
+const { countryCode } = require("./countries");
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || "DE").toUpperCase();
+
+// Countries we ship to, by ISO code
+const CALLING_CODES = {
+  DE: "49",
+  AT: "43",
+  CH: "41",
+  NL: "31",
+  BE: "32",
+  LU: "352",
+  FR: "33",
+  IT: "39",
+  ES: "34",
+  PL: "48",
+  CZ: "420",
+  DK: "45",
+  GB: "44",
+  US: "1"
+};
+
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+// Countries without a calling code here fall back to the default
+function callingCountry(country) {
+  const code = countryCode(country);
+  return CALLING_CODES[code] ? code : DEFAULT_COUNTRY;
+}
+
+// Normalize to E.164. Returns null for anything that can't be a phone number.
+// `country` (ISO code or name) is used for numbers typed without an international prefix.
+function toE164(phone, country) {
+  if (phone === undefined || phone === null) return null;
+  let value = String(phone).trim().replace(/^whatsapp:/i, "");
+  // Spaces, dashes, dots, slashes and brackets are formatting only - "(0) " included
+  value = value.replace(/\(0\)/g, "").replace(/[\s\-./()]/g, "");
+
+  if (value.startsWith("00")) value = `+${value.slice(2)}`;
+  if (!value.startsWith("+")) {
+    const callingCode = CALLING_CODES[callingCountry(country)];
+    value = `+${callingCode}${value.replace(/^0/, "")}`;
+  }
+  return E164.test(value) ? value : null;
+}
+
+// Last digits only, for logs
+const maskPhone = (phone) => (phone ? `${"*".repeat(Math.max(0, phone.length - 4))}${phone.slice(-4)}` : phone);
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  CALLING_CODES,
+  toE164,
+  maskPhone
+};
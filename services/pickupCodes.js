@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const Order = require("../models/Orders");
+const { transitionOrder } = require("./orderStateMachine");
+const { completeHandOver } = require("./invoices");
+const { hasPermission } = require("./permissions");
+
+// Orders ready for pickup get a short code that is sent to the customer. Outlet staff check it
+// before handing the order over. Only a hash is stored, so staff looking at the order can't see it.
+const PICKUP_CODE_DIGITS = 6;
+
+// Wrong codes before the code stops working - a new one is sent then
+const MAX_CODE_ATTEMPTS = Number(process.env.PICKUP_CODE_MAX_ATTEMPTS) || 5;
+
+class PickupError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PickupError";
+    this.status = status;
+  }
+}
+
+const hashCode = (orderId, code) => crypto.createHash("sha256").update(`${orderId}:${code}`).digest("hex");
+
+const codesMatch = (hash, orderId, code) =>
+  crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(hashCode(orderId, code), "hex"));
+
+// Outlets a user hands over orders at: null for all of them (orders:handover),
+// their assigned outlets for outlet staff (orders:handover:outlet), none otherwise
+function staffOutletIds(user) {
+  if (hasPermission(user.permissions, "orders:handover")) return null;
+  if (!hasPermission(user.permissions, "orders:handover:outlet")) return [];
+  return (user.outlets || []).map(id => id.toString());
+}
+
+function assertOutletAccess(user, order) {
+  const outletIds = staffOutletIds(user);
+  const outletId = (order.outletId?._id || order.outletId)?.toString();
+  if (outletIds && !outletIds.includes(outletId)) {
+    throw new PickupError("This order is not picked up at your outlet", 403);
+  }
+}
+
+// New code for an order that is ready for pickup. Replaces any earlier code.
+// Returns the code itself - it can't be read back later, so send it right away.
+async function issuePickupCode(order) {
+  const code = crypto.randomInt(0, 10 ** PICKUP_CODE_DIGITS).toString().padStart(PICKUP_CODE_DIGITS, "0");
+  const pickupCode = { hash: hashCode(order._id, code), issuedAt: new Date(), failedAttempts: 0 };
+
+  const result = await Order.updateOne(
+    { _id: order._id, deliveryMethod: "pickup", orderStatus: "ReadyForPickup" },
+    { $set: { pickupCode } }
+  );
+  if (result.matchedCount === 0) throw new PickupError("Only orders ready for pickup get a pickup code", 409);
+
+  console.log(`✅ Pickup code issued for order ${order._id}`);
+  return code;
+}
+
+// Hand an order over after checking the customer's code. Cash orders are paid now - they are
+// marked paid, credited to the sellers and invoiced.
+// Every try counts before the code is compared, so parallel guesses can't get past the limit.
+async function handOverOrder(order, code, actor) {
+  if (order.orderStatus !== "ReadyForPickup") throw new PickupError("Order is not ready for pickup", 409);
+
+  const given = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(given)) throw new PickupError("Pickup code is required");
+
+  const attempt = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      orderStatus: "ReadyForPickup",
+      "pickupCode.hash": { $exists: true },
+      "pickupCode.failedAttempts": { $lt: MAX_CODE_ATTEMPTS }
+    },
+    { $inc: { "pickupCode.failedAttempts": 1 } },
+    { new: true, projection: { "pickupCode.hash": 1 } }
+  ).lean();
+
+  if (!attempt) {
+    const current = await Order.findById(order._id).select("+pickupCode.hash").lean();
+    if (!current?.pickupCode?.hash) {
+      throw new PickupError("No pickup code was sent for this order - send the customer a new one", 409);
+    }
+    throw new PickupError("Too many wrong pickup codes - send the customer a new one", 429);
+  }
+  if (!codesMatch(attempt.pickupCode.hash, order._id, given)) {
+    throw new PickupError("Wrong pickup code");
+  }
+
+  // orders:handover:outlet allows no state change by itself - the checked code is what lets
+  // outlet staff hand over, so the move is made with hand-over rights recorded under their name
+  const handOverActor = { ...actor, permissions: [...(actor.permissions || []), "orders:handover"] };
+  await transitionOrder(order, "PickedUp", {
+    actor: handOverActor,
+    note: "Pickup code checked",
+    set: { "pickupCode.usedAt": new Date() }
+  });
+  await completeHandOver(order, "Paid at pickup");
+  return order;
+}
+
+module.exports = {
+  MAX_CODE_ATTEMPTS,
+  PickupError,
+  staffOutletIds,
+  assertOutletAccess,
+  issuePickupCode,
+  handOverOrder
+};
@@ -0,0 +1,184 @@
+const Outlet = require("../models/Outlet");
+const Order = require("../models/Orders");
+const PickupSlot = require("../models/PickupSlot");
+const { TIME_ZONE } = require("./i18n");
+
+// Pickup slots come from an outlet's weekly opening hours, split into slotMinutes-long slots.
+// Days are "YYYY-MM-DD" and times "HH:MM" in the shop's time zone; stored slots are plain Dates.
+
+// Time the outlet needs to get an order ready - earlier slots can't be booked
+const LEAD_MINUTES = Number(process.env.PICKUP_LEAD_MINUTES) || 60;
+// How far ahead slots can be booked
+const BOOKING_DAYS = Number(process.env.PICKUP_BOOKING_DAYS) || 14;
+
+class PickupSlotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PickupSlotError";
+    this.status = status;
+  }
+}
+
+const localFormat = new Intl.DateTimeFormat("en-CA", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23"
+});
+
+// Day and time a moment falls on in the shop's time zone
+function localParts(date) {
+  const parts = Object.fromEntries(localFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+const wallClock = (day, time) => Date.UTC(...day.split("-").map((part, index) => Number(part) - (index === 1 ? 1 : 0))) + toMinutes(time) * 60000;
+const weekdayOf = (day) => new Date(wallClock(day, "00:00")).getUTCDay();
+const addDays = (day, days) => new Date(wallClock(day, "00:00") + days * 86400000).toISOString().slice(0, 10);
+
+// The moment a day and time in the shop's time zone is. The zone's offset is looked up twice,
+// so days when the clocks change come out right.
+function zonedDate(day, time) {
+  const wall = wallClock(day, time);
+  const offsetAt = (ms) => {
+    const local = localParts(new Date(ms));
+    return wallClock(local.day, local.time) - Math.floor(ms / 60000) * 60000;
+  };
+  const guess = wall - offsetAt(wall);
+  return new Date(wall - offsetAt(guess));
+}
+
+const offersSlots = (outlet) => outlet.slotCapacity > 0 && outlet.openingHours?.length > 0;
+
+const closureOn = (outlet, day) => (outlet.closures || []).find(closure => closure.date === day);
+
+// All slots of one day - none when the outlet is closed
+function slotsForDay(outlet, day) {
+  if (closureOn(outlet, day)) return [];
+  const weekday = weekdayOf(day);
+  const length = outlet.slotMinutes || 30;
+
+  return (outlet.openingHours || [])
+    .filter(period => period.weekday === weekday)
+    .sort((a, b) => a.opens.localeCompare(b.opens))
+    .flatMap(period => {
+      const slots = [];
+      for (let from = toMinutes(period.opens); from + length <= toMinutes(period.closes); from += length) {
+        slots.push({ start: zonedDate(day, toTime(from)), end: zonedDate(day, toTime(from + length)) });
+      }
+      return slots;
+    });
+}
+
+const bookableFrom = () => new Date(Date.now() + LEAD_MINUTES * 60000);
+const bookableUntil = () => new Date(Date.now() + BOOKING_DAYS * 86400000);
+
+// Slots of the next `days` days from `from` (a "YYYY-MM-DD", default today) with what's left of each.
+// Days the outlet is closed are listed as closed; slots that are too soon are left out.
+async function outletAvailability(outlet, { from, days = 7 } = {}) {
+  if (!offersSlots(outlet)) return { slotsOffered: false, days: [] };
+
+  const today = localParts(new Date()).day;
+  const firstDay = from && /^\d{4}-\d{2}-\d{2}$/.test(from) && from > today ? from : today;
+  const dayCount = Math.min(Math.max(Number(days) || 7, 1), BOOKING_DAYS);
+  const dayList = Array.from({ length: dayCount }, (_, index) => addDays(firstDay, index));
+
+  const booked = await PickupSlot.find({
+    outletId: outlet._id,
+    start: { $gte: zonedDate(dayList[0], "00:00"), $lt: zonedDate(addDays(dayList[dayList.length - 1], 1), "00:00") }
+  }).select("start booked").lean();
+  const bookedAt = new Map(booked.map(slot => [slot.start.getTime(), slot.booked]));
+  const earliest = bookableFrom();
+  const latest = bookableUntil();
+
+  return {
+    slotsOffered: true,
+    slotMinutes: outlet.slotMinutes,
+    days: dayList.map(day => {
+      const closure = closureOn(outlet, day);
+      const daySlots = slotsForDay(outlet, day);
+      const slots = daySlots
+        .filter(slot => slot.start >= earliest && slot.start <= latest)
+        .map(slot => {
+          const available = Math.max(outlet.slotCapacity - (bookedAt.get(slot.start.getTime()) || 0), 0);
+          return { ...slot, available, full: available === 0 };
+        });
+      return {
+        date: day,
+        closed: daySlots.length === 0,
+        reason: closure?.reason,
+        slots
+      };
+    })
+  };
+}
+
+// Take one place in the slot starting at `start` (as sent by the availability endpoint).
+// Returns the slot to store on the order, or null when the outlet doesn't offer slots.
+// The count only goes up while the slot has room, so two customers can't both take the last place.
+async function reservePickupSlot(outletId, start) {
+  const outlet = outletId ? await Outlet.findById(outletId) : null;
+  if (!outlet || !outlet.isActive) throw new PickupSlotError("Please choose an available outlet");
+  if (!offersSlots(outlet)) return null;
+
+  const requested = start ? new Date(start) : null;
+  if (!requested || Number.isNaN(requested.getTime())) throw new PickupSlotError("Please choose a pickup slot");
+
+  const day = localParts(requested).day;
+  const slot = slotsForDay(outlet, day).find(candidate => candidate.start.getTime() === requested.getTime());
+  if (!slot) {
+    const closure = closureOn(outlet, day);
+    throw new PickupSlotError(closure ? `The outlet is closed on this day${closure.reason ? ` (${closure.reason})` : ""}` : "The outlet is closed at this time", 409);
+  }
+  if (slot.start < bookableFrom()) throw new PickupSlotError("This pickup slot is too soon - please choose a later one", 409);
+  if (slot.start > bookableUntil()) throw new PickupSlotError(`Pickup slots can be booked up to ${BOOKING_DAYS} days ahead`, 409);
+
+  try {
+    await PickupSlot.findOneAndUpdate(
+      { outletId: outlet._id, start: slot.start, booked: { $lt: outlet.slotCapacity } },
+      { $inc: { booked: 1 }, $setOnInsert: { end: slot.end } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // The slot exists but is full - the upsert tried to create it a second time
+    if (err.code === 11000) throw new PickupSlotError("This pickup slot is full - please choose another one", 409);
+    throw err;
+  }
+  console.log(`✅ Pickup slot ${slot.start.toISOString()} reserved at outlet ${outlet.name}`);
+  return { start: slot.start, end: slot.end, reserved: true };
+}
+
+// Give the place back for an order that was never stored
+async function cancelSlotReservation(outletId, slot) {
+  await PickupSlot.updateOne({ outletId, start: slot.start, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+}
+
+// Give the place back when the order is cancelled. Claimed on the order first so it happens once.
+async function releasePickupSlot(order) {
+  if (!order.pickupSlot?.reserved) return false;
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "pickupSlot.reserved": true },
+    { $set: { "pickupSlot.reserved": false } }
+  );
+  if (!claimed) return false;
+  order.pickupSlot.reserved = false;
+
+  await cancelSlotReservation(order.outletId?._id || order.outletId, order.pickupSlot);
+  console.log(`✅ Released pickup slot of order ${order._id}`);
+  return true;
+}
+
+module.exports = {
+  PickupSlotError,
+  offersSlots,
+  outletAvailability,
+  reservePickupSlot,
+  cancelSlotReservation,
+  releasePickupSlot
+};
@@ -0,0 +1,178 @@
+const Product = require("../models/Product");
+const { evaluateCoupon } = require("./coupons");
+const { taxSchemeOf } = require("./tax");
+const { itemWeight, quoteShipping } = require("./shipping");
+
+// Client-supplied prices may be off by float rounding, never by more than half a cent
+const PRICE_TOLERANCE = 0.005;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Thrown when the cart can't be priced (unknown product, disabled variant, bad quantity)
+// or when the client's numbers don't match what we computed. `diff` is safe to return to the client.
+class PricingError extends Error {
+  constructor(message, diff) {
+    super(message);
+    this.name = "PricingError";
+    this.status = 409;
+    this.diff = diff;
+  }
+}
+
+// Pick the variant a line is sold from: explicit variantId, otherwise the first variant.
+// Same resolution the stock reservation uses, so price and stock always come from one variant.
+const resolveVariant = (product, variantId) => {
+  if (!product.variants || product.variants.length === 0) return null;
+  if (variantId) {
+    return product.variants.find(v => v._id.toString() === variantId.toString()) || undefined;
+  }
+  return product.variants[0];
+};
+
+// Rebuild order lines from Product/variant data. Only productId, variantId and quantity
+// are taken from the client - price, name, image and seller always come from the database.
+async function priceOrderItems(clientItems) {
+  const productIds = [...new Set(clientItems.map(item => String(item.productId)))];
+  const products = await Product.find({ _id: { $in: productIds } });
+
+  const lines = [];
+  const errors = [];
+
+  clientItems.forEach((item, index) => {
+    const quantity = Number(item.quantity ?? 1);
+    const product = products.find(p => p._id.toString() === String(item.productId));
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ line: index, productId: item.productId, reason: "invalid_quantity", received: item.quantity });
+      return;
+    }
+    if (!product) {
+      errors.push({ line: index, productId: item.productId, reason: "product_not_found" });
+      return;
+    }
+
+    const variant = resolveVariant(product, item.variantId);
+    if (variant === undefined) {
+      errors.push({ line: index, productId: product._id, variantId: item.variantId, reason: "variant_not_found" });
+      return;
+    }
+    if (variant && variant.enabled === false) {
+      errors.push({ line: index, productId: product._id, variantId: variant._id, reason: "variant_disabled" });
+      return;
+    }
+
+    const unitPrice = roundMoney(variant ? variant.price : (product.price || 0));
+    lines.push({
+      productId: product._id,
+      variantId: variant ? variant._id : undefined,
+      sellerId: product.sellerId,
+      shopOwned: Boolean(product.shopOwned),
+      quantity,
+      price: unitPrice,
+      name: product.name,
+      image: variant?.images?.[0] || product.images?.[0],
+      // Used by coupon scope rules
+      category: product.category,
+      categoryRef: product.categoryRef,
+      appearance: variant?.appearance,
+      battery: variant?.battery,
+      taxScheme: taxSchemeOf(product, variant),
+      weight: itemWeight(product, variant)
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new PricingError("Some items can't be ordered", { lines: errors });
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  return { items: lines, subtotal };
+}
+
+// Apply an optional coupon to priced lines. Coupon problems surface as CouponError.
+async function applyCoupon(priced, { couponCode, userId, email } = {}) {
+  let coupon = null;
+  let discount = 0;
+
+  if (couponCode) {
+    coupon = await evaluateCoupon(couponCode, priced.items, { userId, email });
+    discount = coupon.discount;
+  }
+
+  return {
+    ...priced,
+    discount,
+    total: roundMoney(Math.max(0, priced.subtotal - discount)),
+    coupon
+  };
+}
+
+// Add shipping for delivery orders - by destination and parcel weight, free above the zone's
+// threshold or with a free-shipping coupon. Shipping problems surface as ShippingError.
+async function applyShipping(priced, { deliveryMethod = "delivery", country } = {}) {
+  if (deliveryMethod === "pickup") return { ...priced, shipping: null, shippingCost: 0 };
+
+  const shipping = await quoteShipping({
+    items: priced.items,
+    country,
+    orderValue: priced.total,
+    freeShipping: Boolean(priced.coupon?.freeShipping)
+  });
+  return {
+    ...priced,
+    shipping,
+    shippingCost: shipping.cost,
+    total: roundMoney(priced.total + shipping.cost)
+  };
+}
+
+// Compare what the client showed the customer with what we computed.
+// Fields the client didn't send are not compared.
+function diffPricing(clientItems, priced, clientTotal) {
+  const lines = [];
+
+  clientItems.forEach((item, index) => {
+    const line = priced.items[index];
+    if (item.price === undefined || item.price === null) return;
+    if (Math.abs(Number(item.price) - line.price) > PRICE_TOLERANCE) {
+      lines.push({
+        line: index,
+        productId: line.productId,
+        variantId: line.variantId || null,
+        field: "price",
+        expected: line.price,
+        received: Number(item.price)
+      });
+    }
+  });
+
+  const diff = { lines };
+  if (clientTotal !== undefined && clientTotal !== null &&
+      Math.abs(Number(clientTotal) - priced.total) > PRICE_TOLERANCE) {
+    diff.total = { expected: priced.total, received: Number(clientTotal) };
+  }
+
+  return diff;
+}
+
+// Price a checkout (including any coupon and shipping) and reject it if the client's numbers disagree with ours.
+// options: { couponCode, userId, email, deliveryMethod, country }
+async function priceCheckout(clientItems, clientTotal, options = {}) {
+  const priced = await applyShipping(await applyCoupon(await priceOrderItems(clientItems), options), options);
+  const diff = diffPricing(clientItems, priced, clientTotal);
+
+  if (diff.lines.length > 0 || diff.total) {
+    throw new PricingError("Prices have changed. Please review your cart.", diff);
+  }
+
+  return priced;
+}
+
+module.exports = {
+  PricingError,
+  roundMoney,
+  priceOrderItems,
+  applyCoupon,
+  applyShipping,
+  priceCheckout
+};
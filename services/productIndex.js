@@ -0,0 +1,116 @@
+// Search fields derived from a product. Kept free of model imports so the Product
+// schema can rebuild them in its save hook.
+
+// Spec names vary per category, so storage and color are recognised by name
+const FACET_SPEC_KEYS = {
+  storage: /^(storage|capacity|memory|speicher|speicherplatz)$/i,
+  color: /^(colou?r|farbe)$/i
+};
+
+// Long descriptions only add noise to the index
+const MAX_DESCRIPTION_WORDS = 200;
+
+const normalizeText = (text) => String(text || "")
+  .normalize("NFKD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, " ")
+  .trim();
+
+const tokenize = (text) => normalizeText(text).split(" ").filter(Boolean);
+
+// Trigrams of one token. Tokens of up to 3 characters ("13", "pro") are kept whole.
+const trigrams = (token) => {
+  if (token.length <= 3) return [token];
+  const grams = [];
+  for (let i = 0; i <= token.length - 3; i++) grams.push(token.slice(i, i + 3));
+  return grams;
+};
+
+const tokenGrams = (tokens) => tokens.flatMap(trigrams);
+
+// Grams for a search query - matched against nameGrams/searchGrams
+const queryGrams = (query) => [...new Set(tokenGrams(tokenize(query)))];
+
+// "iPhone 13" -> "iphone13", so "iphone13" and "iphone 13" find the same product
+const compactName = (name) => tokenize(name).join("");
+
+const specEntries = (specs) => {
+  if (!specs) return [];
+  return specs instanceof Map ? [...specs.entries()] : Object.entries(specs);
+};
+
+// Lowest price among enabled variants, or the product price when there are none
+const minimumPrice = (product) => {
+  const prices = (product.variants || [])
+    .filter(v => v.enabled !== false)
+    .map(v => v.price)
+    .filter(price => price !== undefined && price !== null);
+  return prices.length > 0 ? Math.min(...prices) : (product.price || 0);
+};
+
+function buildFacets(product) {
+  const facets = { storage: new Set(), color: new Set(), appearance: new Set(), battery: new Set() };
+  const addSpecs = (specs) => {
+    specEntries(specs).forEach(([key, value]) => {
+      Object.entries(FACET_SPEC_KEYS).forEach(([facet, pattern]) => {
+        if (pattern.test(key) && value) facets[facet].add(String(value).trim());
+      });
+    });
+  };
+
+  const variants = (product.variants || []).filter(v => v.enabled !== false);
+  if (variants.length === 0) addSpecs(product.specs);
+  variants.forEach(variant => {
+    addSpecs(variant.specs);
+    if (variant.appearance) facets.appearance.add(variant.appearance);
+    if (variant.battery) facets.battery.add(variant.battery);
+  });
+
+  return Object.fromEntries(Object.entries(facets).map(([key, values]) => [key, [...values]]));
+}
+
+// Everything the search service needs, computed from the product itself
+function buildProductIndex(product) {
+  const nameTokens = tokenize(product.name);
+  const compact = compactName(product.name);
+  const nameGrams = new Set([...tokenGrams(nameTokens), ...trigrams(compact)]);
+
+  const otherTokens = [
+    ...tokenize(product.category),
+    ...tokenize(product.description).slice(0, MAX_DESCRIPTION_WORDS),
+    ...specEntries(product.specs).flatMap(([, value]) => tokenize(value)),
+    ...(product.variants || []).flatMap(v => [
+      ...specEntries(v.specs).flatMap(([, value]) => tokenize(value)),
+      ...tokenize(v.appearance),
+      ...tokenize(v.battery)
+    ])
+  ];
+  const searchGrams = new Set([...nameGrams, ...tokenGrams(otherTokens)]);
+
+  const reviews = product.reviews || [];
+  const rating = reviews.length > 0
+    ? Math.round(reviews.reduce((sum, r) => sum + (r.rating || 0), 0) / reviews.length * 10) / 10
+    : 0;
+
+  return {
+    searchName: compact,
+    nameGrams: [...nameGrams],
+    searchGrams: [...searchGrams],
+    minPrice: minimumPrice(product),
+    rating,
+    reviewCount: reviews.length,
+    facets: buildFacets(product)
+  };
+}
+
+module.exports = {
+  FACET_SPEC_KEYS,
+  normalizeText,
+  tokenize,
+  queryGrams,
+  compactName,
+  specEntries,
+  minimumPrice,
+  buildProductIndex
+};
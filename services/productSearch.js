@@ -0,0 +1,353 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const { queryGrams, compactName, specEntries } = require("./productIndex");
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+// Most products the unpaginated list returns - clients that need more page through /search
+const LIST_LIMIT = Number(process.env.PRODUCT_LIST_LIMIT) || 200;
+
+// Share of the query's trigrams a product has to contain to count as a match.
+// Below 1 so a typo ("iphnoe") still finds the product, just with a lower score.
+const MIN_MATCH_RATIO = 0.4;
+
+// Every sort ends on _id so pages are stable when values tie
+const SORTS = {
+  relevance: { score: -1, createdAt: -1, _id: 1 },
+  price_asc: { minPrice: 1, _id: 1 },
+  price_desc: { minPrice: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  rating: { rating: -1, reviewCount: -1, _id: 1 }
+};
+
+const VARIANT_FACETS = ["storage", "color", "appearance", "battery"];
+
+const INTERNAL_FIELDS = { searchName: 0, nameGrams: 0, searchGrams: 0, _nameHits: 0, _allHits: 0 };
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Query params with a fixed meaning - anything else may be a spec filter
+const RESERVED_PARAMS = new Set([
+  "q", "search", "sort", "page", "limit", "paginate",
+  "category", "categoryRef", "minPrice", "maxPrice", "featured"
+]);
+
+// Grade filters live on the variant itself. `condition` is the old name for the appearance grade.
+const GRADE_PARAMS = { appearance: "appearance", condition: "appearance", battery: "battery" };
+
+// "128GB,256GB" or repeated params -> ["128GB", "256GB"]
+const listValues = (value) => [].concat(value)
+  .flatMap(v => String(v).split(","))
+  .map(v => v.trim())
+  .filter(Boolean);
+
+const exactInsensitive = (value) => new RegExp(`^${escapeRegex(value)}$`, "i");
+
+const toNumber = (value) => (value === undefined || value === "" || Number.isNaN(Number(value)) ? undefined : Number(value));
+
+const priceRange = ({ minPrice, maxPrice }) => {
+  const min = toNumber(minPrice);
+  const max = toNumber(maxPrice);
+  if (min === undefined && max === undefined) return null;
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return range;
+};
+
+// Work out which params are variant filters. Spec names come from the Category `specs`
+// definitions (of the requested category, or all of them) and match case-insensitively,
+// so `storage=128GB` finds variants whose specs use "Storage".
+async function resolveVariantFilters(params) {
+  const filters = { specs: [], appearance: [], battery: [], applied: {} };
+
+  Object.entries(GRADE_PARAMS).forEach(([param, field]) => {
+    if (params[param] === undefined) return;
+    const values = listValues(params[param]);
+    if (values.length === 0) return;
+    filters[field].push(...values);
+    filters.applied[param] = values;
+  });
+
+  const specParams = Object.keys(params).filter(key => !RESERVED_PARAMS.has(key) && !GRADE_PARAMS[key]);
+  if (specParams.length === 0) return filters;
+
+  const categoryFilter = {};
+  if (params.categoryRef && mongoose.isValidObjectId(params.categoryRef)) {
+    categoryFilter._id = params.categoryRef;
+  } else if (params.category) {
+    categoryFilter.name = { $regex: escapeRegex(params.category), $options: "i" };
+  }
+  const categories = await Category.find(categoryFilter).select("specs.name");
+  const specNames = [...new Set(categories.flatMap(c => c.specs.map(spec => spec.name)))];
+
+  specParams.forEach(param => {
+    const names = specNames.filter(name => name.toLowerCase() === param.toLowerCase());
+    const values = listValues(params[param]);
+    if (names.length === 0 || values.length === 0) return; // not a spec of these categories
+    filters.specs.push({ param, names, values });
+    filters.applied[param] = values;
+  });
+
+  return filters;
+}
+
+const hasVariantFilters = (filters) =>
+  filters.specs.length > 0 || filters.appearance.length > 0 || filters.battery.length > 0;
+
+// A variant matches when it is enabled, in stock, inside the price range and matches every filter
+function variantMatch(filters, range) {
+  const clauses = [{ enabled: { $ne: false } }, { stock: { $gt: 0 } }];
+  filters.specs.forEach(({ names, values }) => {
+    clauses.push({ $or: names.map(name => ({ [`specs.${name}`]: { $in: values.map(exactInsensitive) } })) });
+  });
+  if (filters.appearance.length > 0) clauses.push({ appearance: { $in: filters.appearance.map(exactInsensitive) } });
+  if (filters.battery.length > 0) clauses.push({ battery: { $in: filters.battery.map(exactInsensitive) } });
+  if (range) clauses.push({ price: range });
+  return { $elemMatch: { $and: clauses } };
+}
+
+// Same test in JS, to tell the client which variants matched
+function variantMatches(variant, filters, range) {
+  if (variant.enabled === false || !(variant.stock > 0)) return false;
+  if (range && ((range.$gte !== undefined && variant.price < range.$gte) || (range.$lte !== undefined && variant.price > range.$lte))) {
+    return false;
+  }
+  const specs = Object.fromEntries(specEntries(variant.specs));
+  const matchesAny = (value, wanted) => value !== undefined && value !== null &&
+    wanted.some(w => String(value).toLowerCase() === w.toLowerCase());
+
+  return filters.specs.every(({ names, values }) => names.some(name => matchesAny(specs[name], values))) &&
+    (filters.appearance.length === 0 || matchesAny(variant.appearance, filters.appearance)) &&
+    (filters.battery.length === 0 || matchesAny(variant.battery, filters.battery));
+}
+
+// Attach the matching variants - the cheapest one is the variant to show and link to
+function markMatchedVariants(products, filters, range) {
+  products.forEach(product => {
+    const matched = (product.variants || [])
+      .filter(v => variantMatches(v, filters, range))
+      .sort((a, b) => a.price - b.price);
+    product.matchedVariantIds = matched.map(v => v._id);
+    product.matchedVariant = matched[0] || null;
+  });
+  return products;
+}
+
+// Plain field filters (everything except the search text)
+function buildFilter({ category, categoryRef, featured, ...rest }, variantFilters) {
+  const filter = {};
+  if (featured === "true" || featured === true) filter.featured = true;
+  if (category) filter.category = { $regex: escapeRegex(category), $options: "i" };
+  // Aggregations don't cast, so ids have to be ObjectIds already
+  if (categoryRef) {
+    filter.categoryRef = mongoose.isValidObjectId(categoryRef) ? new mongoose.Types.ObjectId(String(categoryRef)) : null;
+  }
+
+  // With variant filters the price has to hold for the matching variant, not just the cheapest one
+  const range = priceRange(rest);
+  if (hasVariantFilters(variantFilters)) {
+    filter.variants = variantMatch(variantFilters, range);
+  } else if (range) {
+    filter.minPrice = range;
+  }
+  return filter;
+}
+
+// Stages that keep products matching enough query trigrams and score them.
+// Name matches count double, and an exact (space-insensitive) name match wins outright.
+function relevanceStages(q, grams) {
+  const needed = Math.max(1, Math.ceil(grams.length * MIN_MATCH_RATIO));
+  return [
+    {
+      $addFields: {
+        _nameHits: { $size: { $setIntersection: [{ $ifNull: ["$nameGrams", []] }, grams] } },
+        _allHits: { $size: { $setIntersection: [{ $ifNull: ["$searchGrams", []] }, grams] } }
+      }
+    },
+    { $match: { _allHits: { $gte: needed } } },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $divide: [{ $add: [{ $multiply: ["$_nameHits", 2] }, "$_allHits"] }, grams.length * 3] },
+            { $cond: [{ $eq: ["$searchName", compactName(q)] }, 1, 0] }
+          ]
+        }
+      }
+    }
+  ];
+}
+
+const facetCounts = (path) => [
+  { $unwind: `$${path}` },
+  { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } }
+];
+
+const populateResults = (products) => Product.populate(products, [
+  { path: "sellerId", select: "name role" },
+  { path: "categoryRef", select: "name specs" }
+]);
+
+// Search and filter products.
+// With `paginate: false` only the first LIST_LIMIT matches are returned, as { products, total, limit }
+// (legacy GET /api/products).
+// Spec and grade filters (storage=128GB&color=Black&appearance=Excellent&battery=New) only return
+// products with an enabled, in-stock variant matching all of them - see matchedVariant on each result.
+async function searchProducts(params = {}) {
+  const { q, search, sort, page, limit, paginate = true } = params;
+  const text = (q || search || "").trim();
+  const grams = text ? queryGrams(text) : [];
+
+  const variantFilters = await resolveVariantFilters(params);
+  const filtering = hasVariantFilters(variantFilters);
+  const range = priceRange(params);
+
+  const match = buildFilter(params, variantFilters);
+  if (grams.length > 0) match.searchGrams = { $in: grams };
+
+  const base = [{ $match: match }, ...(grams.length > 0 ? relevanceStages(text, grams) : [])];
+
+  let sortKey = SORTS[sort] ? sort : (grams.length > 0 ? "relevance" : "newest");
+  if (sortKey === "relevance" && grams.length === 0) sortKey = "newest";
+
+  if (!paginate) {
+    const [listed] = await Product.aggregate([
+      ...base,
+      {
+        $facet: {
+          products: [{ $sort: SORTS[sortKey] }, { $limit: LIST_LIMIT }, { $project: INTERNAL_FIELDS }],
+          total: [{ $count: "count" }]
+        }
+      }
+    ]);
+    if (filtering) markMatchedVariants(listed.products, variantFilters, range);
+    return { products: await populateResults(listed.products), total: listed.total[0]?.count || 0, limit: LIST_LIMIT };
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+
+  const [result] = await Product.aggregate([
+    ...base,
+    {
+      $facet: {
+        products: [
+          { $sort: SORTS[sortKey] },
+          { $skip: (pageNum - 1) * pageSize },
+          { $limit: pageSize },
+          { $project: INTERNAL_FIELDS }
+        ],
+        total: [{ $count: "count" }],
+        category: facetCounts("category"),
+        ...Object.fromEntries(VARIANT_FACETS.map(facet => [facet, facetCounts(`facets.${facet}`)]))
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  if (filtering) markMatchedVariants(result.products, variantFilters, range);
+  return {
+    products: await populateResults(result.products),
+    page: pageNum,
+    limit: pageSize,
+    total,
+    pages: Math.ceil(total / pageSize),
+    sort: sortKey,
+    filters: variantFilters.applied,
+    facets: {
+      category: result.category,
+      ...Object.fromEntries(VARIANT_FACETS.map(facet => [facet, result[facet]]))
+    }
+  };
+}
+
+// Filters a client can offer: every spec defined on the categories with the values in-stock
+// variants actually have, plus the appearance and battery grades on sale.
+async function availableFilters({ category, categoryRef } = {}) {
+  const categoryFilter = {};
+  if (categoryRef && mongoose.isValidObjectId(categoryRef)) {
+    categoryFilter._id = categoryRef;
+  } else if (category) {
+    categoryFilter.name = { $regex: escapeRegex(category), $options: "i" };
+  }
+  const categories = await Category.find(categoryFilter).select("specs.name");
+  const specNames = [...new Set(categories.flatMap(c => c.specs.map(spec => spec.name)))];
+
+  const [values] = await Product.aggregate([
+    { $match: buildFilter({ category, categoryRef }, { specs: [], appearance: [], battery: [] }) },
+    { $unwind: "$variants" },
+    { $match: { "variants.enabled": { $ne: false }, "variants.stock": { $gt: 0 } } },
+    {
+      $facet: {
+        specs: [
+          { $project: { spec: { $objectToArray: { $ifNull: ["$variants.specs", {}] } } } },
+          { $unwind: "$spec" },
+          { $match: { "spec.k": { $in: specNames } } },
+          { $group: { _id: "$spec.k", values: { $addToSet: "$spec.v" } } }
+        ],
+        appearance: [{ $group: { _id: "$variants.appearance" } }],
+        battery: [{ $group: { _id: "$variants.battery" } }]
+      }
+    }
+  ]);
+
+  const present = (rows) => rows.map(row => row._id).filter(Boolean).sort();
+  return {
+    specs: specNames
+      .map(name => ({
+        name,
+        param: name.toLowerCase(),
+        values: (values.specs.find(row => row._id === name)?.values || []).sort()
+      }))
+      .filter(spec => spec.values.length > 0),
+    appearance: present(values.appearance),
+    battery: present(values.battery)
+  };
+}
+
+// Product names for autocomplete, best match first
+async function suggestProducts(q, limit = 5) {
+  const grams = queryGrams(q);
+  if (grams.length === 0) return [];
+
+  const needed = Math.max(1, Math.ceil(grams.length * MIN_MATCH_RATIO));
+  const products = await Product.aggregate([
+    { $match: { nameGrams: { $in: grams } } },
+    { $addFields: { _nameHits: { $size: { $setIntersection: ["$nameGrams", grams] } } } },
+    { $match: { _nameHits: { $gte: needed } } },
+    { $sort: { _nameHits: -1, name: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, name: 1 } }
+  ]);
+  return products.map(p => ({ name: p.name, value: p.name }));
+}
+
+// Rebuild the search fields of products saved before they existed (or all of them)
+async function reindexProducts({ onlyMissing = true } = {}) {
+  const filter = onlyMissing ? { searchGrams: { $exists: false } } : {};
+  let count = 0;
+
+  for await (const product of Product.find(filter).cursor()) {
+    try {
+      await product.save({ validateBeforeSave: false });
+      count++;
+    } catch (err) {
+      console.error(`❌ Failed to reindex product ${product._id}:`, err.message);
+    }
+  }
+
+  if (count > 0) console.log(`✅ Reindexed ${count} product(s) for search`);
+  return count;
+}
+
+module.exports = {
+  SORTS,
+  searchProducts,
+  availableFilters,
+  suggestProducts,
+  reindexProducts
+};
@@ -0,0 +1,391 @@
+const mongoose = require("mongoose");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const Order = require("../models/Orders");
+const { StockReservationError, reserveOrderStock, cancelReservation, restockOrderItems } = require("./stockReservation");
+const { reverseOrderSales } = require("./ledger");
+const { notify } = require("./notifications");
+const { issueCreditNote } = require("./invoices");
+const { SYSTEM_ACTOR, TRANSITIONS, OrderTransitionError, transitionOrder, reopenCancelledOrder } = require("./orderStateMachine");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Same half-cent tolerance the pricing service uses
+const AMOUNT_TOLERANCE = 0.005;
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RefundError";
+    this.status = status;
+  }
+}
+
+const refundableAmount = (order) => roundMoney(order.total - (order.refundedAmount || 0));
+
+// The Stripe payment intent behind an order. Older orders only stored the checkout session.
+async function resolvePaymentIntent(order) {
+  if (order.stripePaymentIntentId) return order.stripePaymentIntentId;
+  if (!order.stripeSessionId) return null;
+
+  const session = await stripe.checkout.sessions.retrieve(order.stripeSessionId);
+  const paymentIntentId = typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id;
+  if (paymentIntentId) {
+    await Order.updateOne({ _id: order._id }, { $set: { stripePaymentIntentId: paymentIntentId } });
+    order.stripePaymentIntentId = paymentIntentId;
+  }
+  return paymentIntentId || null;
+}
+
+// Turn the requested lines into { itemId, quantity } and work out the amount.
+// No lines means "everything that wasn't refunded yet". Line amounts carry the order's
+// coupon discount proportionally, so refunding every line never exceeds what was paid.
+function buildRefundLines(order, requested) {
+  const full = !requested || requested.length === 0;
+  const wanted = full
+    ? order.items.map(item => ({ itemId: item._id, quantity: item.quantity - (item.refundedQuantity || 0) }))
+    : requested.reduce((merged, line) => {
+      // Two entries for the same item are one refund line
+      const quantity = Number(line.quantity ?? 1);
+      const existing = merged.find(l => String(l.itemId) === String(line.itemId));
+      if (existing) existing.quantity += quantity;
+      else merged.push({ itemId: line.itemId, quantity });
+      return merged;
+    }, []);
+
+  const lines = [];
+  for (const line of wanted) {
+    const item = order.items.id(line.itemId);
+    if (!item) throw new RefundError(`Order item ${line.itemId} not found`);
+    if (!Number.isInteger(line.quantity) || line.quantity < 0) {
+      throw new RefundError(`Invalid refund quantity for item ${line.itemId}`);
+    }
+    const left = item.quantity - (item.refundedQuantity || 0);
+    if (line.quantity > left) {
+      throw new RefundError(`Only ${left} unit(s) of item ${line.itemId} can still be refunded`);
+    }
+    if (line.quantity > 0) lines.push({ itemId: item._id, quantity: line.quantity, price: item.price });
+  }
+
+  if (lines.length === 0) throw new RefundError("Nothing left to refund on this order");
+
+  const remaining = refundableAmount(order);
+  const refundsEverything = order.items.every(item => {
+    const line = lines.find(l => l.itemId.toString() === item._id.toString());
+    return item.quantity - (item.refundedQuantity || 0) - (line ? line.quantity : 0) === 0;
+  });
+
+  let amount;
+  if (refundsEverything) {
+    // Last refund takes whatever is left so rounding never strands a cent
+    amount = remaining;
+  } else {
+    // Discount comes off in proportion, shipping is only refunded with the last item
+    const ratio = order.subtotal > 0 ? (order.total - (order.shippingCost || 0)) / order.subtotal : 1;
+    const gross = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    amount = Math.min(roundMoney(gross * Math.min(ratio, 1)), remaining);
+  }
+
+  if (amount <= 0) throw new RefundError("Nothing left to refund on this order");
+  return { lines: lines.map(({ itemId, quantity }) => ({ itemId, quantity })), amount, full: refundsEverything };
+}
+
+// Once everything is refunded the order moves to Refunded (where the state machine allows it,
+// a shipped parcel has to come back first) and the payment is marked refunded either way.
+async function finishFullRefund(order, actor, note) {
+  if (refundableAmount(order) > AMOUNT_TOLERANCE) return;
+
+  // Refunds made in the Stripe dashboard aren't tied to lines - take back whatever seller credit is left
+  await takeBackSellerCredit(order, { reason: "refunded" });
+  if (order.paymentStatus === "Refunded") return;
+
+  if ((TRANSITIONS[order.orderStatus] || []).includes("Refunded")) {
+    try {
+      await transitionOrder(order, "Refunded", { actor, note, set: { paymentStatus: "Refunded" } });
+      return;
+    } catch (err) {
+      // The webhook and the admin request can finish at the same time - one transition is enough
+      if (!(err instanceof OrderTransitionError)) throw err;
+    }
+  }
+  await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: "Refunded", updatedAt: Date.now() } });
+  order.paymentStatus = "Refunded";
+}
+
+// Reverse seller credits for refunded units. The customer already has the money back at
+// this point, so a ledger failure is logged instead of failing the refund.
+async function takeBackSellerCredit(order, options) {
+  try {
+    await reverseOrderSales(order, options);
+  } catch (err) {
+    console.error(`❌ Ledger reversal failed for order ${order._id}:`, err.message);
+  }
+}
+
+// Document the refund with a credit note, attached to the refund email. Logged instead of
+// failing the refund - POST /api/invoices/order/:orderId issues missing ones later.
+async function issueRefundCreditNote(order, refund) {
+  try {
+    const { creditNote } = await issueCreditNote(order, refund);
+    return creditNote;
+  } catch (err) {
+    console.error(`❌ Credit note failed for refund ${refund.refundId} of order ${order._id}:`, err.message);
+    return null;
+  }
+}
+
+// Email the customer. Never fails the refund itself.
+async function sendRefundNotification(order, refund, creditNote = null) {
+  try {
+    const populatedOrder = await Order.findById(order._id)
+      .populate("items.productId", "name")
+      .populate("userId", "name email")
+      .lean();
+
+    const email = populatedOrder.guestInfo?.email || populatedOrder.userId?.email;
+    const name = [populatedOrder.guestInfo?.firstName, populatedOrder.guestInfo?.lastName].filter(Boolean).join(" ") ||
+      populatedOrder.userId?.name || "Guest Customer";
+
+    const items = (refund.items || []).map(line => {
+      const item = populatedOrder.items.find(i => i._id.toString() === line.itemId.toString());
+      return { name: item?.productId?.name, quantity: line.quantity };
+    });
+
+    await notify("order_refund", email, { order: populatedOrder, customerName: name, refund: { ...refund, items }, locale: populatedOrder.locale }, {
+      orderId: order._id,
+      ...(creditNote && { attachments: [{ invoiceId: creditNote._id }] })
+    });
+  } catch (emailError) {
+    console.error("❌ Failed to send refund email:", emailError.message);
+  }
+}
+
+// Refund a paid Stripe order, fully or per line item.
+// The lines and amount are claimed on the order before Stripe is called (so two admins can't refund
+// the same units twice) and given back if Stripe rejects the refund.
+async function refundOrder(order, { items, restock = false, reason, actor = SYSTEM_ACTOR } = {}) {
+  if (order.paymentMethod !== "Stripe") {
+    throw new RefundError("Only Stripe orders can be refunded here");
+  }
+  if (order.paymentStatus !== "Paid") {
+    throw new RefundError("Only paid orders can be refunded", 409);
+  }
+
+  const paymentIntentId = await resolvePaymentIntent(order);
+  if (!paymentIntentId) {
+    throw new RefundError("No Stripe payment found for this order", 409);
+  }
+
+  const { lines, amount, full } = buildRefundLines(order, items);
+  const refundId = new mongoose.Types.ObjectId();
+  const itemFilters = lines.map((line, index) => ({ [`i${index}._id`]: line.itemId }));
+  const itemIncrements = (sign) => Object.fromEntries(
+    lines.map((line, index) => [`items.$[i${index}].refundedQuantity`, sign * line.quantity])
+  );
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: "Paid", $expr: { $eq: [{ $ifNull: ["$refundedAmount", 0] }, order.refundedAmount || 0] } },
+    {
+      $inc: { refundedAmount: amount, ...itemIncrements(1) },
+      $push: {
+        refunds: { _id: refundId, amount, items: lines, reason, restock, status: "pending", source: "admin", createdBy: actor.id }
+      }
+    },
+    { new: true, arrayFilters: itemFilters }
+  );
+  if (!claimed) {
+    throw new RefundError("Order was changed by someone else. Please reload and try again.", 409);
+  }
+
+  let stripeRefund;
+  try {
+    stripeRefund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: Math.round(amount * 100),
+        reason: "requested_by_customer",
+        metadata: { orderId: order._id.toString(), refundId: refundId.toString() }
+      },
+      { idempotencyKey: `refund-${refundId}` }
+    );
+  } catch (stripeError) {
+    await Order.updateOne(
+      { _id: order._id, "refunds._id": refundId },
+      { $inc: { refundedAmount: -amount, ...itemIncrements(-1) }, $set: { "refunds.$[r].status": "failed" } },
+      { arrayFilters: [...itemFilters, { "r._id": refundId }] }
+    );
+    console.error(`❌ Stripe refund failed for order ${order._id}:`, stripeError.message);
+    throw new RefundError(`Stripe refused the refund: ${stripeError.message}`, 502);
+  }
+
+  // The webhook may have marked it already - only move forward from "pending"
+  await Order.updateOne(
+    { _id: order._id, refunds: { $elemMatch: { _id: refundId, status: "pending" } } },
+    {
+      $set: {
+        "refunds.$.stripeRefundId": stripeRefund.id,
+        "refunds.$.status": stripeRefund.status === "succeeded" ? "succeeded" : "pending"
+      }
+    }
+  );
+
+  const updated = await Order.findById(order._id);
+  if (restock) {
+    await restockOrderItems(updated, lines);
+  }
+  await takeBackSellerCredit(updated, { lines, refundId, reason: reason || "Refunded by admin" });
+  await finishFullRefund(updated, actor, reason || "Refunded by admin");
+  console.log(`✅ Refunded €${amount.toFixed(2)} for order ${order._id} (${stripeRefund.id})`);
+
+  const refund = updated.refunds.id(refundId);
+  const creditNote = await issueRefundCreditNote(updated, { refundId, amount, lines });
+  await sendRefundNotification(updated, { amount, full, reason, items: lines }, creditNote);
+  return { order: updated, refund };
+}
+
+// Sync refunds from a `charge.refunded` webhook. Confirms refunds we started and records
+// ones made directly in the Stripe dashboard (amount only - they aren't tied to line items).
+async function syncChargeRefunds(charge) {
+  const paymentIntentId = typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+  if (!paymentIntentId) return null;
+
+  let order = await Order.findOne({ stripePaymentIntentId: paymentIntentId });
+  if (!order) {
+    const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+    const orderId = sessions.data[0]?.metadata?.orderId || sessions.data[0]?.client_reference_id;
+    if (orderId) order = await Order.findById(orderId);
+    if (order) {
+      order.stripePaymentIntentId = paymentIntentId;
+      await Order.updateOne({ _id: order._id }, { $set: { stripePaymentIntentId: paymentIntentId } });
+    }
+  }
+  if (!order) {
+    console.log(`⚠️ No order found for refunded payment ${paymentIntentId}`);
+    return null;
+  }
+
+  const stripeRefunds = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+  for (const stripeRefund of stripeRefunds.data) {
+    if (stripeRefund.status !== "succeeded") continue;
+
+    const ourRefundId = stripeRefund.metadata?.refundId;
+    if (ourRefundId) {
+      await Order.updateOne(
+        { _id: order._id, "refunds._id": ourRefundId },
+        { $set: { "refunds.$.stripeRefundId": stripeRefund.id, "refunds.$.status": "succeeded" } }
+      );
+      continue;
+    }
+
+    const amount = roundMoney(stripeRefund.amount / 100);
+    const refundId = new mongoose.Types.ObjectId();
+    const recorded = await Order.findOneAndUpdate(
+      { _id: order._id, "refunds.stripeRefundId": { $ne: stripeRefund.id } },
+      {
+        $inc: { refundedAmount: amount },
+        $push: { refunds: { _id: refundId, stripeRefundId: stripeRefund.id, amount, status: "succeeded", source: "stripe", reason: stripeRefund.reason } }
+      }
+    );
+    if (recorded) {
+      console.log(`✅ Recorded Stripe dashboard refund ${stripeRefund.id} for order ${order._id}`);
+      const full = refundableAmount(recorded) - amount <= AMOUNT_TOLERANCE;
+      const creditNote = await issueRefundCreditNote(order, { refundId, amount });
+      await sendRefundNotification(order, { amount, full, reason: stripeRefund.reason }, creditNote);
+    }
+  }
+
+  const updated = await Order.findById(order._id);
+  await finishFullRefund(updated, SYSTEM_ACTOR, "Refunded in Stripe");
+  return updated;
+}
+
+// A payment for an order that was cancelled (and its stock released) before the checkout completed.
+// The stock is reserved again and the order reopened; if the units are gone the payment goes back
+// to the customer and the order is flagged for an admin. Returns true if the order can be booked.
+async function settleLatePayment(order, paymentIntentId) {
+  if (order.paymentStatus === "Refunded" || order.needsAttention?.reason) {
+    console.log(`Late payment for order ${order._id} was already handled`);
+    return false;
+  }
+
+  try {
+    await reserveOrderStock(order.items);
+  } catch (err) {
+    if (!(err instanceof StockReservationError)) throw err;
+    await refundLatePayment(order, paymentIntentId);
+    return false;
+  }
+
+  if (order.orderStatus !== "Cancelled") {
+    await Order.updateOne({ _id: order._id }, { $set: { stockStatus: "reserved" } });
+    order.stockStatus = "reserved";
+    return true;
+  }
+
+  const reopened = await reopenCancelledOrder(order, "Payment arrived after the order was cancelled");
+  if (!reopened) {
+    // Someone else moved the order meanwhile - don't keep the units we just took
+    await cancelReservation(order.items);
+    return false;
+  }
+  return true;
+}
+
+// Send a late payment back in full. The order stays Cancelled and is flagged either way,
+// so an admin sees it even when Stripe refuses the refund.
+async function refundLatePayment(order, paymentIntentId) {
+  const reason = "Items sold out before the payment arrived";
+  const refundId = new mongoose.Types.ObjectId();
+  const amount = roundMoney(order.total);
+
+  const flag = { needsAttention: { reason: "late_payment_refunded", flaggedAt: new Date() }, updatedAt: Date.now() };
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "needsAttention.reason": { $exists: false } },
+    {
+      $set: { ...flag, refundedAmount: amount },
+      $push: { refunds: { _id: refundId, amount, reason, status: "pending", source: "admin" } }
+    },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  try {
+    paymentIntentId = paymentIntentId || await resolvePaymentIntent(order);
+    const stripeRefund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: Math.round(amount * 100),
+        reason: "requested_by_customer",
+        metadata: { orderId: order._id.toString(), refundId: refundId.toString() }
+      },
+      { idempotencyKey: `late-payment-${order._id}` }
+    );
+    await Order.updateOne(
+      { _id: order._id, refunds: { $elemMatch: { _id: refundId, status: "pending" } } },
+      {
+        $set: {
+          paymentStatus: "Refunded",
+          "refunds.$.stripeRefundId": stripeRefund.id,
+          "refunds.$.status": stripeRefund.status === "succeeded" ? "succeeded" : "pending"
+        }
+      }
+    );
+    console.log(`✅ Refunded late payment of €${amount.toFixed(2)} for cancelled order ${order._id}`);
+    await sendRefundNotification(claimed, { amount, full: true, reason });
+  } catch (stripeError) {
+    await Order.updateOne(
+      { _id: order._id, "refunds._id": refundId },
+      {
+        $inc: { refundedAmount: -amount },
+        $set: { "refunds.$.status": "failed", needsAttention: { reason: "late_payment_refund_failed", flaggedAt: new Date() } }
+      }
+    );
+    console.error(`❌ Late payment refund failed for order ${order._id}:`, stripeError.message);
+  }
+}
+
+module.exports = {
+  RefundError,
+  settleLatePayment,
+  refundOrder,
+  syncChargeRefunds
+};
@@ -0,0 +1,316 @@
+const ReturnRequest = require("../models/ReturnRequest");
+const Order = require("../models/Orders");
+const Product = require("../models/Product");
+const { reserveOrderStock, cancelReservation } = require("./stockReservation");
+const { refundOrder } = require("./refunds");
+const { SYSTEM_ACTOR, GUEST_ACTOR, TRANSITIONS, transitionOrder, actorFromUser } = require("./orderStateMachine");
+const { notify } = require("./notifications");
+const { saveNewOrder } = require("./orderNumbers");
+
+// Orders have to reach the customer before anything can be returned
+const RETURNABLE_ORDER_STATUSES = ["Delivered", "PickedUp"];
+
+// Requests that still hold units of an order line (rejected ones give them back)
+const OPEN_RETURN_STATUSES = ["requested", "approved", "inspected", "completed"];
+
+const MAX_PHOTOS = 5;
+
+class ReturnError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ReturnError";
+    this.status = status;
+  }
+}
+
+// Move a return request from one status to the next. Conditional on the current status,
+// so two admins working the same request can't both apply a step.
+async function moveReturn(returnRequest, from, to, { actor = SYSTEM_ACTOR, note, set = {} } = {}) {
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: from },
+    {
+      $set: { ...set, status: to, updatedAt: Date.now() },
+      $push: { statusHistory: { from, to, actorId: actor.id, actorRole: actor.role, note, at: new Date() } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ReturnError(`Return request is not ${from} anymore. Please reload and try again.`, 409);
+  }
+  console.log(`✅ Return ${updated._id}: ${from} -> ${to} (${actor.role})`);
+  return updated;
+}
+
+// Email the customer about a step. Never fails the step itself.
+async function notifyCustomer(returnRequest) {
+  try {
+    const order = await Order.findById(returnRequest.orderId)
+      .populate("items.productId", "name")
+      .populate("userId", "name email")
+      .lean();
+    if (!order) return;
+
+    const email = order.guestInfo?.email || order.userId?.email;
+    const name = [order.guestInfo?.firstName, order.guestInfo?.lastName].filter(Boolean).join(" ") ||
+      order.userId?.name || "Guest Customer";
+    const item = order.items.find(i => i._id.toString() === returnRequest.itemId.toString());
+
+    await notify("return_status", email, { returnRequest, order, customerName: name, productName: item?.productId?.name, locale: order.locale }, {
+      orderId: order._id,
+      dedupeKey: `return_status:${returnRequest._id}:${returnRequest.status}`
+    });
+  } catch (emailError) {
+    console.error("❌ Failed to send return email:", emailError.message);
+  }
+}
+
+// Customer opens a return against one order line
+async function createReturn(user, { orderId, ...fields }) {
+  const order = await Order.findById(orderId);
+  if (!order || !order.userId || order.userId.toString() !== user._id.toString()) {
+    throw new ReturnError("Order not found", 404);
+  }
+  return openReturn(order, actorFromUser(user), fields);
+}
+
+// Guest opens a return through the link from their confirmation email - the order comes from the link
+async function createGuestReturn(order, fields) {
+  return openReturn(order, GUEST_ACTOR, fields);
+}
+
+async function openReturn(order, actor, { itemId, quantity = 1, reason, description, photos = [] }) {
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.orderStatus)) {
+    throw new ReturnError("Only delivered or picked up orders can be returned", 409);
+  }
+
+  const item = order.items.id(itemId);
+  if (!item) throw new ReturnError("Order item not found", 404);
+
+  quantity = Number(quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new ReturnError("Quantity must be a positive whole number");
+  }
+  if (!Array.isArray(photos) || photos.length > MAX_PHOTOS ||
+      photos.some(url => typeof url !== "string" || !/^https:\/\//i.test(url))) {
+    throw new ReturnError(`Photos must be a list of up to ${MAX_PHOTOS} uploaded image URLs`);
+  }
+
+  const open = await ReturnRequest.find({ orderId: order._id, itemId: item._id, status: { $in: OPEN_RETURN_STATUSES } });
+  const alreadyReturned = open.reduce((sum, r) => sum + r.quantity, 0);
+  if (alreadyReturned + quantity > item.quantity) {
+    throw new ReturnError(`Only ${Math.max(0, item.quantity - alreadyReturned)} unit(s) of this item can still be returned`, 409);
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    orderId: order._id,
+    itemId: item._id,
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity,
+    userId: order.userId,
+    reason,
+    description,
+    photos,
+    statusHistory: [{ to: "requested", actorId: actor.id, actorRole: actor.role, note: reason }]
+  });
+
+  await notifyCustomer(returnRequest);
+  return returnRequest;
+}
+
+// Admin approves or rejects a new request
+async function reviewReturn(returnRequest, { decision, note, actor }) {
+  if (!["approve", "reject"].includes(decision)) {
+    throw new ReturnError("Decision must be approve or reject");
+  }
+  const to = decision === "approve" ? "approved" : "rejected";
+  const updated = await moveReturn(returnRequest, "requested", to, { actor, note, set: { adminNote: note } });
+  await notifyCustomer(updated);
+  return updated;
+}
+
+// Admin inspected the returned device and graded it
+async function inspectReturn(returnRequest, { grade, notes, actor }) {
+  if (!ReturnRequest.GRADES.includes(grade)) {
+    throw new ReturnError(`Grade must be one of: ${ReturnRequest.GRADES.join(", ")}`);
+  }
+  const updated = await moveReturn(returnRequest, "approved", "inspected", {
+    actor,
+    note: notes,
+    set: { inspection: { grade, notes, inspectedBy: actor.id, inspectedAt: new Date() } }
+  });
+  await notifyCustomer(updated);
+  return updated;
+}
+
+// Put the returned unit back into inventory under the inspected grade. Uses the variant with
+// the same specs and battery at that grade, or creates one from the original variant.
+async function restockAsGrade(returnRequest, { price } = {}) {
+  const product = await Product.findById(returnRequest.productId);
+  if (!product) throw new ReturnError("Product no longer exists", 409);
+
+  const source = (returnRequest.variantId && product.variants.id(returnRequest.variantId)) || product.variants[0];
+  if (!source) throw new ReturnError("Product has no variant to restock into", 409);
+
+  const grade = returnRequest.inspection.grade;
+  const sameSpecs = (a, b) => JSON.stringify(Object.fromEntries(a || [])) === JSON.stringify(Object.fromEntries(b || []));
+  const target = product.variants.find(v =>
+    v.appearance === grade && v.battery === source.battery && sameSpecs(v.specs, source.specs)
+  );
+
+  if (target) {
+    await Product.updateOne(
+      { _id: product._id, "variants._id": target._id },
+      { $inc: { "variants.$.stock": returnRequest.quantity } }
+    );
+    return target._id;
+  }
+
+  product.variants.push({
+    specs: source.specs,
+    price: price !== undefined ? Number(price) : source.price,
+    images: source.images,
+    sku: source.sku ? `${source.sku}-${grade.replace(/\s+/g, "").toUpperCase()}` : undefined,
+    enabled: true,
+    stock: returnRequest.quantity,
+    appearance: grade,
+    battery: source.battery
+  });
+  await product.save();
+  return product.variants[product.variants.length - 1]._id;
+}
+
+// Free replacement of the returned line - a new paid order at no cost, stock reserved as usual
+async function createReplacementOrder(order, returnRequest, actor) {
+  const items = [{ productId: returnRequest.productId, variantId: returnRequest.variantId, quantity: returnRequest.quantity }];
+  await reserveOrderStock(items);
+
+  const item = order.items.id(returnRequest.itemId);
+  const replacement = new Order({
+    userId: order.userId,
+    guestInfo: order.guestInfo,
+    items: [{ ...items[0], sellerId: item?.sellerId, price: 0 }],
+    subtotal: 0,
+    total: 0,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: "Paid",
+    orderStatus: "Paid",
+    deliveryMethod: order.deliveryMethod,
+    outletId: order.outletId,
+    stockStatus: "reserved",
+    replacementFor: order._id,
+    statusHistory: [{ to: "Paid", actorId: actor.id, actorRole: actor.role, note: `Replacement for return ${returnRequest._id}` }]
+  });
+  try {
+    await saveNewOrder(replacement);
+  } catch (saveError) {
+    await cancelReservation(items).catch(() => {});
+    throw saveError;
+  }
+  return replacement;
+}
+
+// When every unit of an order came back the order itself moves to Returned
+async function markOrderReturnedIfComplete(order, actor) {
+  if (!(TRANSITIONS[order.orderStatus] || []).includes("Returned")) return;
+
+  const completed = await ReturnRequest.find({ orderId: order._id, status: "completed" });
+  const allBack = order.items.every(item => {
+    const returned = completed
+      .filter(r => r.itemId.toString() === item._id.toString())
+      .reduce((sum, r) => sum + r.quantity, 0);
+    return returned >= item.quantity;
+  });
+  if (allBack) {
+    await transitionOrder(order, "Returned", { actor, note: "All items returned" });
+  }
+}
+
+// Admin decides what happens after inspection.
+// refund: the line is refunded and the unit is written off.
+// replacement: the customer gets the same variant again on a free replacement order.
+// restock_lower_grade: the line is refunded and the unit goes back on sale under its inspected grade.
+async function resolveReturn(returnRequest, { resolution, price, note, actor }) {
+  if (!["refund", "replacement", "restock_lower_grade"].includes(resolution)) {
+    throw new ReturnError("Resolution must be refund, replacement or restock_lower_grade");
+  }
+  if (returnRequest.status !== "inspected") {
+    throw new ReturnError("Only inspected returns can be resolved", 409);
+  }
+
+  const order = await Order.findById(returnRequest.orderId);
+  if (!order) throw new ReturnError("Order not found", 404);
+  // Refunds go back through Stripe - there is no way to pay back a cash order from here
+  if (resolution !== "replacement" && order.paymentMethod !== "Stripe") {
+    throw new ReturnError("Only Stripe orders can be refunded - resolve returns of cash orders with a replacement", 409);
+  }
+
+  // Claim the request first so a double click can't refund or replace twice
+  let updated = await moveReturn(returnRequest, "inspected", "completed", {
+    actor,
+    note: note || resolution,
+    set: { "resolution.type": resolution, "resolution.resolvedBy": actor.id, "resolution.resolvedAt": new Date() }
+  });
+
+  const details = {};
+  let current = order;
+  try {
+    if (resolution === "replacement") {
+      const replacement = await createReplacementOrder(order, updated, actor);
+      details["resolution.replacementOrderId"] = replacement._id;
+    } else {
+      const { order: refunded, refund } = await refundOrder(order, {
+        items: [{ itemId: updated.itemId, quantity: updated.quantity }],
+        restock: false,
+        reason: `Return ${updated._id}`,
+        actor
+      });
+      details["resolution.refundId"] = refund._id;
+      details["resolution.refundAmount"] = refund.amount;
+      // A full refund may have moved the order on already
+      current = refunded;
+    }
+  } catch (err) {
+    // Nothing was handed out - put the request back so the admin can retry
+    await ReturnRequest.updateOne(
+      { _id: updated._id, status: "completed" },
+      {
+        $set: { status: "inspected", updatedAt: Date.now() },
+        $unset: { resolution: "" },
+        $push: { statusHistory: { from: "completed", to: "inspected", actorRole: "system", note: `Resolution failed: ${err.message}` } }
+      }
+    );
+    throw err;
+  }
+
+  // Only once the customer got their refund or replacement. Nothing can be undone any more,
+  // so a failed status change is logged instead of failing the request.
+  try {
+    await markOrderReturnedIfComplete(current, actor);
+  } catch (err) {
+    console.error(`❌ Return ${updated._id} resolved but order ${order._id} not marked returned:`, err.message);
+  }
+
+  // The customer is already refunded at this point, so a failed restock must not undo the request
+  if (resolution === "restock_lower_grade") {
+    try {
+      details["resolution.restockVariantId"] = await restockAsGrade(updated, { price });
+    } catch (err) {
+      console.error(`❌ Return ${updated._id} refunded but not restocked:`, err.message);
+    }
+  }
+
+  updated = await ReturnRequest.findByIdAndUpdate(updated._id, { $set: details }, { new: true });
+  await notifyCustomer(updated);
+  return updated;
+}
+
+module.exports = {
+  RETURNABLE_ORDER_STATUSES,
+  ReturnError,
+  createReturn,
+  createGuestReturn,
+  reviewReturn,
+  inspectReturn,
+  resolveReturn
+};
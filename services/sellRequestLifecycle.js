@@ -0,0 +1,252 @@
+const SellRequest = require("../models/SellerRequest");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const { SYSTEM_ACTOR } = require("./orderStateMachine");
+
+// Grades and battery types are the ones variants are sold under
+const variantSchema = Product.schema.path("variants").schema;
+const GRADES = variantSchema.path("appearance").enumValues;
+const BATTERY_TYPES = variantSchema.path("battery").enumValues;
+
+const PAYOUT_METHODS = ["bank_transfer", "paypal", "cash"];
+
+// Allowed next states for each state. Anything not listed here is rejected.
+const TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["label_issued", "rejected"],
+  label_issued: ["received", "rejected"],
+  received: ["inspected"],
+  inspected: ["final_offer", "returned_to_seller"],
+  final_offer: ["accepted", "returned_to_seller"],
+  accepted: ["paid_out"],
+  returned_to_seller: [],
+  paid_out: [],
+  rejected: [],
+  completed: []
+};
+
+class SellRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SellRequestError";
+    this.status = status;
+  }
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Move a sell request to the next state and record who did it. Conditional on the
+// current status, so two admins (or an admin and the customer) can't both apply a step.
+async function moveSellRequest(request, to, { actor = SYSTEM_ACTOR, note, set = {} } = {}) {
+  const from = request.status;
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    throw new SellRequestError(`Cannot move sell request from ${from} to ${to}`, 409);
+  }
+
+  const updated = await SellRequest.findOneAndUpdate(
+    { _id: request._id, status: from },
+    {
+      $set: { ...set, status: to, updatedAt: Date.now() },
+      $push: { statusHistory: { from, to, actorId: actor.id, actorRole: actor.role, note, at: new Date() } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new SellRequestError(`Sell request is not ${from} anymore. Please reload and try again.`, 409);
+  }
+  console.log(`✅ Sell request ${updated._id}: ${from} -> ${to} (${actor.role})`);
+  return updated;
+}
+
+// Approve a request by hand. The price has to be agreed first - by the customer accepting an
+// offer, or given here (`agreedPrice`) for requests that were negotiated another way.
+async function approveSellRequest(request, { agreedPrice, note, actor }) {
+  const value = Number(request.agreedPrice ?? agreedPrice);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new SellRequestError("Agree on a price before approving - the customer accepts an offer, or send agreedPrice", 409);
+  }
+  return moveSellRequest(request, "approved", { actor, note, set: { agreedPrice: roundMoney(value) } });
+}
+
+// Send the customer a prepaid label for the device
+async function issueShippingLabel(request, { carrier, trackingNumber, labelUrl, actor }) {
+  if (!trackingNumber && !labelUrl) {
+    throw new SellRequestError("Tracking number or label URL is required");
+  }
+  return moveSellRequest(request, "label_issued", {
+    actor,
+    note: trackingNumber,
+    set: { shippingLabel: { carrier, trackingNumber, labelUrl } }
+  });
+}
+
+async function markReceived(request, { note, actor }) {
+  return moveSellRequest(request, "received", { actor, note });
+}
+
+// Record the inspection. A passed device gets the grade and battery type it will be sold under.
+async function recordInspection(request, { passed, grade, battery, imei, notes, actor }) {
+  if (typeof passed !== "boolean") throw new SellRequestError("Inspection result (passed) is required");
+  if (passed && !GRADES.includes(grade)) {
+    throw new SellRequestError(`Grade must be one of: ${GRADES.join(", ")}`);
+  }
+  if (passed && battery && !BATTERY_TYPES.includes(battery)) {
+    throw new SellRequestError(`Battery must be one of: ${BATTERY_TYPES.join(", ")}`);
+  }
+  return moveSellRequest(request, "inspected", {
+    actor,
+    note: notes || (passed ? `Passed - ${grade}` : "Failed"),
+    set: { inspection: { passed, grade: passed ? grade : undefined, battery: passed ? battery : undefined, imei, notes } }
+  });
+}
+
+// Final price after inspection. Defaults to the price agreed before the device was sent in.
+async function makeFinalOffer(request, { amount, note, actor }) {
+  if (!request.inspection?.passed) {
+    throw new SellRequestError("Devices that failed inspection can only be returned", 409);
+  }
+  const value = Number(amount ?? request.agreedPrice);
+  if (!Number.isFinite(value) || value <= 0) throw new SellRequestError("Final offer must be a positive amount");
+
+  return moveSellRequest(request, "final_offer", {
+    actor,
+    note: note || `€${value}`,
+    set: { finalOffer: { amount: roundMoney(value), note } }
+  });
+}
+
+// Customer accepts the final offer or wants the device back
+async function respondToFinalOffer(request, { accept, note, actor }) {
+  if (request.status !== "final_offer") throw new SellRequestError("There is no final offer to respond to", 409);
+  if (accept) {
+    return moveSellRequest(request, "accepted", {
+      actor,
+      note,
+      set: { agreedPrice: request.finalOffer.amount }
+    });
+  }
+  return moveSellRequest(request, "returned_to_seller", { actor, note: note || "Final offer declined" });
+}
+
+// Ship the device back - after a failed inspection, or to record the return tracking number
+async function returnToSeller(request, { carrier, trackingNumber, note, actor }) {
+  const returnShipment = { carrier, trackingNumber };
+  if (request.status === "returned_to_seller") {
+    return SellRequest.findByIdAndUpdate(
+      request._id,
+      { $set: { returnShipment, updatedAt: Date.now() } },
+      { new: true }
+    );
+  }
+  return moveSellRequest(request, "returned_to_seller", { actor, note, set: { returnShipment } });
+}
+
+async function markPaidOut(request, { method, reference, actor }) {
+  if (!PAYOUT_METHODS.includes(method)) {
+    throw new SellRequestError(`Payout method must be one of: ${PAYOUT_METHODS.join(", ")}`);
+  }
+  if (!(request.agreedPrice > 0)) {
+    throw new SellRequestError("This request has no agreed price to pay out", 409);
+  }
+  return moveSellRequest(request, "paid_out", {
+    actor,
+    note: reference,
+    set: { payout: { amount: request.agreedPrice, method, reference } }
+  });
+}
+
+// List a bought device for sale: a new variant with stock 1 and the inspected grade, either on
+// an existing shop product or on a new one for the request's category. Only devices we own
+// (accepted or paid out) can be listed, and each only once.
+async function convertToProduct(request, { productId, price, actor }) {
+  if (!["accepted", "paid_out"].includes(request.status)) {
+    throw new SellRequestError("Only devices bought from the customer can be listed", 409);
+  }
+  if (!request.inspection?.passed) {
+    throw new SellRequestError("Only devices that passed inspection can be listed", 409);
+  }
+  const salePrice = Number(price);
+  if (!Number.isFinite(salePrice) || salePrice <= 0) throw new SellRequestError("Sale price is required");
+
+  let product = null;
+  let category = null;
+  if (productId) {
+    product = await Product.findById(productId);
+    if (!product) throw new SellRequestError("Product not found", 404);
+    // A marketplace seller's product would earn them the sale of a device the shop paid for
+    if (!product.shopOwned) throw new SellRequestError("Bought devices can only be added to shop products", 409);
+  } else {
+    category = request.categoryId && await Category.findById(request.categoryId);
+    if (!category) throw new SellRequestError("Choose the product to add this device to", 400);
+  }
+
+  // Claim the conversion first so a double click can't list the device twice
+  const claimed = await SellRequest.findOneAndUpdate(
+    { _id: request._id, "convertedProduct.at": { $exists: false } },
+    { $set: { "convertedProduct.by": actor.id, "convertedProduct.at": new Date() } },
+    { new: true }
+  );
+  if (!claimed) throw new SellRequestError("This device was already listed", 409);
+
+  const variant = {
+    specs: request.specs || {},
+    price: salePrice,
+    images: request.images,
+    sku: `BB-${request._id.toString().slice(-6).toUpperCase()}`,
+    enabled: true,
+    stock: 1,
+    appearance: request.inspection.grade,
+    battery: request.inspection.battery,
+    // Bought from a private seller - sold under the margin scheme, taxed on what we paid (agreedPrice)
+    taxScheme: "margin"
+  };
+
+  try {
+    if (!product) {
+      product = new Product({
+        name: request.productTitle,
+        description: request.description,
+        price: salePrice,
+        sellerId: actor.id,
+        shopOwned: true,
+        category: category.name,
+        categoryRef: category._id,
+        images: request.images,
+        variants: []
+      });
+    }
+    product.variants.push(variant);
+    product.updatedAt = Date.now();
+    await product.save();
+  } catch (err) {
+    await SellRequest.updateOne({ _id: request._id }, { $unset: { convertedProduct: "" } });
+    throw err;
+  }
+
+  const variantId = product.variants[product.variants.length - 1]._id;
+  const updated = await SellRequest.findByIdAndUpdate(
+    request._id,
+    { $set: { "convertedProduct.productId": product._id, "convertedProduct.variantId": variantId, updatedAt: Date.now() } },
+    { new: true }
+  );
+  console.log(`✅ Sell request ${request._id} listed as variant ${variantId} of product ${product._id}`);
+  return { sellRequest: updated, product };
+}
+
+module.exports = {
+  TRANSITIONS,
+  GRADES,
+  BATTERY_TYPES,
+  PAYOUT_METHODS,
+  SellRequestError,
+  moveSellRequest,
+  approveSellRequest,
+  issueShippingLabel,
+  markReceived,
+  recordInspection,
+  makeFinalOffer,
+  respondToFinalOffer,
+  returnToSeller,
+  markPaidOut,
+  convertToProduct
+};
@@ -0,0 +1,112 @@
+const Shipment = require("../models/Shipment");
+const { getCarrier } = require("./carriers");
+const { parcelWeight, shippingCountry } = require("./shipping");
+const { SYSTEM_ACTOR, assertTransition, advanceOrder } = require("./orderStateMachine");
+const { recordTrackingEvents } = require("./tracking");
+
+// Carrier for orders without a zone (from before shipping zones, or while none are set up)
+const DEFAULT_CARRIER = process.env.DEFAULT_CARRIER || "dhl";
+
+class ShipmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ShipmentError";
+    this.status = status;
+  }
+}
+
+// Recipient as the carrier needs it - always from the checkout form
+function recipientOf(order) {
+  const guest = order.guestInfo || {};
+  return {
+    name: [guest.firstName, guest.lastName].filter(Boolean).join(" ") || order.userId?.name,
+    street: guest.address,
+    postalCode: guest.postalCode,
+    city: guest.city,
+    country: order.shipping?.country || shippingCountry(guest.country),
+    email: guest.email || order.userId?.email,
+    phone: guest.phone
+  };
+}
+
+// Buy a label for a delivery order and mark the order shipped with its tracking number.
+// `weight` (kg) overrides the weight worked out at checkout, e.g. after weighing the parcel.
+// The shipment is claimed before the carrier is called and removed again if the carrier
+// fails, so an order never gets two labels.
+async function createShipment(order, { actor = SYSTEM_ACTOR, weight } = {}) {
+  if (order.deliveryMethod !== "delivery") {
+    throw new ShipmentError("Only delivery orders get a shipping label");
+  }
+  // Fail before paying for a label the order can't use
+  assertTransition(order, order.orderStatus === "Processing" ? "Shipped" : "Processing", actor);
+  if (weight !== undefined && !(Number(weight) > 0)) {
+    throw new ShipmentError("Weight must be above 0");
+  }
+
+  const carrierName = order.shipping?.carrier || DEFAULT_CARRIER;
+  const carrier = getCarrier(carrierName);
+  const service = order.shipping?.service;
+  const parcel = weight !== undefined ? Number(weight) : order.shipping?.weight || parcelWeight(order.items);
+  const recipient = recipientOf(order);
+
+  let shipment;
+  try {
+    shipment = await Shipment.create({
+      orderId: order._id,
+      carrier: carrierName,
+      service,
+      weight: parcel,
+      createdBy: actor.id
+    });
+  } catch (err) {
+    if (err.code === 11000 && err.keyPattern?.orderId) {
+      throw new ShipmentError("This order already has a shipping label", 409);
+    }
+    throw err;
+  }
+
+  let label;
+  try {
+    label = await carrier.createLabel({ reference: order._id.toString(), service, weight: parcel, recipient });
+  } catch (err) {
+    await Shipment.deleteOne({ _id: shipment._id }).catch(() => {});
+    throw err;
+  }
+
+  const now = new Date();
+  shipment.set({
+    trackingNumber: label.trackingNumber,
+    label: { data: label.label, format: "pdf" },
+    status: "label_created",
+    updatedAt: now
+  });
+  await shipment.save();
+  await recordTrackingEvents(shipment, [
+    { id: `${label.trackingNumber}-label`, at: now, status: "label_created", description: "Label created" }
+  ], { source: "system" });
+  console.log(`📦 ${carrierName} label ${label.trackingNumber} created for order ${order._id}`);
+
+  await advanceOrder(order, ["Processing", "Shipped"], {
+    actor,
+    note: `Label ${label.trackingNumber} (${carrierName})`,
+    set: { trackingNumber: label.trackingNumber }
+  });
+  return shipment;
+}
+
+// Poll the carrier for events - for carriers without webhooks, or to catch up on missed ones.
+// Resolves with { shipment, recorded } like a webhook delivery.
+async function refreshTracking(shipment) {
+  if (!shipment.trackingNumber) throw new ShipmentError("This shipment has no label yet", 409);
+
+  const events = await getCarrier(shipment.carrier).getTrackingEvents(shipment.trackingNumber);
+  await Shipment.updateOne({ _id: shipment._id }, { $set: { trackingCheckedAt: new Date() } });
+  return recordTrackingEvents(shipment, events, { source: "poll" });
+}
+
+module.exports = {
+  ShipmentError,
+  recipientOf,
+  createShipment,
+  refreshTracking
+};
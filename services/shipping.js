@@ -0,0 +1,156 @@
+const ShippingZone = require("../models/ShippingZone");
+const { countryCode } = require("./countries");
+const { SHOP_COUNTRY } = require("./tax");
+const { hasCarrier } = require("./carriers");
+
+// Weight of a unit without a weight of its own, packaging included
+const DEFAULT_ITEM_WEIGHT = Number(process.env.DEFAULT_ITEM_WEIGHT_KG) || 0.5;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+class ShippingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ShippingError";
+    this.status = status;
+  }
+}
+
+// Shipping weight of one unit in kg: the variant's, else the product's, else the default
+const itemWeight = (product, variant) => variant?.weight ?? product?.weight ?? DEFAULT_ITEM_WEIGHT;
+
+// Weight of the parcel for priced lines ({ weight, quantity })
+const parcelWeight = (items) =>
+  roundWeight(items.reduce((sum, item) => sum + (item.weight ?? DEFAULT_ITEM_WEIGHT) * item.quantity, 0));
+
+// Where a delivery goes. No country at all means a domestic order; one we can't read is
+// rejected rather than shipped at the wrong rate.
+function shippingCountry(country) {
+  if (!String(country || "").trim()) return SHOP_COUNTRY;
+  const code = countryCode(country);
+  if (!code) throw new ShippingError(`Unknown country "${country}"`);
+  return code;
+}
+
+// Shipping for a delivery of priced lines. `orderValue` is the amount the free-shipping threshold
+// is compared to (after discount), `freeShipping` comes from a free-shipping coupon.
+// `free` says why a parcel ships free: "coupon", "threshold" or null.
+// Until an admin sets up a zone, every delivery ships free as it did before shipping rates.
+async function quoteShipping({ items, country, orderValue = 0, freeShipping = false }) {
+  const destination = shippingCountry(country);
+  const weight = parcelWeight(items);
+  const zone = await ShippingZone.findOne({ countries: destination, active: true }).lean();
+  if (!zone) {
+    if (await ShippingZone.exists({ active: true })) throw new ShippingError(`We don't ship to ${destination} yet`);
+    return {
+      zoneId: null,
+      zoneName: null,
+      country: destination,
+      weight,
+      baseCost: 0,
+      cost: 0,
+      free: null,
+      freeShippingThreshold: null,
+      carrier: null,
+      service: null
+    };
+  }
+
+  const rate = [...zone.rates].sort((a, b) => a.maxWeight - b.maxWeight).find(r => weight <= r.maxWeight);
+  if (!rate) {
+    throw new ShippingError(`This order is too heavy to ship in one parcel (${weight} kg) - please split it or choose pickup`);
+  }
+
+  let free = null;
+  if (freeShipping) free = "coupon";
+  else if (zone.freeShippingThreshold != null && orderValue >= zone.freeShippingThreshold) free = "threshold";
+
+  return {
+    zoneId: zone._id,
+    zoneName: zone.name,
+    country: destination,
+    weight,
+    baseCost: roundMoney(rate.price),
+    cost: free ? 0 : roundMoney(rate.price),
+    free,
+    freeShippingThreshold: zone.freeShippingThreshold ?? null,
+    carrier: zone.carrier,
+    service: zone.service
+  };
+}
+
+// Admin input -> zone fields. Only fields present in the body are returned, so this works for updates too.
+function zoneFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.countries !== undefined) {
+    if (!Array.isArray(body.countries) || body.countries.length === 0) {
+      throw new ShippingError("A zone needs at least one country");
+    }
+    fields.countries = [...new Set(body.countries.map(country => {
+      const code = countryCode(country);
+      if (!code) throw new ShippingError(`Unknown country "${country}"`);
+      return code;
+    }))];
+  }
+  if (body.rates !== undefined) {
+    if (!Array.isArray(body.rates) || body.rates.length === 0) {
+      throw new ShippingError("A zone needs at least one weight band");
+    }
+    fields.rates = body.rates.map(rate => {
+      const maxWeight = Number(rate.maxWeight);
+      const price = Number(rate.price);
+      if (!(maxWeight > 0) || !(price >= 0)) {
+        throw new ShippingError("Every weight band needs a maxWeight above 0 and a price of 0 or more");
+      }
+      return { maxWeight, price: roundMoney(price) };
+    }).sort((a, b) => a.maxWeight - b.maxWeight);
+  }
+  if (body.freeShippingThreshold !== undefined) {
+    const threshold = body.freeShippingThreshold === null || body.freeShippingThreshold === "" ? null : Number(body.freeShippingThreshold);
+    if (threshold !== null && !(threshold >= 0)) throw new ShippingError("freeShippingThreshold must be 0 or more");
+    fields.freeShippingThreshold = threshold;
+  }
+  if (body.carrier !== undefined) {
+    if (!hasCarrier(body.carrier)) throw new ShippingError(`Unknown carrier "${body.carrier}"`);
+    fields.carrier = body.carrier;
+  }
+  if (body.service !== undefined) fields.service = body.service || undefined;
+  if (body.active !== undefined) fields.active = Boolean(body.active);
+  return fields;
+}
+
+// Create (no zone given) or update a zone. A country can only be in one active zone,
+// otherwise which rate applies would depend on the query order.
+async function saveZone(body, zone = null) {
+  const target = zone || new ShippingZone();
+  target.set({ ...zoneFields(body), updatedAt: Date.now() });
+  if (!target.countries?.length) throw new ShippingError("A zone needs at least one country");
+  if (!target.rates?.length) throw new ShippingError("A zone needs at least one weight band");
+
+  if (target.active) {
+    const overlap = await ShippingZone.findOne({
+      _id: { $ne: target._id },
+      active: true,
+      countries: { $in: target.countries }
+    }).lean();
+    if (overlap) {
+      const shared = overlap.countries.filter(country => target.countries.includes(country));
+      throw new ShippingError(`${shared.join(", ")} already in zone "${overlap.name}"`, 409);
+    }
+  }
+
+  await target.save();
+  return target;
+}
+
+module.exports = {
+  DEFAULT_ITEM_WEIGHT,
+  ShippingError,
+  itemWeight,
+  parcelWeight,
+  shippingCountry,
+  quoteShipping,
+  saveZone
+};
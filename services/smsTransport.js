@@ -0,0 +1,109 @@
+const twilio = require("twilio");
+const { maskPhone } = require("./phoneNumbers");
+
+// Transports send one text message: send({ channel, to, body }) -> provider message id.
+// `channel` is "sms" or "whatsapp", `to` is E.164. Errors a retry can't fix are
+// marked `permanent` so the outbox gives up on them straight away.
+
+// Twilio error codes that mean "never send this again"
+// 21211 invalid number, 21610 recipient replied STOP, 21614 not a mobile number, 63016 outside the WhatsApp window
+const PERMANENT_TWILIO_ERRORS = [21211, 21610, 21614, 63016];
+const TWILIO_OPTED_OUT = 21610;
+
+function createTwilioTransport({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  smsFrom = process.env.TWILIO_SMS_FROM,
+  whatsappFrom = process.env.TWILIO_WHATSAPP_FROM
+} = {}) {
+  const client = twilio(accountSid, authToken);
+  return {
+    name: "twilio",
+    async send({ channel, to, body }) {
+      const from = channel === "whatsapp" ? whatsappFrom : smsFrom;
+      if (!from) {
+        const err = new Error(`No sender configured for ${channel} (TWILIO_${channel.toUpperCase()}_FROM)`);
+        err.permanent = true;
+        throw err;
+      }
+      try {
+        const message = await client.messages.create({
+          from: channel === "whatsapp" ? `whatsapp:${from}` : from,
+          to: channel === "whatsapp" ? `whatsapp:${to}` : to,
+          body
+        });
+        return message.sid;
+      } catch (error) {
+        const err = new Error(`Twilio error${error.code ? ` ${error.code}` : ""}: ${error.message}`);
+        err.code = error.code;
+        err.permanent = PERMANENT_TWILIO_ERRORS.includes(error.code);
+        err.optedOut = error.code === TWILIO_OPTED_OUT;
+        throw err;
+      }
+    }
+  };
+}
+
+// Keeps every message in memory instead of sending it - for local development and tests:
+//   const fake = createFakeTransport(); setTransport(fake); ...; fake.sent
+function createFakeTransport() {
+  const sent = [];
+  return {
+    name: "fake",
+    sent,
+    async send({ channel, to, body }) {
+      const id = `fake-${sent.length + 1}`;
+      sent.push({ id, channel, to, body, at: new Date() });
+      return id;
+    },
+    reset() {
+      sent.length = 0;
+    }
+  };
+}
+
+// Without credentials messages are only logged, like emails without a transporter.
+// The body can carry a pickup code or order link, so only its length goes into the log.
+function createLogTransport() {
+  return {
+    name: "log",
+    async send({ channel, to, body }) {
+      console.log(`📱 ${channel.toUpperCase()} LOGGED (No transport):`, { to: maskPhone(to), length: body.length });
+      return "logged-only";
+    }
+  };
+}
+
+function defaultTransport() {
+  const configured = (process.env.SMS_TRANSPORT || "").toLowerCase();
+  if (configured === "fake") return createFakeTransport();
+  if (configured === "log") return createLogTransport();
+  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) return createTwilioTransport();
+  if (configured === "twilio") console.error("❌ SMS_TRANSPORT=twilio but TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN are missing");
+  return createLogTransport();
+}
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = defaultTransport();
+    console.log(`📱 Text message transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a fake one in tests. Returns the previous one.
+const setTransport = (next) => {
+  const previous = transport;
+  transport = next;
+  return previous;
+};
+
+module.exports = {
+  createTwilioTransport,
+  createFakeTransport,
+  createLogTransport,
+  getTransport,
+  setTransport
+};
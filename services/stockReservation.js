@@ -0,0 +1,237 @@
+const Product = require("../models/Product");
+const Order = require("../models/Orders");
+
+// Thrown when one or more order lines can't be reserved.
+// `shortfalls` lists every line that is short so the client can fix the whole cart at once.
+class StockReservationError extends Error {
+  constructor(shortfalls) {
+    super("Insufficient stock for one or more items");
+    this.name = "StockReservationError";
+    this.status = 409;
+    this.shortfalls = shortfalls;
+  }
+}
+
+// Products created without variants get a default variant so stock can be tracked.
+// It takes over the product's own stock count, so products listed before variants stay sellable.
+// Mirrors the helper in cartRoutes.js - the variant is persisted so it has a stable _id.
+async function ensureDefaultVariant(product) {
+  if (product.variants && product.variants.length > 0) {
+    return product.variants[0];
+  }
+
+  product.variants = [{
+    specs: {},
+    price: product.price,
+    images: product.images || [],
+    sku: `${product.name.replace(/\s+/g, '').toUpperCase().slice(0, 10)}-DEFAULT`,
+    enabled: true,
+    stock: product.stock || 0
+  }];
+  await product.save();
+
+  return product.variants[0];
+}
+
+// Resolve the variant an order line draws stock from.
+// Same rules the old decrease/recover helpers used: explicit variantId first, then the first variant.
+async function resolveVariant(product, variantId) {
+  if (variantId && product.variants && product.variants.length > 0) {
+    const variant = product.variants.find(v => v._id.toString() === variantId.toString());
+    if (variant) return variant;
+    return null;
+  }
+  return ensureDefaultVariant(product);
+}
+
+// Merge lines that draw from the same variant so two lines for one phone can't each pass the check.
+async function buildReservationLines(items) {
+  const productIds = [...new Set(items.map(item => item.productId.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } });
+
+  const lines = new Map();
+  const shortfalls = [];
+
+  for (const item of items) {
+    const quantity = Number(item.quantity) || 0;
+    const product = products.find(p => p._id.toString() === item.productId.toString());
+
+    if (!product) {
+      shortfalls.push({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: null,
+        requested: quantity,
+        available: 0,
+        reason: "product_not_found"
+      });
+      continue;
+    }
+
+    const variant = await resolveVariant(product, item.variantId);
+    if (!variant) {
+      shortfalls.push({
+        productId: product._id,
+        variantId: item.variantId,
+        name: product.name,
+        requested: quantity,
+        available: 0,
+        reason: "variant_not_found"
+      });
+      continue;
+    }
+
+    const key = `${product._id}:${variant._id}`;
+    const existing = lines.get(key);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.set(key, {
+        productId: product._id,
+        variantId: variant._id,
+        name: product.name,
+        quantity,
+        available: variant.stock !== undefined ? variant.stock : 0
+      });
+    }
+  }
+
+  return { lines: [...lines.values()], shortfalls };
+}
+
+// Atomically take `quantity` units from a variant. Only succeeds if enough stock is left
+// at the moment of the write, so two concurrent checkouts can't both sell the last unit.
+async function takeStock(line) {
+  const result = await Product.updateOne(
+    {
+      _id: line.productId,
+      variants: { $elemMatch: { _id: line.variantId, stock: { $gte: line.quantity } } }
+    },
+    { $inc: { "variants.$.stock": -line.quantity } }
+  );
+  return result.modifiedCount === 1;
+}
+
+async function returnStock(line) {
+  await Product.updateOne(
+    { _id: line.productId, "variants._id": line.variantId },
+    { $inc: { "variants.$.stock": line.quantity } }
+  );
+}
+
+// Reserve every line of an order, all or nothing.
+// On any shortfall the lines already taken are put back and a StockReservationError is thrown.
+async function reserveOrderStock(items) {
+  const { lines, shortfalls } = await buildReservationLines(items);
+  if (shortfalls.length > 0) {
+    throw new StockReservationError(shortfalls);
+  }
+
+  const taken = [];
+  for (const line of lines) {
+    if (await takeStock(line)) {
+      taken.push(line);
+      continue;
+    }
+
+    // Re-read the current stock so the report reflects what is actually left
+    const product = await Product.findById(line.productId).select("variants._id variants.stock");
+    const variant = product?.variants.find(v => v._id.toString() === line.variantId.toString());
+    shortfalls.push({
+      productId: line.productId,
+      variantId: line.variantId,
+      name: line.name,
+      requested: line.quantity,
+      available: variant ? variant.stock : 0,
+      reason: "insufficient_stock"
+    });
+  }
+
+  if (shortfalls.length > 0) {
+    // Roll back what we took so nothing stays half-reserved
+    await Promise.all(taken.map(returnStock));
+    throw new StockReservationError(shortfalls);
+  }
+
+  console.log(`✅ Reserved stock for ${lines.length} variant line(s)`);
+  return lines;
+}
+
+// Give an order's reserved units back to inventory.
+// The order is claimed with a conditional update first, so cancelOrder, the Stripe webhook
+// and the abandoned-orders job can all call this and stock is still returned only once.
+async function releaseOrderStock(order) {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockStatus: { $ne: "released" } },
+    { $set: { stockStatus: "released" } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    console.log(`Stock for order ${order._id} was already released`);
+    return false;
+  }
+  order.stockStatus = "released";
+
+  // Units already restocked by a refund are in inventory again - don't return them twice
+  const remaining = claimed.items
+    .map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity - (item.restockedQuantity || 0) }))
+    .filter(item => item.quantity > 0);
+  const { lines } = await buildReservationLines(remaining);
+  await Promise.all(lines.map(returnStock));
+
+  console.log(`✅ Released stock for order ${order._id}`);
+  return true;
+}
+
+// Undo reserveOrderStock() for an order that was never stored (releaseOrderStock needs the saved order)
+async function cancelReservation(items) {
+  const { lines } = await buildReservationLines(items);
+  await Promise.all(lines.map(returnStock));
+}
+
+// Put units of specific order lines back into inventory (refunds, returns).
+// Each line is claimed on the order first and nothing is restocked once the whole order's
+// stock was released, so the same unit can't go back twice.
+// `lines` is [{ itemId, quantity }]. Returns the lines that were actually restocked.
+async function restockOrderItems(order, lines) {
+  const restocked = [];
+
+  for (const { itemId, quantity } of lines) {
+    const item = order.items.id(itemId);
+    if (!item || quantity <= 0) continue;
+
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        stockStatus: { $ne: "released" },
+        items: { $elemMatch: { _id: item._id, restockedQuantity: { $not: { $gt: item.quantity - quantity } } } }
+      },
+      { $inc: { "items.$.restockedQuantity": quantity } }
+    );
+    if (claimed.modifiedCount !== 1) {
+      console.log(`Item ${itemId} of order ${order._id} can't be restocked (already restocked or released)`);
+      continue;
+    }
+    item.restockedQuantity = (item.restockedQuantity || 0) + quantity;
+
+    const { lines: stockLines } = await buildReservationLines([
+      { productId: item.productId, variantId: item.variantId, quantity }
+    ]);
+    await Promise.all(stockLines.map(returnStock));
+    restocked.push({ itemId: item._id, quantity });
+  }
+
+  if (restocked.length > 0) {
+    console.log(`✅ Restocked ${restocked.length} line(s) of order ${order._id}`);
+  }
+  return restocked;
+}
+
+module.exports = {
+  StockReservationError,
+  reserveOrderStock,
+  releaseOrderStock,
+  cancelReservation,
+  restockOrderItems
+};
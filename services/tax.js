@@ -0,0 +1,206 @@
+const SellRequest = require("../models/SellerRequest");
+const { countryCode } = require("./countries");
+const { translator } = require("./i18n");
+
+// Prices are gross (VAT included) and the same in every country - the tax is worked out of
+// the price, never added on top. Two schemes:
+// - standard: VAT on the full price, at the rate of the country the parcel goes to
+//   (EU distance sales, declared through OSS)
+// - margin: used goods under §25a UStG. VAT is owed on our margin only, always at the shop's
+//   own rate, and is never shown to the buyer.
+
+// Country the shop is registered in - margin-scheme sales and pickups are taxed here
+const SHOP_COUNTRY = (process.env.SHOP_COUNTRY || "DE").toUpperCase();
+
+// Standard VAT rates of the EU member states in percent. Phones and accessories are never
+// reduced-rate. Rates do change - keep this table current.
+const EU_VAT_RATES = {
+  AT: 20,
+  BE: 21,
+  BG: 20,
+  CY: 19,
+  CZ: 21,
+  DE: 19,
+  DK: 25,
+  EE: 24,
+  ES: 21,
+  FI: 25.5,
+  FR: 20,
+  GR: 24,
+  HR: 25,
+  HU: 27,
+  IE: 23,
+  IT: 22,
+  LT: 21,
+  LU: 17,
+  LV: 21,
+  MT: 18,
+  NL: 21,
+  PL: 23,
+  PT: 23,
+  RO: 21,
+  SE: 25,
+  SI: 22,
+  SK: 23
+};
+
+const TAX_SCHEMES = ["standard", "margin"];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Split `total` in proportion to the weights. Rounding leftovers go on the last share,
+// so the shares always add up to the total exactly.
+function allocate(weights, total) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  let left = roundMoney(total);
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return left;
+    const share = sum > 0 ? roundMoney(total * weight / sum) : 0;
+    left = roundMoney(left - share);
+    return share;
+  });
+}
+
+// The variant's setting wins over the product's. Without either, graded (used) variants
+// are margin scheme and everything else - new devices, accessories - is standard.
+const taxSchemeOf = (product, variant) =>
+  variant?.taxScheme || product?.taxScheme || (variant?.appearance ? "margin" : "standard");
+
+// Where an order is taxed: pickups at the shop, deliveries in the destination country.
+// A country we can't read from guestInfo.country is treated as domestic.
+function taxCountry({ country, deliveryMethod }) {
+  if (deliveryMethod === "pickup") return SHOP_COUNTRY;
+  return countryCode(country) || SHOP_COUNTRY;
+}
+
+// Exports outside the EU are tax-free under both schemes
+function vatRateFor(taxScheme, country) {
+  if (!(country in EU_VAT_RATES)) return 0;
+  return taxScheme === "margin" ? (EU_VAT_RATES[SHOP_COUNTRY] ?? 0) : EU_VAT_RATES[country];
+}
+
+// Tax contained in a gross amount. Margin-scheme lines are taxed on the margin, so the
+// purchase cost comes off first; without a known cost the whole amount counts as margin.
+function lineTax({ gross, taxScheme, vatRate, purchaseCost }) {
+  const taxable = taxScheme === "margin" && purchaseCost != null ? Math.max(0, gross - purchaseCost) : gross;
+  const tax = roundMoney(taxable * vatRate / (100 + vatRate));
+  return { taxScheme, vatRate, net: roundMoney(gross - tax), tax, gross };
+}
+
+// Short tax note for a line as the customer sees it (Stripe checkout, invoices).
+// Margin-scheme lines never show a rate - the buyer must not see our margin tax.
+function taxNote(lineTax, locale) {
+  const t = translator(locale);
+  if (lineTax?.taxScheme === "margin") return t("tax.margin");
+  if (!lineTax?.vatRate) return t("tax.exportFree");
+  return t("tax.included", lineTax.vatRate);
+}
+
+// What we paid for devices bought in through buyback, by variant id
+async function purchaseCosts(variantIds) {
+  const ids = variantIds.filter(Boolean);
+  if (ids.length === 0) return new Map();
+  const requests = await SellRequest.find({ "convertedProduct.variantId": { $in: ids }, agreedPrice: { $ne: null } })
+    .select("convertedProduct.variantId agreedPrice")
+    .lean();
+  return new Map(requests.map(r => [r.convertedProduct.variantId.toString(), r.agreedPrice]));
+}
+
+// Order totals and one breakdown row per scheme and rate
+function summarizeTax(lines) {
+  const groups = new Map();
+  lines.forEach(line => {
+    const key = `${line.taxScheme}:${line.vatRate}`;
+    const group = groups.get(key) || { taxScheme: line.taxScheme, vatRate: line.vatRate, net: 0, tax: 0, gross: 0 };
+    group.net = roundMoney(group.net + line.net);
+    group.tax = roundMoney(group.tax + line.tax);
+    group.gross = roundMoney(group.gross + line.gross);
+    groups.set(key, group);
+  });
+  const breakdown = [...groups.values()];
+  const sum = (field) => roundMoney(breakdown.reduce((acc, group) => acc + group[field], 0));
+  return { net: sum("net"), tax: sum("tax"), gross: sum("gross"), breakdown };
+}
+
+// Tax per line and for the order. `items` are priced lines ({ price, quantity, taxScheme, variantId }).
+// The order discount is spread over the lines first, so tax is charged on what was actually paid.
+// Shipping is taxed as a standard-rate line of its own.
+// Resolves with { lines, shipping, order } - lines[i] belongs to items[i], shipping is null without a cost.
+async function computeOrderTax({ items, discount = 0, shippingCost = 0, country, deliveryMethod }) {
+  const destination = taxCountry({ country, deliveryMethod });
+  const costs = await purchaseCosts(items.filter(item => item.taxScheme === "margin").map(item => item.variantId));
+
+  const grossBefore = items.map(item => roundMoney(item.price * item.quantity));
+  const discounts = allocate(grossBefore, discount);
+
+  const lines = items.map((item, index) => {
+    const taxScheme = TAX_SCHEMES.includes(item.taxScheme) ? item.taxScheme : "standard";
+    const unitCost = item.variantId ? costs.get(item.variantId.toString()) : undefined;
+    return {
+      discount: discounts[index],
+      ...lineTax({
+        gross: roundMoney(grossBefore[index] - discounts[index]),
+        taxScheme,
+        vatRate: vatRateFor(taxScheme, destination),
+        purchaseCost: unitCost != null ? roundMoney(unitCost * item.quantity) : undefined
+      })
+    };
+  });
+
+  const shipping = shippingCost > 0
+    ? lineTax({ gross: roundMoney(shippingCost), taxScheme: "standard", vatRate: vatRateFor("standard", destination) })
+    : null;
+
+  return {
+    lines,
+    shipping,
+    order: { country: destination, ...summarizeTax(shipping ? [...lines, shipping] : lines) }
+  };
+}
+
+// Tax figures of paid orders grouped by country, scheme and rate - the numbers for the VAT
+// return and OSS. Refunds are taken off each group in proportion to its share of the order.
+function taxReport(orders) {
+  const groups = new Map();
+  let untaxed = 0;
+  orders.forEach(order => {
+    if (!order.tax?.breakdown?.length) {
+      untaxed += 1;
+      return;
+    }
+    const refundShare = order.tax.gross > 0 ? Math.min(1, (order.refundedAmount || 0) / order.tax.gross) : 0;
+    order.tax.breakdown.forEach(row => {
+      const key = `${order.tax.country}:${row.taxScheme}:${row.vatRate}`;
+      const group = groups.get(key) || {
+        country: order.tax.country, taxScheme: row.taxScheme, vatRate: row.vatRate,
+        orders: 0, net: 0, tax: 0, gross: 0, refunded: 0
+      };
+      group.orders += 1;
+      group.net = roundMoney(group.net + row.net * (1 - refundShare));
+      group.tax = roundMoney(group.tax + row.tax * (1 - refundShare));
+      group.gross = roundMoney(group.gross + row.gross * (1 - refundShare));
+      group.refunded = roundMoney(group.refunded + row.gross * refundShare);
+      groups.set(key, group);
+    });
+  });
+
+  const rows = [...groups.values()].sort((a, b) =>
+    a.country.localeCompare(b.country) || a.taxScheme.localeCompare(b.taxScheme) || a.vatRate - b.vatRate);
+  const sum = (field) => roundMoney(rows.reduce((acc, row) => acc + row[field], 0));
+  return { rows, totals: { net: sum("net"), tax: sum("tax"), gross: sum("gross"), refunded: sum("refunded") }, untaxedOrders: untaxed };
+}
+
+module.exports = {
+  SHOP_COUNTRY,
+  EU_VAT_RATES,
+  TAX_SCHEMES,
+  allocate,
+  taxSchemeOf,
+  taxCountry,
+  vatRateFor,
+  lineTax,
+  taxNote,
+  computeOrderTax,
+  summarizeTax,
+  taxReport
+};
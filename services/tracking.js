@@ -0,0 +1,224 @@
+const crypto = require("crypto");
+const TrackingEvent = require("../models/TrackingEvent");
+const Shipment = require("../models/Shipment");
+const Order = require("../models/Orders");
+const { getCarrier, hasCarrier } = require("./carriers");
+const { notify } = require("./notifications");
+const { SYSTEM_ACTOR, OrderTransitionError, transitionOrder } = require("./orderStateMachine");
+const { completeHandOver } = require("./invoices");
+
+const TRACKING_STATUSES = TrackingEvent.schema.path("status").enumValues;
+
+// The customer gets an email when the parcel reaches one of these. Shipping itself
+// (label_created) is announced by the order's "Shipped" email.
+const NOTIFY_STATUSES = ["out_for_delivery", "delivered", "exception"];
+
+// Webhooks signed longer ago than this are rejected, so a captured request can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+class TrackingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TrackingError";
+    this.status = status;
+  }
+}
+
+// Each carrier signs with its own secret: CARRIER_WEBHOOK_SECRET_DHL, CARRIER_WEBHOOK_SECRET_MOCK, ...
+const webhookSecret = (carrier) => process.env[`CARRIER_WEBHOOK_SECRET_${carrier.toUpperCase()}`];
+
+// Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${raw body}`>"
+function signWebhook(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Throws TrackingError unless the body was signed with the carrier's secret within the tolerance
+function verifyWebhook(carrier, rawBody, header) {
+  const secret = webhookSecret(carrier);
+  if (!secret) throw new TrackingError(`Webhooks from ${carrier} are not configured`, 503);
+
+  const parts = Object.fromEntries(String(header || "").split(",").map(part => part.trim().split("=")));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) throw new TrackingError("Missing webhook signature", 401);
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new TrackingError("Webhook signature has expired", 401);
+  }
+
+  const expected = Buffer.from(signWebhook(rawBody, secret, timestamp).split("v1=")[1], "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new TrackingError("Invalid webhook signature", 401);
+  }
+}
+
+// Carriers without event ids get a key made of the event itself - the same scan reported
+// twice gives the same key
+const eventKey = (carrier, event) => event.id
+  ? `${carrier}:${event.id}`
+  : `${carrier}:${crypto.createHash("sha256")
+    .update([event.trackingNumber, event.status, event.at.toISOString(), event.description || ""].join("|"))
+    .digest("hex")}`;
+
+// Email the customer about a new parcel status. Deduplicated per shipment and status.
+async function notifyShipmentStatus(shipment, order, event) {
+  if (!NOTIFY_STATUSES.includes(event.status)) return;
+  const customerName = [order.guestInfo?.firstName, order.guestInfo?.lastName].filter(Boolean).join(" ") ||
+    order.userId?.name || "Customer";
+  await notify("shipment_update", order.guestInfo?.email || order.userId?.email, {
+    order: { _id: order._id, orderNumber: order.orderNumber },
+    customerName,
+    status: event.status,
+    trackingNumber: shipment.trackingNumber,
+    location: event.location,
+    at: event.at,
+    locale: order.locale
+  }, { dedupeKey: `shipment_update:${shipment._id}:${event.status}`, orderId: order._id, userId: order.userId?._id });
+}
+
+// The carrier says it's delivered - the order follows, and cash orders are paid and invoiced.
+// Throws if the hand-over didn't go through, so the follow-up is run again (see runFollowUp).
+async function markOrderDelivered(order) {
+  try {
+    await transitionOrder(order, "Delivered", { actor: SYSTEM_ACTOR, note: "Delivered according to carrier" });
+  } catch (err) {
+    if (!(err instanceof OrderTransitionError)) throw err;
+    // Returned in the meantime. Already delivered (by hand, or an earlier attempt) still gets the hand-over.
+    if (order.orderStatus !== "Delivered") return;
+  }
+  const invoice = await completeHandOver(order, "Paid on delivery");
+  if (!invoice || (order.paymentMethod !== "Stripe" && order.paymentStatus !== "Paid")) {
+    throw new Error(`Hand-over of order ${order._id} is incomplete`);
+  }
+}
+
+// What happens when a shipment reaches a new status
+async function onStatusChange(shipment, event) {
+  const order = await Order.findById(shipment.orderId).populate("userId", "name email");
+  if (!order) return;
+  if (event.status === "delivered") await markOrderDelivered(order);
+  await notifyShipmentStatus(shipment, order, event);
+}
+
+// Run the follow-up for the shipment's current status and mark it done. Errors are passed on, so the
+// webhook answers 500 and the carrier's retry (or the next poll) runs it again.
+async function runFollowUp(shipment, event) {
+  await onStatusChange(shipment, event);
+  await Shipment.updateOne({ _id: shipment._id, status: shipment.status }, { $set: { followUpDone: true } });
+  shipment.followUpDone = true;
+}
+
+// Store carrier events of a shipment and move the shipment to the status of its latest event.
+// Events seen before are skipped, so redelivered webhooks and repeated polls change nothing -
+// except a follow-up that failed last time, which is run again.
+// Resolves with { shipment, recorded } - recorded = number of new events.
+async function recordTrackingEvents(shipment, events, { source }) {
+  let recorded = 0;
+  for (const event of events) {
+    if (!TRACKING_STATUSES.includes(event.status) || Number.isNaN(event.at?.getTime?.())) {
+      console.warn(`⚠️ Skipping tracking event for ${shipment.trackingNumber}: ${event.status} at ${event.at}`);
+      continue;
+    }
+    const key = eventKey(shipment.carrier, { ...event, trackingNumber: shipment.trackingNumber });
+    const result = await TrackingEvent.updateOne(
+      { eventKey: key },
+      {
+        $setOnInsert: {
+          shipmentId: shipment._id,
+          orderId: shipment.orderId,
+          carrier: shipment.carrier,
+          trackingNumber: shipment.trackingNumber,
+          status: event.status,
+          at: event.at,
+          description: event.description,
+          location: event.location,
+          eventKey: key,
+          source
+        }
+      },
+      { upsert: true }
+    );
+    recorded += result.upsertedCount;
+  }
+
+  // Carriers don't always report in order - the latest scan decides
+  const latest = recorded > 0 || shipment.followUpDone === false
+    ? await TrackingEvent.findOne({ shipmentId: shipment._id }).sort({ at: -1, _id: -1 }).lean()
+    : null;
+  if (!latest) return { shipment, recorded };
+
+  if (latest.status === shipment.status) {
+    if (shipment.followUpDone === false) {
+      console.log(`📦 Retrying follow-up for shipment ${shipment.trackingNumber} (${shipment.status})`);
+      await runFollowUp(shipment, latest);
+    }
+    return { shipment, recorded };
+  }
+
+  // Conditional on the status we read, so concurrent webhooks act on a change only once
+  const updated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, status: shipment.status },
+    { $set: { status: latest.status, followUpDone: false, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) return { shipment: await Shipment.findById(shipment._id), recorded };
+
+  console.log(`📦 Shipment ${updated.trackingNumber}: ${shipment.status} -> ${updated.status}`);
+  await runFollowUp(updated, latest);
+  return { shipment: updated, recorded };
+}
+
+// Handle a verified carrier webhook. Events for parcels we don't know are skipped -
+// carriers report every parcel on the account, not only ours.
+async function ingestWebhook(carrier, payload) {
+  if (!hasCarrier(carrier)) throw new TrackingError(`Unknown carrier "${carrier}"`, 404);
+  const events = getCarrier(carrier).parseWebhook(payload);
+
+  const byNumber = new Map();
+  events.forEach(event => {
+    if (!event.trackingNumber) return;
+    byNumber.set(event.trackingNumber, [...(byNumber.get(event.trackingNumber) || []), event]);
+  });
+
+  let recorded = 0;
+  let unknown = 0;
+  for (const [trackingNumber, parcelEvents] of byNumber) {
+    const shipment = await Shipment.findOne({ carrier, trackingNumber });
+    if (!shipment) {
+      unknown += parcelEvents.length;
+      continue;
+    }
+    recorded += (await recordTrackingEvents(shipment, parcelEvents, { source: "webhook" })).recorded;
+  }
+  return { received: events.length, recorded, unknown };
+}
+
+// Timeline of an order's parcel for the tracking page, oldest event first
+async function shipmentTimeline(orderId) {
+  const shipment = await Shipment.findOne({ orderId }).lean();
+  if (!shipment) return { shipment: null, timeline: [] };
+  const events = await TrackingEvent.find({ shipmentId: shipment._id })
+    .sort({ at: 1, _id: 1 })
+    .select("status at description location -_id")
+    .lean();
+  return {
+    shipment: {
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      updatedAt: shipment.updatedAt
+    },
+    timeline: events
+  };
+}
+
+module.exports = {
+  TRACKING_STATUSES,
+  NOTIFY_STATUSES,
+  TrackingError,
+  signWebhook,
+  verifyWebhook,
+  recordTrackingEvents,
+  ingestWebhook,
+  shipmentTimeline
+};